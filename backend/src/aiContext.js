@@ -0,0 +1,184 @@
+import { config } from './config.js';
+import { getMessages } from './messageStore.js';
+import { completeChat } from './aiProviders.js';
+import { isPersonaName } from './personaService.js';
+import { claimKey, getValue, setValue, deleteValue } from './stateStore.js';
+
+// The AI's context is the room's own message history (so edits, deletions and approved held messages are
+// reflected), trimmed to AI_CONTEXT_TOKEN_BUDGET. Turns that no longer fit are folded into a running
+// summary per room, kept in the state store so every server instance shares it
+
+// Recent messages looked at when building context
+const CONTEXT_SCAN_LIMIT = 100;
+
+// Rough per-message token overhead (role markers and the like)
+const MESSAGE_TOKEN_OVERHEAD = 4;
+
+// A room's summary is dropped after a day without being updated
+const SUMMARY_TTL_MS = 24 * 60 * 60 * 1000;
+
+// Only one instance summarizes a room at a time; the lock expires in case that instance dies mid-way
+const SUMMARY_LOCK_MS = 60 * 1000;
+
+/**
+ * Estimates how many tokens some text uses (about 4 characters per token)
+ * @param {string} text - The text
+ * @returns {number}
+ */
+export function estimateTokens(text) {
+  return Math.ceil((text || '').length / 4);
+}
+
+/**
+ * Checks whether a room message was written by the AI
+ * @param {Object} message - A stored message
+ * @returns {boolean}
+ */
+function isAIMessage(message) {
+  return Boolean(message.isAI) || isPersonaName(message.author);
+}
+
+/**
+ * Formats a room message as a chat turn
+ * User messages are prefixed with the speaker's name, so the AI can tell people apart
+ * @param {Object} message - A stored message
+ * @returns {Object} - { role, content }
+ */
+function toTurn(message) {
+  return isAIMessage(message)
+    ? { role: 'assistant', content: message.text }
+    : { role: 'user', content: `${message.author}: ${message.text}` };
+}
+
+/**
+ * Gets a room's summary of older turns
+ * @param {string} room - The room name
+ * @returns {Promise<Object|null>} - { text, coveredUntil, updatedAt }, or null if there is none (or the store is down)
+ */
+async function getRoomSummary(room) {
+  try {
+    return await getValue(`ai-summary:${room}`);
+  } catch (error) {
+    console.error(`[AI] Could not read the summary for #${room}:`, error.message);
+    return null;
+  }
+}
+
+/**
+ * Splits a room's recent history into the turns that fit the token budget and the older ones that don't
+ * Messages already covered by the summary are left out
+ * @param {string} room - The room name
+ * @param {Object} summary - The room's summary (or null)
+ * @param {string} excludeId - A message to leave out (the one being replied to, which is added separately)
+ * @returns {Promise<Object>} - { recent, overflow } (stored messages, oldest first)
+ */
+async function splitRoomHistory(room, summary, excludeId) {
+  const { messages } = await getMessages(room, { limit: CONTEXT_SCAN_LIMIT });
+  const candidates = messages.filter(message => (
+    message.id !== excludeId
+    && !message.deleted
+    && message.text
+    && (!summary || message.timestamp > summary.coveredUntil)
+  ));
+
+  // The summary takes its share of the budget first
+  let remaining = config.ai.context.tokenBudget - (summary ? estimateTokens(summary.text) + MESSAGE_TOKEN_OVERHEAD : 0);
+  let firstRecent = candidates.length;
+  while (firstRecent > 0) {
+    const tokens = estimateTokens(toTurn(candidates[firstRecent - 1]).content) + MESSAGE_TOKEN_OVERHEAD;
+    if (tokens > remaining) {
+      break;
+    }
+    remaining -= tokens;
+    firstRecent -= 1;
+  }
+
+  return {
+    recent: candidates.slice(firstRecent),
+    overflow: candidates.slice(0, firstRecent),
+  };
+}
+
+/**
+ * Builds the AI's context for a room: a summary of older turns plus as many recent turns as fit the budget
+ * If turns had to be left out, the summary is brought up to date in the background for the next reply
+ * @param {string} room - The room name
+ * @param {Object} options - { excludeId: message to leave out (the one being replied to) }
+ * @returns {Promise<Object>} - { summary, turns: [{ role, content }] }
+ */
+export async function buildRoomContext(room, { excludeId = null } = {}) {
+  try {
+    const summary = await getRoomSummary(room);
+    const { recent, overflow } = await splitRoomHistory(room, summary, excludeId);
+
+    if (overflow.length > 0 && config.ai.context.summarize) {
+      summarizeRoomContext(room).catch(error => {
+        console.error(`[AI] Could not summarize #${room}:`, error.message);
+      });
+    }
+
+    return { summary: summary?.text || null, turns: recent.map(toTurn) };
+  } catch (error) {
+    // The AI can still reply without context
+    console.error(`[AI] Could not build context for #${room}:`, error.message);
+    return { summary: null, turns: [] };
+  }
+}
+
+/**
+ * Folds the turns that no longer fit the token budget into the room's summary
+ * @param {string} room - The room name
+ */
+export async function summarizeRoomContext(room) {
+  if ((await claimKey(`ai-summary-lock:${room}`, SUMMARY_LOCK_MS)) > 0) {
+    // Another request (or instance) is already summarizing this room
+    return;
+  }
+
+  try {
+    const summary = await getRoomSummary(room);
+    const { overflow } = await splitRoomHistory(room, summary, null);
+    if (overflow.length === 0) {
+      return;
+    }
+
+    const maxLength = config.ai.context.summaryTokens * 4;
+    const transcript = overflow.map(message => `${isAIMessage(message) ? 'Assistant' : message.author}: ${message.text}`).join('\n');
+    const messages = [
+      {
+        role: 'system',
+        content: `You summarize a group chat for an assistant that takes part in it. Keep who said what, the topics, open questions and anything people asked the assistant to remember. Leave out greetings and small talk. Write plain prose under ${maxLength} characters.`,
+      },
+      {
+        role: 'user',
+        content: `${summary ? `Summary so far:\n${summary.text}\n\n` : ''}Newer messages:\n${transcript}\n\nWrite the updated summary.`,
+      },
+    ];
+
+    const text = (await completeChat(messages, { maxResponseLength: maxLength })).trim().slice(0, maxLength);
+    if (!text) {
+      return;
+    }
+    await setValue(`ai-summary:${room}`, {
+      text,
+      coveredUntil: overflow[overflow.length - 1].timestamp,
+      updatedAt: new Date().toISOString(),
+    }, SUMMARY_TTL_MS);
+    console.log(`[AI] Summarized ${overflow.length} older messages in #${room}`);
+  } finally {
+    // Let the next overflow be summarized straight away
+    await deleteValue(`ai-summary-lock:${room}`).catch(() => {});
+  }
+}
+
+/**
+ * Forgets a room's summary (e.g. after its history is cleared)
+ * @param {string} room - The room name
+ */
+export async function clearRoomContext(room) {
+  try {
+    await deleteValue(`ai-summary:${room}`);
+  } catch (error) {
+    console.error(`[AI] Could not clear the summary for #${room}:`, error.message);
+  }
+}
@@ -0,0 +1,524 @@
+import axios from 'axios';
+import { config } from './config.js';
+
+// Delay between words from the mock provider when streaming, so the typing UI can be seen in development
+const MOCK_TOKEN_DELAY_MS = 20;
+
+// Registered LLM providers, keyed by name
+// Each provider is an object: { name, description, defaultModel, defaultBaseUrl, apiKeyEnv, requiresApiKey,
+//   getApiKey() => string, complete(messages, options, onToken) => Promise<string> }
+// `messages` are OpenAI-style [{ role: 'system' | 'user' | 'assistant', content }]
+// When `onToken` is passed, providers that can stream call it with each piece of text as it arrives;
+// complete() always resolves to the full reply
+
+const providers = new Map();
+
+/**
+ * Registers an LLM provider so it can be selected with AI_PROVIDER
+ * @param {Object} provider - Provider object with a name and a complete(messages, options, onToken) function
+ */
+export function registerAIProvider(provider) {
+  if (!provider || typeof provider.name !== 'string' || typeof provider.complete !== 'function') {
+    throw new Error('AI provider must have a name and a complete(messages, options, onToken) function');
+  }
+  providers.set(provider.name, provider);
+}
+
+/**
+ * Gets a registered LLM provider by name
+ * @param {string} name - The provider name (e.g. 'openai', 'anthropic')
+ * @returns {Object} - The provider
+ */
+export function getAIProvider(name) {
+  const provider = providers.get(name);
+  if (!provider) {
+    throw new Error(`Unknown AI provider "${name}". Available: ${listAIProviders().join(', ')}`);
+  }
+  return provider;
+}
+
+/**
+ * Lists the names of all registered LLM providers
+ * @returns {Array<string>}
+ */
+export function listAIProviders() {
+  return Array.from(providers.keys());
+}
+
+/**
+ * Works out the settings a call to the provider uses
+ * AI_MODEL and AI_BASE_URL override the provider's defaults
+ * @param {Object} provider - The provider
+ * @param {number} maxResponseLength - Reply length in characters, for the default token cap
+ * @returns {Object} - { model, baseUrl, apiKey, temperature, maxTokens, timeout }
+ */
+function resolveOptions(provider, maxResponseLength = config.ai.maxResponseLength) {
+  return {
+    model: config.ai.model || provider.defaultModel,
+    baseUrl: (config.ai.baseUrl || provider.defaultBaseUrl || '').replace(/\/+$/, ''),
+    apiKey: provider.getApiKey(),
+    temperature: config.ai.temperature,
+    // Without AI_MAX_TOKENS, allow roughly maxResponseLength characters (1 token ≈ 4 chars)
+    maxTokens: config.ai.maxTokens || Math.min(Math.ceil(maxResponseLength / 4), 150),
+    timeout: config.ai.timeoutMs,
+  };
+}
+
+/**
+ * Turns a failed HTTP call into an error with a useful message
+ * Status codes are mapped by the provider; network errors and timeouts are handled here
+ * @param {Error} error - The axios error
+ * @param {string} label - The service name for messages, e.g. 'OpenAI'
+ * @param {Function} describeStatus - (status, data, headers) => message, or null for the generic message
+ * @returns {Error}
+ */
+function toProviderError(error, label, describeStatus) {
+  if (axios.isCancel(error)) {
+    return error;
+  }
+  if (error.response) {
+    const { status, data, headers } = error.response;
+    const message = describeStatus(status, data, headers);
+    if (message) {
+      return new Error(message);
+    }
+    if (status >= 500) {
+      return new Error(`${label} service is experiencing issues. Please try again later.`);
+    }
+    const detail = data?.error?.message || data?.error || data?.message || 'Unknown error';
+    return new Error(`${label} API error: ${status} - ${typeof detail === 'string' ? detail : JSON.stringify(detail)}`);
+  }
+  if (error.request) {
+    // Request was made but no response (timeout or network error)
+    if (error.code === 'ECONNABORTED' || error.message.includes('timeout')) {
+      return new Error(`${label} service request timed out. Please try again.`);
+    }
+    return new Error(`${label} service is unavailable. Please check your connection and try again.`);
+  }
+  return error;
+}
+
+/**
+ * Formats a Retry-After header for a rate limit message
+ * @param {Object} headers - Response headers
+ * @returns {string}
+ */
+function describeRetryAfter(headers) {
+  const retryAfter = headers?.['retry-after'];
+  return retryAfter ? `Retry after ${retryAfter} seconds.` : 'Please try again later.';
+}
+
+/**
+ * Reads the body of a failed streaming request, so error mapping can see the provider's error message
+ * @param {Error} error - The axios error
+ * @returns {Promise<Error>} - The same error, with error.response.data parsed
+ */
+async function readStreamedErrorBody(error) {
+  const data = error.response?.data;
+  if (!data || typeof data.pipe !== 'function') {
+    return error;
+  }
+  try {
+    let body = '';
+    data.setEncoding('utf8');
+    for await (const chunk of data) {
+      body += chunk;
+    }
+    error.response.data = JSON.parse(body);
+  } catch {
+    error.response.data = null;
+  }
+  return error;
+}
+
+/**
+ * Reads a server-sent events response, passing each JSON `data:` payload to onEvent
+ * Stops at the OpenAI-style "[DONE]" marker or when the stream ends
+ * @param {Stream} stream - The response stream
+ * @param {Function} onEvent - Called with each parsed payload
+ */
+async function readServerSentEvents(stream, onEvent) {
+  stream.setEncoding('utf8');
+  let buffer = '';
+  for await (const chunk of stream) {
+    buffer += chunk;
+    const lines = buffer.split('\n');
+    buffer = lines.pop();
+    for (const line of lines) {
+      if (!line.startsWith('data:')) {
+        continue;
+      }
+      const data = line.slice(5).trim();
+      if (data === '[DONE]') {
+        return;
+      }
+      let event;
+      try {
+        event = JSON.parse(data);
+      } catch {
+        // Keep-alive comments and anything else that isn't JSON
+        continue;
+      }
+      onEvent(event);
+    }
+  }
+}
+
+/**
+ * Calls an OpenAI-style chat completions endpoint
+ * @param {Array} messages - Chat messages
+ * @param {Object} options - Resolved options (see resolveOptions)
+ * @param {Object} headers - Extra request headers (e.g. Authorization)
+ * @param {Function} onToken - Optional; streams the reply, calling this with each piece of text
+ * @returns {Promise<string>} - The reply text
+ */
+async function callChatCompletions(messages, options, headers, onToken) {
+  let response;
+  try {
+    response = await axios.post(
+      `${options.baseUrl}/chat/completions`,
+      {
+        model: options.model,
+        messages,
+        max_tokens: options.maxTokens,
+        temperature: options.temperature,
+        stream: !!onToken,
+      },
+      {
+        headers: { 'Content-Type': 'application/json', ...headers },
+        timeout: options.timeout,
+        signal: options.signal,
+        responseType: onToken ? 'stream' : 'json',
+      }
+    );
+  } catch (error) {
+    throw await readStreamedErrorBody(error);
+  }
+
+  if (onToken) {
+    // Stream format: data: { choices: [{ delta: { content: "..." } }] }
+    let content = '';
+    await readServerSentEvents(response.data, event => {
+      if (event.error) {
+        throw new Error(`Chat completion stream failed: ${event.error.message || JSON.stringify(event.error)}`);
+      }
+      const delta = event.choices?.[0]?.delta?.content;
+      if (delta) {
+        content += delta;
+        onToken(delta);
+      }
+    });
+    return content;
+  }
+
+  // Response format: { choices: [{ message: { content: "..." } }] }
+  const content = response.data?.choices?.[0]?.message?.content;
+  if (typeof content !== 'string') {
+    throw new Error('Unable to parse chat completion response. Unexpected response format.');
+  }
+  return content;
+}
+
+/**
+ * OpenAI chat completions
+ */
+const openAIProvider = {
+  name: 'openai',
+  description: 'OpenAI chat completions',
+  defaultModel: 'gpt-3.5-turbo',
+  defaultBaseUrl: 'https://api.openai.com/v1',
+  apiKeyEnv: 'OPENAI_API_KEY',
+  requiresApiKey: true,
+  getApiKey: () => config.ai.apiKey || config.ai.openaiApiKey,
+  async complete(messages, options, onToken) {
+    if (!options.apiKey) {
+      throw new Error('OPENAI_API_KEY is required for AI responses');
+    }
+    try {
+      return await callChatCompletions(messages, options, { 'Authorization': `Bearer ${options.apiKey}` }, onToken);
+    } catch (error) {
+      throw toProviderError(error, 'OpenAI', (status, data, headers) => {
+        if (status === 429) {
+          // Out of credit also comes back as a 429
+          if (data?.error?.code === 'insufficient_quota') {
+            return 'OpenAI API quota exceeded. Check your plan and billing details.';
+          }
+          return `OpenAI API rate limit exceeded. ${describeRetryAfter(headers)}`;
+        }
+        if (status === 401 || status === 403) {
+          return 'OpenAI API authentication failed. Check your OPENAI_API_KEY.';
+        }
+        if (status === 404) {
+          return `OpenAI model "${options.model}" not found. Check your AI_MODEL configuration.`;
+        }
+        return null;
+      });
+    }
+  },
+};
+
+/**
+ * Any server with an OpenAI-compatible /chat/completions endpoint (Ollama, llama.cpp server, vLLM, LM Studio, ...)
+ * AI_BASE_URL is the URL the endpoint hangs off, e.g. http://localhost:11434/v1 for Ollama
+ */
+const openAICompatibleProvider = {
+  name: 'openai-compatible',
+  description: 'OpenAI-compatible chat completions server (AI_BASE_URL)',
+  defaultModel: null,
+  defaultBaseUrl: null,
+  apiKeyEnv: 'AI_API_KEY',
+  requiresApiKey: false,
+  getApiKey: () => config.ai.apiKey,
+  async complete(messages, options, onToken) {
+    if (!options.baseUrl) {
+      throw new Error('AI_BASE_URL is required for the openai-compatible AI provider');
+    }
+    if (!options.model) {
+      throw new Error('AI_MODEL is required for the openai-compatible AI provider');
+    }
+    // Local servers usually don't check keys, so only send one if it's set
+    const headers = options.apiKey ? { 'Authorization': `Bearer ${options.apiKey}` } : {};
+    try {
+      return await callChatCompletions(messages, options, headers, onToken);
+    } catch (error) {
+      if (error.code === 'ECONNREFUSED') {
+        throw new Error(`Nothing is listening at AI_BASE_URL (${options.baseUrl}). Is the model server running?`);
+      }
+      throw toProviderError(error, `AI server at ${options.baseUrl}`, (status, data, headers) => {
+        if (status === 429) {
+          return `AI server rate limit exceeded. ${describeRetryAfter(headers)}`;
+        }
+        if (status === 401 || status === 403) {
+          return 'AI server authentication failed. Check your AI_API_KEY.';
+        }
+        if (status === 404) {
+          // Either the model isn't there (e.g. not pulled into Ollama yet) or AI_BASE_URL is missing its /v1
+          return `Model "${options.model}" or the chat completions endpoint was not found at ${options.baseUrl}. ` +
+            'Check AI_MODEL and AI_BASE_URL.';
+        }
+        return null;
+      });
+    }
+  },
+};
+
+/**
+ * Converts OpenAI-style messages to the Anthropic Messages API format
+ * The system prompt is a separate field, and user/assistant turns must alternate starting with a user turn
+ * @param {Array} messages - OpenAI-style messages
+ * @returns {Object} - { system, messages }
+ */
+function toAnthropicMessages(messages) {
+  const system = messages.filter(message => message.role === 'system').map(message => message.content).join('\n\n');
+  const turns = [];
+  for (const message of messages.filter(entry => entry.role !== 'system')) {
+    const previous = turns[turns.length - 1];
+    if (previous && previous.role === message.role) {
+      previous.content += `\n\n${message.content}`;
+    } else {
+      turns.push({ role: message.role, content: message.content });
+    }
+  }
+  if (turns.length > 0 && turns[0].role !== 'user') {
+    turns.unshift({ role: 'user', content: '(conversation continues)' });
+  }
+  return { system, messages: turns };
+}
+
+/**
+ * Anthropic Messages API (and servers that implement it)
+ */
+const anthropicProvider = {
+  name: 'anthropic',
+  description: 'Anthropic Messages API',
+  defaultModel: 'claude-3-5-haiku-latest',
+  defaultBaseUrl: 'https://api.anthropic.com/v1',
+  apiKeyEnv: 'ANTHROPIC_API_KEY',
+  requiresApiKey: true,
+  getApiKey: () => config.ai.apiKey || config.ai.anthropicApiKey,
+  async complete(messages, options, onToken) {
+    if (!options.apiKey) {
+      throw new Error('ANTHROPIC_API_KEY is required for the anthropic AI provider');
+    }
+
+    const { system, messages: turns } = toAnthropicMessages(messages);
+    try {
+      const response = await axios.post(
+        `${options.baseUrl}/messages`,
+        {
+          model: options.model,
+          system: system || undefined,
+          messages: turns,
+          max_tokens: options.maxTokens,
+          // The Messages API accepts temperatures from 0 to 1
+          temperature: Math.min(options.temperature, 1),
+          stream: !!onToken,
+        },
+        {
+          headers: {
+            'Content-Type': 'application/json',
+            'x-api-key': options.apiKey,
+            'anthropic-version': '2023-06-01',
+          },
+          timeout: options.timeout,
+          signal: options.signal,
+          responseType: onToken ? 'stream' : 'json',
+        }
+      );
+
+      if (onToken) {
+        // Stream format: data: { type: 'content_block_delta', delta: { type: 'text_delta', text: "..." } }
+        let text = '';
+        await readServerSentEvents(response.data, event => {
+          if (event.type === 'error') {
+            const overloaded = event.error?.type === 'overloaded_error';
+            throw new Error(overloaded
+              ? 'Anthropic API is overloaded. Please try again later.'
+              : `Anthropic stream failed: ${event.error?.message || 'Unknown error'}`);
+          }
+          if (event.type === 'content_block_delta' && event.delta?.type === 'text_delta') {
+            text += event.delta.text;
+            onToken(event.delta.text);
+          }
+        });
+        return text;
+      }
+
+      // Response format: { content: [{ type: 'text', text: "..." }] }
+      const text = (response.data?.content || [])
+        .filter(block => block.type === 'text')
+        .map(block => block.text)
+        .join('');
+      if (!text && !Array.isArray(response.data?.content)) {
+        throw new Error('Unable to parse Anthropic response. Unexpected response format.');
+      }
+      return text;
+    } catch (error) {
+      throw toProviderError(await readStreamedErrorBody(error), 'Anthropic', (status, data, headers) => {
+        if (status === 429) {
+          return `Anthropic API rate limit exceeded. ${describeRetryAfter(headers)}`;
+        }
+        if (status === 401) {
+          return 'Anthropic API authentication failed. Check your ANTHROPIC_API_KEY.';
+        }
+        if (status === 403) {
+          return 'Anthropic API key does not have permission to use this model.';
+        }
+        if (status === 404) {
+          return `Anthropic model "${options.model}" not found. Check your AI_MODEL configuration.`;
+        }
+        if (status === 529) {
+          return 'Anthropic API is overloaded. Please try again later.';
+        }
+        return null;
+      });
+    }
+  },
+};
+
+/**
+ * Deterministic provider for tests and local development - no network calls
+ * The reply only depends on the last user message, so the same input always gets the same output
+ */
+const mockProvider = {
+  name: 'mock',
+  description: 'Deterministic canned replies (for tests)',
+  defaultModel: 'mock',
+  defaultBaseUrl: null,
+  apiKeyEnv: null,
+  requiresApiKey: false,
+  getApiKey: () => null,
+  async complete(messages, options, onToken) {
+    const lastUserMessage = [...messages].reverse().find(message => message.role === 'user');
+    const text = (lastUserMessage?.content || '').replace(/\s+/g, ' ').trim();
+    const reply = `Mock reply to: ${text.length > 80 ? `${text.slice(0, 80)}...` : text}`;
+    if (!onToken) {
+      return reply;
+    }
+
+    // Stream word by word
+    let streamed = '';
+    for (const word of reply.match(/\S+\s*/g)) {
+      if (options.signal?.aborted) {
+        break;
+      }
+      await new Promise(resolve => setTimeout(resolve, MOCK_TOKEN_DELAY_MS));
+      streamed += word;
+      onToken(word);
+    }
+    return streamed;
+  },
+};
+
+// Register built-in providers
+[
+  openAIProvider,
+  openAICompatibleProvider,
+  anthropicProvider,
+  mockProvider,
+].forEach(registerAIProvider);
+
+/**
+ * Sends a chat to the provider selected by AI_PROVIDER
+ * @param {Array} messages - OpenAI-style messages ({ role, content })
+ * @param {Object} options - Optional { maxResponseLength } (characters; sets the token cap unless AI_MAX_TOKENS is set)
+ * @returns {Promise<string>} - The reply text
+ */
+export async function completeChat(messages, { maxResponseLength } = {}) {
+  const provider = getAIProvider(config.ai.provider);
+  return provider.complete(messages, resolveOptions(provider, maxResponseLength));
+}
+
+/**
+ * Streams a chat from the provider selected by AI_PROVIDER
+ * Providers that can't stream deliver the whole reply as a single token
+ * @param {Array} messages - OpenAI-style messages ({ role, content })
+ * @param {Function} onToken - Called with each piece of text as it arrives
+ * @param {Object} options - Optional { signal, maxResponseLength }; aborting the signal stops the request
+ * @returns {Promise<string>} - The full reply text
+ */
+export async function streamChat(messages, onToken, { signal, maxResponseLength } = {}) {
+  const provider = getAIProvider(config.ai.provider);
+  let streamed = false;
+  const reply = await provider.complete(messages, { ...resolveOptions(provider, maxResponseLength), signal }, token => {
+    streamed = true;
+    onToken(token);
+  });
+  if (!streamed && reply) {
+    onToken(reply);
+  }
+  return reply;
+}
+
+/**
+ * Describes the selected provider for the status endpoint (never includes the key)
+ * @returns {Object} - { provider, description, model, baseUrl, apiKeyConfigured, problem }
+ */
+export function getAIProviderStatus() {
+  const provider = providers.get(config.ai.provider);
+  if (!provider) {
+    return {
+      provider: config.ai.provider,
+      problem: `Unknown AI provider "${config.ai.provider}". Available: ${listAIProviders().join(', ')}`,
+    };
+  }
+
+  const options = resolveOptions(provider);
+  let problem = null;
+  if (provider.requiresApiKey && !options.apiKey) {
+    problem = `${provider.apiKeyEnv} (or AI_API_KEY) is not set`;
+  } else if (provider.name === 'openai-compatible' && (!options.baseUrl || !options.model)) {
+    problem = 'AI_BASE_URL and AI_MODEL are required for the openai-compatible provider';
+  }
+
+  return {
+    provider: provider.name,
+    description: provider.description,
+    model: options.model,
+    baseUrl: options.baseUrl || null,
+    temperature: options.temperature,
+    maxTokens: options.maxTokens,
+    apiKeyConfigured: !!options.apiKey,
+    problem,
+  };
+}
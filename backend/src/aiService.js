@@ -1,14 +1,15 @@
-import axios from 'axios';
 import { config } from './config.js';
-
-const AI_AUTHOR_NAME = 'AI Moderator';
+import { completeChat, streamChat } from './aiProviders.js';
+import { getPersona, getPersonaMaxLength, renderPersonaPrompt } from './personaService.js';
 
 /**
  * Generates a greeting message for a new user
  * @param {string} username - The user's name
+ * @param {Object} persona - The persona greeting them (defaults to AI_PERSONA)
+ * @param {string} room - The room they joined
  * @returns {Promise<string>} - The AI-generated greeting
  */
-export async function generateGreeting(username) {
+export async function generateGreeting(username, persona = getPersona(), room = null) {
   if (!config.ai.enabled) {
     return null;
   }
@@ -17,21 +18,20 @@ export async function generateGreeting(username) {
     const messages = [
       {
         role: 'system',
-        content: `You're a fun, chatty, and human-like AI friend. A new user named "${username}" just joined the chat. Greet them in a casual, friendly way - like you're excited to meet a new friend! Be warm, fun, and show personality. Use natural, conversational language. Keep it brief and under ${config.ai.maxResponseLength} characters.`,
+        content: renderPersonaPrompt(persona, 'greeting', { username, room }),
       },
       {
         role: 'user',
-        content: `Greet the new user "${username}" who just joined - be fun and chatty!`,
+        content: `Greet the new user "${username}" who just joined.`,
       },
     ];
 
-    const response = await callOpenAIAPI(messages);
-    const greeting = parseOpenAIResponse(response);
+    const greeting = await completeChat(messages, { maxResponseLength: getPersonaMaxLength(persona) });
     return greeting.trim();
   } catch (error) {
     console.error('Error generating greeting:', error);
-    // Return a simple fallback greeting
-    return `Hey ${username}! 👋 Welcome to the chat! What's up?`;
+    // Return the persona's fallback greeting
+    return renderPersonaPrompt(persona, 'fallbackGreeting', { username, room });
   }
 }
 
@@ -39,108 +39,87 @@ export async function generateGreeting(username) {
  * Generates an AI response to a user message
  * @param {string} userMessage - The user's message
  * @param {Object} moderationResult - The moderation result for the user message
- * @param {Array} conversationHistory - Array of previous messages for context
+ * @param {Object} context - The room's conversation, from buildRoomContext: { summary, turns }
  * @param {boolean} isBlocked - Whether the message was blocked
+ * @param {Object} options - Optional { persona, room, author, onToken, signal }: the persona replying (defaults to AI_PERSONA),
+ *   the room and who sent the message; onToken streams the reply, called with each piece of text (stops after the
+ *   persona's response length); aborting the signal stops the request
  * @returns {Promise<string>} - The AI-generated response text
  */
-export async function generateAIResponse(userMessage, moderationResult, conversationHistory = [], isBlocked = false) {
+export async function generateAIResponse(userMessage, moderationResult, context = { summary: null, turns: [] }, isBlocked = false, { persona = getPersona(), room = null, author = null, onToken, signal } = {}) {
   if (!config.ai.enabled) {
     throw new Error('AI agent is disabled');
   }
 
+  // Ensure response is within length limit
+  const maxLength = getPersonaMaxLength(persona);
+
   try {
-    const messages = buildMessages(userMessage, moderationResult, conversationHistory, isBlocked);
-    const response = await callOpenAIAPI(messages);
-    const aiText = parseOpenAIResponse(response);
+    const messages = buildMessages(userMessage, moderationResult, context, isBlocked, persona, room, author);
+    let aiText;
+    if (onToken) {
+      let streamedLength = 0;
+      aiText = await streamChat(messages, token => {
+        const piece = token.slice(0, Math.max(0, maxLength - streamedLength));
+        streamedLength += token.length;
+        if (piece) {
+          onToken(piece);
+        }
+      }, { signal, maxResponseLength: maxLength });
+    } else {
+      aiText = await completeChat(messages, { maxResponseLength: maxLength });
+    }
     
-    // Ensure response is within length limit
-    const maxLength = config.ai.maxResponseLength;
     if (aiText.length > maxLength) {
       return aiText.substring(0, maxLength).trim() + '...';
     }
     
     return aiText.trim();
   } catch (error) {
-    console.error('Error generating AI response:', error);
+    // A cancelled stream (e.g. a retracted reply) isn't an error worth logging
+    if (!signal?.aborted) {
+      console.error('Error generating AI response:', error);
+    }
     throw error;
   }
 }
 
 /**
- * Builds the messages array for OpenAI Chat API
+ * Builds the chat messages sent to the AI provider
+ * Several people talk in a room, so user turns start with the speaker's name ("alice: hi")
  * @param {string} userMessage - The user's message
  * @param {Object} moderationResult - The moderation result
- * @param {Array} conversationHistory - Previous messages
+ * @param {Object} context - The room's conversation: { summary, turns }
  * @param {boolean} isBlocked - Whether the message was blocked
+ * @param {Object} persona - The persona replying
+ * @param {string} room - The room the message was sent to
+ * @param {string} author - Who sent the message
  * @returns {Array} - Array of message objects with role and content
  */
-function buildMessages(userMessage, moderationResult, conversationHistory, isBlocked = false) {
+function buildMessages(userMessage, moderationResult, context, isBlocked = false, persona = getPersona(), room = null, author = null) {
   const messages = [];
 
-  // System prompt - fun, chatty, human-like AI personality
-  let systemPrompt;
-  if (isBlocked) {
-    systemPrompt = `You're a fun, chatty, and human-like AI friend chatting with users. A user's message was just blocked by the moderation system. Your role is to:
-- React naturally and conversationally, like a friend would
-- Casually mention what happened without being preachy or formal
-- Use natural, casual language with personality (like "oh", "hmm", "hey", etc.)
-- Be empathetic and understanding, like you're chatting with a friend
-- Keep it light and friendly - don't lecture
-- Use emojis occasionally if it feels natural (but don't overdo it)
-- Show personality and be relatable
-
-Keep responses under ${config.ai.maxResponseLength} characters. Be fun, chatty, and human-like - like texting a friend!`;
-  } else {
-    systemPrompt = `You're a fun, chatty, and human-like AI friend chatting with users. Your personality is:
-- Casual, friendly, and conversational - like texting a good friend
-- Use natural, everyday language with personality
-- Be genuinely interested in what they're saying
-- React naturally to their messages (like "haha", "oh cool", "that's interesting", etc.)
-- Use emojis occasionally when it feels natural (but don't overdo it)
-- Show your personality - be funny, curious, supportive, or whatever fits the moment
-- Don't be formal or robotic - be human!
-- Keep it engaging and fun
-
-Keep responses under ${config.ai.maxResponseLength} characters. Be fun, chatty, and human-like - like you're texting a friend!`;
+  // System prompt - the persona's prompt for allowed or blocked messages, plus how to read the room's conversation
+  let systemPrompt = renderPersonaPrompt(persona, isBlocked ? 'blocked' : 'allowed', { room });
+  systemPrompt += '\n\nThis is a group chat: each user message starts with the name of the person who wrote it. Address people by name when it helps, and don\'t start your reply with your own name.';
+  if (context.summary) {
+    systemPrompt += `\n\nSummary of the earlier conversation:\n${context.summary}`;
   }
-
   messages.push({
     role: 'system',
     content: systemPrompt,
   });
 
-  // Add conversation history (include both user and AI messages for natural conversation flow)
-  if (conversationHistory.length > 0) {
-    const recentHistory = conversationHistory.slice(-config.ai.conversationHistorySize);
-    recentHistory.forEach(msg => {
-      if (msg.author === AI_AUTHOR_NAME || msg.isAI) {
-        // Add AI messages as assistant role
-        messages.push({
-          role: 'assistant',
-          content: msg.text,
-        });
-      } else {
-        // Add user messages
-        messages.push({
-          role: 'user',
-          content: msg.text,
-        });
-      }
-    });
-  }
+  // Add the room's recent conversation (user and AI messages, for natural conversation flow)
+  messages.push(...context.turns);
 
   // Build moderation context - keep it minimal and conversational
-  let userMessageWithContext = userMessage;
+  const speaker = author || 'Anonymous';
+  let userMessageWithContext = `${speaker}: ${userMessage}`;
   
-  if (moderationResult && moderationResult.details) {
-    const details = moderationResult.details;
-    if (isBlocked) {
-      // For blocked messages, provide context but keep it casual and friendly
-      userMessageWithContext = `The user tried to send: "${userMessage}" but it got blocked (detected ${details.maxCategory || 'some issues'}). React naturally and chat about it - be friendly and understanding, like a friend would.`;
-    } else {
-      // For allowed messages, just use the message as-is for natural conversation
-      userMessageWithContext = userMessage;
-    }
+  if (moderationResult && moderationResult.details && isBlocked) {
+    // For blocked messages, provide context - the persona's blocked prompt sets the tone
+    userMessageWithContext = `${speaker} tried to send: "${userMessage}" but it got blocked (detected ${moderationResult.details.maxCategory || 'some issues'}). Respond to what happened.`;
   }
 
   messages.push({
@@ -150,111 +129,3 @@ Keep responses under ${config.ai.maxResponseLength} characters. Be fun, chatty,
 
   return messages;
 }
-
-/**
- * Calls the OpenAI Chat API
- * @param {Array} messages - Array of message objects with role and content
- * @returns {Promise<Object>} - The API response
- */
-async function callOpenAIAPI(messages) {
-  const apiKey = config.ai.apiKey;
-  const modelName = config.ai.model;
-
-  if (!apiKey) {
-    throw new Error('OPENAI_API_KEY is required for AI responses');
-  }
-
-  const apiUrl = 'https://api.openai.com/v1/chat/completions';
-
-  try {
-    const response = await axios.post(
-      apiUrl,
-      {
-        model: modelName,
-        messages: messages,
-        max_tokens: Math.min(Math.ceil(config.ai.maxResponseLength / 4), 150), // Approximate tokens (1 token ≈ 4 chars)
-        temperature: 0.9, // Higher temperature for more creative, human-like responses
-      },
-      {
-        headers: {
-          'Authorization': `Bearer ${apiKey}`,
-          'Content-Type': 'application/json',
-        },
-        timeout: 30000, // 30 second timeout for OpenAI
-      }
-    );
-
-    return response.data;
-  } catch (error) {
-    if (error.response) {
-      // API returned an error
-      const status = error.response.status;
-      const errorData = error.response.data;
-      
-      if (status === 429) {
-        // Rate limit exceeded
-        const retryAfter = error.response.headers['retry-after'];
-        throw new Error(`OpenAI API rate limit exceeded. ${retryAfter ? `Retry after ${retryAfter} seconds.` : 'Please try again later.'}`);
-      } else if (status === 401 || status === 403) {
-        // Authentication error
-        throw new Error('OpenAI API authentication failed. Check your OPENAI_API_KEY.');
-      } else if (status === 404) {
-        // Model not found
-        throw new Error(`OpenAI model "${modelName}" not found. Check your AI_MODEL configuration.`);
-      } else if (status >= 500) {
-        // Server error
-        throw new Error('OpenAI service is experiencing issues. Please try again later.');
-      } else {
-        // Other client errors
-        const errorMessage = errorData?.error?.message || errorData?.error || errorData?.message || 'Unknown error';
-        throw new Error(`OpenAI API error: ${status} - ${errorMessage}`);
-      }
-    } else if (error.request) {
-      // Request was made but no response (timeout or network error)
-      if (error.code === 'ECONNABORTED' || error.message.includes('timeout')) {
-        throw new Error('OpenAI service request timed out. Please try again.');
-      }
-      throw new Error('OpenAI service is unavailable. Please check your connection and try again.');
-    } else if (error.message) {
-      // Error in request setup or other error
-      throw error;
-    } else {
-      // Unknown error
-      throw new Error(`OpenAI request error: ${error.toString()}`);
-    }
-  }
-}
-
-/**
- * Parses the AI response from OpenAI API
- * @param {Object} apiResponse - The API response object
- * @returns {string} - The extracted text
- */
-function parseOpenAIResponse(apiResponse) {
-  if (!apiResponse) {
-    throw new Error('Empty response from OpenAI API');
-  }
-
-  // OpenAI Chat API response format: { choices: [{ message: { content: "..." } }] }
-  if (apiResponse.choices && apiResponse.choices.length > 0) {
-    const firstChoice = apiResponse.choices[0];
-    if (firstChoice.message && firstChoice.message.content) {
-      return firstChoice.message.content;
-    }
-  }
-
-  // Fallback: try to find content in response
-  if (apiResponse.content) {
-    return apiResponse.content;
-  }
-
-  throw new Error('Unable to parse OpenAI response. Unexpected response format.');
-}
-
-/**
- * Gets the AI author name for messages
- * @returns {string}
- */
-export function getAIAuthorName() {
-  return AI_AUTHOR_NAME;
-}
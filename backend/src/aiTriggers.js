@@ -0,0 +1,196 @@
+import { config } from './config.js';
+import { claimKey, getValue } from './stateStore.js';
+
+// Words that start a question even without a "?"
+const QUESTION_WORDS = /^(who|what|when|where|why|how|which|whose|can|could|would|should|will|is|are|am|was|were|do|does|did|has|have|any(one|body)|explain|tell me)\b/i;
+
+// Quiet hours: "HH:MM-HH:MM" in 24-hour time, e.g. "22:00-07:00" (may span midnight)
+const QUIET_HOURS_PATTERN = /^([01]?\d|2[0-3]):([0-5]\d)\s*-\s*([01]?\d|2[0-3]):([0-5]\d)$/;
+
+/**
+ * Escapes text for use in a regular expression
+ * @param {string} text - The text
+ * @returns {string}
+ */
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Checks whether a message @mentions the persona, by name ("@AI Moderator" or "@AIModerator") or ID ("@friend")
+ * @param {string} text - The message text
+ * @param {Object} persona - The room's persona
+ * @returns {boolean}
+ */
+function mentionsPersona(text, persona) {
+  const handles = [persona.name, persona.name.replace(/\s+/g, ''), persona.id];
+  return handles.some(handle => new RegExp(`@${escapeRegExp(handle)}(?![\\p{L}\\p{N}_])`, 'iu').test(text));
+}
+
+/**
+ * Checks whether a message asks something
+ * @param {string} text - The message text
+ * @returns {boolean}
+ */
+function isQuestion(text) {
+  return text.includes('?') || QUESTION_WORDS.test(text.trim());
+}
+
+/**
+ * AI trigger modes, keyed by name
+ * matches(message) decides whether the AI replies; message is { text, isBlocked, persona, probability }
+ * An @mention of the persona triggers a reply in every mode
+ */
+const TRIGGER_MODES = {
+  always: {
+    description: 'Reply to every message, approved or blocked',
+    matches: () => true,
+  },
+  mention: {
+    description: 'Only reply when the bot is @mentioned',
+    matches: () => false,
+  },
+  blocked: {
+    description: 'Only reply to blocked messages (to explain them)',
+    matches: ({ isBlocked }) => isBlocked,
+  },
+  random: {
+    description: 'Reply to a random share of messages (the probability)',
+    matches: ({ probability }) => Math.random() < probability,
+  },
+  questions: {
+    description: 'Only reply to questions',
+    matches: ({ text }) => isQuestion(text),
+  },
+};
+
+/**
+ * Checks whether a trigger mode exists
+ * @param {string} mode - The mode name
+ * @returns {boolean}
+ */
+export function isAITriggerMode(mode) {
+  return Object.prototype.hasOwnProperty.call(TRIGGER_MODES, mode);
+}
+
+/**
+ * Lists the trigger modes
+ * @returns {Array} - [{ mode, description }]
+ */
+export function listAITriggerModes() {
+  return Object.entries(TRIGGER_MODES).map(([mode, { description }]) => ({ mode, description }));
+}
+
+/**
+ * Parses a quiet hours setting
+ * @param {string} value - "HH:MM-HH:MM", e.g. "22:00-07:00"
+ * @returns {Object|null} - { start, end } in minutes after midnight, or null if the value isn't valid
+ */
+export function parseQuietHours(value) {
+  const match = typeof value === 'string' ? QUIET_HOURS_PATTERN.exec(value.trim()) : null;
+  if (!match) {
+    return null;
+  }
+  const [, startHour, startMinute, endHour, endMinute] = match.map(Number);
+  const start = startHour * 60 + startMinute;
+  const end = endHour * 60 + endMinute;
+  return start === end ? null : { start, end };
+}
+
+/**
+ * Gets the time of day in AI_QUIET_HOURS_TIMEZONE (or the server's time zone)
+ * @param {Date} date - The moment
+ * @returns {number} - Minutes after midnight
+ */
+function minutesOfDay(date) {
+  if (!quietHoursFormatter) {
+    return date.getHours() * 60 + date.getMinutes();
+  }
+  const parts = Object.fromEntries(quietHoursFormatter.formatToParts(date).map(part => [part.type, part.value]));
+  return Number(parts.hour) * 60 + Number(parts.minute);
+}
+
+/**
+ * Checks whether the AI is in a room's quiet hours (aiQuietHours, or AI_QUIET_HOURS)
+ * @param {Object} profile - The room's effective profile, from getRoomProfile
+ * @param {Date} date - The moment to check (defaults to now)
+ * @returns {boolean}
+ */
+export function isAIQuietTime(profile, date = new Date()) {
+  const quietHours = parseQuietHours(profile.aiQuietHours);
+  if (!quietHours) {
+    return false;
+  }
+  const now = minutesOfDay(date);
+  return quietHours.start < quietHours.end
+    ? now >= quietHours.start && now < quietHours.end
+    : now >= quietHours.start || now < quietHours.end;
+}
+
+/**
+ * Decides whether the AI should reply to a message, using the room's trigger policy
+ * The room's cooldown is only checked here; call startAICooldown once the reply is certain
+ * @param {string} room - The room name
+ * @param {Object} profile - The room's effective profile, from getRoomProfile
+ * @param {Object} message - { text, isBlocked, persona }
+ * @returns {Promise<Object>} - { reply, reason } (reason says why not, or which rule matched)
+ */
+export async function shouldAIReply(room, profile, { text, isBlocked, persona }) {
+  // Quiet hours silence the AI completely, @mentions included
+  if (isAIQuietTime(profile)) {
+    return { reply: false, reason: `quiet hours (${profile.aiQuietHours})` };
+  }
+
+  const mode = TRIGGER_MODES[profile.aiTrigger] || TRIGGER_MODES.always;
+  const mentioned = mentionsPersona(text, persona);
+  if (!mentioned && !mode.matches({ text, isBlocked, persona, probability: profile.aiTriggerProbability })) {
+    return { reply: false, reason: `no ${profile.aiTrigger} trigger` };
+  }
+
+  if (profile.aiCooldownSeconds > 0) {
+    const coolingDown = await getValue(`ai-cooldown:${room}`).catch(() => null);
+    if (coolingDown) {
+      return { reply: false, reason: 'cooling down' };
+    }
+  }
+
+  return { reply: true, reason: mentioned ? 'mention' : profile.aiTrigger };
+}
+
+/**
+ * Starts a room's AI cooldown (shared across server instances)
+ * Call this once the AI is certain to reply (after the per-user AI rate limit), so a refused reply
+ * doesn't silence the room
+ * @param {string} room - The room name
+ * @param {Object} profile - The room's effective profile, from getRoomProfile
+ * @returns {Promise<boolean>} - False if another reply started the cooldown first
+ */
+export async function startAICooldown(room, profile) {
+  if (!(profile.aiCooldownSeconds > 0)) {
+    return true;
+  }
+  return (await claimKey(`ai-cooldown:${room}`, profile.aiCooldownSeconds * 1000)) === 0;
+}
+
+// Formats times in AI_QUIET_HOURS_TIMEZONE (null = the server's time zone)
+let quietHoursFormatter = null;
+if (config.ai.trigger.quietHoursTimezone) {
+  try {
+    quietHoursFormatter = new Intl.DateTimeFormat('en-GB', {
+      timeZone: config.ai.trigger.quietHoursTimezone,
+      hour: '2-digit',
+      minute: '2-digit',
+      hourCycle: 'h23',
+    });
+  } catch {
+    console.warn(`[AI] Unknown AI_QUIET_HOURS_TIMEZONE "${config.ai.trigger.quietHoursTimezone}", using the server's time zone`);
+  }
+}
+
+if (config.ai.trigger.quietHours && !parseQuietHours(config.ai.trigger.quietHours)) {
+  console.warn(`[AI] Invalid AI_QUIET_HOURS "${config.ai.trigger.quietHours}", expected e.g. "22:00-07:00". Quiet hours are off`);
+}
+
+if (!isAITriggerMode(config.ai.trigger.mode)) {
+  console.warn(`[AI] Unknown AI_TRIGGER_MODE "${config.ai.trigger.mode}", using "always". Available: ${Object.keys(TRIGGER_MODES).join(', ')}`);
+}
@@ -0,0 +1,414 @@
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import { promisify } from 'util';
+import { fileURLToPath } from 'url';
+import { config } from './config.js';
+import { usernameKey, confusableKey } from './usernameRegistry.js';
+import { getRecord, setRecord, listRecords, withStateLock } from './stateStore.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// Where accounts were kept before they moved to the state store; imported once by initAccounts
+const legacyAccountsFile = path.join(__dirname, '..', 'logs', 'accounts.json');
+
+// Roles, lowest to highest - each role can do everything the ones before it can
+// 'trusted' is a user with a higher message quota (see RATE_LIMIT_ROLE_MULTIPLIERS), nothing more
+export const ROLES = ['user', 'trusted', 'moderator', 'admin'];
+
+const MIN_PASSWORD_LENGTH = 8;
+const SCRYPT_KEY_LENGTH = 64;
+
+// Hashing runs on the libuv thread pool, so sign-ins don't block the chat
+const scrypt = promisify(crypto.scrypt);
+
+// Unknown usernames are checked against this, so a failed sign-in takes as long whether or not the name exists
+const DUMMY_PASSWORD_HASH = `${crypto.randomBytes(16).toString('hex')}:${'0'.repeat(SCRYPT_KEY_LENGTH * 2)}`;
+
+// Failed logins per IP: ip -> [timestamps]
+const LOGIN_WINDOW_MS = 15 * 60 * 1000;
+const MAX_FAILED_LOGINS = 10;
+const failedLogins = new Map();
+
+// IPs whose failures have all left the window are forgotten
+const failedLoginsSweepTimer = setInterval(() => {
+  const cutoff = Date.now() - LOGIN_WINDOW_MS;
+  for (const [ip, timestamps] of failedLogins) {
+    if (timestamps[timestamps.length - 1] <= cutoff) {
+      failedLogins.delete(ip);
+    }
+  }
+}, LOGIN_WINDOW_MS);
+failedLoginsSweepTimer.unref();
+
+// Accounts live in the state store, so an account registered or promoted on one instance works on every instance
+// Account records keyed by usernameKey: { username, passwordHash, role, createdAt }
+const ACCOUNTS = 'accounts';
+
+// confusableKey -> usernameKey of the account, so look-alike names can't be registered twice
+const ACCOUNT_NAMES = 'account-names';
+
+// Without AUTH_SECRET, sessions are signed with a random key and end when the server restarts
+const sessionSecret = config.auth.secret || crypto.randomBytes(32).toString('hex');
+if (!config.auth.secret) {
+  console.warn('Warning: AUTH_SECRET is not set. Sessions will be invalidated when the server restarts.');
+}
+
+/**
+ * Gets the account that owns a username
+ * @param {string} username - The username in any case
+ * @returns {Promise<Object|null>} - The stored account
+ */
+function getAccount(username) {
+  return getRecord(ACCOUNTS, usernameKey(username));
+}
+
+/**
+ * Stores an account and indexes its look-alike form
+ * Call this while holding the account's lock (see accountLock)
+ * @param {Object} account - The account
+ */
+async function saveAccount(account) {
+  await setRecord(ACCOUNTS, usernameKey(account.username), account);
+  await setRecord(ACCOUNT_NAMES, confusableKey(account.username), usernameKey(account.username));
+}
+
+/**
+ * Names the lock that guards an account, shared by every spelling that looks like it
+ * @param {string} username - The username
+ * @returns {string}
+ */
+function accountLock(username) {
+  return `accounts:${confusableKey(username)}`;
+}
+
+/**
+ * Hashes a password with scrypt and a random salt
+ * @param {string} password - The plain text password
+ * @returns {Promise<string>} - "salt:hash" (hex)
+ */
+async function hashPassword(password) {
+  const salt = crypto.randomBytes(16).toString('hex');
+  const hash = (await scrypt(password, salt, SCRYPT_KEY_LENGTH)).toString('hex');
+  return `${salt}:${hash}`;
+}
+
+/**
+ * Checks a password against a stored hash
+ * @param {string} password - The plain text password
+ * @param {string} storedHash - "salt:hash" from hashPassword
+ * @returns {Promise<boolean>}
+ */
+async function verifyPassword(password, storedHash) {
+  const [salt, hash] = storedHash.split(':');
+  const expected = Buffer.from(hash, 'hex');
+  const actual = await scrypt(password, salt, SCRYPT_KEY_LENGTH);
+  return actual.length === expected.length && crypto.timingSafeEqual(actual, expected);
+}
+
+/**
+ * Strips the password hash from an account
+ * @param {Object} account - The stored account
+ * @returns {Object} - { username, role, createdAt }
+ */
+function toPublicUser(account) {
+  return {
+    username: account.username,
+    role: account.role,
+    createdAt: account.createdAt,
+  };
+}
+
+/**
+ * Signs a session token for an account
+ * Format: base64url(payload).base64url(HMAC-SHA256(payload))
+ * @param {Object} account - The account
+ * @returns {string}
+ */
+function signSessionToken(account) {
+  const payload = Buffer.from(JSON.stringify({
+    sub: account.username,
+    role: account.role,
+    exp: Date.now() + config.auth.sessionTtlHours * 60 * 60 * 1000,
+  })).toString('base64url');
+  const signature = crypto.createHmac('sha256', sessionSecret).update(payload).digest('base64url');
+  return `${payload}.${signature}`;
+}
+
+/**
+ * Checks whether a role includes another (e.g. an admin can do anything a moderator can)
+ * @param {string} role - The user's role
+ * @param {string} requiredRole - The role an action needs
+ * @returns {boolean}
+ */
+export function hasRole(role, requiredRole) {
+  return ROLES.indexOf(role) >= ROLES.indexOf(requiredRole) && ROLES.includes(role);
+}
+
+/**
+ * Checks whether a username belongs to an account (including look-alike spellings)
+ * State store errors are thrown
+ * @param {string} username - The username
+ * @returns {Promise<boolean>}
+ */
+export async function isAccountUsername(username) {
+  return Boolean(await getRecord(ACCOUNT_NAMES, confusableKey(username)));
+}
+
+/**
+ * Gets the role of the account that owns a username
+ * State store errors are thrown
+ * @param {string} username - The username
+ * @returns {Promise<string|null>} - The role, or null if the name has no account (e.g. a guest)
+ */
+export async function getAccountRole(username) {
+  return (await getAccount(username))?.role || null;
+}
+
+/**
+ * Checks whether a new account's name is taken, or looks too much like one that is
+ * @param {string} username - The username
+ * @returns {Promise<Object|null>} - { success: false, error, statusCode }, or null if the name is free
+ */
+async function findConflictingAccount(username) {
+  if (await getAccount(username)) {
+    return { success: false, error: `"${username}" is already registered`, statusCode: 409 };
+  }
+  const lookalikeKey = await getRecord(ACCOUNT_NAMES, confusableKey(username));
+  const lookalike = lookalikeKey ? await getRecord(ACCOUNTS, lookalikeKey) : null;
+  if (lookalike) {
+    return { success: false, error: `"${username}" looks too much like the account "${lookalike.username}"`, statusCode: 409 };
+  }
+  return null;
+}
+
+/**
+ * Creates an account
+ * Callers are responsible for checking the username itself (length, reserved names, moderation)
+ * @param {string} username - The username
+ * @param {string} password - The plain text password
+ * @param {string} role - 'user', 'trusted', 'moderator' or 'admin'
+ * @returns {Promise<Object>} - { success, user } or { success: false, error, statusCode }
+ */
+export async function createAccount(username, password, role = 'user') {
+  if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+    return { success: false, error: `Password must be at least ${MIN_PASSWORD_LENGTH} characters`, statusCode: 400 };
+  }
+  if (!ROLES.includes(role)) {
+    return { success: false, error: `Invalid role "${role}"`, statusCode: 400 };
+  }
+  const conflict = await findConflictingAccount(username);
+  if (conflict) {
+    return conflict;
+  }
+
+  const passwordHash = await hashPassword(password);
+  return withStateLock(accountLock(username), async () => {
+    // The name may have been taken (on any instance) while the password was hashed
+    const lateConflict = await findConflictingAccount(username);
+    if (lateConflict) {
+      return lateConflict;
+    }
+
+    const account = {
+      username: username.trim(),
+      passwordHash,
+      role,
+      createdAt: new Date().toISOString(),
+    };
+    await saveAccount(account);
+    console.log(`[Auth] Created ${role} account "${account.username}"`);
+    return { success: true, user: toPublicUser(account) };
+  });
+}
+
+/**
+ * Signs in with a username and password
+ * @param {string} username - The username
+ * @param {string} password - The plain text password
+ * @param {string} ip - The caller's IP, for throttling failed attempts
+ * @returns {Promise<Object>} - { success, token, user } or { success: false, error, statusCode }
+ */
+export async function login(username, password, ip = 'unknown') {
+  const now = Date.now();
+  const recentFailures = (failedLogins.get(ip) || []).filter(timestamp => timestamp > now - LOGIN_WINDOW_MS);
+  if (recentFailures.length >= MAX_FAILED_LOGINS) {
+    return { success: false, error: 'Too many failed sign-in attempts. Please try again later.', statusCode: 429 };
+  }
+
+  const account = typeof username === 'string' ? await getAccount(username) : null;
+  // Hash even when the account doesn't exist, so response times don't tell which usernames are registered
+  const passwordMatches = await verifyPassword(
+    typeof password === 'string' ? password : '',
+    account ? account.passwordHash : DUMMY_PASSWORD_HASH
+  );
+  if (!account || typeof password !== 'string' || !passwordMatches) {
+    failedLogins.set(ip, [...(failedLogins.get(ip) || []).filter(timestamp => timestamp > now - LOGIN_WINDOW_MS), now]);
+    return { success: false, error: 'Invalid username or password', statusCode: 401 };
+  }
+
+  failedLogins.delete(ip);
+  return { success: true, token: signSessionToken(account), user: toPublicUser(account) };
+}
+
+/**
+ * Verifies a session token
+ * The role is read from the account, so role changes apply to existing sessions
+ * State store errors are thrown
+ * @param {string} token - The session token
+ * @returns {Promise<Object>} - { success, user } or { success: false, error }
+ */
+export async function verifySessionToken(token) {
+  if (typeof token !== 'string' || !token.includes('.')) {
+    return { success: false, error: 'Invalid session' };
+  }
+
+  const [payload, signature] = token.split('.');
+  const expected = Buffer.from(crypto.createHmac('sha256', sessionSecret).update(payload).digest('base64url'));
+  const actual = Buffer.from(signature || '');
+  if (actual.length !== expected.length || !crypto.timingSafeEqual(actual, expected)) {
+    return { success: false, error: 'Invalid session' };
+  }
+
+  let claims;
+  try {
+    claims = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+  } catch {
+    return { success: false, error: 'Invalid session' };
+  }
+  if (typeof claims.sub !== 'string' || typeof claims.exp !== 'number' || claims.exp < Date.now()) {
+    return { success: false, error: 'Session expired' };
+  }
+  const account = await getAccount(claims.sub);
+  if (!account) {
+    return { success: false, error: 'Account no longer exists' };
+  }
+  return { success: true, user: toPublicUser(account) };
+}
+
+/**
+ * Lists all accounts (without password hashes)
+ * @returns {Promise<Array>}
+ */
+export async function listAccounts() {
+  return (await listRecords(ACCOUNTS)).map(toPublicUser);
+}
+
+/**
+ * Changes an account's role
+ * @param {string} username - The username
+ * @param {string} role - 'user', 'trusted', 'moderator' or 'admin'
+ * @returns {Promise<Object>} - { success, user, previousRole } or { success: false, error, statusCode }
+ */
+export async function setAccountRole(username, role) {
+  if (!ROLES.includes(role)) {
+    return { success: false, error: `Invalid role "${role}". Expected one of: ${ROLES.join(', ')}`, statusCode: 400 };
+  }
+  return withStateLock(accountLock(username), async () => {
+    const account = await getAccount(username);
+    if (!account) {
+      return { success: false, error: `Account "${username}" not found`, statusCode: 404 };
+    }
+
+    const previousRole = account.role;
+    account.role = role;
+    await saveAccount(account);
+    return { success: true, user: toPublicUser(account), previousRole };
+  });
+}
+
+/**
+ * Gets the client's IP address for a socket (used for IP bans and guest rate limits)
+ * Behind a load balancer (TRUST_PROXY=true) this is the first X-Forwarded-For address
+ * @param {Socket} socket - The socket
+ * @returns {string}
+ */
+export function getSocketIp(socket) {
+  const forwardedFor = socket.handshake.headers['x-forwarded-for'];
+  if (config.server.trustProxy && typeof forwardedFor === 'string' && forwardedFor) {
+    return forwardedFor.split(',')[0].trim();
+  }
+  return socket.handshake.address;
+}
+
+/**
+ * Creates Socket.io middleware that checks the session token sent as `auth: { token }`
+ * The signed-in user is stored in socket.data.user (null for guests)
+ * @param {string} requiredRole - Role needed to connect, or null to allow any user (and guests if AUTH_ALLOW_GUESTS=true)
+ * @returns {Function} - Socket.io middleware
+ */
+export function createSocketAuthMiddleware(requiredRole = null) {
+  return async (socket, next) => {
+    const token = socket.handshake.auth?.token;
+    if (!token) {
+      if (!requiredRole && config.auth.allowGuests) {
+        socket.data.user = null;
+        return next();
+      }
+      return next(new Error('Authentication required'));
+    }
+
+    let result;
+    try {
+      result = await verifySessionToken(token);
+    } catch (error) {
+      console.error('[Auth] Could not check a session:', error.message);
+      return next(new Error('Sign-in is unavailable right now. Please try again shortly.'));
+    }
+    if (!result.success) {
+      return next(new Error(result.error));
+    }
+    if (requiredRole && !hasRole(result.user.role, requiredRole)) {
+      return next(new Error(`The ${requiredRole} role is required`));
+    }
+    socket.data.user = result.user;
+    next();
+  };
+}
+
+/**
+ * Creates (or promotes) the bootstrap admin account from ADMIN_USERNAME / ADMIN_PASSWORD
+ */
+async function ensureBootstrapAdmin() {
+  const { adminUsername, adminPassword } = config.auth;
+  if (!adminUsername || !adminPassword) {
+    return;
+  }
+  const account = await getAccount(adminUsername);
+  if (!account) {
+    const result = await createAccount(adminUsername, adminPassword, 'admin');
+    // Another instance starting at the same time may have created it first
+    if (!result.success && !(await getAccount(adminUsername))) {
+      console.error(`[Auth] Could not create admin account "${adminUsername}": ${result.error}`);
+    }
+  } else if (account.role !== 'admin') {
+    await setAccountRole(adminUsername, 'admin');
+    console.log(`[Auth] Promoted "${account.username}" to admin`);
+  }
+}
+
+/**
+ * Imports the accounts file older versions kept on disk, then sets up the bootstrap admin
+ * Accounts already in the state store win; the file is renamed to accounts.json.imported afterwards
+ * Call this once the state store is connected
+ */
+export async function initAccounts() {
+  if (fs.existsSync(legacyAccountsFile)) {
+    try {
+      const items = JSON.parse(fs.readFileSync(legacyAccountsFile, 'utf8'));
+      for (const account of items) {
+        await withStateLock(accountLock(account.username), async () => {
+          if (!(await getRecord(ACCOUNT_NAMES, confusableKey(account.username)))) {
+            await saveAccount(account);
+          }
+        });
+      }
+      fs.renameSync(legacyAccountsFile, `${legacyAccountsFile}.imported`);
+      console.log(`[Auth] Imported ${items.length} accounts from ${legacyAccountsFile}`);
+    } catch (error) {
+      console.error('[Auth] Could not import the old accounts file:', error.message);
+    }
+  }
+  await ensureBootstrapAdmin();
+}
@@ -0,0 +1,412 @@
+import { hasRole, getAccountRole, getSocketIp } from './authService.js';
+import { getOnlineUsername, usernameKey, userChannel } from './usernameRegistry.js';
+import { setPenalty, liftPenalty, enforcePenalty } from './strikeService.js';
+import { roomChannel, updateRoomProfile } from './roomService.js';
+import { clearMessages } from './messageStore.js';
+import { logAdminAudit } from './loggingService.js';
+import { hasPersona, getPersona, listPersonas } from './personaService.js';
+import { isAITriggerMode, listAITriggerModes, parseQuietHours } from './aiTriggers.js';
+import { clearRoomContext } from './aiContext.js';
+
+// Duration units for arguments like "30s", "10m", "2h", "1d"
+const DURATION_UNITS = { s: 1000, m: 60 * 1000, h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000 };
+
+// Longest slow mode interval
+const MAX_SLOW_MODE_SECONDS = 60 * 60;
+
+// Longest wait between AI replies
+const MAX_AI_COOLDOWN_SECONDS = 60 * 60;
+
+/**
+ * Parses a duration such as "30s", "10m", "2h" or "1d"
+ * @param {string} value - The argument
+ * @param {string} defaultUnit - Unit for a bare number
+ * @returns {number|null} - Milliseconds, or null if it isn't a duration
+ */
+function parseDuration(value, defaultUnit) {
+  const match = /^(\d+(?:\.\d+)?)([smhd])?$/i.exec(value || '');
+  if (!match) {
+    return null;
+  }
+  return Math.round(parseFloat(match[1]) * DURATION_UNITS[(match[2] || defaultUnit).toLowerCase()]);
+}
+
+/**
+ * Formats milliseconds for a reply, e.g. 600000 -> "10m"
+ * @param {number} ms - Milliseconds
+ * @returns {string}
+ */
+function formatDuration(ms) {
+  for (const unit of ['d', 'h', 'm']) {
+    if (ms >= DURATION_UNITS[unit] && ms % DURATION_UNITS[unit] === 0) {
+      return `${ms / DURATION_UNITS[unit]}${unit}`;
+    }
+  }
+  return `${Math.round(ms / 1000)}s`;
+}
+
+/**
+ * Finds the user a command targets
+ * Moderators can't target themselves, and only admins can target other moderators
+ * @param {string} name - The name typed in the command
+ * @param {string} commandName - The command, for error messages
+ * @param {Object} context - { username, role }
+ * @returns {Promise<Object>} - { success, username } or { success: false, message }
+ */
+async function resolveTarget(name, commandName, context) {
+  if (!name) {
+    return { success: false, message: `Usage: ${COMMANDS[commandName].usage}` };
+  }
+  const username = await getOnlineUsername(name) || name.replace(/^@/, '');
+  if (usernameKey(username) === usernameKey(context.username)) {
+    return { success: false, message: `You can't use /${commandName} on yourself` };
+  }
+  const targetRole = await getAccountRole(username);
+  if (targetRole && hasRole(targetRole, 'moderator') && !hasRole(context.role, 'admin')) {
+    return { success: false, message: `Only admins can use /${commandName} on moderators` };
+  }
+  return { success: true, username };
+}
+
+/**
+ * Splits "<duration> <reason...>" arguments where the duration is optional
+ * @param {Array<string>} args - Arguments after the username
+ * @param {string} defaultDuration - Duration used when none is given
+ * @returns {Object} - { durationMs, reason }
+ */
+function parseDurationAndReason(args, defaultDuration) {
+  const durationMs = parseDuration(args[0], 'm');
+  const reasonArgs = durationMs ? args.slice(1) : args;
+  return {
+    durationMs: durationMs || parseDuration(defaultDuration, 'm'),
+    reason: reasonArgs.join(' ') || null,
+  };
+}
+
+/**
+ * Puts the target under a penalty, tells them, and records it in the admin audit log
+ * The IPs of the target's connections (on any server instance) are recorded, so a ban covers them
+ * @returns {Promise<Object>} - { success, message }
+ */
+async function applyPenalty(io, commandName, target, options, context) {
+  const ips = (await io.in(userChannel(target)).fetchSockets()).map(getSocketIp);
+  const result = await setPenalty(target, { ...options, reason: options.reason || `/${commandName} by ${context.username}`, ips });
+  if (!result.success) {
+    return { success: false, message: result.error };
+  }
+
+  enforcePenalty(io, target, result.penalty);
+  logAdminAudit({
+    actor: context.username,
+    source: 'command',
+    setting: `penalty.${target}`,
+    previous: null,
+    value: result.penalty,
+  });
+  console.log(`[Commands] ${context.username} used /${commandName} on "${target}"`);
+  return { success: true };
+}
+
+/**
+ * Chat commands, keyed by name
+ * role: the lowest role that can use the command (null = everyone)
+ * run(io, args, context) returns { success, message }
+ */
+const COMMANDS = {
+  help: {
+    usage: '/help',
+    description: 'List the commands you can use',
+    role: null,
+    run: (io, args, context) => ({
+      success: true,
+      message: listChatCommands(context.role).map(command => `${command.usage} - ${command.description}`).join('\n'),
+    }),
+  },
+  mute: {
+    usage: '/mute <user> [duration] [reason]',
+    description: 'Stop a user sending messages (default 10m)',
+    role: 'moderator',
+    run: async (io, [name, ...args], context) => {
+      const target = await resolveTarget(name, 'mute', context);
+      if (!target.success) {
+        return target;
+      }
+      const { durationMs, reason } = parseDurationAndReason(args, '10m');
+      const result = await applyPenalty(io, 'mute', target.username, { type: 'mute', durationMs, reason }, context);
+      return result.success ? { success: true, message: `Muted ${target.username} for ${formatDuration(durationMs)}` } : result;
+    },
+  },
+  kick: {
+    usage: '/kick <user> [duration] [reason]',
+    description: 'Disconnect a user and keep them out for a while (default 5m)',
+    role: 'moderator',
+    run: async (io, [name, ...args], context) => {
+      const target = await resolveTarget(name, 'kick', context);
+      if (!target.success) {
+        return target;
+      }
+      const { durationMs, reason } = parseDurationAndReason(args, '5m');
+      const result = await applyPenalty(io, 'kick', target.username, { type: 'timeout', durationMs, reason }, context);
+      return result.success ? { success: true, message: `Kicked ${target.username} for ${formatDuration(durationMs)}` } : result;
+    },
+  },
+  ban: {
+    usage: '/ban <user> [reason]',
+    description: 'Ban a user and their IP addresses until unbanned',
+    role: 'moderator',
+    run: async (io, [name, ...args], context) => {
+      const target = await resolveTarget(name, 'ban', context);
+      if (!target.success) {
+        return target;
+      }
+      const result = await applyPenalty(io, 'ban', target.username, { type: 'ban', reason: args.join(' ') || null }, context);
+      return result.success ? { success: true, message: `Banned ${target.username}` } : result;
+    },
+  },
+  unban: {
+    usage: '/unban <user>',
+    description: 'Lift a mute, kick or ban',
+    role: 'moderator',
+    run: async (io, [name], context) => {
+      const target = await resolveTarget(name, 'unban', context);
+      if (!target.success) {
+        return target;
+      }
+      const result = await liftPenalty(target.username);
+      if (!result.success) {
+        return { success: false, message: result.error };
+      }
+      logAdminAudit({
+        actor: context.username,
+        source: 'command',
+        setting: `penalty.${target.username}`,
+        previous: result.previous,
+        value: null,
+      });
+      return { success: true, message: `Lifted the ${result.previous.type} on ${target.username}` };
+    },
+  },
+  clear: {
+    usage: '/clear',
+    description: "Delete this room's message history for everyone",
+    role: 'moderator',
+    needsRoom: true,
+    run: async (io, args, context) => {
+      const result = await clearMessages(context.room);
+      if (!result.success) {
+        return { success: false, message: `Could not clear #${context.room}: ${result.error}` };
+      }
+      // The AI forgets the summary of the cleared conversation too
+      await clearRoomContext(context.room);
+      io.to(roomChannel(context.room)).emit('roomCleared', {
+        room: context.room,
+        by: context.username,
+        timestamp: new Date().toISOString(),
+      });
+      logAdminAudit({ actor: context.username, source: 'command', setting: `rooms.${context.room}.history`, previous: null, value: 'cleared' });
+      return { success: true, message: `Cleared #${context.room}` };
+    },
+  },
+  slowmode: {
+    usage: '/slowmode <duration|off>',
+    description: 'Make users wait between messages in this room, e.g. /slowmode 5s',
+    role: 'moderator',
+    needsRoom: true,
+    run: (io, [value], context) => {
+      const ms = value === 'off' ? 0 : parseDuration(value, 's');
+      if (ms === null || ms > MAX_SLOW_MODE_SECONDS * 1000) {
+        return { success: false, message: `Usage: ${COMMANDS.slowmode.usage} (up to 1h)` };
+      }
+      const seconds = Math.ceil(ms / 1000);
+      const result = updateRoom(io, context, { slowModeSeconds: seconds || null }, 'slowModeSeconds');
+      if (!result.success) {
+        return result;
+      }
+      return {
+        success: true,
+        message: seconds ? `Slow mode in #${context.room} is now ${formatDuration(seconds * 1000)}` : `Slow mode is off in #${context.room}`,
+      };
+    },
+  },
+  threshold: {
+    usage: '/threshold <0-1|reset>',
+    description: "Change this room's moderation threshold (reset uses the global one)",
+    role: 'admin',
+    needsRoom: true,
+    run: (io, [value], context) => {
+      const threshold = value === 'reset' ? null : Number(value);
+      if (threshold !== null && (!value || !Number.isFinite(threshold) || threshold < 0 || threshold > 1)) {
+        return { success: false, message: `Usage: ${COMMANDS.threshold.usage}` };
+      }
+      const result = updateRoom(io, context, { threshold }, 'threshold');
+      return result.success
+        ? { success: true, message: `The moderation threshold in #${context.room} is now ${result.profile.threshold}` }
+        : result;
+    },
+  },
+  persona: {
+    usage: '/persona <persona|reset>',
+    description: "Change which AI persona replies in this room (reset uses the default one)",
+    role: 'admin',
+    needsRoom: true,
+    run: (io, [value], context) => {
+      if (!value || (value !== 'reset' && !hasPersona(value))) {
+        const available = listPersonas().map(persona => `${persona.id} (${persona.name})`).join(', ');
+        return { success: false, message: `Usage: ${COMMANDS.persona.usage}. Available: ${available}` };
+      }
+      const result = updateRoom(io, context, { persona: value === 'reset' ? null : value }, 'persona');
+      return result.success
+        ? { success: true, message: `${getPersona(result.profile.persona).name} now replies in #${context.room}` }
+        : result;
+    },
+  },
+  aitrigger: {
+    usage: '/aitrigger <mode|reset> [probability]',
+    description: 'Change when the AI replies in this room, e.g. /aitrigger mention or /aitrigger random 0.2',
+    role: 'admin',
+    needsRoom: true,
+    run: (io, [mode, value], context) => {
+      const probability = value === undefined ? undefined : Number(value);
+      const validProbability = probability === undefined || (Number.isFinite(probability) && probability >= 0 && probability <= 1);
+      if (!mode || (mode !== 'reset' && !isAITriggerMode(mode)) || !validProbability) {
+        const modes = listAITriggerModes().map(entry => `${entry.mode} (${entry.description})`).join(', ');
+        return { success: false, message: `Usage: ${COMMANDS.aitrigger.usage}. Modes: ${modes}` };
+      }
+      const changes = mode === 'reset'
+        ? { aiTrigger: null, aiTriggerProbability: null }
+        : { aiTrigger: mode, ...(probability !== undefined && { aiTriggerProbability: probability }) };
+      const result = updateRoom(io, context, changes, 'aiTrigger');
+      if (!result.success) {
+        return result;
+      }
+      const { aiTrigger, aiTriggerProbability } = result.profile;
+      return {
+        success: true,
+        message: `AI replies in #${context.room}: ${aiTrigger}${aiTrigger === 'random' ? ` (${Math.round(aiTriggerProbability * 100)}% of messages)` : ''}`,
+      };
+    },
+  },
+  aicooldown: {
+    usage: '/aicooldown <duration|off>',
+    description: 'Make the AI wait between replies in this room, e.g. /aicooldown 30s',
+    role: 'moderator',
+    needsRoom: true,
+    run: (io, [value], context) => {
+      const ms = value === 'off' ? 0 : parseDuration(value, 's');
+      if (ms === null || ms > MAX_AI_COOLDOWN_SECONDS * 1000) {
+        return { success: false, message: `Usage: ${COMMANDS.aicooldown.usage} (up to 1h)` };
+      }
+      const seconds = Math.ceil(ms / 1000);
+      const result = updateRoom(io, context, { aiCooldownSeconds: seconds }, 'aiCooldownSeconds');
+      if (!result.success) {
+        return result;
+      }
+      return {
+        success: true,
+        message: seconds ? `The AI waits ${formatDuration(seconds * 1000)} between replies in #${context.room}` : `AI cooldown is off in #${context.room}`,
+      };
+    },
+  },
+  aiquiet: {
+    usage: '/aiquiet <HH:MM-HH:MM|off|reset>',
+    description: 'Keep the AI silent at certain times in this room, e.g. /aiquiet 22:00-07:00',
+    role: 'moderator',
+    needsRoom: true,
+    run: (io, args, context) => {
+      const value = args.join('');
+      if (!value || (value !== 'off' && value !== 'reset' && !parseQuietHours(value))) {
+        return { success: false, message: `Usage: ${COMMANDS.aiquiet.usage}` };
+      }
+      const result = updateRoom(io, context, { aiQuietHours: value === 'reset' ? null : value }, 'aiQuietHours');
+      if (!result.success) {
+        return result;
+      }
+      const { aiQuietHours } = result.profile;
+      return {
+        success: true,
+        message: parseQuietHours(aiQuietHours)
+          ? `The AI stays silent in #${context.room} from ${aiQuietHours.replace(/\s*-\s*/, ' to ')}`
+          : `No AI quiet hours in #${context.room}`,
+      };
+    },
+  },
+};
+
+/**
+ * Changes the current room's profile, tells everyone in the room and records it in the admin audit log
+ * @returns {Object} - { success, profile } or { success: false, message }
+ */
+function updateRoom(io, context, changes, field) {
+  const result = updateRoomProfile(context.room, changes);
+  if (!result.success) {
+    return { success: false, message: result.error };
+  }
+  io.to(roomChannel(context.room)).emit('roomUpdated', {
+    room: context.room,
+    profile: result.profile,
+    by: context.username,
+    timestamp: new Date().toISOString(),
+  });
+  logAdminAudit({
+    actor: context.username,
+    source: 'command',
+    setting: `rooms.${context.room}.${field}`,
+    previous: result.previous[field],
+    value: result.profile[field],
+  });
+  return { success: true, profile: result.profile };
+}
+
+/**
+ * Checks whether a message is a command: "/" followed by a registered command name
+ * Anything else starting with "/" (e.g. "/r/javascript" or "/shrug") is an ordinary message
+ * @param {string} text - The message text
+ * @returns {boolean}
+ */
+export function isChatCommand(text) {
+  const match = /^\/(\S+)/.exec(text);
+  return Boolean(match) && Object.hasOwn(COMMANDS, match[1].toLowerCase());
+}
+
+/**
+ * Lists the commands a role can use, for /help and input autocomplete
+ * @param {string} role - The user's role (null for guests)
+ * @returns {Array} - [{ name, usage, description }]
+ */
+export function listChatCommands(role) {
+  return Object.entries(COMMANDS)
+    .filter(([, command]) => !command.role || hasRole(role, command.role))
+    .map(([name, command]) => ({ name, usage: command.usage, description: command.description }));
+}
+
+/**
+ * Runs a chat command
+ * Commands are never broadcast - the caller replies to the sender with the result
+ * @param {Socket} io - Socket.io server instance
+ * @param {string} text - The message text, e.g. "/mute bob 10m"
+ * @param {Object} context - { username, role, room } of the sender
+ * @returns {Promise<Object>} - { command, success, message }
+ */
+export async function runChatCommand(io, text, context) {
+  const [name, ...args] = text.slice(1).trim().split(/\s+/);
+  const commandName = (name || '').toLowerCase();
+  const command = COMMANDS[commandName];
+
+  if (!command) {
+    return { command: commandName, success: false, message: `Unknown command /${commandName}. Type /help for the commands you can use.` };
+  }
+  if (command.role && !hasRole(context.role, command.role)) {
+    return { command: commandName, success: false, message: `/${commandName} is only available to ${command.role}s` };
+  }
+  if (command.needsRoom && !context.room) {
+    return { command: commandName, success: false, message: `Join a room to use /${commandName}` };
+  }
+
+  try {
+    const result = await command.run(io, args, context);
+    return { command: commandName, success: result.success, message: result.message };
+  } catch (error) {
+    console.error(`[Commands] Error running /${commandName}:`, error);
+    return { command: commandName, success: false, message: `/${commandName} failed: ${error.message}` };
+  }
+}
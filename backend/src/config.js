@@ -2,6 +2,48 @@ import dotenv from 'dotenv';
 
 dotenv.config();
 
+/**
+ * Parses a comma-separated env var into a trimmed, non-empty list
+ * @param {string} value - The raw env value
+ * @returns {Array<string>}
+ */
+function parseList(value) {
+  if (!value) {
+    return [];
+  }
+  return value.split(',').map(item => item.trim()).filter(item => item.length > 0);
+}
+
+/**
+ * Parses an optional numeric env var
+ * @param {string} value - The raw env value
+ * @returns {number|null} - The number, or null if unset/invalid
+ */
+function parseOptionalFloat(value) {
+  if (!value || value.trim() === '') {
+    return null;
+  }
+  const parsed = parseFloat(value);
+  return isNaN(parsed) ? null : parsed;
+}
+
+/**
+ * Parses "name:number" pairs into an object, e.g. "gradio:2,openai:1" -> { gradio: 2, openai: 1 }
+ * @param {string} value - The raw env value
+ * @returns {Object}
+ */
+function parseNumberMap(value) {
+  const map = {};
+  for (const pair of parseList(value)) {
+    const [name, number] = pair.split(':').map(part => part.trim());
+    const parsed = parseFloat(number);
+    if (name && !isNaN(parsed)) {
+      map[name] = parsed;
+    }
+  }
+  return map;
+}
+
 export const config = {
   huggingFace: {
     apiToken: process.env.HF_API_TOKEN || '',
@@ -10,23 +52,198 @@ export const config = {
   server: {
     port: parseInt(process.env.PORT || '3001', 10),
     nodeEnv: process.env.NODE_ENV || 'development',
+    // Set to 'true' behind a load balancer (Railway, Render, ...) so client IPs come from X-Forwarded-For
+    trustProxy: process.env.TRUST_PROXY === 'true',
   },
   moderation: {
     threshold: parseFloat(process.env.MODERATION_THRESHOLD || '0.5'),
+    // Per-category thresholds, e.g. "sexual_minors:0,harassment:0.8" - categories not listed use threshold
+    categoryThresholds: parseNumberMap(process.env.MODERATION_CATEGORY_THRESHOLDS),
     // Direct safer value (0.005-0.1) - if set, this overrides threshold mapping
     saferValue: process.env.SAFER_VALUE && process.env.SAFER_VALUE.trim() !== '' 
       ? parseFloat(process.env.SAFER_VALUE) 
       : null,
+    // Score bands for graduated actions (allow < warn < hold < block)
+    // Leave a band empty to disable it; messages the provider blocks are always blocked
+    tiers: {
+      warn: parseOptionalFloat(process.env.MODERATION_WARN_SCORE),
+      hold: parseOptionalFloat(process.env.MODERATION_HOLD_SCORE),
+      block: parseOptionalFloat(process.env.MODERATION_BLOCK_SCORE),
+    },
+    // Local rules (blocklist, allowlist, regex) checked before the provider
+    rules: {
+      enabled: process.env.MODERATION_RULES_ENABLED !== 'false',
+      file: process.env.MODERATION_RULES_FILE || '', // Defaults to backend/moderation-rules.json
+      hotReload: process.env.MODERATION_RULES_HOT_RELOAD !== 'false',
+      // Comma-separated words and regex patterns added to the file's blocklist and patterns
+      blockedWords: parseList(process.env.MODERATION_BLOCKED_WORDS),
+      blockedPatterns: parseList(process.env.MODERATION_BLOCKED_PATTERNS),
+    },
+    // What to do when the provider fails: open (allow), closed (block), local (local rules), queue (hold)
+    failurePolicy: process.env.MODERATION_FAILURE_POLICY || 'open',
+    // How often held messages are re-checked when failurePolicy is 'queue'
+    recoveryRetryIntervalMs: parseInt(process.env.MODERATION_RECOVERY_RETRY_MS || '30000', 10),
+    // LRU/TTL cache of moderation results (MODERATION_CACHE_SIZE=0 disables it)
+    cache: {
+      maxEntries: parseInt(process.env.MODERATION_CACHE_SIZE || '500', 10),
+      ttlMs: parseInt(process.env.MODERATION_CACHE_TTL_MS || '600000', 10), // 10 minutes
+    },
+    // Active moderation provider: gradio, hf-inference, openai, local, webhook, or ensemble
+    provider: process.env.MODERATION_PROVIDER || 'gradio',
+    // Providers switched off (comma-separated) - can also be toggled with the admin API
+    disabledProviders: parseList(process.env.MODERATION_DISABLED_PROVIDERS),
+    ensemble: {
+      providers: parseList(process.env.MODERATION_ENSEMBLE_PROVIDERS),
+      // any, majority, weighted, strictest
+      policy: process.env.MODERATION_ENSEMBLE_POLICY || 'any',
+      // Comma-separated provider:weight pairs, e.g. "gradio:2,openai:1"
+      weights: parseNumberMap(process.env.MODERATION_ENSEMBLE_WEIGHTS),
+    },
+    gradio: {
+      space: process.env.GRADIO_SPACE || 'duchaba/Friendly_Text_Moderation',
+      endpoint: process.env.GRADIO_ENDPOINT || '/fetch_toxicity_level',
+      timeoutMs: parseInt(process.env.GRADIO_TIMEOUT_MS || '15000', 10),
+      // Retries with jittered exponential backoff
+      maxRetries: parseInt(process.env.GRADIO_MAX_RETRIES || '2', 10),
+      retryBaseDelayMs: parseInt(process.env.GRADIO_RETRY_BASE_DELAY_MS || '250', 10),
+      retryMaxDelayMs: parseInt(process.env.GRADIO_RETRY_MAX_DELAY_MS || '2000', 10),
+      // Circuit breaker: trips after N consecutive failed calls, then probes every reset timeout
+      breakerFailureThreshold: parseInt(process.env.GRADIO_BREAKER_FAILURE_THRESHOLD || '5', 10),
+      breakerResetTimeoutMs: parseInt(process.env.GRADIO_BREAKER_RESET_TIMEOUT_MS || '30000', 10),
+    },
+    openai: {
+      apiKey: process.env.OPENAI_MODERATION_API_KEY || process.env.OPENAI_API_KEY || '',
+      model: process.env.OPENAI_MODERATION_MODEL || 'omni-moderation-latest',
+    },
+    webhook: {
+      url: process.env.MODERATION_WEBHOOK_URL || '',
+      token: process.env.MODERATION_WEBHOOK_TOKEN || '',
+      timeout: parseInt(process.env.MODERATION_WEBHOOK_TIMEOUT_MS || '10000', 10),
+    },
+  },
+  auth: {
+    // Signs session tokens - set this in production, or sessions end on every restart
+    secret: process.env.AUTH_SECRET || '',
+    sessionTtlHours: parseInt(process.env.AUTH_SESSION_TTL_HOURS || '24', 10),
+    // Let people chat without an account (they can't report messages or use moderator tools)
+    // Set AUTH_ALLOW_GUESTS=false to require signing in
+    allowGuests: process.env.AUTH_ALLOW_GUESTS !== 'false',
+    // Let anyone create a 'user' account with POST /api/auth/register
+    allowRegistration: process.env.AUTH_ALLOW_REGISTRATION !== 'false',
+    // Admin account created on startup if it doesn't exist
+    adminUsername: process.env.ADMIN_USERNAME || '',
+    adminPassword: process.env.ADMIN_PASSWORD || '',
+  },
+  admin: {
+    // Optional service key accepted as an admin session (Authorization: Bearer <key>), e.g. for scripts
+    apiKey: process.env.ADMIN_API_KEY || '',
+  },
+  usernames: {
+    // Extra names nobody can register (comma-separated), on top of the AI author and system names
+    reserved: parseList(process.env.USERNAME_RESERVED),
+    // How long a name stays reserved after its user disconnects
+    releaseGraceMs: parseInt(process.env.USERNAME_RELEASE_GRACE_MS || '60000', 10),
+    // Run usernames through moderateText
+    moderate: process.env.USERNAME_MODERATION !== 'false',
+  },
+  rooms: {
+    file: process.env.ROOMS_FILE || '', // Defaults to backend/rooms.json
+    // Room new connections join once they register a username
+    defaultRoom: process.env.DEFAULT_ROOM || 'general',
+  },
+  messages: {
+    // Message history storage: file (default, backend/logs/messages/) or memory
+    store: process.env.MESSAGE_STORE || 'file',
+    // Messages sent to a user when they join a room
+    backfillCount: parseInt(process.env.MESSAGE_BACKFILL_COUNT || '50', 10),
+    // Largest page GET /api/messages returns
+    maxPageSize: parseInt(process.env.MESSAGE_MAX_PAGE_SIZE || '100', 10),
+    // Messages kept per room
+    maxPerRoom: parseInt(process.env.MESSAGE_HISTORY_MAX || '1000', 10),
+    // How long users can edit or delete their own messages (moderators can delete any message at any time)
+    editWindowSeconds: parseInt(process.env.MESSAGE_EDIT_WINDOW_SECONDS || '300', 10),
+  },
+  strikes: {
+    // Set to 'false' to turn off strikes and automatic penalties
+    enabled: process.env.STRIKES_ENABLED !== 'false',
+    // Strike points per blocked message, by category ("category:points", same names as MODERATION_CATEGORY_THRESHOLDS)
+    categoryWeights: parseNumberMap(process.env.STRIKE_CATEGORY_WEIGHTS ||
+      'sexual_minors:3,hate_threatening:2,harassment_threatening:2,violence_graphic:2,illicit_violent:2'),
+    // Points for categories without a weight
+    defaultWeight: parseFloat(process.env.STRIKE_DEFAULT_WEIGHT || '1'),
+    // Points at which each penalty starts (0 disables it)
+    muteAt: parseFloat(process.env.STRIKE_MUTE_AT || '3'),
+    timeoutAt: parseFloat(process.env.STRIKE_TIMEOUT_AT || '5'),
+    banAt: parseFloat(process.env.STRIKE_BAN_AT || '8'),
+    muteMinutes: parseInt(process.env.STRIKE_MUTE_MINUTES || '5', 10),
+    timeoutMinutes: parseInt(process.env.STRIKE_TIMEOUT_MINUTES || '30', 10),
+    // Points forgiven per hour (bans only end when a moderator resets the user)
+    decayPerHour: parseFloat(process.env.STRIKE_DECAY_PER_HOUR || '1'),
+  },
+  state: {
+    // Where rate limits, slow mode, editable messages, AI conversation history, usernames, accounts, strikes and the review queue are kept:
+    // memory (one process) or redis (shared by every instance - the default when REDIS_URL is set)
+    store: process.env.STATE_STORE || (process.env.REDIS_URL ? 'redis' : 'memory'),
+    // Any server that speaks the Redis protocol (Redis, Valkey, KeyDB, ...)
+    // Also turns on the Socket.io Redis adapter, so broadcasts reach clients on every instance
+    redisUrl: process.env.REDIS_URL || '',
+    // Prefix for every key, so several deployments can share one Redis
+    keyPrefix: process.env.REDIS_KEY_PREFIX || 'chatmod:',
   },
   rateLimit: {
+    // Messages per minute a user can keep up (the rate their allowance refills at)
     messagesPerMinute: parseInt(process.env.RATE_LIMIT_PER_MINUTE || '30', 10),
+    // Messages a user can send back to back before the per-minute rate kicks in
+    burst: parseInt(process.env.RATE_LIMIT_BURST || '10', 10),
+    // Quota multipliers by role ("role:multiplier"; 'guest' is anyone not signed in, missing roles use 1)
+    roleMultipliers: parseNumberMap(process.env.RATE_LIMIT_ROLE_MULTIPLIERS || 'trusted:2,moderator:3,admin:3'),
+    // The same message is refused after being sent this many times within the window (0 turns this off)
+    duplicateMax: parseInt(process.env.RATE_LIMIT_DUPLICATE_MAX || '2', 10),
+    duplicateWindowSeconds: parseInt(process.env.RATE_LIMIT_DUPLICATE_WINDOW_SECONDS || '60', 10),
   },
   ai: {
     enabled: process.env.AI_ENABLED !== 'false', // Default to true unless explicitly disabled
-    apiKey: process.env.OPENAI_API_KEY || '',
-    model: process.env.AI_MODEL || 'gpt-3.5-turbo', // Default to GPT-3.5 Turbo
+    // LLM provider: 'openai', 'openai-compatible' (Ollama, llama.cpp server, ...), 'anthropic' or 'mock'
+    provider: process.env.AI_PROVIDER || 'openai',
+    // Base URL of the provider's API (required for openai-compatible, e.g. http://localhost:11434/v1)
+    baseUrl: process.env.AI_BASE_URL || '',
+    // AI_API_KEY overrides the provider-specific keys below
+    apiKey: process.env.AI_API_KEY || '',
+    openaiApiKey: process.env.OPENAI_API_KEY || '',
+    anthropicApiKey: process.env.ANTHROPIC_API_KEY || '',
+    model: process.env.AI_MODEL || '', // Empty uses the provider's default (gpt-3.5-turbo for OpenAI)
+    temperature: parseFloat(process.env.AI_TEMPERATURE || '0.9'), // Higher is more creative
+    // Reply length cap in tokens (0 derives it from AI_MAX_RESPONSE_LENGTH)
+    maxTokens: parseInt(process.env.AI_MAX_TOKENS || '0', 10),
+    timeoutMs: parseInt(process.env.AI_TIMEOUT_MS || '30000', 10),
+    // Persona (name, avatar and prompts) used in rooms that don't pick one
+    persona: process.env.AI_PERSONA || 'friend',
+    personasFile: process.env.PERSONAS_FILE || '', // Defaults to backend/personas.json
     maxResponseLength: parseInt(process.env.AI_MAX_RESPONSE_LENGTH || '200', 10),
-    conversationHistorySize: parseInt(process.env.AI_CONVERSATION_HISTORY_SIZE || '5', 10),
+    // What the AI sees of the room's conversation
+    context: {
+      // Estimated tokens of recent room messages (and the summary of older ones) sent with each reply
+      tokenBudget: parseInt(process.env.AI_CONTEXT_TOKEN_BUDGET || '1000', 10),
+      // Summarize messages that no longer fit the budget, instead of dropping them
+      summarize: process.env.AI_CONTEXT_SUMMARIES !== 'false',
+      // Length cap of the summary, in tokens
+      summaryTokens: parseInt(process.env.AI_CONTEXT_SUMMARY_TOKENS || '150', 10),
+    },
+    // AI replies per user per minute (prevents AI spam)
+    rateLimitPerMinute: parseInt(process.env.AI_RATE_LIMIT_PER_MINUTE || '10', 10),
+    // When the AI replies, for rooms that don't set their own policy
+    trigger: {
+      // always, mention (only when @mentioned), blocked (only blocked messages), random or questions
+      mode: process.env.AI_TRIGGER_MODE || 'always',
+      // Share of messages answered in random mode (0-1)
+      probability: parseFloat(process.env.AI_TRIGGER_PROBABILITY || '0.3'),
+      // Minimum time between AI replies in a room (0 = off)
+      cooldownSeconds: parseInt(process.env.AI_TRIGGER_COOLDOWN_SECONDS || '0', 10),
+      // Time of day when the AI doesn't reply at all, e.g. "22:00-07:00" (empty = never)
+      quietHours: process.env.AI_QUIET_HOURS || '',
+      // Time zone of the quiet hours, e.g. "Europe/Berlin" (empty = the server's time zone)
+      quietHoursTimezone: process.env.AI_QUIET_HOURS_TIMEZONE || '',
+    },
   },
 };
 
@@ -35,6 +252,12 @@ if (!config.huggingFace.apiToken && config.server.nodeEnv === 'production') {
   console.warn('Warning: HF_API_TOKEN is not set. Moderation API calls will fail.');
 }
 
-if (config.ai.enabled && !config.ai.apiKey && config.server.nodeEnv === 'production') {
-  console.warn('Warning: OPENAI_API_KEY is not set. AI agent responses will fail.');
+if (config.ai.enabled && config.server.nodeEnv === 'production') {
+  if (config.ai.provider === 'openai' && !config.ai.apiKey && !config.ai.openaiApiKey) {
+    console.warn('Warning: OPENAI_API_KEY is not set. AI agent responses will fail.');
+  } else if (config.ai.provider === 'anthropic' && !config.ai.apiKey && !config.ai.anthropicApiKey) {
+    console.warn('Warning: ANTHROPIC_API_KEY is not set. AI agent responses will fail.');
+  } else if (config.ai.provider === 'openai-compatible' && (!config.ai.baseUrl || !config.ai.model)) {
+    console.warn('Warning: AI_BASE_URL and AI_MODEL are required for AI_PROVIDER=openai-compatible. AI agent responses will fail.');
+  }
 }
@@ -2,8 +2,10 @@ import { getModerationFeedbackLogs } from './loggingService.js';
 
 /**
  * Analyzes feedback logs to provide insights for improving moderation
+ * @param {Array} logs - Moderation feedback logs
+ * @param {number} currentSaferValue - The SAFER_VALUE in effect now (recommendations are relative to it)
  */
-export function analyzeFeedbackLogs(logs) {
+export function analyzeFeedbackLogs(logs, currentSaferValue) {
   if (!logs || logs.length === 0) {
     return {
       total: 0,
@@ -23,6 +25,9 @@ export function analyzeFeedbackLogs(logs) {
   
   // Analyze threshold effectiveness
   const thresholdAnalysis = analyzeThresholds(logs);
+
+  // Attribute errors to the provider(s) that made the decision
+  const providerAnalysis = analyzeProviders(logs);
   
   // Find common patterns in false positives
   const falsePositivePatterns = analyzeFalsePositivePatterns(falsePositives);
@@ -34,7 +39,7 @@ export function analyzeFeedbackLogs(logs) {
   const thresholdRecommendation = calculateThresholdRecommendation(
     falsePositiveRate,
     falseNegativeRate,
-    logs[0]?.threshold || 0.5
+    currentSaferValue
   );
 
   return {
@@ -48,6 +53,7 @@ export function analyzeFeedbackLogs(logs) {
     },
     categoryAnalysis,
     thresholdAnalysis,
+    providerAnalysis,
     falsePositivePatterns,
     falseNegativePatterns,
     recommendations: {
@@ -131,6 +137,58 @@ function analyzeThresholds(logs) {
   }));
 }
 
+/**
+ * Attributes false positives and false negatives to moderation providers
+ * Ensemble results carry one verdict per provider; single-provider results carry details.provider
+ */
+function analyzeProviders(logs) {
+  const providerStats = {};
+
+  logs.forEach(log => {
+    const result = log.moderationResult || {};
+    const verdicts = result.ensemble?.verdicts
+      || (result.provider ? [{ provider: result.provider, isBlocked: log.wasBlocked, latencyMs: result.latencyMs }] : []);
+
+    verdicts.forEach(verdict => {
+      if (!providerStats[verdict.provider]) {
+        providerStats[verdict.provider] = {
+          provider: verdict.provider,
+          total: 0,
+          falsePositives: 0,
+          falseNegatives: 0,
+          errors: 0,
+          latencies: [],
+        };
+      }
+
+      const stats = providerStats[verdict.provider];
+      stats.total++;
+      if (verdict.error) {
+        stats.errors++;
+      } else {
+        // A provider caused a false positive if it voted to block a message that should have been allowed,
+        // and a false negative if it voted to allow a message that should have been blocked
+        if (log.isFalsePositive && verdict.isBlocked) stats.falsePositives++;
+        if (log.isFalseNegative && !verdict.isBlocked) stats.falseNegatives++;
+      }
+      if (typeof verdict.latencyMs === 'number') {
+        stats.latencies.push(verdict.latencyMs);
+      }
+    });
+  });
+
+  return Object.values(providerStats)
+    .map(({ latencies, ...stats }) => ({
+      ...stats,
+      falsePositiveRate: (stats.falsePositives / stats.total * 100).toFixed(2) + '%',
+      falseNegativeRate: (stats.falseNegatives / stats.total * 100).toFixed(2) + '%',
+      avgLatencyMs: latencies.length > 0
+        ? Math.round(latencies.reduce((a, b) => a + b, 0) / latencies.length)
+        : null,
+    }))
+    .sort((a, b) => (b.falsePositives + b.falseNegatives) - (a.falsePositives + a.falseNegatives));
+}
+
 /**
  * Finds patterns in false positives
  */
@@ -299,8 +357,10 @@ function generateActionItems(falsePositiveRate, falseNegativeRate, categoryAnaly
 
 /**
  * Gets analytics for a specific date range
+ * @param {string} dateStr - Date (YYYY-MM-DD), or null for all logs
+ * @param {number} currentSaferValue - The SAFER_VALUE in effect now
  */
-export function getAnalytics(dateStr = null) {
+export function getAnalytics(dateStr = null, currentSaferValue) {
   const logs = getModerationFeedbackLogs(dateStr);
-  return analyzeFeedbackLogs(logs);
+  return analyzeFeedbackLogs(logs, currentSaferValue);
 }
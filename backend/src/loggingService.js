@@ -90,3 +90,48 @@ export function getModerationFeedbackLogs(dateStr = null) {
     return [];
   }
 }
+
+/**
+ * Records an admin change (e.g. a moderation setting) in the audit log
+ * @param {Object} entry - The change: actor, source, setting, previous, value
+ * @returns {Object} - { success, error }
+ */
+export function logAdminAudit(entry) {
+  try {
+    const logFile = path.join(logsDir, 'admin-audit.json');
+    let logs = [];
+    if (fs.existsSync(logFile)) {
+      try {
+        logs = JSON.parse(fs.readFileSync(logFile, 'utf8'));
+      } catch (error) {
+        console.error('Error reading admin audit log:', error);
+        logs = [];
+      }
+    }
+
+    logs.push({ timestamp: new Date().toISOString(), ...entry });
+    fs.writeFileSync(logFile, JSON.stringify(logs, null, 2), 'utf8');
+    return { success: true };
+  } catch (error) {
+    console.error('Error writing admin audit log:', error);
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * Gets the admin audit log, most recent first
+ * @param {number} limit - Maximum number of entries to return
+ * @returns {Array} Array of audit entries
+ */
+export function getAdminAuditLogs(limit = 100) {
+  try {
+    const logFile = path.join(logsDir, 'admin-audit.json');
+    if (!fs.existsSync(logFile)) {
+      return [];
+    }
+    return JSON.parse(fs.readFileSync(logFile, 'utf8')).reverse().slice(0, limit);
+  } catch (error) {
+    console.error('Error reading admin audit log:', error);
+    return [];
+  }
+}
@@ -0,0 +1,380 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { config } from './config.js';
+import { getValue, setValue } from './stateStore.js';
+import { getRoom } from './roomService.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// The file adapter keeps one JSON Lines file per room
+const messagesDir = path.join(__dirname, '..', 'logs', 'messages');
+
+// Blocked and direct messages aren't stored in room history, but can be reported as moderation mistakes for a day
+const REPORTABLE_MESSAGE_TTL_MS = 24 * 60 * 60 * 1000;
+
+// Registered storage adapters, keyed by name
+const adapters = new Map();
+
+let activeAdapter = null;
+
+/**
+ * Registers a message storage adapter
+ * An adapter implements:
+ * - append(message): Promise<void> - stores an approved message (message.room is always set)
+ * - list(room, { before, limit }): Promise<Array> - up to `limit` messages older than the message with ID `before`
+ *   (or the newest ones without `before`), oldest first
+ * - get(room, id): Promise<Object|null> - one message
+ * - update(room, id, changes): Promise<Object|null> - merges changes into a message (edits and deletions), returns it
+ * - clear(room): Promise<void> - deletes a room's history
+ * - close(): Promise<void> (optional)
+ * @param {Object} adapter - { name, append, list, get, update, clear, close }
+ */
+export function registerMessageStoreAdapter(adapter) {
+  const methods = ['append', 'list', 'get', 'update', 'clear'];
+  if (!adapter || !adapter.name || methods.some(method => typeof adapter[method] !== 'function')) {
+    throw new Error('Message store adapters need a name, append(), list(), get(), update() and clear()');
+  }
+  adapters.set(adapter.name, adapter);
+}
+
+/**
+ * Gets the adapter selected by MESSAGE_STORE
+ * @returns {Object}
+ */
+function getAdapter() {
+  if (!activeAdapter) {
+    activeAdapter = adapters.get(config.messages.store);
+    if (!activeAdapter) {
+      throw new Error(`Unknown message store "${config.messages.store}". Available: ${Array.from(adapters.keys()).join(', ')}`);
+    }
+    console.log(`[Messages] Using "${activeAdapter.name}" message store`);
+  }
+  return activeAdapter;
+}
+
+/**
+ * Makes sure a room is one of the configured rooms before its history is touched
+ * Adapters cache rooms and may map names to files, so made-up names are refused here
+ * @param {string} room - The room name
+ */
+function assertKnownRoom(room) {
+  if (typeof room !== 'string' || !getRoom(room)) {
+    throw new Error(`Unknown room "${room}"`);
+  }
+}
+
+/**
+ * Returns a page of messages from an array sorted oldest first
+ * @param {Array} messages - All messages for a room, oldest first
+ * @param {string} before - Only return messages older than this message ID
+ * @param {number} limit - Page size
+ * @returns {Array}
+ */
+function pageMessages(messages, before, limit) {
+  let end = messages.length;
+  if (before) {
+    const index = messages.findIndex(message => message.id === before);
+    end = index === -1 ? messages.length : index;
+  }
+  return messages.slice(Math.max(0, end - limit), end);
+}
+
+/**
+ * Creates an in-memory adapter (history is lost on restart)
+ * @returns {Object}
+ */
+function createMemoryAdapter() {
+  const rooms = new Map();
+
+  return {
+    name: 'memory',
+    async append(message) {
+      if (!rooms.has(message.room)) {
+        rooms.set(message.room, []);
+      }
+      const messages = rooms.get(message.room);
+      messages.push(message);
+      if (messages.length > config.messages.maxPerRoom) {
+        messages.splice(0, messages.length - config.messages.maxPerRoom);
+      }
+    },
+    async list(room, { before, limit }) {
+      return pageMessages(rooms.get(room) || [], before, limit);
+    },
+    async get(room, id) {
+      return (rooms.get(room) || []).find(message => message.id === id) || null;
+    },
+    async update(room, id, changes) {
+      const message = (rooms.get(room) || []).find(entry => entry.id === id);
+      return message ? Object.assign(message, changes) : null;
+    },
+    async clear(room) {
+      rooms.delete(room);
+    },
+    async close() {
+      rooms.clear();
+    },
+  };
+}
+
+/**
+ * Creates the file adapter: one append-only JSON Lines file per room under logs/messages/
+ * Rooms are read into memory the first time they are used
+ * @returns {Object}
+ */
+function createFileAdapter() {
+  const rooms = new Map();
+
+  const roomFile = (room) => {
+    const file = path.join(messagesDir, `${room}.jsonl`);
+    // Never let a room name point outside logs/messages/
+    if (path.dirname(file) !== messagesDir) {
+      throw new Error(`Invalid room name "${room}"`);
+    }
+    return file;
+  };
+
+  // Writes to a room's file run one at a time, in order, so an append can't interleave with a rewrite
+  // Rewrites serialize the room when they are queued, so the file always matches the order of changes
+  const writeQueues = new Map();
+
+  const queueWrite = (room, write) => {
+    const next = (writeQueues.get(room) || Promise.resolve()).catch(() => {}).then(write);
+    writeQueues.set(room, next);
+    const forget = () => {
+      if (writeQueues.get(room) === next) {
+        writeQueues.delete(room);
+      }
+    };
+    next.then(forget, forget);
+    return next;
+  };
+
+  const serialize = (messages) => messages.map(entry => JSON.stringify(entry)).join('\n') + '\n';
+
+  const loadRoom = (room) => {
+    if (rooms.has(room)) {
+      return rooms.get(room);
+    }
+
+    let messages = [];
+    try {
+      if (fs.existsSync(roomFile(room))) {
+        messages = fs.readFileSync(roomFile(room), 'utf8')
+          .split('\n')
+          .filter(line => line.trim())
+          .map(line => {
+            try {
+              return JSON.parse(line);
+            } catch {
+              return null; // Skip a partially written line
+            }
+          })
+          .filter(Boolean);
+      }
+    } catch (error) {
+      console.error(`[Messages] Error reading ${roomFile(room)}:`, error.message);
+    }
+
+    rooms.set(room, messages.slice(-config.messages.maxPerRoom));
+    return rooms.get(room);
+  };
+
+  return {
+    name: 'file',
+    async append(message) {
+      const file = roomFile(message.room);
+      const messages = loadRoom(message.room);
+      messages.push(message);
+
+      if (!fs.existsSync(messagesDir)) {
+        fs.mkdirSync(messagesDir, { recursive: true });
+      }
+
+      if (messages.length > config.messages.maxPerRoom * 2) {
+        // Compact: rewrite the file with only the newest messages
+        messages.splice(0, messages.length - config.messages.maxPerRoom);
+        const content = serialize(messages);
+        await queueWrite(message.room, () => fs.promises.writeFile(file, content, 'utf8'));
+      } else {
+        const line = JSON.stringify(message) + '\n';
+        await queueWrite(message.room, () => fs.promises.appendFile(file, line, 'utf8'));
+      }
+    },
+    async list(room, { before, limit }) {
+      return pageMessages(loadRoom(room), before, limit);
+    },
+    async get(room, id) {
+      return loadRoom(room).find(message => message.id === id) || null;
+    },
+    async update(room, id, changes) {
+      const file = roomFile(room);
+      const messages = loadRoom(room);
+      const message = messages.find(entry => entry.id === id);
+      if (!message) {
+        return null;
+      }
+      Object.assign(message, changes);
+      // Edits are rare, so the file is simply rewritten
+      const content = serialize(messages);
+      await queueWrite(room, () => fs.promises.writeFile(file, content, 'utf8'));
+      return message;
+    },
+    async clear(room) {
+      const file = roomFile(room);
+      rooms.set(room, []);
+      await queueWrite(room, () => fs.promises.rm(file, { force: true }));
+    },
+    async close() {
+      // Let pending writes finish first
+      await Promise.allSettled(Array.from(writeQueues.values()));
+      rooms.clear();
+    },
+  };
+}
+
+registerMessageStoreAdapter(createFileAdapter());
+registerMessageStoreAdapter(createMemoryAdapter());
+
+/**
+ * Stores an approved message
+ * Storage errors are logged, never thrown, so a full disk can't break the chat
+ * @param {Object} message - The message as broadcast to the room
+ * @returns {Promise<Object>} - { success, error }
+ */
+export async function saveMessage(message) {
+  try {
+    assertKnownRoom(message.room || config.rooms.defaultRoom);
+    await getAdapter().append({
+      id: message.id,
+      text: message.text,
+      author: message.author,
+      room: message.room || config.rooms.defaultRoom,
+      timestamp: message.timestamp,
+      isAI: message.isAI || undefined,
+      moderationStatus: message.moderationStatus,
+      moderationAction: message.moderationAction,
+      warning: message.warning,
+      details: message.details,
+    });
+    return { success: true };
+  } catch (error) {
+    console.error('[Messages] Error saving message:', error.message);
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * Gets a page of a room's history, oldest first
+ * @param {string} room - The room name
+ * @param {Object} options - { before: message ID to page back from, limit }
+ * @returns {Promise<Object>} - { messages, hasMore }
+ */
+export async function getMessages(room, { before = null, limit = config.messages.backfillCount } = {}) {
+  assertKnownRoom(room);
+  const pageSize = Math.max(1, Math.min(limit, config.messages.maxPageSize));
+  // Fetch one extra to know whether there is more to scroll back to
+  const messages = await getAdapter().list(room, { before, limit: pageSize + 1 });
+  const hasMore = messages.length > pageSize;
+  return {
+    messages: hasMore ? messages.slice(1) : messages,
+    hasMore,
+  };
+}
+
+/**
+ * Gets one stored message
+ * @param {string} room - The room name
+ * @param {string} id - The message ID
+ * @returns {Promise<Object|null>}
+ */
+export async function getMessage(room, id) {
+  assertKnownRoom(room);
+  return getAdapter().get(room, id);
+}
+
+/**
+ * Changes a stored message (an edit, or a deletion tombstone)
+ * @param {string} room - The room name
+ * @param {string} id - The message ID
+ * @param {Object} changes - Fields to change
+ * @returns {Promise<Object|null>} - The updated message, or null if it isn't stored (e.g. too old)
+ */
+export async function updateMessage(room, id, changes) {
+  assertKnownRoom(room);
+  return getAdapter().update(room, id, changes);
+}
+
+/**
+ * Deletes a room's history (e.g. a moderator's /clear)
+ * @param {string} room - The room name
+ * @returns {Promise<Object>} - { success, error }
+ */
+export async function clearMessages(room) {
+  try {
+    assertKnownRoom(room);
+    await getAdapter().clear(room);
+    return { success: true };
+  } catch (error) {
+    console.error(`[Messages] Error clearing room "${room}":`, error.message);
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * Remembers a message that isn't kept in room history (a blocked message or a direct message),
+ * so it can still be reported as a moderation mistake
+ * @param {Object} message - The message as sent to its sender (and recipient)
+ * @param {boolean} wasBlocked - Whether moderation blocked it
+ */
+export async function trackReportableMessage(message, wasBlocked) {
+  try {
+    await setValue(`reportable:${message.id}`, {
+      id: message.id,
+      text: message.text,
+      author: message.author,
+      room: message.to ? null : message.room,
+      to: message.to || null,
+      details: message.details,
+      timestamp: message.timestamp,
+      wasBlocked,
+    }, REPORTABLE_MESSAGE_TTL_MS);
+  } catch (error) {
+    console.error(`[Messages] Could not track message ${message.id} for reports:`, error.message);
+  }
+}
+
+/**
+ * Finds a message someone reports, as the server saw it
+ * Blocked and direct messages come from trackReportableMessage, everything else from the room's history
+ * @param {string} id - The message ID
+ * @param {string} room - The room it was sent to (ignored for blocked and direct messages)
+ * @returns {Promise<Object|null>} - { id, text, author, room, to, details, timestamp, wasBlocked }, or null if unknown
+ */
+export async function getReportableMessage(id, room) {
+  const tracked = await getValue(`reportable:${id}`).catch(() => null);
+  if (tracked) {
+    return tracked;
+  }
+  if (!room || !getRoom(room)) {
+    return null;
+  }
+  const message = await getAdapter().get(room, id);
+  if (!message || message.deleted) {
+    return null;
+  }
+  return { ...message, to: null, wasBlocked: false };
+}
+
+/**
+ * Closes the active adapter
+ * Call this during graceful shutdown
+ */
+export async function closeMessageStore() {
+  if (activeAdapter?.close) {
+    await activeAdapter.close();
+  }
+  activeAdapter = null;
+}
@@ -0,0 +1,401 @@
+import { config } from './config.js';
+
+/**
+ * Normalizes category names so scores from different providers can be compared
+ * e.g. 'harassment/threatening', 'harassment threatening' -> 'harassment_threatening'
+ * @param {string} category - The category name
+ * @returns {string}
+ */
+export function normalizeCategory(category) {
+  return category.toLowerCase().replace(/[\/\s-]+/g, '_');
+}
+
+/**
+ * Looks up a category's own threshold from MODERATION_CATEGORY_THRESHOLDS
+ * Keys may use any name format ('self-harm/intent' matches 'self_harm_intent')
+ * @param {string} category - The category name (any format)
+ * @returns {number|undefined}
+ */
+function findCategoryThreshold(category) {
+  const key = normalizeCategory(category);
+  for (const [name, threshold] of Object.entries(config.moderation.categoryThresholds)) {
+    if (normalizeCategory(name) === key && typeof threshold === 'number') {
+      return threshold;
+    }
+  }
+  return undefined;
+}
+
+/**
+ * Checks whether a category has its own threshold in MODERATION_CATEGORY_THRESHOLDS
+ * @param {string} category - The category name (any format)
+ * @returns {boolean}
+ */
+export function hasCategoryThreshold(category) {
+  return findCategoryThreshold(category) !== undefined;
+}
+
+/**
+ * Gets the blocking threshold for a category, falling back to MODERATION_THRESHOLD
+ * @param {string} category - The category name (any format)
+ * @param {number} defaultThreshold - Threshold for categories without their own (e.g. a room's)
+ * @returns {number}
+ */
+export function getCategoryThreshold(category, defaultThreshold = config.moderation.threshold) {
+  const threshold = findCategoryThreshold(category);
+  return threshold !== undefined ? threshold : defaultThreshold;
+}
+
+/**
+ * Checks whether a category score reaches its threshold
+ * A threshold of 0 means zero tolerance: any non-zero score blocks
+ * @param {string} category - The category name
+ * @param {number} score - The category score
+ * @param {number} defaultThreshold - Threshold for categories without their own (e.g. a room's)
+ * @returns {boolean}
+ */
+export function exceedsCategoryThreshold(category, score, defaultThreshold = config.moderation.threshold) {
+  return score > 0 && score >= getCategoryThreshold(category, defaultThreshold);
+}
+
+/**
+ * Decides a verdict again from a result's category scores, e.g. against a room's own threshold
+ * Works like parseModerationResponse: categories with their own threshold (MODERATION_CATEGORY_THRESHOLDS) keep it,
+ * the others use defaultThreshold, and the model's is_flagged still blocks unless the flagged category has its own
+ * threshold that isn't reached. is_safer_flagged is left out, since it was computed from MODERATION_THRESHOLD.
+ * @param {Object} details - The result's details: { scores, maxScore, maxCategory, okScore, isFlagged, isSaferFlagged }
+ * @param {number} defaultThreshold - Threshold for categories without their own
+ * @param {Object} options - { useFlags: whether the model's is_flagged counts (default true) }
+ * @returns {Object|null} - { isBlocked, reason, exceededCategories }, or null if the result has no scores to decide from
+ */
+export function decideFromScores(details, defaultThreshold, { useFlags = true } = {}) {
+  const scores = details?.scores;
+  if (!scores || typeof scores !== 'object' || Object.keys(scores).length === 0) {
+    return null;
+  }
+
+  // Scores are reported under several name formats, so keep one entry per normalized category
+  const exceededByCategory = {};
+  for (const [category, score] of Object.entries(scores)) {
+    const key = normalizeCategory(category);
+    if (typeof score === 'number' && exceedsCategoryThreshold(key, score, defaultThreshold)
+        && !(key in exceededByCategory && exceededByCategory[key].score >= score)) {
+      exceededByCategory[key] = { category: key, score, threshold: getCategoryThreshold(key, defaultThreshold) };
+    }
+  }
+  const exceededCategories = Object.values(exceededByCategory).sort((a, b) => b.score - a.score);
+
+  const maxScore = typeof details.maxScore === 'number' ? details.maxScore : 0;
+  const flagOverridden = details.maxCategory && hasCategoryThreshold(details.maxCategory)
+    && !exceedsCategoryThreshold(details.maxCategory, maxScore);
+  const flagged = useFlags && details.isFlagged === true && !flagOverridden;
+  // Without flags, a low "safe" score blocks too
+  const hasFlags = details.isFlagged !== undefined || details.isSaferFlagged !== undefined;
+  const unsafe = !hasFlags && details.okScore > 0 && details.okScore < (1 - defaultThreshold);
+
+  let reason = 'OK';
+  if (exceededCategories.length > 0) {
+    const top = exceededCategories[0];
+    reason = `Blocked due to ${top.category} (score: ${top.score.toFixed(4)}, threshold: ${top.threshold})`;
+  } else if (flagged) {
+    reason = 'Blocked: Flagged by model';
+  } else if (unsafe) {
+    reason = `Blocked due to ${details.maxCategory || 'toxicity'} (score: ${maxScore.toFixed(4)})`;
+  }
+
+  return {
+    isBlocked: exceededCategories.length > 0 || flagged || unsafe,
+    reason,
+    exceededCategories,
+  };
+}
+
+/**
+ * Parses Gradio Client response
+ * Response format: { type: "data", time: "...", data: [plot_output, json_string] }
+ * The json_string contains the actual moderation results
+ */
+export function parseGradioClientResponse(clientResponse, originalText) {
+  try {
+    // Gradio client returns an object: { type: "data", data: [plot_data, json_string] }
+    // Or sometimes just the array directly
+    let dataArray;
+    
+    if (clientResponse && clientResponse.data && Array.isArray(clientResponse.data)) {
+      // Response is wrapped in an object with data property
+      dataArray = clientResponse.data;
+    } else if (Array.isArray(clientResponse)) {
+      // Response is directly an array
+      dataArray = clientResponse;
+    } else {
+      console.error('Unexpected Gradio client response format:', JSON.stringify(clientResponse).substring(0, 200));
+      return {
+        isBlocked: false,
+        reason: 'UNEXPECTED_RESPONSE',
+        details: { response: clientResponse },
+      };
+    }
+
+    if (!Array.isArray(dataArray) || dataArray.length < 2) {
+      console.error('Unexpected data array format:', dataArray);
+      return {
+        isBlocked: false,
+        reason: 'UNEXPECTED_RESPONSE',
+        details: { response: clientResponse },
+      };
+    }
+
+    // The second element is the JSON string output
+    const jsonString = dataArray[1];
+    
+    if (!jsonString) {
+      console.error('No JSON string found in response:', dataArray);
+      return {
+        isBlocked: false,
+        reason: 'UNEXPECTED_RESPONSE',
+        details: { response: clientResponse },
+      };
+    }
+    
+    // Parse the JSON string
+    let moderationData;
+    if (typeof jsonString === 'string') {
+      try {
+        moderationData = JSON.parse(jsonString);
+      } catch (parseError) {
+        console.error('Failed to parse JSON string:', parseError);
+        console.error('JSON string:', jsonString.substring(0, 200));
+        return {
+          isBlocked: false,
+          reason: 'PARSE_ERROR',
+          details: { 
+            error: parseError.message,
+            jsonString: jsonString.substring(0, 200),
+          },
+        };
+      }
+    } else {
+      moderationData = jsonString;
+    }
+
+    // Parse the moderation data
+    return parseModerationResponse(moderationData, originalText);
+  } catch (error) {
+    console.error('Error parsing Gradio client response:', error);
+    return {
+      isBlocked: false,
+      reason: 'PARSE_ERROR',
+      details: { 
+        error: error.message,
+        response: JSON.stringify(clientResponse).substring(0, 200),
+      },
+    };
+  }
+}
+
+/**
+ * Parses the Hugging Face API response and determines if message should be blocked
+ * @param {any} apiResponse - The raw API response
+ * @param {string} originalText - The original text that was moderated
+ * @returns {Object} - Parsed moderation result
+ */
+export function parseModerationResponse(apiResponse, originalText) {
+  // Handle different response formats from Hugging Face API
+  let scores = {};
+  
+  // The API might return an array or object
+  if (Array.isArray(apiResponse)) {
+    // Check if it's an array of arrays (Vrandan format: [[label, score], ...])
+    if (apiResponse.length > 0 && Array.isArray(apiResponse[0])) {
+      // Convert array format to object: [[label, score], ...] -> {label: score, ...}
+      apiResponse.forEach(([label, score]) => {
+        if (typeof label === 'string' && typeof score === 'number') {
+          scores[label.toLowerCase()] = score;
+        }
+      });
+    } else {
+      // If array of objects, take the first element
+      scores = apiResponse[0] || {};
+    }
+  } else if (typeof apiResponse === 'object') {
+    scores = apiResponse;
+  } else {
+    // Unexpected format
+    return {
+      isBlocked: false,
+      reason: 'UNEXPECTED_RESPONSE',
+      details: { response: apiResponse },
+    };
+  }
+
+  // Extract toxicity scores
+  // Friendly Text Moderation API returns scores with underscores and boolean flags
+  // Categories: harassment, harassment_threatening, hate, hate_threatening, 
+  // illicit, illicit_violent, self_harm, self_harm_instructions, self_harm_intent,
+  // sexual, sexual_minors, violence, violence_graphic
+  // Also includes: is_flagged, is_safer_flagged (boolean flags)
+  const toxicCategories = [
+    // Underscore format (what the API actually returns)
+    'violence_graphic',
+    'violence',
+    'sexual_minors',
+    'sexual',
+    'self_harm_intent',
+    'self_harm_instructions',
+    'self_harm',
+    'hate_threatening',
+    'hate',
+    'harassment_threatening',
+    'harassment',
+    'illicit_violent',
+    'illicit',
+    // Slash format (also returned)
+    'violence/graphic',
+    'sexual/minors',
+    'self-harm/intent',
+    'self-harm/instructions',
+    'self-harm',
+    'hate/threatening',
+    'harassment/threatening',
+    'illicit/violent',
+    // Space format (for compatibility)
+    'violence graphic',
+    'sexual minors',
+    'self harm',
+    'hate threatening',
+    'harassment threatening',
+  ];
+
+  const categoryScores = {};
+  let maxScore = 0;
+  let maxCategory = null;
+
+  // Check each category
+  for (const category of toxicCategories) {
+    // Try different possible key formats (case-insensitive)
+    const categoryLower = category.toLowerCase();
+    const score = scores[category] || 
+                  scores[categoryLower] ||
+                  scores[`${category}_score`] || 
+                  scores[`${categoryLower}_score`] ||
+                  scores[`${category}Score`] ||
+                  scores[`${categoryLower}Score`] ||
+                  0;
+    
+    if (typeof score === 'number') {
+      // Skip "safe content" as it's the positive label
+      if (categoryLower !== 'safe content') {
+        categoryScores[category] = score;
+        if (score > maxScore) {
+          maxScore = score;
+          maxCategory = category;
+        }
+      }
+    }
+  }
+
+  // Check the API's built-in flags (most reliable)
+  // The API returns is_flagged and is_safer_flagged as boolean values
+  const isFlagged = scores['is_flagged'] === true;
+  const isSaferFlagged = scores['is_safer_flagged'] === true;
+  const hasFlags = 'is_flagged' in scores || 'is_safer_flagged' in scores;
+  
+  // Check if "safe" or "OK" score exists (non-offensive content)
+  const okScore = scores['safe'] ||
+                  scores['Safe'] ||
+                  scores['OK'] || 
+                  scores['ok'] || 
+                  scores['non_toxic'] || 
+                  scores['safe content'] ||
+                  scores['Safe Content'] ||
+                  0;
+
+  // Compare each category score against its own threshold (MODERATION_CATEGORY_THRESHOLDS,
+  // falling back to MODERATION_THRESHOLD). Scores are reported under several name formats,
+  // so keep one entry per normalized category.
+  const exceededByCategory = {};
+  for (const [category, score] of Object.entries(categoryScores)) {
+    const key = normalizeCategory(category);
+    if (exceedsCategoryThreshold(key, score) && !(key in exceededByCategory && exceededByCategory[key].score >= score)) {
+      exceededByCategory[key] = { category: key, score, threshold: getCategoryThreshold(key) };
+    }
+  }
+  const exceededCategories = Object.values(exceededByCategory).sort((a, b) => b.score - a.score);
+
+  // Determine if message should be blocked
+  // The API's is_safer_flagged flag is based on the safer parameter we sent (derived from MODERATION_THRESHOLD)
+  // So the threshold IS being used, but indirectly through the API's flag system
+  let isBlocked;
+  let flagOverridden = false;
+  if (hasFlags) {
+    // Use the API's built-in flags (most reliable)
+    // is_flagged = flagged by the model itself (strict detection, independent of threshold)
+    // is_safer_flagged = flagged based on the safer threshold we sent (this uses MODERATION_THRESHOLD!)
+    // 
+    // IMPORTANT: is_safer_flagged is calculated by the API based on the safer parameter,
+    // which is derived from MODERATION_THRESHOLD. So changing MODERATION_THRESHOLD
+    // DOES affect moderation by changing what the API considers "safer_flagged"
+    //
+    // Per-category thresholds are applied locally on top of the flags:
+    // - a category with its own threshold that is exceeded blocks even if the API didn't flag it
+    // - a flag driven by a category with its own (looser) threshold that isn't exceeded is ignored
+    const explicitExceeded = exceededCategories.filter(entry => hasCategoryThreshold(entry.category));
+    flagOverridden = (isFlagged || isSaferFlagged) &&
+                     maxCategory !== null &&
+                     hasCategoryThreshold(maxCategory) &&
+                     !exceedsCategoryThreshold(maxCategory, maxScore);
+    isBlocked = ((isFlagged || isSaferFlagged) && !flagOverridden) || explicitExceeded.length > 0;
+    
+    // Log the decision - is_safer_flagged is based on your MODERATION_THRESHOLD!
+    console.log(`[Moderation] Decision: is_flagged=${isFlagged}, is_safer_flagged=${isSaferFlagged} (from threshold ${config.moderation.threshold}), category thresholds exceeded: ${explicitExceeded.map(entry => entry.category).join(', ') || 'none'}${flagOverridden ? `, flag overridden by ${normalizeCategory(maxCategory)} threshold` : ''} → BLOCKED: ${isBlocked}`);
+  } else {
+    // Fallback: Use threshold comparison if flags not available
+    // Block if any toxic category exceeds its threshold OR if OK score is below threshold
+    isBlocked = exceededCategories.length > 0 || 
+                (okScore > 0 && okScore < (1 - config.moderation.threshold));
+    
+    if (config.server.nodeEnv === 'development') {
+      console.log(`[Moderation] Fallback threshold check - maxScore: ${maxScore}, threshold: ${config.moderation.threshold}, exceeded: ${exceededCategories.map(entry => entry.category).join(', ') || 'none'}, blocked: ${isBlocked}`);
+    }
+  }
+
+  // Build reason message
+  // Prefer the category whose threshold was exceeded, since that is what the threshold map controls
+  const topExceeded = exceededCategories.find(entry => hasFlags ? hasCategoryThreshold(entry.category) : true);
+  let reason;
+  if (isBlocked) {
+    if (topExceeded && (!hasFlags || !(isFlagged || isSaferFlagged) || flagOverridden)) {
+      reason = `Blocked due to ${topExceeded.category} (score: ${topExceeded.score.toFixed(4)}, threshold: ${topExceeded.threshold})`;
+    } else if (hasFlags) {
+      if (isFlagged && isSaferFlagged) {
+        reason = `Blocked: Flagged by model and safer threshold`;
+      } else if (isFlagged) {
+        reason = `Blocked: Flagged by model`;
+      } else {
+        reason = `Blocked: Exceeds safer threshold (${maxCategory || 'toxicity'})`;
+      }
+    } else {
+      reason = `Blocked due to ${maxCategory || 'toxicity'} (score: ${maxScore.toFixed(4)})`;
+    }
+  } else {
+    reason = 'OK';
+  }
+
+  return {
+    isBlocked,
+    reason,
+    details: {
+      scores: categoryScores,
+      maxScore,
+      maxCategory,
+      okScore,
+      threshold: config.moderation.threshold,
+      categoryThresholds: config.moderation.categoryThresholds,
+      exceededCategories,
+      isFlagged: hasFlags ? isFlagged : undefined,
+      isSaferFlagged: hasFlags ? isSaferFlagged : undefined,
+      // Include raw scores for debugging (but limit size)
+      rawScores: Object.keys(scores).length < 50 ? scores : undefined,
+    },
+  };
+}
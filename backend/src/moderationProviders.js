@@ -0,0 +1,488 @@
+import axios from 'axios';
+import { Client } from '@gradio/client';
+import { config } from './config.js';
+import { parseGradioClientResponse, parseModerationResponse } from './moderationParser.js';
+import { applyModerationRules } from './moderationRules.js';
+
+// Registered moderation providers, keyed by name
+// Each provider is an object: { name, description, moderate(text) => Promise<{ isBlocked, reason, details }>, close? }
+const providers = new Map();
+
+// Cache the Gradio client connection
+let gradioClient = null;
+let clientConnectionPromise = null;
+
+// Circuit breaker around the Gradio Space
+// closed = calls go through, open = calls fail fast, half_open = a probe is in flight
+const gradioBreaker = {
+  state: 'closed',
+  consecutiveFailures: 0,
+  trips: 0,
+  openedAt: null,
+  nextProbeAt: null,
+  lastError: null,
+  lastFailureAt: null,
+  lastSuccessAt: null,
+};
+let gradioProbeTimer = null;
+
+/**
+ * Registers a moderation provider so it can be selected with MODERATION_PROVIDER
+ * @param {Object} provider - Provider object with a name and a moderate(text) function
+ */
+export function registerModerationProvider(provider) {
+  if (!provider || typeof provider.name !== 'string' || typeof provider.moderate !== 'function') {
+    throw new Error('Moderation provider must have a name and a moderate(text) function');
+  }
+  providers.set(provider.name, provider);
+}
+
+/**
+ * Gets a registered moderation provider by name
+ * @param {string} name - The provider name (e.g. 'gradio', 'openai')
+ * @returns {Object} - The provider
+ */
+export function getModerationProvider(name) {
+  const provider = providers.get(name);
+  if (!provider) {
+    throw new Error(`Unknown moderation provider "${name}". Available: ${listModerationProviders().join(', ')}`);
+  }
+  return provider;
+}
+
+/**
+ * Lists the names of all registered moderation providers
+ * @returns {Array<string>}
+ */
+export function listModerationProviders() {
+  return Array.from(providers.keys());
+}
+
+/**
+ * Closes any open provider connections
+ * Call this during graceful shutdown
+ */
+export async function closeModerationProviders() {
+  for (const provider of providers.values()) {
+    if (typeof provider.close === 'function') {
+      await provider.close();
+    }
+  }
+}
+
+/**
+ * Gets the safer value sent to the Gradio Space
+ * Option 1: Use SAFER_VALUE directly if set in .env (0.005-0.1) - takes precedence
+ * Option 2: Map MODERATION_THRESHOLD (0.0-1.0) to safer range (0.005-0.1)
+ * @returns {{ saferValue: number, thresholdSource: string }}
+ */
+export function getSaferValue() {
+  if (config.moderation.saferValue !== null && config.moderation.saferValue !== undefined) {
+    // Use direct safer value from .env (takes precedence)
+    return {
+      saferValue: Math.max(0.005, Math.min(0.1, config.moderation.saferValue)),
+      thresholdSource: `SAFER_VALUE=${config.moderation.saferValue}`,
+    };
+  }
+
+  // Map threshold to safer value
+  // Higher threshold = stricter = lower safer value
+  // Threshold 0.0 (very permissive) -> safer 0.1 (less safe, allows more)
+  // Threshold 1.0 (very strict) -> safer 0.005 (very safe, blocks more)
+  const threshold = config.moderation.threshold || 0.5;
+  return {
+    saferValue: Math.max(0.005, Math.min(0.1, 0.1 - (threshold * 0.095))),
+    thresholdSource: `MODERATION_THRESHOLD=${threshold}`,
+  };
+}
+
+/**
+ * Get or create the Gradio client connection
+ * @returns {Promise<Client>}
+ */
+async function getGradioClient() {
+  if (gradioClient) {
+    return gradioClient;
+  }
+
+  if (clientConnectionPromise) {
+    return clientConnectionPromise;
+  }
+
+  clientConnectionPromise = Client.connect(config.moderation.gradio.space)
+    .then(client => {
+      gradioClient = client;
+      clientConnectionPromise = null;
+      return client;
+    })
+    .catch(error => {
+      clientConnectionPromise = null;
+      throw error;
+    });
+
+  return clientConnectionPromise;
+}
+
+/**
+ * Close the Gradio client connection
+ * Call this during graceful shutdown
+ */
+async function closeGradioClient() {
+  if (gradioClient) {
+    try {
+      // Try to close/disconnect the client if methods exist
+      // The @gradio/client may use WebSocket connections that need cleanup
+      if (typeof gradioClient.close === 'function') {
+        await gradioClient.close();
+      } else if (typeof gradioClient.disconnect === 'function') {
+        await gradioClient.disconnect();
+      } else if (gradioClient.ws && typeof gradioClient.ws.close === 'function') {
+        // Try to close underlying WebSocket if it exists
+        gradioClient.ws.close();
+      }
+      console.log('Gradio client connection closed');
+    } catch (error) {
+      console.error('Error closing Gradio client:', error.message);
+    } finally {
+      // Always clear references to allow garbage collection
+      gradioClient = null;
+      clientConnectionPromise = null;
+    }
+  }
+}
+
+/**
+ * Gets the status of every provider that reports one (e.g. circuit breaker state)
+ * @returns {Object} - Status keyed by provider name
+ */
+export function getModerationProviderStatus() {
+  const status = {};
+  for (const provider of providers.values()) {
+    if (typeof provider.getStatus === 'function') {
+      status[provider.name] = provider.getStatus();
+    }
+  }
+  return status;
+}
+
+/**
+ * Waits for the given number of milliseconds
+ * @param {number} ms - Milliseconds to wait
+ */
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Rejects if the promise doesn't settle in time
+ * @param {Promise} promise - The promise to wait for
+ * @param {number} ms - Timeout in milliseconds
+ * @param {string} message - Error message on timeout
+ */
+function withTimeout(promise, ms, message) {
+  let timer;
+  const timeout = new Promise((_, reject) => {
+    timer = setTimeout(() => reject(new Error(message)), ms);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+/**
+ * Calls the Gradio Space once, dropping the cached client on failure so the next call reconnects
+ * (the Space may have restarted or the websocket dropped)
+ * @param {string} text - The text to moderate
+ * @param {number} saferValue - The safer value to send
+ * @returns {Promise<any>} - The raw Gradio result
+ */
+async function callGradioSpace(text, saferValue) {
+  const { endpoint, timeoutMs } = config.moderation.gradio;
+  try {
+    // Get or create the Gradio client connection
+    const client = await withTimeout(getGradioClient(), timeoutMs, 'Gradio client connection timed out');
+
+    // Call the API endpoint as shown in the Space documentation
+    return await withTimeout(
+      client.predict(endpoint, { msg: text, safer: saferValue }),
+      timeoutMs,
+      'Gradio prediction timed out'
+    );
+  } catch (error) {
+    await closeGradioClient();
+    throw error;
+  }
+}
+
+/**
+ * Calls the Gradio Space with retries and jittered exponential backoff
+ * @param {string} text - The text to moderate
+ * @param {number} saferValue - The safer value to send
+ * @returns {Promise<any>} - The raw Gradio result
+ */
+async function callGradioWithRetry(text, saferValue) {
+  const { maxRetries, retryBaseDelayMs, retryMaxDelayMs } = config.moderation.gradio;
+  let lastError;
+
+  for (let attempt = 0; attempt <= maxRetries; attempt++) {
+    try {
+      return await callGradioSpace(text, saferValue);
+    } catch (error) {
+      lastError = error;
+      if (attempt < maxRetries) {
+        // Full backoff doubles each attempt; jitter spreads retries between 50% and 100% of it
+        const backoff = Math.min(retryMaxDelayMs, retryBaseDelayMs * Math.pow(2, attempt));
+        const delay = Math.round(backoff * (0.5 + Math.random() * 0.5));
+        console.warn(`[Moderation] Gradio call failed (attempt ${attempt + 1}/${maxRetries + 1}): ${error.message}. Retrying in ${delay}ms`);
+        await sleep(delay);
+      }
+    }
+  }
+
+  throw lastError;
+}
+
+/**
+ * Records a successful Gradio call and closes the breaker
+ */
+function recordGradioSuccess() {
+  if (gradioBreaker.state !== 'closed') {
+    console.log('[Moderation] Gradio circuit breaker closed - Space recovered');
+  }
+  gradioBreaker.state = 'closed';
+  gradioBreaker.consecutiveFailures = 0;
+  gradioBreaker.openedAt = null;
+  gradioBreaker.nextProbeAt = null;
+  gradioBreaker.lastSuccessAt = new Date().toISOString();
+}
+
+/**
+ * Records a failed Gradio call and trips the breaker after too many consecutive failures
+ * @param {Error} error - The failure
+ */
+function recordGradioFailure(error) {
+  gradioBreaker.consecutiveFailures++;
+  gradioBreaker.lastError = error.message;
+  gradioBreaker.lastFailureAt = new Date().toISOString();
+
+  const { breakerFailureThreshold } = config.moderation.gradio;
+  if (gradioBreaker.state === 'half_open' || gradioBreaker.consecutiveFailures >= breakerFailureThreshold) {
+    openGradioBreaker();
+  }
+}
+
+/**
+ * Opens the breaker and schedules the next probe
+ */
+function openGradioBreaker() {
+  const { breakerResetTimeoutMs } = config.moderation.gradio;
+  // A failed probe (half_open) keeps the existing trip open rather than starting a new one
+  if (gradioBreaker.state === 'closed') {
+    gradioBreaker.trips++;
+    gradioBreaker.openedAt = new Date().toISOString();
+    console.warn(`[Moderation] Gradio circuit breaker opened after ${gradioBreaker.consecutiveFailures} consecutive failures`);
+  }
+  gradioBreaker.state = 'open';
+  gradioBreaker.nextProbeAt = new Date(Date.now() + breakerResetTimeoutMs).toISOString();
+
+  clearTimeout(gradioProbeTimer);
+  gradioProbeTimer = setTimeout(probeGradioSpace, breakerResetTimeoutMs);
+  // Don't keep the process alive just for probes
+  gradioProbeTimer.unref();
+}
+
+/**
+ * Probes the Space with a harmless message while the breaker is open
+ * Success closes the breaker, failure keeps it open until the next probe
+ */
+async function probeGradioSpace() {
+  gradioProbeTimer = null;
+  gradioBreaker.state = 'half_open';
+  try {
+    await callGradioSpace('hello', getSaferValue().saferValue);
+    recordGradioSuccess();
+  } catch (error) {
+    console.warn(`[Moderation] Gradio probe failed: ${error.message}`);
+    recordGradioFailure(error);
+  }
+}
+
+/**
+ * Gradio Space provider (duchaba/Friendly_Text_Moderation by default)
+ */
+const gradioProvider = {
+  name: 'gradio',
+  description: 'Hugging Face Gradio Space via @gradio/client',
+  async moderate(text) {
+    const { saferValue, thresholdSource } = getSaferValue();
+
+    // Log which value is being used
+    const thresholdLevel = saferValue > 0.08 ? 'PERMISSIVE' : saferValue < 0.02 ? 'STRICT' : 'MODERATE';
+    console.log(`[Moderation] ${thresholdSource} → safer=${saferValue.toFixed(4)} (${thresholdLevel})`);
+
+    // Fail fast while the breaker is open (or a probe is in flight)
+    if (gradioBreaker.state !== 'closed') {
+      throw new Error(`Gradio circuit breaker is ${gradioBreaker.state} (next probe at ${gradioBreaker.nextProbeAt})`);
+    }
+
+    let result;
+    try {
+      result = await callGradioWithRetry(text, saferValue);
+    } catch (error) {
+      recordGradioFailure(error);
+      throw error;
+    }
+    recordGradioSuccess();
+
+    // Result is an array: [plot_output, json_string]
+    // The json_string contains the moderation results
+    return parseGradioClientResponse(result, text);
+  },
+  getStatus() {
+    return {
+      connected: gradioClient !== null,
+      breaker: { ...gradioBreaker },
+    };
+  },
+  async close() {
+    clearTimeout(gradioProbeTimer);
+    gradioProbeTimer = null;
+    await closeGradioClient();
+  },
+};
+
+/**
+ * Hugging Face Inference API provider (raw POST to HF_API_URL)
+ */
+const huggingFaceInferenceProvider = {
+  name: 'hf-inference',
+  description: 'Hugging Face Inference API',
+  async moderate(text) {
+    const response = await axios.post(
+      config.huggingFace.apiUrl,
+      { inputs: text },
+      {
+        headers: {
+          'Authorization': `Bearer ${config.huggingFace.apiToken}`,
+          'Content-Type': 'application/json',
+        },
+        timeout: 10000, // 10 second timeout
+      }
+    );
+    // Parse the response based on Hugging Face API format
+    return parseModerationResponse(response.data, text);
+  },
+};
+
+/**
+ * OpenAI moderation endpoint provider
+ * Response format: { results: [{ flagged, categories: {...}, category_scores: {...} }] }
+ */
+const openAIProvider = {
+  name: 'openai',
+  description: 'OpenAI moderation endpoint',
+  async moderate(text) {
+    const apiKey = config.moderation.openai.apiKey;
+    if (!apiKey) {
+      throw new Error('OPENAI_API_KEY is required for the openai moderation provider');
+    }
+
+    const response = await axios.post(
+      'https://api.openai.com/v1/moderations',
+      {
+        model: config.moderation.openai.model,
+        input: text,
+      },
+      {
+        headers: {
+          'Authorization': `Bearer ${apiKey}`,
+          'Content-Type': 'application/json',
+        },
+        timeout: 10000,
+      }
+    );
+
+    const result = response.data?.results?.[0];
+    if (!result) {
+      return {
+        isBlocked: false,
+        reason: 'UNEXPECTED_RESPONSE',
+        details: { response: response.data },
+      };
+    }
+
+    // Category scores use the slash format (e.g. 'harassment/threatening'),
+    // and `flagged` maps onto the same is_flagged flag the Space returns
+    return parseModerationResponse({
+      ...result.category_scores,
+      is_flagged: result.flagged === true,
+    }, text);
+  },
+};
+
+/**
+ * Local provider - no network calls
+ * Uses the same rules engine as the pre-filter (moderation-rules.json plus MODERATION_BLOCKED_WORDS/PATTERNS)
+ * and blocks on any blocklist term or blocking pattern
+ */
+const localProvider = {
+  name: 'local',
+  description: 'Local rules (blocklist and regex patterns)',
+  async moderate(text) {
+    const { hits } = applyModerationRules(text);
+    const blockHit = hits.find(hit => hit.action === 'block');
+    return {
+      isBlocked: Boolean(blockHit),
+      reason: blockHit ? `Blocked: Matched ${blockHit.type} rule (${blockHit.rule})` : 'OK',
+      details: {
+        scores: {},
+        maxScore: blockHit ? 1 : 0,
+        maxCategory: blockHit ? blockHit.category : null,
+        threshold: config.moderation.threshold,
+        ruleHits: hits,
+      },
+    };
+  },
+};
+
+/**
+ * Generic HTTP webhook provider
+ * POSTs { text } to MODERATION_WEBHOOK_URL. The webhook may either return the normalized
+ * { isBlocked, reason, details } shape directly, or raw category scores which are parsed
+ * the same way as the Hugging Face response.
+ */
+const webhookProvider = {
+  name: 'webhook',
+  description: 'Generic HTTP moderation webhook',
+  async moderate(text) {
+    const { url, token, timeout } = config.moderation.webhook;
+    if (!url) {
+      throw new Error('MODERATION_WEBHOOK_URL is required for the webhook moderation provider');
+    }
+
+    const headers = { 'Content-Type': 'application/json' };
+    if (token) {
+      headers['Authorization'] = `Bearer ${token}`;
+    }
+
+    const response = await axios.post(url, { text }, { headers, timeout });
+    const data = response.data;
+
+    if (data && typeof data.isBlocked === 'boolean') {
+      return {
+        isBlocked: data.isBlocked,
+        reason: data.reason || (data.isBlocked ? 'Blocked by webhook' : 'OK'),
+        details: data.details || null,
+      };
+    }
+
+    return parseModerationResponse(data, text);
+  },
+};
+
+// Register built-in providers
+[
+  gradioProvider,
+  huggingFaceInferenceProvider,
+  openAIProvider,
+  localProvider,
+  webhookProvider,
+].forEach(registerModerationProvider);
@@ -0,0 +1,289 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { config } from './config.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// Rules file: MODERATION_RULES_FILE, or backend/moderation-rules.json
+const rulesFile = config.moderation.rules.file
+  ? path.resolve(config.moderation.rules.file)
+  : path.join(__dirname, '..', 'moderation-rules.json');
+
+// Unicode look-alikes (Cyrillic, Greek) mapped to the Latin letter they imitate
+const HOMOGLYPHS = {
+  'а': 'a', 'в': 'b', 'е': 'e', 'ё': 'e', 'к': 'k', 'м': 'm', 'н': 'h', 'о': 'o', 'р': 'p',
+  'с': 'c', 'т': 't', 'у': 'y', 'х': 'x', 'і': 'i', 'ї': 'i', 'ј': 'j', 'ѕ': 's', 'ԁ': 'd',
+  'α': 'a', 'β': 'b', 'ε': 'e', 'η': 'n', 'ι': 'i', 'κ': 'k', 'ν': 'v', 'ο': 'o', 'ρ': 'p',
+  'τ': 't', 'υ': 'u', 'χ': 'x', 'ω': 'w',
+};
+
+// Leetspeak substitutions
+const LEET = {
+  '0': 'o', '1': 'i', '3': 'e', '4': 'a', '5': 's', '7': 't', '8': 'b', '9': 'g',
+  '@': 'a', '$': 's', '!': 'i', '|': 'i', '+': 't',
+};
+
+// How much an allow rule lowers the model's scores, unless the rules file sets allowScoreReduction
+const DEFAULT_ALLOW_SCORE_REDUCTION = 0.3;
+
+// Loaded rules - replaced wholesale on every reload
+let rules = {
+  blocklist: [],
+  allowlist: [],
+  patterns: [],
+  allowScoreReduction: DEFAULT_ALLOW_SCORE_REDUCTION,
+};
+let rulesLoadedAt = null;
+let rulesError = null;
+let watchingRules = false;
+
+/**
+ * Escapes a string for use in a RegExp
+ * @param {string} value - The string to escape
+ * @returns {string}
+ */
+function escapeRegExp(value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Normalizes text to defeat common evasion before blocklist matching:
+ * Unicode compatibility forms, accents, zero-width characters, homoglyphs and leetspeak
+ * e.g. "1d10t", "іdіоt" (Cyrillic), "ｉｄｉｏｔ" -> "idiot"
+ * @param {string} text - The text to normalize
+ * @returns {string}
+ */
+export function normalizeForRules(text) {
+  return text
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '') // Strip combining accents
+    .replace(/[\u200b-\u200d\u2060\ufeff]/g, '') // Strip zero-width characters
+    .toLowerCase()
+    .split('')
+    .map(char => HOMOGLYPHS[char] || LEET[char] || char)
+    .join('');
+}
+
+/**
+ * Splits normalized text into words for blocklist matching
+ * Separators inside words ("i.d.i.o.t") are removed, spaced-out letters ("i d i o t")
+ * are joined, and long repeats ("idiooooot") are collapsed
+ * @param {string} normalizedText - Text from normalizeForRules
+ * @returns {Array<string>}
+ */
+function tokenize(normalizedText) {
+  const rawTokens = normalizedText.split(/\s+/).filter(token => token.length > 0);
+  const tokens = [];
+  let spacedLetters = '';
+
+  for (const rawToken of rawTokens) {
+    const token = rawToken.replace(/[^a-z0-9]/g, '');
+    if (token.length === 1) {
+      spacedLetters += token;
+      continue;
+    }
+    if (spacedLetters.length > 0) {
+      tokens.push(spacedLetters);
+    }
+    spacedLetters = '';
+    if (token.length > 0) {
+      tokens.push(token);
+    }
+  }
+  if (spacedLetters.length > 0) {
+    tokens.push(spacedLetters);
+  }
+
+  // Also match with repeated letters collapsed ("idiooooot" -> "idiot")
+  return tokens.flatMap(token => {
+    const collapsed = token.replace(/(.)\1+/g, '$1');
+    return collapsed !== token ? [token, collapsed] : [token];
+  });
+}
+
+/**
+ * Reads a score reduction (0-1) from the rules file
+ * @param {*} value - The raw value
+ * @param {number} fallback - Used when the value is missing or out of range
+ * @returns {number}
+ */
+function toScoreReduction(value, fallback) {
+  return typeof value === 'number' && value >= 0 && value <= 1 ? value : fallback;
+}
+
+/**
+ * Validates and compiles the raw rules file contents
+ * MODERATION_BLOCKED_WORDS and MODERATION_BLOCKED_PATTERNS are added to the file's blocklist and patterns
+ * @param {Object} raw - Parsed JSON
+ * @returns {Object} - Compiled rules
+ */
+function compileRules(raw) {
+  const toList = (value) => (Array.isArray(value) ? value.filter(item => typeof item === 'string' && item.trim()) : []);
+  const allowScoreReduction = toScoreReduction(raw.allowScoreReduction, DEFAULT_ALLOW_SCORE_REDUCTION);
+
+  const rawPatterns = [
+    ...(Array.isArray(raw.patterns) ? raw.patterns : []),
+    ...config.moderation.rules.blockedPatterns.map(pattern => ({ name: pattern, pattern, action: 'block', category: 'local_rule' })),
+  ];
+  const patterns = rawPatterns
+    .filter(rule => rule && rule.enabled !== false && typeof rule.pattern === 'string')
+    .map(rule => {
+      try {
+        return {
+          name: rule.name || rule.pattern,
+          regex: new RegExp(rule.pattern, (rule.flags || 'i').replace('g', '')), // 'g' would make test() stateful
+          action: rule.action === 'allow' ? 'allow' : 'block',
+          category: rule.category || 'pattern',
+          scoreReduction: toScoreReduction(rule.scoreReduction, allowScoreReduction),
+        };
+      } catch (error) {
+        console.error(`[Rules] Skipping invalid pattern "${rule.name || rule.pattern}":`, error.message);
+        return null;
+      }
+    })
+    .filter(Boolean);
+
+  return {
+    blocklist: [...toList(raw.blocklist), ...config.moderation.rules.blockedWords].map(term => {
+      const normalized = normalizeForRules(term.trim());
+      return {
+        term: term.trim(),
+        // Single words are compared token by token (catches "i.d.i.o.t"), phrases as a whole
+        normalized: normalized.includes(' ') ? normalized : normalized.replace(/[^a-z0-9]/g, ''),
+        isPhrase: normalized.includes(' '),
+      };
+    }),
+    allowlist: toList(raw.allowlist).map(term => ({
+      term: term.trim(),
+      regex: new RegExp(`(^|[^\\p{L}\\p{N}])${escapeRegExp(term.trim())}(?=$|[^\\p{L}\\p{N}])`, 'giu'),
+    })),
+    patterns,
+    allowScoreReduction,
+  };
+}
+
+/**
+ * Loads (or reloads) the rules file
+ * A broken file keeps the previously loaded rules so a typo can't disable moderation
+ * @returns {Object} - { success, error }
+ */
+export function loadModerationRules() {
+  try {
+    const raw = fs.existsSync(rulesFile) ? JSON.parse(fs.readFileSync(rulesFile, 'utf8')) : {};
+    rules = compileRules(raw);
+    rulesLoadedAt = new Date().toISOString();
+    rulesError = null;
+    console.log(`[Rules] Loaded ${rules.blocklist.length} blocked terms, ${rules.allowlist.length} allowed terms, ${rules.patterns.length} patterns from ${rulesFile}`);
+    return { success: true };
+  } catch (error) {
+    rulesError = error.message;
+    console.error(`[Rules] Failed to load ${rulesFile}, keeping previous rules:`, error.message);
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * Watches the rules file and reloads it when it changes
+ */
+export function watchModerationRules() {
+  if (watchingRules || !config.moderation.rules.hotReload) {
+    return;
+  }
+  watchingRules = true;
+  fs.watchFile(rulesFile, { interval: 2000 }, (current, previous) => {
+    if (current.mtimeMs !== previous.mtimeMs) {
+      console.log('[Rules] Rules file changed, reloading');
+      loadModerationRules();
+    }
+  }).unref();
+}
+
+/**
+ * Stops watching the rules file
+ * Call this during graceful shutdown
+ */
+export function stopWatchingModerationRules() {
+  if (watchingRules) {
+    fs.unwatchFile(rulesFile);
+    watchingRules = false;
+  }
+}
+
+/**
+ * Gets the rules status for /health
+ * @returns {Object}
+ */
+export function getModerationRulesStatus() {
+  return {
+    file: rulesFile,
+    loadedAt: rulesLoadedAt,
+    error: rulesError,
+    blocklist: rules.blocklist.length,
+    allowlist: rules.allowlist.length,
+    patterns: rules.patterns.length,
+    allowScoreReduction: rules.allowScoreReduction,
+  };
+}
+
+/**
+ * Runs the local rules against a message
+ * - allowlist terms are removed from the text sent to the model (if nothing else is left, the model sees the whole message)
+ * - a blocklist term or blocking pattern blocks the message outright
+ * - allow rules never skip the model: each hit lowers the model's scores by its scoreReduction (the largest one counts)
+ * @param {string} text - The message text
+ * @returns {{ action: string, text: string, hits: Array, scoreReduction: number }} - action is 'block' or 'continue';
+ *          text is what should be sent to the model
+ */
+export function applyModerationRules(text) {
+  const hits = [];
+  const originalText = text.normalize('NFKC');
+
+  // Allowlist: strip in-jokes and proper nouns the model misflags
+  let remainingText = originalText;
+  for (const entry of rules.allowlist) {
+    entry.regex.lastIndex = 0;
+    if (entry.regex.test(remainingText)) {
+      hits.push({ rule: entry.term, type: 'allowlist', action: 'allow', category: 'allowlist', score: 0, scoreReduction: rules.allowScoreReduction });
+      remainingText = remainingText.replace(entry.regex, '$1');
+    }
+  }
+  remainingText = remainingText.replace(/\s+/g, ' ').trim();
+
+  // Regex patterns run on the un-normalized text (e.g. phone numbers need the digits)
+  for (const rule of rules.patterns) {
+    if (rule.regex.test(remainingText)) {
+      hits.push({
+        rule: rule.name,
+        type: 'pattern',
+        action: rule.action,
+        category: rule.category,
+        score: rule.action === 'block' ? 1 : 0,
+        scoreReduction: rule.action === 'allow' ? rule.scoreReduction : undefined,
+      });
+    }
+  }
+
+  // Blocklist: compare against normalized words to catch leetspeak and homoglyphs
+  const normalizedText = normalizeForRules(remainingText);
+  const tokens = new Set(tokenize(normalizedText));
+  for (const entry of rules.blocklist) {
+    const matched = entry.isPhrase
+      ? new RegExp(`(^|\\W)${escapeRegExp(entry.normalized)}(\\W|$)`).test(normalizedText)
+      : tokens.has(entry.normalized);
+    if (matched) {
+      hits.push({ rule: entry.term, type: 'blocklist', action: 'block', category: 'blocklist', score: 1 });
+    }
+  }
+
+  const allowHits = hits.filter(hit => hit.action === 'allow');
+  return {
+    action: hits.some(hit => hit.action === 'block') ? 'block' : 'continue',
+    text: remainingText || originalText,
+    hits,
+    scoreReduction: allowHits.length > 0 ? Math.max(...allowHits.map(hit => hit.scoreReduction)) : 0,
+  };
+}
+
+loadModerationRules();
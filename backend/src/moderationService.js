@@ -1,68 +1,154 @@
-import axios from 'axios';
-import { Client } from '@gradio/client';
 import { config } from './config.js';
+import {
+  getModerationProvider,
+  closeModerationProviders,
+  registerModerationProvider,
+  listModerationProviders,
+  getSaferValue,
+  getModerationProviderStatus,
+} from './moderationProviders.js';
+import { normalizeCategory, exceedsCategoryThreshold, hasCategoryThreshold, decideFromScores } from './moderationParser.js';
+import { applyModerationRules } from './moderationRules.js';
 
-// Cache the Gradio client connection
-let gradioClient = null;
-let clientConnectionPromise = null;
+export { closeModerationProviders, registerModerationProvider, listModerationProviders, getModerationProviderStatus, getSaferValue };
+
+// Results that describe a failure rather than a verdict - never cached, and handled by MODERATION_FAILURE_POLICY
+const FAILURE_REASONS = ['API_ERROR', 'PARSE_ERROR', 'UNEXPECTED_RESPONSE'];
+
+// LRU cache of moderation results, keyed by normalized text + settings fingerprint
+// Map iteration order is insertion order, so the first key is the least recently used
+const moderationCache = new Map();
+const cacheStats = { hits: 0, misses: 0, evictions: 0, invalidations: 0 };
+let cacheFingerprint = null;
 
 /**
- * Get or create the Gradio client connection
- * @returns {Promise<Client>}
+ * Builds a fingerprint of every setting that affects a moderation verdict
+ * When it changes (e.g. thresholds updated at runtime) the cache is invalidated
+ * @returns {string}
  */
-async function getGradioClient() {
-  if (gradioClient) {
-    return gradioClient;
-  }
-  
-  if (clientConnectionPromise) {
-    return clientConnectionPromise;
+function getSettingsFingerprint() {
+  return JSON.stringify({
+    provider: config.moderation.provider,
+    ensemble: config.moderation.ensemble,
+    saferValue: getSaferValue().saferValue,
+    threshold: config.moderation.threshold,
+    categoryThresholds: config.moderation.categoryThresholds,
+    disabledProviders: config.moderation.disabledProviders,
+  });
+}
+
+/**
+ * Gets a provider, refusing ones switched off with MODERATION_DISABLED_PROVIDERS or the admin API
+ * @param {string} name - The provider name
+ * @returns {Object} - The provider
+ */
+function getEnabledProvider(name) {
+  if (config.moderation.disabledProviders.includes(name)) {
+    throw new Error(`Moderation provider "${name}" is disabled`);
   }
-  
-  clientConnectionPromise = Client.connect("duchaba/Friendly_Text_Moderation")
-    .then(client => {
-      gradioClient = client;
-      clientConnectionPromise = null;
-      return client;
-    })
-    .catch(error => {
-      clientConnectionPromise = null;
-      throw error;
-    });
-  
-  return clientConnectionPromise;
+  return getModerationProvider(name);
 }
 
 /**
- * Close the Gradio client connection
- * Call this during graceful shutdown
+ * Normalizes text so trivially different messages ("Hi", " hi ") share a cache entry
+ * @param {string} text - The text to normalize
+ * @returns {string}
  */
-export async function closeGradioClient() {
-  if (gradioClient) {
-    try {
-      // Try to close/disconnect the client if methods exist
-      // The @gradio/client may use WebSocket connections that need cleanup
-      if (typeof gradioClient.close === 'function') {
-        await gradioClient.close();
-      } else if (typeof gradioClient.disconnect === 'function') {
-        await gradioClient.disconnect();
-      } else if (gradioClient.ws && typeof gradioClient.ws.close === 'function') {
-        // Try to close underlying WebSocket if it exists
-        gradioClient.ws.close();
-      }
-      console.log('Gradio client connection closed');
-    } catch (error) {
-      console.error('Error closing Gradio client:', error.message);
-    } finally {
-      // Always clear references to allow garbage collection
-      gradioClient = null;
-      clientConnectionPromise = null;
+function normalizeCacheText(text) {
+  return text.normalize('NFKC').trim().toLowerCase().replace(/\s+/g, ' ');
+}
+
+/**
+ * Looks up a cached result, invalidating the cache first if settings changed
+ * @param {string} text - The text being moderated
+ * @returns {Object|null} - A copy of the cached result, or null on a miss
+ */
+function getCachedResult(text) {
+  const { maxEntries, ttlMs } = config.moderation.cache;
+  if (maxEntries <= 0) {
+    return null;
+  }
+
+  const fingerprint = getSettingsFingerprint();
+  if (cacheFingerprint !== fingerprint) {
+    if (cacheFingerprint !== null && moderationCache.size > 0) {
+      console.log('[Moderation] Settings changed, clearing moderation cache');
+      clearModerationCache();
     }
+    cacheFingerprint = fingerprint;
+  }
+
+  const key = normalizeCacheText(text);
+  const entry = moderationCache.get(key);
+  if (!entry || Date.now() - entry.cachedAt > ttlMs) {
+    if (entry) {
+      moderationCache.delete(key);
+    }
+    cacheStats.misses++;
+    return null;
+  }
+
+  // Move to the end so it becomes the most recently used
+  moderationCache.delete(key);
+  moderationCache.set(key, entry);
+  cacheStats.hits++;
+
+  // Return a copy so callers can't modify the cached entry
+  const result = structuredClone(entry.result);
+  if (result.details && typeof result.details === 'object') {
+    result.details.cached = true;
   }
+  return result;
 }
 
 /**
- * Calls the Hugging Face API to moderate text content
+ * Stores a result in the cache, evicting the least recently used entry when full
+ * @param {string} text - The text that was moderated
+ * @param {Object} result - The moderation result
+ */
+function setCachedResult(text, result) {
+  const { maxEntries } = config.moderation.cache;
+  if (maxEntries <= 0 || FAILURE_REASONS.includes(result.reason)) {
+    return;
+  }
+
+  const key = normalizeCacheText(text);
+  moderationCache.delete(key);
+  moderationCache.set(key, { result: structuredClone(result), cachedAt: Date.now() });
+
+  while (moderationCache.size > maxEntries) {
+    moderationCache.delete(moderationCache.keys().next().value);
+    cacheStats.evictions++;
+  }
+}
+
+/**
+ * Clears all cached moderation results
+ * Call this whenever moderation settings change at runtime
+ */
+export function clearModerationCache() {
+  moderationCache.clear();
+  cacheStats.invalidations++;
+}
+
+/**
+ * Gets moderation cache statistics
+ * @returns {Object} - Size, hits, misses, hit ratio, evictions and invalidations
+ */
+export function getModerationCacheStats() {
+  const lookups = cacheStats.hits + cacheStats.misses;
+  return {
+    enabled: config.moderation.cache.maxEntries > 0,
+    size: moderationCache.size,
+    maxEntries: config.moderation.cache.maxEntries,
+    ttlMs: config.moderation.cache.ttlMs,
+    ...cacheStats,
+    hitRatio: lookups > 0 ? parseFloat((cacheStats.hits / lookups).toFixed(4)) : 0,
+  };
+}
+
+/**
+ * Moderates text content using the configured moderation provider
  * @param {string} text - The text to moderate
  * @returns {Promise<Object>} - Moderation result with isBlocked flag and details
  */
@@ -75,342 +161,421 @@ export async function moderateText(text) {
     };
   }
 
+  // Local rules run first: blocklist/regex hits never reach the model,
+  // and allowlisted terms are stripped from the text the model sees
+  let ruleHits = [];
+  let modelText = text;
+  let scoreReduction = 0;
+  if (config.moderation.rules.enabled) {
+    const rules = applyModerationRules(text);
+    ruleHits = rules.hits;
+    if (rules.action === 'block') {
+      return buildRulesResult(rules);
+    }
+    modelText = rules.text;
+    scoreReduction = rules.scoreReduction;
+  }
+
+  const result = await moderateWithProvider(modelText);
+  if (ruleHits.length > 0 && result.details && typeof result.details === 'object') {
+    result.details.ruleHits = ruleHits;
+    // Allow rules only lower the model's scores - they never skip it
+    if (scoreReduction > 0 && !result.details.failurePolicy) {
+      applyAllowRules(result, scoreReduction);
+    }
+  }
+  return result;
+}
+
+/**
+ * Lowers a model result's scores for matched allow rules and decides the verdict again
+ * Categories with their own threshold (e.g. zero tolerance) keep their scores, and the model's own flag is ignored
+ * since it was computed from the unlowered scores. Results without category scores are left as they are.
+ * @param {Object} result - The model's moderation result (changed in place)
+ * @param {number} reduction - How much to lower each score (0-1)
+ */
+function applyAllowRules(result, reduction) {
+  const details = result.details;
+  if (!details.scores || Object.keys(details.scores).length === 0) {
+    return;
+  }
+
+  const scores = {};
+  let maxScore = 0;
+  let maxCategory = null;
+  for (const [category, score] of Object.entries(details.scores)) {
+    if (typeof score !== 'number') {
+      continue;
+    }
+    scores[category] = hasCategoryThreshold(category) ? score : Math.max(0, Math.round((score - reduction) * 10000) / 10000);
+    if (scores[category] > maxScore) {
+      maxScore = scores[category];
+      maxCategory = category;
+    }
+  }
+
+  // A "safe" score rises by the same amount
+  const okScore = typeof details.okScore === 'number' && details.okScore > 0 ? Math.min(1, details.okScore + reduction) : details.okScore;
+  const decision = decideFromScores({ ...details, scores, maxScore, maxCategory, okScore }, config.moderation.threshold, { useFlags: false });
+  result.isBlocked = decision.isBlocked;
+  result.reason = decision.reason;
+  Object.assign(details, {
+    modelScores: details.scores,
+    scores,
+    maxScore,
+    maxCategory,
+    okScore,
+    exceededCategories: decision.exceededCategories,
+    allowScoreReduction: reduction,
+  });
+}
+
+/**
+ * Builds a moderation result for a message decided by the local rules alone
+ * Rule hits are reported like model scores so the UI and feedback logs can show them
+ * @param {Object} rules - Result of applyModerationRules
+ * @returns {Object} - Moderation result
+ */
+function buildRulesResult(rules) {
+  const isBlocked = rules.action === 'block';
+  const scores = {};
+  for (const hit of rules.hits) {
+    scores[hit.category] = Math.max(scores[hit.category] || 0, hit.score);
+  }
+  const firstBlock = rules.hits.find(hit => hit.action === 'block');
+
+  return {
+    isBlocked,
+    reason: isBlocked ? `Blocked: Matched ${firstBlock.type} rule (${firstBlock.rule})` : 'OK',
+    details: {
+      provider: 'rules',
+      scores,
+      maxScore: isBlocked ? 1 : 0,
+      maxCategory: isBlocked ? firstBlock.category : null,
+      threshold: config.moderation.threshold,
+      ruleHits: rules.hits,
+    },
+  };
+}
+
+/**
+ * Moderates text with the configured provider (or ensemble), using the cache
+ * @param {string} text - The text to moderate
+ * @returns {Promise<Object>} - Moderation result
+ */
+async function moderateWithProvider(text) {
+  // Repeated messages ("hi", "lol") are served from the cache
+  const cachedResult = getCachedResult(text);
+  if (cachedResult) {
+    return cachedResult;
+  }
+
   try {
-    // Check if we're using a Space API (hf.space) or Model API (api-inference.huggingface.co)
-    const isSpaceAPI = config.huggingFace.apiUrl.includes('.hf.space') || 
-                       config.huggingFace.apiUrl.includes('duchaba/Friendly_Text_Moderation');
-    
-    let response;
-    if (isSpaceAPI) {
-      // Use Gradio Client library as per Space documentation
-      // Option 1: Use SAFER_VALUE directly if set in .env (0.005-0.1) - takes precedence
-      // Option 2: Map MODERATION_THRESHOLD (0.0-1.0) to safer range (0.005-0.1)
-      let saferValue;
-      let thresholdSource;
-      
-      if (config.moderation.saferValue !== null && config.moderation.saferValue !== undefined) {
-        // Use direct safer value from .env (takes precedence)
-        saferValue = Math.max(0.005, Math.min(0.1, config.moderation.saferValue));
-        thresholdSource = `SAFER_VALUE=${config.moderation.saferValue}`;
-      } else {
-        // Map threshold to safer value
-        // Higher threshold = stricter = lower safer value
-        // Threshold 0.0 (very permissive) -> safer 0.1 (less safe, allows more)
-        // Threshold 1.0 (very strict) -> safer 0.005 (very safe, blocks more)
-        const threshold = config.moderation.threshold || 0.5;
-        saferValue = Math.max(0.005, Math.min(0.1, 0.1 - (threshold * 0.095)));
-        thresholdSource = `MODERATION_THRESHOLD=${threshold}`;
-      }
-      
-      // Log which value is being used
-      const thresholdLevel = saferValue > 0.08 ? 'PERMISSIVE' : saferValue < 0.02 ? 'STRICT' : 'MODERATE';
-      console.log(`[Moderation] ${thresholdSource} → safer=${saferValue.toFixed(4)} (${thresholdLevel})`);
-      
-      // Get or create the Gradio client connection
-      const client = await getGradioClient();
-      
-      // Call the API endpoint as shown in the Space documentation
-      const result = await client.predict("/fetch_toxicity_level", {
-        msg: text,
-        safer: saferValue,
-      });
-      
-      // Result is an array: [plot_output, json_string]
-      // The json_string contains the moderation results
-      return parseGradioClientResponse(result, text);
+    let result;
+    if (config.moderation.provider === 'ensemble') {
+      // MODERATION_PROVIDER=ensemble runs several providers and combines their verdicts
+      result = await moderateWithEnsemble(text);
     } else {
-      // Standard Inference API format
-      response = await axios.post(
-        config.huggingFace.apiUrl,
-        { inputs: text },
-        {
-          headers: {
-            'Authorization': `Bearer ${config.huggingFace.apiToken}`,
-            'Content-Type': 'application/json',
-          },
-          timeout: 10000, // 10 second timeout
-        }
-      );
-      // Parse the response based on Hugging Face API format
-      const moderationResult = parseModerationResponse(response.data, text);
-      return moderationResult;
+      // The active provider is selected by MODERATION_PROVIDER (see moderationProviders.js)
+      const provider = getEnabledProvider(config.moderation.provider);
+      const run = await runProvider(provider, text);
+      result = run.result;
+
+      // Record which provider produced the decision
+      if (result.details && typeof result.details === 'object') {
+        result.details.provider = provider.name;
+        result.details.latencyMs = run.latencyMs;
+      }
+    }
+
+    // PARSE_ERROR / UNEXPECTED_RESPONSE are failures too, not verdicts
+    if (FAILURE_REASONS.includes(result.reason)) {
+      return await applyFailurePolicy(text, result);
     }
+
+    setCachedResult(text, result);
+    return result;
   } catch (error) {
     console.error('Moderation API error:', error.message);
     
-    // Graceful degradation: if API fails, we can either:
-    // 1. Block all messages (safer)
-    // 2. Allow all messages with warning (more permissive)
-    // Using option 2 for better UX, but logging the error
-    return {
+    return await applyFailurePolicy(text, {
       isBlocked: false,
       reason: 'API_ERROR',
       details: {
         error: error.message,
+        provider: config.moderation.provider,
         fallback: 'Message allowed due to API error',
       },
-    };
+    });
   }
 }
 
 /**
- * Parses Gradio Client response
- * Response format: { type: "data", time: "...", data: [plot_output, json_string] }
- * The json_string contains the actual moderation results
+ * Decides what to do when the provider fails (API_ERROR, PARSE_ERROR, UNEXPECTED_RESPONSE)
+ * using MODERATION_FAILURE_POLICY:
+ * - open:   allow the message (original behavior, better UX but unmoderated)
+ * - closed: block the message with a friendly notice
+ * - local:  fall back to the local keyword/regex provider
+ * - queue:  hold the message until the provider recovers (see moderatorHandler.js)
+ * @param {string} text - The text being moderated
+ * @param {Object} failureResult - The failure result
+ * @returns {Promise<Object>} - Moderation result
  */
-function parseGradioClientResponse(clientResponse, originalText) {
-  try {
-    // Gradio client returns an object: { type: "data", data: [plot_data, json_string] }
-    // Or sometimes just the array directly
-    let dataArray;
-    
-    if (clientResponse && clientResponse.data && Array.isArray(clientResponse.data)) {
-      // Response is wrapped in an object with data property
-      dataArray = clientResponse.data;
-    } else if (Array.isArray(clientResponse)) {
-      // Response is directly an array
-      dataArray = clientResponse;
-    } else {
-      console.error('Unexpected Gradio client response format:', JSON.stringify(clientResponse).substring(0, 200));
-      return {
-        isBlocked: false,
-        reason: 'UNEXPECTED_RESPONSE',
-        details: { response: clientResponse },
-      };
-    }
-
-    if (!Array.isArray(dataArray) || dataArray.length < 2) {
-      console.error('Unexpected data array format:', dataArray);
-      return {
-        isBlocked: false,
-        reason: 'UNEXPECTED_RESPONSE',
-        details: { response: clientResponse },
-      };
-    }
+async function applyFailurePolicy(text, failureResult) {
+  const policy = config.moderation.failurePolicy;
+  const failureDetails = {
+    ...(failureResult.details || {}),
+    failureReason: failureResult.reason,
+    failurePolicy: policy,
+  };
 
-    // The second element is the JSON string output
-    const jsonString = dataArray[1];
-    
-    if (!jsonString) {
-      console.error('No JSON string found in response:', dataArray);
+  switch (policy) {
+    case 'closed':
       return {
-        isBlocked: false,
-        reason: 'UNEXPECTED_RESPONSE',
-        details: { response: clientResponse },
+        isBlocked: true,
+        reason: 'Moderation is temporarily unavailable, so your message could not be checked. Please try again shortly.',
+        details: {
+          ...failureDetails,
+          fallback: 'Message blocked due to moderation error',
+        },
       };
-    }
-    
-    // Parse the JSON string
-    let moderationData;
-    if (typeof jsonString === 'string') {
+    case 'local':
       try {
-        moderationData = JSON.parse(jsonString);
-      } catch (parseError) {
-        console.error('Failed to parse JSON string:', parseError);
-        console.error('JSON string:', jsonString.substring(0, 200));
+        const localResult = await getEnabledProvider('local').moderate(text);
         return {
-          isBlocked: false,
-          reason: 'PARSE_ERROR',
-          details: { 
-            error: parseError.message,
-            jsonString: jsonString.substring(0, 200),
+          ...localResult,
+          details: {
+            ...(localResult.details || {}),
+            ...failureDetails,
+            provider: 'local',
+            fallback: 'Message checked by local rules due to moderation error',
           },
         };
+      } catch (error) {
+        console.error('Local moderation fallback failed:', error.message);
+        return { ...failureResult, details: failureDetails };
       }
-    } else {
-      moderationData = jsonString;
+    case 'queue':
+      return {
+        isBlocked: false,
+        reason: 'Held until the moderation service recovers',
+        details: {
+          ...failureDetails,
+          awaitingRecovery: true,
+          fallback: 'Message held due to moderation error',
+        },
+      };
+    case 'open':
+    default:
+      // Graceful degradation: allow the message but keep the failure reason
+      return { ...failureResult, details: failureDetails };
+  }
+}
+
+/**
+ * Maps a moderation result onto a graduated action using the configured score bands
+ * - block: the provider/threshold decision blocked it, or maxScore reaches MODERATION_BLOCK_SCORE
+ * - hold:  maxScore reaches MODERATION_HOLD_SCORE - held in the review queue until a moderator approves it
+ * - warn:  maxScore reaches MODERATION_WARN_SCORE - delivered with a warning badge
+ * - allow: everything else
+ * @param {Object} moderationResult - Result from moderateText
+ * @param {Object} options - Optional overrides
+ * @param {number} options.threshold - A room's own threshold; scored verdicts are re-decided with it as the default
+ *                                     for categories without their own threshold (rule blocks and failure-policy verdicts stand)
+ * @returns {{ action: string, reason: string }}
+ */
+export function getModerationAction(moderationResult, options = {}) {
+  const { warn, hold, block } = config.moderation.tiers;
+  const details = moderationResult.details || {};
+  const score = typeof details.maxScore === 'number' ? details.maxScore : 0;
+  const category = details.maxCategory || 'toxicity';
+
+  let { isBlocked, reason } = moderationResult;
+  if (typeof options.threshold === 'number' && details.provider !== 'rules' && !details.failurePolicy) {
+    // The room's threshold replaces MODERATION_THRESHOLD only; per-category thresholds and the model's own flag still apply
+    const decision = decideFromScores(details, options.threshold);
+    if (decision) {
+      isBlocked = decision.isBlocked;
+      reason = decision.reason;
     }
+  }
 
-    // Parse the moderation data
-    return parseModerationResponse(moderationData, originalText);
-  } catch (error) {
-    console.error('Error parsing Gradio client response:', error);
-    return {
-      isBlocked: false,
-      reason: 'PARSE_ERROR',
-      details: { 
-        error: error.message,
-        response: JSON.stringify(clientResponse).substring(0, 200),
-      },
-    };
+  if (isBlocked) {
+    return { action: 'block', reason };
+  }
+  if (details.awaitingRecovery) {
+    // MODERATION_FAILURE_POLICY=queue - held until the provider recovers
+    return { action: 'hold', reason };
+  }
+  if (block !== null && score >= block) {
+    return { action: 'block', reason: `Blocked due to ${category} (score: ${score.toFixed(4)})` };
+  }
+  if (hold !== null && score >= hold) {
+    return { action: 'hold', reason: `Held for moderator review: ${category} (score: ${score.toFixed(4)})` };
   }
+  if (warn !== null && score >= warn) {
+    return { action: 'warn', reason: `Possibly ${category} (score: ${score.toFixed(4)})` };
+  }
+  return { action: 'allow', reason };
 }
 
 /**
- * Parses the Hugging Face API response and determines if message should be blocked
- * @param {any} apiResponse - The raw API response
- * @param {string} originalText - The original text that was moderated
- * @returns {Object} - Parsed moderation result
+ * Runs a single provider and measures how long it took
+ * @param {Object} provider - The moderation provider
+ * @param {string} text - The text to moderate
+ * @returns {Promise<{ result: Object, latencyMs: number }>}
  */
-function parseModerationResponse(apiResponse, originalText) {
-  // Handle different response formats from Hugging Face API
-  let scores = {};
-  
-  // The API might return an array or object
-  if (Array.isArray(apiResponse)) {
-    // Check if it's an array of arrays (Vrandan format: [[label, score], ...])
-    if (apiResponse.length > 0 && Array.isArray(apiResponse[0])) {
-      // Convert array format to object: [[label, score], ...] -> {label: score, ...}
-      apiResponse.forEach(([label, score]) => {
-        if (typeof label === 'string' && typeof score === 'number') {
-          scores[label.toLowerCase()] = score;
-        }
-      });
-    } else {
-      // If array of objects, take the first element
-      scores = apiResponse[0] || {};
+async function runProvider(provider, text) {
+  const startTime = Date.now();
+  const result = await provider.moderate(text);
+  return { result, latencyMs: Date.now() - startTime };
+}
+
+/**
+ * Runs all ensemble providers in parallel and combines their verdicts
+ * using MODERATION_ENSEMBLE_POLICY (any, majority, weighted, strictest)
+ * @param {string} text - The text to moderate
+ * @returns {Promise<Object>} - Combined moderation result
+ */
+async function moderateWithEnsemble(text) {
+  const { policy, weights } = config.moderation.ensemble;
+  // Disabled providers are left out of the vote entirely
+  const providerNames = config.moderation.ensemble.providers
+    .filter(name => !config.moderation.disabledProviders.includes(name));
+
+  if (providerNames.length === 0) {
+    throw new Error('MODERATION_ENSEMBLE_PROVIDERS must list at least one enabled provider');
+  }
+
+  // Run every provider in parallel - a failing provider is recorded but does not vote
+  const verdicts = await Promise.all(providerNames.map(async (name) => {
+    const startTime = Date.now();
+    try {
+      const provider = getModerationProvider(name);
+      const { result, latencyMs } = await runProvider(provider, text);
+      if (FAILURE_REASONS.includes(result.reason)) {
+        // A provider that couldn't produce a verdict doesn't vote
+        throw new Error(result.reason);
+      }
+      return {
+        provider: name,
+        isBlocked: result.isBlocked,
+        reason: result.reason,
+        maxScore: result.details?.maxScore ?? (result.isBlocked ? 1 : 0),
+        maxCategory: result.details?.maxCategory || null,
+        scores: result.details?.scores || {},
+        weight: weights[name] ?? 1,
+        latencyMs,
+      };
+    } catch (error) {
+      console.error(`[Moderation] Ensemble provider "${name}" failed:`, error.message);
+      return {
+        provider: name,
+        error: error.message,
+        weight: weights[name] ?? 1,
+        latencyMs: Date.now() - startTime,
+      };
+    }
+  }));
+
+  const voters = verdicts.filter(verdict => !verdict.error);
+  if (voters.length === 0) {
+    throw new Error(`All ensemble providers failed: ${verdicts.map(v => `${v.provider} (${v.error})`).join(', ')}`);
+  }
+
+  // Merge category scores, keeping the highest score any provider reported
+  const mergedScores = {};
+  const scoreSources = {};
+  for (const voter of voters) {
+    // Providers without category scores (e.g. local rules) contribute their top category
+    const scores = Object.keys(voter.scores).length > 0
+      ? voter.scores
+      : (voter.maxCategory ? { [voter.maxCategory]: voter.maxScore } : {});
+    for (const [category, score] of Object.entries(scores)) {
+      const key = normalizeCategory(category);
+      if (typeof score === 'number' && (mergedScores[key] === undefined || score > mergedScores[key])) {
+        mergedScores[key] = score;
+        scoreSources[key] = voter.provider;
+      }
     }
-  } else if (typeof apiResponse === 'object') {
-    scores = apiResponse;
-  } else {
-    // Unexpected format
-    return {
-      isBlocked: false,
-      reason: 'UNEXPECTED_RESPONSE',
-      details: { response: apiResponse },
-    };
   }
 
-  // Extract toxicity scores
-  // Friendly Text Moderation API returns scores with underscores and boolean flags
-  // Categories: harassment, harassment_threatening, hate, hate_threatening, 
-  // illicit, illicit_violent, self_harm, self_harm_instructions, self_harm_intent,
-  // sexual, sexual_minors, violence, violence_graphic
-  // Also includes: is_flagged, is_safer_flagged (boolean flags)
-  const toxicCategories = [
-    // Underscore format (what the API actually returns)
-    'violence_graphic',
-    'violence',
-    'sexual_minors',
-    'sexual',
-    'self_harm_intent',
-    'self_harm_instructions',
-    'self_harm',
-    'hate_threatening',
-    'hate',
-    'harassment_threatening',
-    'harassment',
-    'illicit_violent',
-    'illicit',
-    // Slash format (also returned)
-    'violence/graphic',
-    'sexual/minors',
-    'self-harm/intent',
-    'self-harm/instructions',
-    'self-harm',
-    'hate/threatening',
-    'harassment/threatening',
-    'illicit/violent',
-    // Space format (for compatibility)
-    'violence graphic',
-    'sexual minors',
-    'self harm',
-    'hate threatening',
-    'harassment threatening',
-  ];
-
-  const categoryScores = {};
   let maxScore = 0;
   let maxCategory = null;
-
-  // Check each category
-  for (const category of toxicCategories) {
-    // Try different possible key formats (case-insensitive)
-    const categoryLower = category.toLowerCase();
-    const score = scores[category] || 
-                  scores[categoryLower] ||
-                  scores[`${category}_score`] || 
-                  scores[`${categoryLower}_score`] ||
-                  scores[`${category}Score`] ||
-                  scores[`${categoryLower}Score`] ||
-                  0;
-    
-    if (typeof score === 'number') {
-      // Skip "safe content" as it's the positive label
-      if (categoryLower !== 'safe content') {
-        categoryScores[category] = score;
-        if (score > maxScore) {
-          maxScore = score;
-          maxCategory = category;
-        }
-      }
+  for (const [category, score] of Object.entries(mergedScores)) {
+    if (score > maxScore) {
+      maxScore = score;
+      maxCategory = category;
     }
   }
 
-  // Check the API's built-in flags (most reliable)
-  // The API returns is_flagged and is_safer_flagged as boolean values
-  const isFlagged = scores['is_flagged'] === true;
-  const isSaferFlagged = scores['is_safer_flagged'] === true;
-  const hasFlags = 'is_flagged' in scores || 'is_safer_flagged' in scores;
-  
-  // Check if "safe" or "OK" score exists (non-offensive content)
-  const okScore = scores['safe'] ||
-                  scores['Safe'] ||
-                  scores['OK'] || 
-                  scores['ok'] || 
-                  scores['non_toxic'] || 
-                  scores['safe content'] ||
-                  scores['Safe Content'] ||
-                  0;
-
-  // Determine if message should be blocked
-  // The API's is_safer_flagged flag is based on the safer parameter we sent (derived from MODERATION_THRESHOLD)
-  // So the threshold IS being used, but indirectly through the API's flag system
+  const threshold = config.moderation.threshold;
+  const blockingVoters = voters.filter(voter => voter.isBlocked);
   let isBlocked;
-  if (hasFlags) {
-    // Use the API's built-in flags (most reliable)
-    // is_flagged = flagged by the model itself (strict detection, independent of threshold)
-    // is_safer_flagged = flagged based on the safer threshold we sent (this uses MODERATION_THRESHOLD!)
-    // 
-    // IMPORTANT: is_safer_flagged is calculated by the API based on the safer parameter,
-    // which is derived from MODERATION_THRESHOLD. So changing MODERATION_THRESHOLD
-    // DOES affect moderation by changing what the API considers "safer_flagged"
-    isBlocked = isFlagged || isSaferFlagged;
-    
-    // Log the decision - is_safer_flagged is based on your MODERATION_THRESHOLD!
-    console.log(`[Moderation] Decision: is_flagged=${isFlagged}, is_safer_flagged=${isSaferFlagged} (from threshold ${config.moderation.threshold}) → BLOCKED: ${isBlocked}`);
-  } else {
-    // Fallback: Use threshold comparison if flags not available
-    // Block if any toxic category exceeds threshold OR if OK score is below threshold
-    isBlocked = maxScore >= config.moderation.threshold || 
-                (okScore > 0 && okScore < (1 - config.moderation.threshold));
-    
-    if (config.server.nodeEnv === 'development') {
-      console.log(`[Moderation] Fallback threshold check - maxScore: ${maxScore}, threshold: ${config.moderation.threshold}, blocked: ${isBlocked}`);
+  let blockedBy;
+  let weightedScore;
+
+  switch (policy) {
+    case 'majority':
+      isBlocked = blockingVoters.length > voters.length / 2;
+      blockedBy = isBlocked ? blockingVoters.map(voter => voter.provider) : [];
+      break;
+    case 'weighted': {
+      // Weighted average of each provider's highest category score
+      const totalWeight = voters.reduce((sum, voter) => sum + voter.weight, 0);
+      weightedScore = totalWeight > 0
+        ? voters.reduce((sum, voter) => sum + voter.maxScore * voter.weight, 0) / totalWeight
+        : 0;
+      isBlocked = weightedScore >= threshold;
+      blockedBy = isBlocked ? voters.filter(voter => voter.maxScore >= threshold).map(voter => voter.provider) : [];
+      break;
     }
+    case 'strictest': {
+      // Per category, the strictest (highest) score any provider reported wins,
+      // compared against that category's threshold.
+      // Providers without category scores (e.g. local rules) still count with their own verdict.
+      const blockedCategories = Object.keys(mergedScores).filter(category => exceedsCategoryThreshold(category, mergedScores[category]));
+      const unscoredBlockers = blockingVoters.filter(voter => Object.keys(voter.scores).length === 0);
+      isBlocked = blockedCategories.length > 0 || unscoredBlockers.length > 0;
+      blockedBy = [...new Set([
+        ...blockedCategories.map(category => scoreSources[category]),
+        ...unscoredBlockers.map(voter => voter.provider),
+      ])];
+      break;
+    }
+    case 'any':
+    default:
+      isBlocked = blockingVoters.length > 0;
+      blockedBy = blockingVoters.map(voter => voter.provider);
+      break;
   }
 
-  // Build reason message
   let reason;
   if (isBlocked) {
-    if (hasFlags) {
-      if (isFlagged && isSaferFlagged) {
-        reason = `Blocked: Flagged by model and safer threshold`;
-      } else if (isFlagged) {
-        reason = `Blocked: Flagged by model`;
-      } else {
-        reason = `Blocked: Exceeds safer threshold (${maxCategory || 'toxicity'})`;
-      }
-    } else {
-      reason = `Blocked due to ${maxCategory || 'toxicity'} (score: ${maxScore.toFixed(4)})`;
-    }
+    const leadVerdict = voters.find(voter => voter.provider === blockedBy[0]);
+    reason = `Blocked by ${blockedBy.join(', ') || 'ensemble'} (${policy}): ${leadVerdict?.maxCategory || maxCategory || 'toxicity'}`;
   } else {
     reason = 'OK';
   }
 
+  console.log(`[Moderation] Ensemble (${policy}): ${blockingVoters.length}/${voters.length} providers flagged → BLOCKED: ${isBlocked}`);
+
   return {
     isBlocked,
     reason,
     details: {
-      scores: categoryScores,
+      provider: 'ensemble',
+      scores: mergedScores,
       maxScore,
       maxCategory,
-      okScore,
-      threshold: config.moderation.threshold,
-      isFlagged: hasFlags ? isFlagged : undefined,
-      isSaferFlagged: hasFlags ? isSaferFlagged : undefined,
-      // Include raw scores for debugging (but limit size)
-      rawScores: Object.keys(scores).length < 50 ? scores : undefined,
+      threshold,
+      blockedBy,
+      ensemble: {
+        policy,
+        weightedScore,
+        // Each provider's verdict and latency, so feedback can be attributed to a provider
+        verdicts: verdicts.map(({ scores, ...verdict }) => verdict),
+      },
     },
   };
 }
@@ -0,0 +1,234 @@
+import { config } from './config.js';
+import { listModerationProviders, clearModerationCache, getSaferValue } from './moderationService.js';
+import { logAdminAudit } from './loggingService.js';
+
+const FAILURE_POLICIES = ['open', 'closed', 'local', 'queue'];
+const ENSEMBLE_POLICIES = ['any', 'majority', 'weighted', 'strictest'];
+
+// SAFER_VALUE is clamped to this range by the Gradio space
+const SAFER_VALUE_MIN = 0.005;
+const SAFER_VALUE_MAX = 0.1;
+
+/**
+ * Gets the moderation settings that can be changed at runtime
+ * @returns {Object}
+ */
+export function getModerationSettings() {
+  const { moderation } = config;
+  const registered = listModerationProviders();
+
+  return {
+    threshold: moderation.threshold,
+    saferValue: moderation.saferValue,
+    effectiveSaferValue: getSaferValue().saferValue,
+    categoryThresholds: { ...moderation.categoryThresholds },
+    tiers: { ...moderation.tiers },
+    failurePolicy: moderation.failurePolicy,
+    provider: moderation.provider,
+    ensemble: {
+      providers: [...moderation.ensemble.providers],
+      policy: moderation.ensemble.policy,
+      weights: { ...moderation.ensemble.weights },
+    },
+    // true = enabled
+    providers: Object.fromEntries(registered.map(name => [name, !moderation.disabledProviders.includes(name)])),
+  };
+}
+
+/**
+ * Checks that a value is a number in [min, max]
+ * @returns {string|null} - Error message, or null if valid
+ */
+function checkRange(field, value, min, max) {
+  if (typeof value !== 'number' || !Number.isFinite(value) || value < min || value > max) {
+    return `${field} must be a number between ${min} and ${max}`;
+  }
+  return null;
+}
+
+/**
+ * Validates a settings change and builds the new values
+ * @param {Object} changes - Requested changes (same shape as getModerationSettings)
+ * @returns {Object} - { success, updates } or { success: false, error }
+ */
+function validateChanges(changes) {
+  const updates = {};
+  const errors = [];
+  const registered = listModerationProviders();
+
+  if (!changes || typeof changes !== 'object' || Array.isArray(changes)) {
+    return { success: false, error: 'Settings must be a JSON object' };
+  }
+
+  const known = ['threshold', 'saferValue', 'categoryThresholds', 'tiers', 'failurePolicy', 'provider', 'ensemble', 'providers'];
+  const unknown = Object.keys(changes).filter(key => !known.includes(key));
+  if (unknown.length > 0) {
+    errors.push(`Unknown settings: ${unknown.join(', ')}`);
+  }
+
+  if (changes.threshold !== undefined) {
+    const error = checkRange('threshold', changes.threshold, 0, 1);
+    if (error) {
+      errors.push(error);
+    } else {
+      updates.threshold = changes.threshold;
+    }
+  }
+
+  if (changes.saferValue !== undefined) {
+    // null goes back to deriving the safer value from the threshold
+    const error = changes.saferValue === null ? null : checkRange('saferValue', changes.saferValue, SAFER_VALUE_MIN, SAFER_VALUE_MAX);
+    if (error) {
+      errors.push(error);
+    } else {
+      updates.saferValue = changes.saferValue;
+    }
+  }
+
+  if (changes.categoryThresholds !== undefined) {
+    if (!changes.categoryThresholds || typeof changes.categoryThresholds !== 'object' || Array.isArray(changes.categoryThresholds)) {
+      errors.push('categoryThresholds must be an object of category: number');
+    } else {
+      const rangeErrors = Object.entries(changes.categoryThresholds)
+        .map(([category, value]) => checkRange(`categoryThresholds.${category}`, value, 0, 1))
+        .filter(Boolean);
+      if (rangeErrors.length > 0) {
+        errors.push(...rangeErrors);
+      } else {
+        updates.categoryThresholds = { ...changes.categoryThresholds };
+      }
+    }
+  }
+
+  if (changes.tiers !== undefined) {
+    const tiers = { ...config.moderation.tiers };
+    for (const [tier, value] of Object.entries(changes.tiers || {})) {
+      if (!(tier in tiers)) {
+        errors.push(`Unknown tier "${tier}" (expected warn, hold or block)`);
+        continue;
+      }
+      // null disables the tier
+      const error = value === null ? null : checkRange(`tiers.${tier}`, value, 0, 1);
+      if (error) {
+        errors.push(error);
+      } else {
+        tiers[tier] = value;
+      }
+    }
+    updates.tiers = tiers;
+  }
+
+  if (changes.failurePolicy !== undefined) {
+    if (FAILURE_POLICIES.includes(changes.failurePolicy)) {
+      updates.failurePolicy = changes.failurePolicy;
+    } else {
+      errors.push(`failurePolicy must be one of: ${FAILURE_POLICIES.join(', ')}`);
+    }
+  }
+
+  if (changes.provider !== undefined) {
+    if (changes.provider === 'ensemble' || registered.includes(changes.provider)) {
+      updates.provider = changes.provider;
+    } else {
+      errors.push(`provider must be "ensemble" or one of: ${registered.join(', ')}`);
+    }
+  }
+
+  if (changes.ensemble !== undefined) {
+    const ensemble = { ...config.moderation.ensemble };
+    const { providers, policy, weights } = changes.ensemble || {};
+    if (providers !== undefined) {
+      const unknownProviders = Array.isArray(providers) ? providers.filter(name => !registered.includes(name)) : [];
+      if (!Array.isArray(providers) || providers.length === 0) {
+        errors.push('ensemble.providers must be a non-empty array');
+      } else if (unknownProviders.length > 0) {
+        errors.push(`Unknown ensemble providers: ${unknownProviders.join(', ')}`);
+      } else {
+        ensemble.providers = [...providers];
+      }
+    }
+    if (policy !== undefined) {
+      if (ENSEMBLE_POLICIES.includes(policy)) {
+        ensemble.policy = policy;
+      } else {
+        errors.push(`ensemble.policy must be one of: ${ENSEMBLE_POLICIES.join(', ')}`);
+      }
+    }
+    if (weights !== undefined) {
+      const weightErrors = Object.entries(weights || {})
+        .map(([name, value]) => checkRange(`ensemble.weights.${name}`, value, 0, Number.MAX_SAFE_INTEGER))
+        .filter(Boolean);
+      if (weightErrors.length > 0) {
+        errors.push(...weightErrors);
+      } else {
+        ensemble.weights = { ...weights };
+      }
+    }
+    updates.ensemble = ensemble;
+  }
+
+  if (changes.providers !== undefined) {
+    const disabled = new Set(config.moderation.disabledProviders);
+    for (const [name, enabled] of Object.entries(changes.providers || {})) {
+      if (!registered.includes(name)) {
+        errors.push(`Unknown provider "${name}"`);
+      } else if (typeof enabled !== 'boolean') {
+        errors.push(`providers.${name} must be true or false`);
+      } else {
+        if (enabled) {
+          disabled.delete(name);
+        } else {
+          disabled.add(name);
+        }
+      }
+    }
+    updates.disabledProviders = Array.from(disabled);
+  }
+
+  if (errors.length > 0) {
+    return { success: false, error: errors.join('; ') };
+  }
+  return { success: true, updates };
+}
+
+/**
+ * Applies a settings change to the running server
+ * Every changed field is written to the admin audit log
+ * Settings are kept by each instance, so changes are refused when instances share state (STATE_STORE=redis)
+ * @param {Object} changes - Requested changes (same shape as getModerationSettings)
+ * @param {string} actor - Who made the change
+ * @param {string} source - Where the change came from ('api', 'recommendation', ...)
+ * @returns {Object} - { success, settings, changed } or { success: false, error, statusCode }
+ */
+export function updateModerationSettings(changes, actor = 'admin', source = 'api') {
+  if (config.state.store === 'redis') {
+    return {
+      success: false,
+      error: 'Moderation settings can\'t be changed while the server runs on several instances. Change them in the environment instead.',
+      statusCode: 409,
+    };
+  }
+  const validation = validateChanges(changes);
+  if (!validation.success) {
+    return validation;
+  }
+
+  const changed = [];
+  for (const [field, value] of Object.entries(validation.updates)) {
+    const previous = config.moderation[field];
+    if (JSON.stringify(previous) === JSON.stringify(value)) {
+      continue;
+    }
+    config.moderation[field] = value;
+    changed.push(field);
+    logAdminAudit({ actor, source, setting: `moderation.${field}`, previous, value });
+  }
+
+  if (changed.length > 0) {
+    // Cached verdicts were computed with the old settings
+    clearModerationCache();
+    console.log(`[Admin] ${actor} changed moderation settings (${source}): ${changed.join(', ')}`);
+  }
+
+  return { success: true, settings: getModerationSettings(), changed };
+}
@@ -0,0 +1,202 @@
+import { config } from './config.js';
+import { moderateText, getModerationAction } from './moderationService.js';
+import { getReviewQueue, onReviewQueueChange, resolveReviewItem, updateReviewItem } from './reviewQueue.js';
+import { roomChannel, getRoom } from './roomService.js';
+import { saveMessage } from './messageStore.js';
+import { deliverDirectMessage } from './socketHandler.js';
+import { userChannel } from './usernameRegistry.js';
+import { createSocketAuthMiddleware, getSocketIp } from './authService.js';
+import { recordStrike, enforcePenalty } from './strikeService.js';
+import { claimKey } from './stateStore.js';
+
+// Reviewer name recorded when the system resolves an item itself
+const SYSTEM_REVIEWER = 'system';
+
+let recoveryRetryTimer = null;
+let recoveryRetryRunning = false;
+
+/**
+ * Sets up the moderator Socket.io namespace (/moderators) - only moderators and admins can connect
+ * Moderators receive the open queue on connect, then live 'queue:added' / 'queue:updated' events
+ * @param {Server} io - Socket.io server instance
+ */
+export function setupModeratorHandlers(io) {
+  const moderators = io.of('/moderators');
+  moderators.use(createSocketAuthMiddleware('moderator'));
+
+  moderators.on('connection', async (socket) => {
+    console.log(`Moderator connected: ${socket.id} (${socket.data.user.username})`);
+
+    // Send the current open queue so the dashboard can render immediately
+    try {
+      socket.emit('queue:snapshot', await getReviewQueue());
+    } catch (error) {
+      console.error('Error loading the review queue for a moderator:', error.message);
+      socket.emit('queue:snapshot', []);
+    }
+
+    socket.on('disconnect', () => {
+      console.log(`Moderator disconnected: ${socket.id}`);
+    });
+  });
+
+  // Push every queue change made on this instance to connected moderators (on every instance)
+  onReviewQueueChange((event, item) => {
+    moderators.emit(`queue:${event}`, item);
+  });
+
+  // Re-check messages held because the moderation provider was down
+  // Always running, since the failure policy can be switched to 'queue' through the admin API
+  recoveryRetryTimer = setInterval(() => {
+    retryAwaitingRecovery(io).catch(error => {
+      console.error('Error re-moderating held messages:', error);
+    });
+  }, config.moderation.recoveryRetryIntervalMs);
+  // Don't keep the process alive just for retries
+  recoveryRetryTimer.unref();
+}
+
+/**
+ * Stops the provider recovery retry loop
+ * Call this during graceful shutdown
+ */
+export function stopModeratorHandlers() {
+  if (recoveryRetryTimer) {
+    clearInterval(recoveryRetryTimer);
+    recoveryRetryTimer = null;
+  }
+}
+
+/**
+ * Re-moderates messages held by MODERATION_FAILURE_POLICY=queue
+ * Once the provider gives a real verdict, the message is delivered, rejected,
+ * or left in the queue as a normal hold for moderators
+ * Blocked messages add a strike for their sender, as they would have when sent
+ * Only one server instance runs each round
+ * @param {Server} io - Socket.io server instance
+ */
+export async function retryAwaitingRecovery(io) {
+  if (recoveryRetryRunning) {
+    return;
+  }
+  // The claim runs out by the next round, so another instance takes over if this one goes away
+  if ((await claimKey('review-recovery-retry', config.moderation.recoveryRetryIntervalMs)) > 0) {
+    return;
+  }
+  recoveryRetryRunning = true;
+
+  try {
+    const waiting = (await getReviewQueue('pending')).filter(item => item.source === 'provider_error');
+    for (const item of waiting) {
+      const moderationResult = await moderateText(item.text);
+      if (moderationResult.details?.awaitingRecovery) {
+        // Provider still down - try again next round
+        return;
+      }
+
+      const { action, reason } = getModerationAction(moderationResult, {
+        threshold: getRoom(item.room)?.profile.threshold ?? undefined,
+      });
+      console.log(`[Review] Re-moderated held message ${item.id} after provider recovery → ${action}`);
+
+      if (action === 'hold') {
+        // Now a regular hold - leave it for moderators
+        await updateReviewItem(item.id, { source: 'moderation', reason, details: moderationResult.details });
+        continue;
+      }
+
+      await updateReviewItem(item.id, { details: moderationResult.details });
+      const decision = action === 'block' ? 'rejected' : 'approved';
+      const result = await resolveReviewItem(item.id, decision, SYSTEM_REVIEWER, action === 'block' ? reason : null);
+      if (result.success) {
+        await deliverReviewDecision(io, result.item);
+        if (action === 'block') {
+          await addRecoveryStrike(io, result.item, moderationResult, reason);
+        }
+      }
+    }
+  } finally {
+    recoveryRetryRunning = false;
+  }
+}
+
+/**
+ * Records a strike for a held message that was blocked once the provider recovered,
+ * and enforces the penalty it triggers, if any
+ * The IP of one of the sender's current connections (on any server instance) is recorded, so a ban covers it
+ * @param {Server} io - Socket.io server instance
+ * @param {Object} item - The rejected review queue item
+ * @param {Object} moderationResult - The message's new moderation result
+ * @param {string} reason - Why it was blocked
+ */
+async function addRecoveryStrike(io, item, moderationResult, reason) {
+  // Messages blocked only because moderation failed (fail-closed) aren't the user's fault
+  if (moderationResult.details?.failurePolicy) {
+    return;
+  }
+
+  const [socket] = await io.in(userChannel(item.author)).fetchSockets();
+  const target = item.to ? { to: item.to } : { room: item.room };
+  const strike = await recordStrike(item.author, { ip: socket ? getSocketIp(socket) : null, moderationResult, reason, ...target });
+  if (strike?.penalty) {
+    enforcePenalty(io, item.author, strike.penalty, strike.points);
+  }
+}
+
+/**
+ * Delivers a moderator decision to the chat
+ * - approved: broadcasts the original message to its room, or to the recipient for direct messages
+ *   (unless it was already delivered), and tells the sender
+ * - rejected: tells the sender their message was rejected
+ * @param {Server} io - Socket.io server instance
+ * @param {Object} item - The resolved review queue item
+ */
+export async function deliverReviewDecision(io, item) {
+  if (item.status === 'approved') {
+    if (!item.delivered && item.to) {
+      // Direct message - only the two users see it
+      await deliverDirectMessage(io, {
+        id: item.id,
+        text: item.text,
+        author: item.author,
+        to: item.to,
+        isDirect: true,
+        timestamp: item.resolvedAt,
+        moderationStatus: `Approved by ${item.resolvedBy}`,
+        moderationAction: 'allow',
+        details: item.details,
+      });
+    } else if (!item.delivered) {
+      const room = item.room || config.rooms.defaultRoom;
+      const messageData = {
+        id: item.id,
+        text: item.text,
+        author: item.author,
+        room,
+        timestamp: item.resolvedAt,
+        moderationStatus: `Approved by ${item.resolvedBy}`,
+        moderationAction: 'allow',
+        details: item.details,
+      };
+      io.to(roomChannel(room)).emit('message', messageData);
+      saveMessage(messageData);
+    }
+
+    // Held messages (they have the sender's socket) are announced on the sender's channel, which still reaches
+    // them after a reconnect or on another instance
+    if (item.socketId) {
+      io.to(userChannel(item.author)).emit('messageApproved', {
+        id: item.id,
+        resolvedBy: item.resolvedBy,
+        note: item.note,
+      });
+    }
+  } else if (item.status === 'rejected' && item.socketId) {
+    io.to(userChannel(item.author)).emit('messageRejected', {
+      id: item.id,
+      reason: item.note || 'Rejected by a moderator',
+      resolvedBy: item.resolvedBy,
+      timestamp: item.resolvedAt,
+    });
+  }
+}
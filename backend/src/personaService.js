@@ -0,0 +1,197 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { config } from './config.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// Personas file: PERSONAS_FILE, or backend/personas.json
+const personasFile = config.ai.personasFile
+  ? path.resolve(config.ai.personasFile)
+  : path.join(__dirname, '..', 'personas.json');
+
+// Persona IDs follow the same rules as room names
+const PERSONA_ID_PATTERN = /^[a-z0-9][a-z0-9_-]{0,31}$/;
+
+// Longest persona name (it's shown as the message author, like a username)
+const MAX_NAME_LENGTH = 30;
+
+// The built-in persona: always available, and used for any prompt a persona file entry leaves out
+// Templates can use {name}, {username}, {room} and {maxLength}
+const DEFAULT_PERSONA = {
+  id: 'friend',
+  name: 'AI Moderator',
+  avatar: '🤖',
+  description: 'Fun, chatty AI friend',
+  maxResponseLength: null,
+  prompts: {
+    allowed: `You're a fun, chatty, and human-like AI friend chatting with users. Your personality is:
+- Casual, friendly, and conversational - like texting a good friend
+- Use natural, everyday language with personality
+- Be genuinely interested in what they're saying
+- React naturally to their messages (like "haha", "oh cool", "that's interesting", etc.)
+- Use emojis occasionally when it feels natural (but don't overdo it)
+- Show your personality - be funny, curious, supportive, or whatever fits the moment
+- Don't be formal or robotic - be human!
+- Keep it engaging and fun
+
+Keep responses under {maxLength} characters. Be fun, chatty, and human-like - like you're texting a friend!`,
+    blocked: `You're a fun, chatty, and human-like AI friend chatting with users. A user's message was just blocked by the moderation system. Your role is to:
+- React naturally and conversationally, like a friend would
+- Casually mention what happened without being preachy or formal
+- Use natural, casual language with personality (like "oh", "hmm", "hey", etc.)
+- Be empathetic and understanding, like you're chatting with a friend
+- Keep it light and friendly - don't lecture
+- Use emojis occasionally if it feels natural (but don't overdo it)
+- Show personality and be relatable
+
+Keep responses under {maxLength} characters. Be fun, chatty, and human-like - like texting a friend!`,
+    greeting: `You're a fun, chatty, and human-like AI friend. A new user named "{username}" just joined the chat. Greet them in a casual, friendly way - like you're excited to meet a new friend! Be warm, fun, and show personality. Use natural, conversational language. Keep it brief and under {maxLength} characters.`,
+  },
+  // Sent when the greeting can't be generated
+  fallbackGreeting: "Hey {username}! 👋 Welcome to the chat! What's up?",
+};
+
+// Personas keyed by ID
+const personas = new Map();
+
+/**
+ * Validates a persona from the personas file
+ * Missing prompts and the fallback greeting come from the built-in persona
+ * @param {Object} definition - The raw persona
+ * @returns {Object|null} - The persona, or null if it's invalid
+ */
+function normalizePersona(definition) {
+  if (!definition || !PERSONA_ID_PATTERN.test(definition.id || '')) {
+    console.warn(`[Personas] Skipping persona with invalid id: ${JSON.stringify(definition?.id)}`);
+    return null;
+  }
+  const name = typeof definition.name === 'string' ? definition.name.trim() : '';
+  if (!name || name.length > MAX_NAME_LENGTH) {
+    console.warn(`[Personas] Skipping persona "${definition.id}": name must be 1-${MAX_NAME_LENGTH} characters`);
+    return null;
+  }
+
+  const prompts = {};
+  for (const kind of Object.keys(DEFAULT_PERSONA.prompts)) {
+    const prompt = definition.prompts?.[kind];
+    prompts[kind] = typeof prompt === 'string' && prompt.trim() ? prompt : DEFAULT_PERSONA.prompts[kind];
+  }
+
+  return {
+    id: definition.id,
+    name,
+    avatar: typeof definition.avatar === 'string' && definition.avatar ? definition.avatar : DEFAULT_PERSONA.avatar,
+    description: definition.description || '',
+    maxResponseLength: Number.isInteger(definition.maxResponseLength) && definition.maxResponseLength > 0
+      ? definition.maxResponseLength
+      : null,
+    prompts,
+    fallbackGreeting: typeof definition.fallbackGreeting === 'string'
+      ? definition.fallbackGreeting
+      : DEFAULT_PERSONA.fallbackGreeting,
+  };
+}
+
+/**
+ * Loads the personas file
+ * The built-in persona is always available, unless the file redefines its ID
+ */
+function loadPersonas() {
+  personas.set(DEFAULT_PERSONA.id, DEFAULT_PERSONA);
+
+  let definitions = [];
+  try {
+    if (fs.existsSync(personasFile)) {
+      definitions = JSON.parse(fs.readFileSync(personasFile, 'utf8')).personas || [];
+    }
+  } catch (error) {
+    console.error(`[Personas] Failed to load ${personasFile}:`, error.message);
+  }
+
+  for (const definition of definitions) {
+    const persona = normalizePersona(definition);
+    if (persona) {
+      personas.set(persona.id, persona);
+    }
+  }
+
+  if (!personas.has(config.ai.persona)) {
+    console.warn(`[Personas] AI_PERSONA "${config.ai.persona}" does not exist, using "${DEFAULT_PERSONA.id}"`);
+  }
+  console.log(`[Personas] Loaded ${personas.size} personas: ${Array.from(personas.keys()).join(', ')}`);
+}
+
+/**
+ * Checks whether a persona exists
+ * @param {string} personaId - The persona ID
+ * @returns {boolean}
+ */
+export function hasPersona(personaId) {
+  return personas.has(personaId);
+}
+
+/**
+ * Gets a persona, falling back to the deployment's persona (AI_PERSONA) and then the built-in one
+ * @param {string} personaId - The persona ID (null for the deployment's persona)
+ * @returns {Object} - { id, name, avatar, description, maxResponseLength, prompts, fallbackGreeting }
+ */
+export function getPersona(personaId = null) {
+  return personas.get(personaId) || personas.get(config.ai.persona) || DEFAULT_PERSONA;
+}
+
+/**
+ * Gets the longest reply a persona should write
+ * @param {Object} persona - The persona
+ * @returns {number} - Characters (the persona's maxResponseLength, or AI_MAX_RESPONSE_LENGTH)
+ */
+export function getPersonaMaxLength(persona) {
+  return persona.maxResponseLength || config.ai.maxResponseLength;
+}
+
+/**
+ * Fills in a persona's prompt template
+ * @param {Object} persona - The persona
+ * @param {string} kind - 'allowed', 'blocked' or 'greeting' (or 'fallbackGreeting')
+ * @param {Object} values - Placeholder values, e.g. { username, room }
+ * @returns {string}
+ */
+export function renderPersonaPrompt(persona, kind, values = {}) {
+  const template = kind === 'fallbackGreeting' ? persona.fallbackGreeting : persona.prompts[kind];
+  const placeholders = { name: persona.name, maxLength: getPersonaMaxLength(persona), ...values };
+  return template.replace(/\{(\w+)\}/g, (match, key) => (placeholders[key] !== undefined ? String(placeholders[key]) : match));
+}
+
+/**
+ * Checks whether a message author is one of the AI personas
+ * @param {string} author - The message author
+ * @returns {boolean}
+ */
+export function isPersonaName(author) {
+  return Array.from(personas.values()).some(persona => persona.name === author);
+}
+
+/**
+ * Lists every persona's name, so nobody can register one as a username
+ * @returns {Array<string>}
+ */
+export function listPersonaNames() {
+  return Array.from(personas.values()).map(persona => persona.name);
+}
+
+/**
+ * Lists the personas (without their prompts)
+ * @returns {Array} - [{ id, name, avatar, description, maxResponseLength }]
+ */
+export function listPersonas() {
+  return Array.from(personas.values()).map(persona => ({
+    id: persona.id,
+    name: persona.name,
+    avatar: persona.avatar,
+    description: persona.description,
+    maxResponseLength: getPersonaMaxLength(persona),
+  }));
+}
+
+loadPersonas();
@@ -0,0 +1,81 @@
+import crypto from 'crypto';
+import { config } from './config.js';
+import { takeToken, hitRateLimit, claimKey } from './stateStore.js';
+import { usernameKey } from './usernameRegistry.js';
+
+/**
+ * Gets a role's message quota
+ * Guests use the 'guest' multiplier; roles without a multiplier get the base quota
+ * @param {string} role - The user's role (null for guests)
+ * @param {number} messagesPerMinute - The base rate (the room's rate limit, or RATE_LIMIT_PER_MINUTE)
+ * @returns {Object} - { capacity, perMinute }
+ */
+function getRoleQuota(role, messagesPerMinute = config.rateLimit.messagesPerMinute) {
+  const multiplier = config.rateLimit.roleMultipliers[role || 'guest'] ?? 1;
+  return {
+    capacity: Math.max(1, Math.round(config.rateLimit.burst * multiplier)),
+    perMinute: Math.max(1, messagesPerMinute * multiplier),
+  };
+}
+
+/**
+ * Checks a user's message allowance (a token bucket: up to RATE_LIMIT_BURST messages back to back,
+ * refilling at the per-minute rate)
+ * Each user has one bucket for every room, direct messages and commands, so switching rooms doesn't
+ * give a fresh quota. A room's own rate only changes how fast the bucket refills while sending there
+ * @param {string} clientKey - The sender, e.g. "user:alice" or "ip:203.0.113.7"
+ * @param {string} role - The sender's role (null for guests)
+ * @param {Object} options - { messagesPerMinute: the room's rate limit (defaults to RATE_LIMIT_PER_MINUTE) }
+ * @returns {Promise<Object>} - { allowed, retryAfterMs }
+ */
+export async function checkRateLimit(clientKey, role, { messagesPerMinute } = {}) {
+  const { capacity, perMinute } = getRoleQuota(role, messagesPerMinute);
+  const { allowed, retryAfterMs } = await takeToken(`ratelimit:${clientKey}`, capacity, perMinute);
+  return { allowed, retryAfterMs };
+}
+
+/**
+ * Checks the AI reply allowance for the user the AI is answering (AI_RATE_LIMIT_PER_MINUTE)
+ * @param {string} clientKey - The user, from getClientKey
+ * @returns {Promise<boolean>} - True if the AI may reply
+ */
+export async function checkAIRateLimit(clientKey) {
+  const perMinute = config.ai.rateLimitPerMinute;
+  const { allowed } = await takeToken(`ai-ratelimit:${clientKey}`, perMinute, perMinute);
+  return allowed;
+}
+
+/**
+ * Checks a room's slow mode for a user
+ * @param {string} room - The room name
+ * @param {string} username - The user's name
+ * @param {number} slowModeSeconds - The room's slow mode interval (0 = off)
+ * @returns {Promise<number>} - Milliseconds to wait before the next message (0 = allowed now)
+ */
+export async function checkSlowMode(room, username, slowModeSeconds) {
+  if (!slowModeSeconds) {
+    return 0;
+  }
+  return claimKey(`slowmode:${room}:${usernameKey(username)}`, slowModeSeconds * 1000);
+}
+
+/**
+ * Checks whether a user keeps sending the same message
+ * Messages are compared ignoring case, spacing and trailing punctuation, so "hi!!" repeats "Hi"
+ * @param {string} clientKey - The sender, from getClientKey
+ * @param {string} text - The message text
+ * @returns {Promise<Object>} - { allowed, retryAfterMs }
+ */
+export async function checkDuplicateMessage(clientKey, text) {
+  if (!config.rateLimit.duplicateMax) {
+    return { allowed: true, retryAfterMs: 0 };
+  }
+  const normalized = text.toLowerCase().replace(/\s+/g, ' ').replace(/[\s!?.]+$/, '').trim();
+  const hash = crypto.createHash('sha256').update(normalized).digest('hex').slice(0, 16);
+  const { allowed, retryAfterMs } = await hitRateLimit(
+    `duplicate:${clientKey}:${hash}`,
+    config.rateLimit.duplicateMax,
+    config.rateLimit.duplicateWindowSeconds * 1000,
+  );
+  return { allowed, retryAfterMs };
+}
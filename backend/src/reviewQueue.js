@@ -0,0 +1,251 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { getRecord, setRecord, deleteRecord, listRecords, withStateLock } from './stateStore.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// Where the queue was kept before it moved to the state store; imported once by importLegacyReviewQueue
+const legacyQueueFile = path.join(__dirname, '..', 'logs', 'review-queue.json');
+
+// Resolved items are kept for history, but only the most recent ones
+const MAX_RESOLVED_ITEMS = 1000;
+
+// Messages held for moderator review, keyed by message ID
+// Kept in the state store, so every server instance (and its moderators) sees the same queue
+const REVIEW_QUEUE = 'review-queue';
+
+// Listeners notified when items are added or updated on this instance (e.g. the moderator namespace,
+// whose broadcasts reach moderators on every instance)
+const listeners = [];
+
+/**
+ * Moves the queue kept in logs/review-queue.json by earlier versions into the state store
+ * The file is renamed to review-queue.json.imported afterwards, so this only happens once
+ * Items already in the store are newer and are kept
+ */
+export async function importLegacyReviewQueue() {
+  if (!fs.existsSync(legacyQueueFile)) {
+    return;
+  }
+  try {
+    const items = JSON.parse(fs.readFileSync(legacyQueueFile, 'utf8'));
+    for (const item of items) {
+      await withStateLock(`review:${item.id}`, async () => {
+        if (!(await getRecord(REVIEW_QUEUE, item.id))) {
+          await setRecord(REVIEW_QUEUE, item.id, item);
+        }
+      });
+    }
+    fs.renameSync(legacyQueueFile, `${legacyQueueFile}.imported`);
+    console.log(`[Review] Imported ${items.length} review queue items from ${legacyQueueFile}`);
+  } catch (error) {
+    console.error('[Review] Could not import the old review queue file:', error.message);
+  }
+}
+
+/**
+ * Drops the oldest resolved items beyond MAX_RESOLVED_ITEMS
+ */
+async function pruneResolvedItems() {
+  const resolved = (await listRecords(REVIEW_QUEUE))
+    .filter(item => item.status === 'approved' || item.status === 'rejected');
+  if (resolved.length <= MAX_RESOLVED_ITEMS) {
+    return;
+  }
+  const oldest = resolved
+    .sort((a, b) => new Date(a.resolvedAt) - new Date(b.resolvedAt))
+    .slice(0, resolved.length - MAX_RESOLVED_ITEMS);
+  for (const item of oldest) {
+    await deleteRecord(REVIEW_QUEUE, item.id);
+  }
+}
+
+/**
+ * Notifies listeners about a queue change
+ * @param {string} event - 'added' or 'updated'
+ * @param {Object} item - The queue item
+ */
+function notify(event, item) {
+  listeners.forEach(listener => {
+    try {
+      listener(event, item);
+    } catch (error) {
+      console.error('Error in review queue listener:', error);
+    }
+  });
+}
+
+/**
+ * Registers a listener for queue changes
+ * @param {Function} listener - Called with (event, item), event is 'added' or 'updated'
+ */
+export function onReviewQueueChange(listener) {
+  listeners.push(listener);
+}
+
+/**
+ * Adds a message to the review queue
+ * @param {Object} item - The message data (id, text, author, reason, details, socketId)
+ * @param {string} source - Why it was queued: 'moderation' (held by moderateText), 'report' (user feedback)
+ *                          or 'provider_error' (held until the moderation provider recovers)
+ * @returns {Promise<Object>} - The queued entry
+ */
+export async function addToReviewQueue(item, source = 'moderation') {
+  const { event, entry } = await withStateLock(`review:${item.id}`, async () => {
+    const existing = await getRecord(REVIEW_QUEUE, item.id);
+    if (existing && (existing.status === 'pending' || existing.status === 'claimed')) {
+      // Already waiting for review (e.g. reported twice) - just count the extra report
+      existing.reportCount = (existing.reportCount || 1) + 1;
+      await setRecord(REVIEW_QUEUE, existing.id, existing);
+      return { event: 'updated', entry: existing };
+    }
+
+    const queued = {
+      ...item,
+      source,
+      status: 'pending',
+      queuedAt: new Date().toISOString(),
+      claimedBy: null,
+      claimedAt: null,
+      resolvedBy: null,
+      resolvedAt: null,
+      note: null,
+    };
+    await setRecord(REVIEW_QUEUE, queued.id, queued);
+    console.log(`[Review] Message ${queued.id} from "${queued.author}" queued for review (${source}): ${queued.reason}`);
+    return { event: 'added', entry: queued };
+  });
+  notify(event, entry);
+  return entry;
+}
+
+/**
+ * Gets queued messages, oldest first
+ * @param {string} status - 'open' (pending or claimed, default), 'all', or a single status
+ * @returns {Promise<Array>}
+ */
+export async function getReviewQueue(status = 'open') {
+  return (await listRecords(REVIEW_QUEUE))
+    .filter(item => {
+      if (status === 'all') return true;
+      if (status === 'open') return item.status === 'pending' || item.status === 'claimed';
+      return item.status === status;
+    })
+    .sort((a, b) => new Date(a.queuedAt) - new Date(b.queuedAt));
+}
+
+/**
+ * Gets a single queue item
+ * @param {string} id - The message ID
+ * @returns {Promise<Object|null>}
+ */
+export async function getReviewItem(id) {
+  return getRecord(REVIEW_QUEUE, id);
+}
+
+/**
+ * Checks that an item exists, is still open, and isn't claimed by someone else
+ * Call this while holding the item's lock
+ * @returns {Promise<Object>} - { success, item } or { success: false, error, statusCode }
+ */
+async function checkOpenItem(id, moderator) {
+  const item = await getRecord(REVIEW_QUEUE, id);
+  if (!item) {
+    return { success: false, error: `Review item ${id} not found`, statusCode: 404 };
+  }
+  if (item.status === 'approved' || item.status === 'rejected') {
+    return { success: false, error: `Review item ${id} was already ${item.status}`, statusCode: 409 };
+  }
+  if (item.status === 'claimed' && item.claimedBy !== moderator) {
+    return { success: false, error: `Review item ${id} is claimed by ${item.claimedBy}`, statusCode: 409 };
+  }
+  return { success: true, item };
+}
+
+/**
+ * Claims an item so other moderators know it is being handled
+ * @param {string} id - The message ID
+ * @param {string} moderator - The moderator's name
+ * @returns {Promise<Object>} - { success, item } or { success: false, error, statusCode }
+ */
+export async function claimReviewItem(id, moderator) {
+  const result = await withStateLock(`review:${id}`, async () => {
+    const check = await checkOpenItem(id, moderator);
+    if (!check.success) {
+      return check;
+    }
+
+    const { item } = check;
+    item.status = 'claimed';
+    item.claimedBy = moderator;
+    item.claimedAt = new Date().toISOString();
+    await setRecord(REVIEW_QUEUE, id, item);
+    return { success: true, item };
+  });
+  if (result.success) {
+    notify('updated', result.item);
+  }
+  return result;
+}
+
+/**
+ * Approves or rejects an item
+ * @param {string} id - The message ID
+ * @param {string} decision - 'approved' or 'rejected'
+ * @param {string} moderator - The moderator's name
+ * @param {string} note - Optional note (shown to the sender on rejection)
+ * @returns {Promise<Object>} - { success, item } or { success: false, error, statusCode }
+ */
+export async function resolveReviewItem(id, decision, moderator, note = null) {
+  if (decision !== 'approved' && decision !== 'rejected') {
+    return { success: false, error: `Invalid decision "${decision}"`, statusCode: 400 };
+  }
+
+  // The lock makes sure only one moderator (or instance) resolves the item, so it is delivered once
+  const result = await withStateLock(`review:${id}`, async () => {
+    const check = await checkOpenItem(id, moderator);
+    if (!check.success) {
+      return check;
+    }
+
+    const { item } = check;
+    item.status = decision;
+    item.resolvedBy = moderator;
+    item.resolvedAt = new Date().toISOString();
+    item.note = note;
+    await setRecord(REVIEW_QUEUE, id, item);
+    return { success: true, item };
+  });
+  if (!result.success) {
+    return result;
+  }
+
+  console.log(`[Review] Message ${id} ${decision} by ${moderator}`);
+  notify('updated', result.item);
+  await pruneResolvedItems().catch(error => console.error('[Review] Could not prune resolved items:', error.message));
+  return result;
+}
+
+/**
+ * Updates fields on an open item (e.g. after it is re-moderated)
+ * @param {string} id - The message ID
+ * @param {Object} changes - Fields to update
+ * @returns {Promise<Object|null>} - The updated item, or null if not found
+ */
+export async function updateReviewItem(id, changes) {
+  const item = await withStateLock(`review:${id}`, async () => {
+    const existing = await getRecord(REVIEW_QUEUE, id);
+    if (!existing) {
+      return null;
+    }
+    Object.assign(existing, changes);
+    await setRecord(REVIEW_QUEUE, id, existing);
+    return existing;
+  });
+  if (item) {
+    notify('updated', item);
+  }
+  return item;
+}
@@ -0,0 +1,208 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { config } from './config.js';
+import { hasPersona, getPersona } from './personaService.js';
+import { isAITriggerMode, parseQuietHours } from './aiTriggers.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// Rooms file: ROOMS_FILE, or backend/rooms.json
+const roomsFile = config.rooms.file
+  ? path.resolve(config.rooms.file)
+  : path.join(__dirname, '..', 'rooms.json');
+
+// Room names: lowercase letters, digits, '-' and '_'
+const ROOM_NAME_PATTERN = /^[a-z0-9][a-z0-9_-]{0,31}$/;
+
+// Rooms keyed by name
+// Members aren't kept here: they are the sockets in the room's Socket.io channel, on every server instance
+const rooms = new Map();
+
+/**
+ * Validates a room's moderation profile
+ * Unset values fall back to the global settings (MODERATION_THRESHOLD, AI_ENABLED, AI_PERSONA, AI_TRIGGER_*,
+ * AI_QUIET_HOURS, RATE_LIMIT_PER_MINUTE)
+ * @param {Object} profile - The raw profile from the rooms file
+ * @returns {Object} - { threshold, aiEnabled, persona, aiTrigger, aiTriggerProbability, aiCooldownSeconds,
+ *   aiQuietHours, rateLimitPerMinute, slowModeSeconds }
+ */
+function normalizeProfile(profile = {}) {
+  const threshold = typeof profile.threshold === 'number' && profile.threshold >= 0 && profile.threshold <= 1
+    ? profile.threshold
+    : null;
+  const rateLimitPerMinute = Number.isInteger(profile.rateLimitPerMinute) && profile.rateLimitPerMinute > 0
+    ? profile.rateLimitPerMinute
+    : null;
+
+  const slowModeSeconds = Number.isInteger(profile.slowModeSeconds) && profile.slowModeSeconds > 0
+    ? profile.slowModeSeconds
+    : null;
+  const aiTriggerProbability = typeof profile.aiTriggerProbability === 'number'
+    && profile.aiTriggerProbability >= 0 && profile.aiTriggerProbability <= 1
+    ? profile.aiTriggerProbability
+    : null;
+  // 0 is kept, so a room can turn off a global cooldown
+  const aiCooldownSeconds = Number.isInteger(profile.aiCooldownSeconds) && profile.aiCooldownSeconds >= 0
+    ? profile.aiCooldownSeconds
+    : null;
+  // 'off' is kept, so a room can turn off global quiet hours
+  const aiQuietHours = profile.aiQuietHours === 'off' || parseQuietHours(profile.aiQuietHours)
+    ? profile.aiQuietHours.trim()
+    : null;
+
+  return {
+    threshold,
+    aiEnabled: typeof profile.aiEnabled === 'boolean' ? profile.aiEnabled : null,
+    persona: typeof profile.persona === 'string' && hasPersona(profile.persona) ? profile.persona : null,
+    aiTrigger: isAITriggerMode(profile.aiTrigger) ? profile.aiTrigger : null,
+    aiTriggerProbability,
+    aiCooldownSeconds,
+    aiQuietHours,
+    rateLimitPerMinute,
+    slowModeSeconds,
+  };
+}
+
+/**
+ * Loads the rooms file
+ * The default room always exists, even if the file is missing or doesn't list it
+ */
+function loadRooms() {
+  let definitions = [];
+  try {
+    if (fs.existsSync(roomsFile)) {
+      definitions = JSON.parse(fs.readFileSync(roomsFile, 'utf8')).rooms || [];
+    }
+  } catch (error) {
+    console.error(`[Rooms] Failed to load ${roomsFile}:`, error.message);
+  }
+
+  for (const definition of definitions) {
+    if (!definition || !ROOM_NAME_PATTERN.test(definition.name || '')) {
+      console.warn(`[Rooms] Skipping room with invalid name: ${JSON.stringify(definition?.name)}`);
+      continue;
+    }
+    if (definition.profile?.persona && !hasPersona(definition.profile.persona)) {
+      console.warn(`[Rooms] Room "${definition.name}" uses unknown persona "${definition.profile.persona}", using the default`);
+    }
+    if (definition.profile?.aiTrigger && !isAITriggerMode(definition.profile.aiTrigger)) {
+      console.warn(`[Rooms] Room "${definition.name}" uses unknown AI trigger mode "${definition.profile.aiTrigger}", using the default`);
+    }
+    if (definition.profile?.aiQuietHours && normalizeProfile(definition.profile).aiQuietHours === null) {
+      console.warn(`[Rooms] Room "${definition.name}" has invalid aiQuietHours "${definition.profile.aiQuietHours}", using the default`);
+    }
+    rooms.set(definition.name, {
+      name: definition.name,
+      description: definition.description || '',
+      profile: normalizeProfile(definition.profile),
+    });
+  }
+
+  if (!rooms.has(config.rooms.defaultRoom)) {
+    rooms.set(config.rooms.defaultRoom, {
+      name: config.rooms.defaultRoom,
+      description: '',
+      profile: normalizeProfile(),
+    });
+  }
+
+  console.log(`[Rooms] Loaded ${rooms.size} rooms: ${Array.from(rooms.keys()).join(', ')}`);
+}
+
+/**
+ * Gets the Socket.io room used for a chat room
+ * Prefixed so room names can never collide with socket IDs (every socket is in a room named after its ID)
+ * @param {string} roomName - The chat room name
+ * @returns {string}
+ */
+export function roomChannel(roomName) {
+  return `room:${roomName}`;
+}
+
+/**
+ * Gets a room
+ * @param {string} roomName - The room name
+ * @returns {Object|null} - { name, description, profile }
+ */
+export function getRoom(roomName) {
+  return rooms.get(roomName) || null;
+}
+
+/**
+ * Gets the effective moderation profile for a room, with global defaults filled in
+ * @param {string} roomName - The room name
+ * @returns {Object} - { threshold, aiEnabled, persona, aiTrigger, aiTriggerProbability, aiCooldownSeconds,
+ *   aiQuietHours, rateLimitPerMinute, slowModeSeconds }
+ */
+export function getRoomProfile(roomName) {
+  const profile = rooms.get(roomName)?.profile || normalizeProfile();
+  return {
+    threshold: profile.threshold ?? config.moderation.threshold,
+    aiEnabled: config.ai.enabled && profile.aiEnabled !== false,
+    // ID of the AI persona that replies in the room
+    persona: profile.persona ?? getPersona().id,
+    // When the AI replies (see aiTriggers.js)
+    aiTrigger: profile.aiTrigger ?? (isAITriggerMode(config.ai.trigger.mode) ? config.ai.trigger.mode : 'always'),
+    aiTriggerProbability: profile.aiTriggerProbability ?? config.ai.trigger.probability,
+    aiCooldownSeconds: profile.aiCooldownSeconds ?? config.ai.trigger.cooldownSeconds,
+    // Time of day when the AI stays silent ('off' or '' = never)
+    aiQuietHours: profile.aiQuietHours ?? config.ai.trigger.quietHours,
+    rateLimitPerMinute: profile.rateLimitPerMinute ?? config.rateLimit.messagesPerMinute,
+    // Minimum time between one user's messages (0 = off)
+    slowModeSeconds: profile.slowModeSeconds ?? 0,
+  };
+}
+
+/**
+ * Changes a room's profile at runtime (e.g. from a moderator command)
+ * Changes last until the server restarts; the rooms file is not rewritten
+ * Profiles are kept by each instance, so changes are refused when instances share state (STATE_STORE=redis)
+ * @param {string} roomName - The room name
+ * @param {Object} changes - Profile fields to change (null goes back to the global default)
+ * @returns {Object} - { success, profile, previous } or { success: false, error }
+ */
+export function updateRoomProfile(roomName, changes) {
+  if (config.state.store === 'redis') {
+    return { success: false, error: 'Room settings can\'t be changed while the server runs on several instances. Change them in the rooms file instead.' };
+  }
+  const room = rooms.get(roomName);
+  if (!room) {
+    return { success: false, error: `Room "${roomName}" does not exist` };
+  }
+
+  const previous = getRoomProfile(roomName);
+  room.profile = normalizeProfile({ ...room.profile, ...changes });
+  return { success: true, profile: getRoomProfile(roomName), previous };
+}
+
+/**
+ * Lists all rooms with their effective profiles and member counts
+ * Members connected to any server instance are counted
+ * @param {Server} io - Socket.io server instance
+ * @returns {Promise<Array>}
+ */
+export async function listRooms(io) {
+  const sockets = await io.fetchSockets();
+  return Array.from(rooms.values()).map(room => ({
+    name: room.name,
+    description: room.description,
+    isDefault: room.name === config.rooms.defaultRoom,
+    profile: getRoomProfile(room.name),
+    members: sockets.filter(socket => socket.rooms.has(roomChannel(room.name))).length,
+  }));
+}
+
+/**
+ * Gets the usernames currently in a room, on any server instance
+ * @param {Server} io - Socket.io server instance
+ * @param {string} roomName - The room name
+ * @returns {Promise<Array<string>>}
+ */
+export async function getRoomMembers(io, roomName) {
+  const sockets = await io.in(roomChannel(roomName)).fetchSockets();
+  return sockets.map(socket => socket.data.username).filter(Boolean);
+}
+
+loadRooms();
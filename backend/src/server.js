@@ -7,10 +7,23 @@ import fs from 'fs';
 import { fileURLToPath } from 'url';
 import { config } from './config.js';
 import { setupSocketHandlers, cleanupAllRateLimits } from './socketHandler.js';
-import { closeGradioClient } from './moderationService.js';
-import { logModerationFeedback, getModerationFeedbackLogs } from './loggingService.js';
+import crypto from 'crypto';
+import { closeModerationProviders, getModerationCacheStats, getModerationProviderStatus, getSaferValue } from './moderationService.js';
+import { logModerationFeedback, getModerationFeedbackLogs, getAdminAuditLogs, logAdminAudit } from './loggingService.js';
 import { submitFeedbackToHuggingFace, exportFeedbackToCSV, formatFeedbackForDataset } from './huggingFaceFeedbackService.js';
 import { getAnalytics } from './feedbackAnalytics.js';
+import { addToReviewQueue, getReviewQueue, getReviewItem, claimReviewItem, resolveReviewItem, importLegacyReviewQueue } from './reviewQueue.js';
+import { watchModerationRules, stopWatchingModerationRules, getModerationRulesStatus } from './moderationRules.js';
+import { setupModeratorHandlers, stopModeratorHandlers, deliverReviewDecision } from './moderatorHandler.js';
+import { getModerationSettings, updateModerationSettings } from './moderationSettings.js';
+import { listRooms, getRoom } from './roomService.js';
+import { getMessages, getReportableMessage, closeMessageStore } from './messageStore.js';
+import { createAccount, login, verifySessionToken, hasRole, listAccounts, setAccountRole, initAccounts } from './authService.js';
+import { checkUsername, usernameKey } from './usernameRegistry.js';
+import { listStrikes, getStrikeRecord, resetStrikes, importLegacyStrikes } from './strikeService.js';
+import { initStateStore, setupSocketAdapter, closeStateStore } from './stateStore.js';
+import { getAIProviderStatus, listAIProviders } from './aiProviders.js';
+import { getPersona, listPersonas } from './personaService.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -41,6 +54,16 @@ const io = new Server(httpServer, {
   },
 });
 
+// Connect the shared state store, and share broadcasts between instances through Redis (REDIS_URL)
+// Strikes and the review queue kept in logs/ by earlier versions move into the store once it is connected
+initStateStore().then(() => Promise.all([initAccounts(), importLegacyStrikes(), importLegacyReviewQueue()]));
+setupSocketAdapter(io);
+
+// Client IPs (login throttling) come from X-Forwarded-For behind a load balancer
+if (config.server.trustProxy) {
+  app.set('trust proxy', true);
+}
+
 // Middleware
 app.use(cors({
   origin: config.server.nodeEnv === 'production'
@@ -50,6 +73,77 @@ app.use(cors({
 }));
 app.use(express.json());
 
+/**
+ * Gets the caller from the Authorization header
+ * Accepts a session token ("Bearer <token>"), or ADMIN_API_KEY (as a Bearer token or "X-Admin-Key")
+ * which acts as an admin recorded as "api-key" in the audit log
+ * @returns {Promise<Object|null>} - { username, role }, or null for anonymous callers
+ */
+async function getRequestUser(req) {
+  const header = req.get('authorization') || '';
+  const provided = header.startsWith('Bearer ') ? header.slice(7) : (req.get('x-admin-key') || '');
+  if (!provided) {
+    return null;
+  }
+
+  if (config.admin.apiKey) {
+    const expected = Buffer.from(config.admin.apiKey);
+    const actual = Buffer.from(provided);
+    if (actual.length === expected.length && crypto.timingSafeEqual(actual, expected)) {
+      // A fixed name - a header would let the caller pin their changes on someone else
+      return { username: 'api-key', role: 'admin' };
+    }
+  }
+
+  const session = await verifySessionToken(provided);
+  return session.success ? session.user : null;
+}
+
+/**
+ * Requires a signed-in caller with at least the given role (user < trusted < moderator < admin)
+ * Anonymous callers get 401, signed-in callers without the role get 403
+ * @param {string} role - The required role
+ */
+function requireRole(role) {
+  return async (req, res, next) => {
+    let user;
+    try {
+      user = await getRequestUser(req);
+    } catch (error) {
+      console.error('Error checking the caller\'s session:', error);
+      return res.status(500).json({
+        success: false,
+        error: error.message,
+      });
+    }
+    if (!user) {
+      return res.status(401).json({
+        success: false,
+        error: 'Authentication required',
+      });
+    }
+    if (!hasRole(user.role, role)) {
+      return res.status(403).json({
+        success: false,
+        error: `The ${role} role is required`,
+      });
+    }
+
+    req.user = user;
+    next();
+  };
+}
+
+/**
+ * Requires the same access as the chat itself: any signed-in user, or anyone when AUTH_ALLOW_GUESTS=true
+ */
+function requireChatAccess(req, res, next) {
+  if (config.auth.allowGuests) {
+    return next();
+  }
+  return requireRole('user')(req, res, next);
+}
+
 // All API routes MUST be defined BEFORE static file serving
 // This ensures API endpoints work correctly and aren't intercepted by static middleware
 
@@ -73,6 +167,10 @@ app.get('/health', (req, res) => {
     status: 'ok', 
     timestamp: new Date().toISOString(),
     service: 'chat-moderation-backend',
+    moderationProvider: config.moderation.provider,
+    moderationProviders: getModerationProviderStatus(),
+    moderationCache: getModerationCacheStats(),
+    moderationRules: getModerationRulesStatus(),
   });
 });
 
@@ -82,64 +180,216 @@ app.get('/api/info', (req, res) => {
     name: 'Chat Moderation API',
     version: '1.0.0',
     moderationThreshold: config.moderation.threshold,
+    moderationProvider: config.moderation.provider,
     rateLimit: config.rateLimit.messagesPerMinute,
+    auth: {
+      guestsAllowed: config.auth.allowGuests,
+      registrationOpen: config.auth.allowRegistration,
+    },
+    messages: {
+      editWindowSeconds: config.messages.editWindowSeconds,
+    },
   });
 });
 
+// Create an account and sign in
+app.post('/api/auth/register', express.json(), async (req, res) => {
+  try {
+    if (!config.auth.allowRegistration) {
+      return res.status(403).json({
+        success: false,
+        error: 'Registration is closed',
+      });
+    }
+
+    const { username, password } = req.body || {};
+    const check = await checkUsername(username);
+    if (!check.success) {
+      return res.status(400).json({ success: false, error: check.error });
+    }
+
+    const created = await createAccount(check.username, password);
+    if (!created.success) {
+      return res.status(created.statusCode || 400).json({ success: false, error: created.error });
+    }
+
+    const session = await login(check.username, password, req.ip);
+    res.status(201).json({ success: true, token: session.token, user: session.user });
+  } catch (error) {
+    console.error('Error registering account:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+});
+
+// Sign in with a username and password
+app.post('/api/auth/login', express.json(), async (req, res) => {
+  try {
+    const { username, password } = req.body || {};
+    const result = await login(username, password, req.ip);
+    if (!result.success) {
+      return res.status(result.statusCode || 401).json({ success: false, error: result.error });
+    }
+    res.json(result);
+  } catch (error) {
+    console.error('Error signing in:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+});
+
+// Get the signed-in user
+app.get('/api/auth/me', requireRole('user'), (req, res) => {
+  res.json({ success: true, user: req.user });
+});
+
+// List chat rooms with their moderation profiles and member counts
+app.get('/api/rooms', async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      defaultRoom: config.rooms.defaultRoom,
+      rooms: await listRooms(io),
+    });
+  } catch (error) {
+    console.error('Error listing rooms:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+});
+
+// Get a room's message history, newest page first; pass ?before=<message id> to scroll back
+app.get('/api/messages', requireChatAccess, async (req, res) => {
+  try {
+    const room = req.query.room || config.rooms.defaultRoom;
+    if (!getRoom(room)) {
+      return res.status(404).json({
+        success: false,
+        error: `Room "${room}" does not exist`,
+      });
+    }
+
+    const limit = parseInt(req.query.limit, 10) || config.messages.backfillCount;
+    const { messages, hasMore } = await getMessages(room, { before: req.query.before || null, limit });
+    res.json({
+      success: true,
+      room,
+      count: messages.length,
+      messages,
+      hasMore,
+      // Pass as ?before= to get the previous page
+      nextCursor: hasMore && messages.length > 0 ? messages[0].id : null,
+    });
+  } catch (error) {
+    console.error('Error fetching messages:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+});
+
 // AI status endpoint
 app.get('/api/ai/status', (req, res) => {
+  const providerStatus = getAIProviderStatus();
   res.json({
     enabled: config.ai.enabled,
-    provider: 'OpenAI',
-    model: config.ai.model,
+    ...providerStatus,
+    availableProviders: listAIProviders(),
+    // Rooms can pick another persona in rooms.json or with /persona
+    defaultPersona: getPersona().id,
+    personas: listPersonas(),
     maxResponseLength: config.ai.maxResponseLength,
-    conversationHistorySize: config.ai.conversationHistorySize,
-    apiKeyConfigured: !!config.ai.apiKey,
+    context: config.ai.context,
     note: config.ai.enabled 
-      ? (config.ai.apiKey 
-          ? 'AI agent is active and will respond to user messages'
-          : 'AI agent is enabled but OPENAI_API_KEY is not set')
+      ? (providerStatus.problem
+          ? `AI agent is enabled but ${providerStatus.problem}`
+          : 'AI agent is active and will respond to user messages')
       : 'AI agent is disabled. Set AI_ENABLED=true to enable.',
   });
 });
 
 // Log moderation feedback endpoint
-app.post('/api/feedback', express.json(), async (req, res) => {
+app.post('/api/feedback', requireRole('user'), express.json(), async (req, res) => {
   try {
     const {
       messageId,
-      messageText,
-      wasBlocked,
+      messageRoom,
       shouldHaveBeenBlocked,
-      moderationResult,
       reason,
     } = req.body;
 
     // Validate required fields
-    if (!messageText || typeof wasBlocked !== 'boolean' || typeof shouldHaveBeenBlocked !== 'boolean') {
+    if (typeof messageId !== 'string' || !messageId || typeof shouldHaveBeenBlocked !== 'boolean') {
       return res.status(400).json({
         success: false,
-        error: 'Missing required fields: messageText, wasBlocked, shouldHaveBeenBlocked',
+        error: 'Missing required fields: messageId, shouldHaveBeenBlocked',
       });
     }
 
+    // The report is about the message as the server saw it, never the client's copy
+    const room = typeof messageRoom === 'string' && getRoom(messageRoom) ? messageRoom : null;
+    const message = await getReportableMessage(messageId, room);
+    if (!message) {
+      return res.status(404).json({
+        success: false,
+        error: 'Message not found (it may have been deleted, or be too old to report)',
+      });
+    }
+    // Blocked and direct messages were only ever shown to their sender (and recipient)
+    const reporterKey = usernameKey(req.user.username);
+    if ((message.wasBlocked || message.to)
+      && reporterKey !== usernameKey(message.author)
+      && reporterKey !== usernameKey(message.to || '')) {
+      return res.status(404).json({
+        success: false,
+        error: 'Message not found (it may have been deleted, or be too old to report)',
+      });
+    }
+    const wasBlocked = message.wasBlocked;
+
     // Prepare feedback data
     const feedbackData = {
-      messageId: messageId || 'unknown',
-      messageText,
+      messageId: message.id,
+      messageText: message.text,
       wasBlocked,
       shouldHaveBeenBlocked,
       isFalsePositive: wasBlocked && !shouldHaveBeenBlocked, // Blocked but shouldn't have been
       isFalseNegative: !wasBlocked && shouldHaveBeenBlocked, // Not blocked but should have been
-      moderationResult: moderationResult || {},
-      reason: reason || 'No reason provided',
+      moderationResult: message.details || {},
+      reason: typeof reason === 'string' && reason ? reason : 'No reason provided',
       threshold: config.moderation.threshold,
+      saferValue: getSaferValue().saferValue,
       timestamp: new Date().toISOString(),
     };
 
     // Log the feedback locally
     const logResult = logModerationFeedback(feedbackData);
 
+    // Queue incorrectly moderated messages for moderator review
+    let reviewItem = null;
+    if (feedbackData.isFalsePositive || feedbackData.isFalseNegative) {
+      reviewItem = await addToReviewQueue({
+        id: message.id,
+        text: message.text,
+        author: message.author,
+        room: message.to ? null : (message.room || config.rooms.defaultRoom),
+        to: message.to, // Direct messages are only ever delivered to the recipient
+        reason: `Reported as ${feedbackData.isFalsePositive ? 'false positive' : 'false negative'}: ${feedbackData.reason}`,
+        details: feedbackData.moderationResult,
+        reportType: feedbackData.isFalsePositive ? 'false_positive' : 'false_negative',
+        // Allowed messages were already broadcast, so approving them must not broadcast again
+        delivered: !wasBlocked,
+        timestamp: feedbackData.timestamp,
+      }, 'report');
+    }
+
     // Attempt to submit to Hugging Face Hub (if configured)
     let hfResult = null;
     if (process.env.HF_SUBMIT_FEEDBACK === 'true') {
@@ -151,6 +401,7 @@ app.post('/api/feedback', express.json(), async (req, res) => {
         success: true,
         message: 'Feedback logged successfully',
         logFile: logResult.logFile,
+        reviewItemId: reviewItem ? reviewItem.id : null,
         huggingFace: hfResult || {
           submitted: false,
           note: 'Set HF_SUBMIT_FEEDBACK=true in .env to enable Hugging Face submission',
@@ -173,10 +424,10 @@ app.post('/api/feedback', express.json(), async (req, res) => {
 });
 
 // Get feedback analytics endpoint
-app.get('/api/feedback/analytics', (req, res) => {
+app.get('/api/feedback/analytics', requireRole('moderator'), (req, res) => {
   try {
     const dateStr = req.query.date || null;
-    const analytics = getAnalytics(dateStr);
+    const analytics = getAnalytics(dateStr, getSaferValue().saferValue);
     
     res.json({
       success: true,
@@ -194,7 +445,7 @@ app.get('/api/feedback/analytics', (req, res) => {
 });
 
 // Get moderation feedback logs endpoint (for admin/debugging)
-app.get('/api/feedback/logs', (req, res) => {
+app.get('/api/feedback/logs', requireRole('moderator'), (req, res) => {
   try {
     const dateStr = req.query.date || null;
     const format = req.query.format || 'json'; // 'json' or 'csv'
@@ -227,7 +478,7 @@ app.get('/api/feedback/logs', (req, res) => {
 });
 
 // Submit feedback to Hugging Face Hub endpoint
-app.post('/api/feedback/submit-to-hf', express.json(), async (req, res) => {
+app.post('/api/feedback/submit-to-hf', requireRole('admin'), express.json(), async (req, res) => {
   try {
     const { dateStr } = req.body;
     const logs = getModerationFeedbackLogs(dateStr);
@@ -262,8 +513,251 @@ app.post('/api/feedback/submit-to-hf', express.json(), async (req, res) => {
   }
 });
 
+// List review queue items
+app.get('/api/review', requireRole('moderator'), async (req, res) => {
+  try {
+    const status = req.query.status || 'open'; // open, pending, claimed, approved, rejected, all
+    const items = await getReviewQueue(status);
+    res.json({
+      success: true,
+      status,
+      count: items.length,
+      items,
+    });
+  } catch (error) {
+    console.error('Error fetching review queue:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+});
+
+// Get a single review queue item
+app.get('/api/review/:id', requireRole('moderator'), async (req, res) => {
+  try {
+    const item = await getReviewItem(req.params.id);
+    if (!item) {
+      return res.status(404).json({
+        success: false,
+        error: `Review item ${req.params.id} not found`,
+      });
+    }
+    res.json({ success: true, item });
+  } catch (error) {
+    console.error('Error fetching review item:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+});
+
+// Claim a review queue item
+app.post('/api/review/:id/claim', requireRole('moderator'), express.json(), async (req, res) => {
+  try {
+    const moderator = req.user.username;
+    const result = await claimReviewItem(req.params.id, moderator);
+    if (!result.success) {
+      return res.status(result.statusCode || 400).json({ success: false, error: result.error });
+    }
+    res.json({ success: true, item: result.item });
+  } catch (error) {
+    console.error('Error claiming review item:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+});
+
+// Approve (broadcast the original message) or reject (notify the sender) a review queue item
+['approve', 'reject'].forEach((action) => {
+  app.post(`/api/review/:id/${action}`, requireRole('moderator'), express.json(), async (req, res) => {
+    try {
+      const moderator = req.user.username;
+      const decision = action === 'approve' ? 'approved' : 'rejected';
+      const result = await resolveReviewItem(req.params.id, decision, moderator, req.body?.note || null);
+      if (!result.success) {
+        return res.status(result.statusCode || 400).json({ success: false, error: result.error });
+      }
+
+      await deliverReviewDecision(io, result.item);
+      res.json({ success: true, item: result.item });
+    } catch (error) {
+      console.error(`Error handling review ${action}:`, error);
+      res.status(500).json({
+        success: false,
+        error: error.message,
+      });
+    }
+  });
+});
+
+// List users with strikes (points decay over time), highest first
+app.get('/api/strikes', requireRole('moderator'), async (req, res) => {
+  try {
+    const records = await listStrikes();
+    res.json({ success: true, count: records.length, users: records });
+  } catch (error) {
+    console.error('Error listing strikes:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+});
+
+// Get one user's strikes and penalty
+app.get('/api/strikes/:username', requireRole('moderator'), async (req, res) => {
+  try {
+    const record = await getStrikeRecord(req.params.username);
+    if (!record) {
+      return res.status(404).json({
+        success: false,
+        error: `No strikes recorded for "${req.params.username}"`,
+      });
+    }
+    res.json({ success: true, user: record });
+  } catch (error) {
+    console.error('Error fetching strikes:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+});
+
+// Clear a user's strikes and lift their mute, timeout or ban (including IP bans)
+app.post('/api/strikes/:username/reset', requireRole('moderator'), async (req, res) => {
+  try {
+    const result = await resetStrikes(req.params.username);
+    if (!result.success) {
+      return res.status(result.statusCode || 400).json({ success: false, error: result.error });
+    }
+
+    logAdminAudit({
+      actor: req.user.username,
+      source: 'api',
+      setting: `strikes.${result.record.username}`,
+      previous: result.previous,
+      value: { points: 0, penalty: null },
+    });
+    console.log(`[Strikes] ${req.user.username} reset strikes for "${result.record.username}"`);
+    res.json({ success: true, user: result.record });
+  } catch (error) {
+    console.error('Error resetting strikes:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+});
+
+// Get the current moderation settings
+app.get('/api/admin/settings', requireRole('admin'), (req, res) => {
+  res.json({ success: true, settings: getModerationSettings() });
+});
+
+// Change moderation settings at runtime (no restart needed)
+app.patch('/api/admin/settings', requireRole('admin'), express.json(), (req, res) => {
+  try {
+    const result = updateModerationSettings(req.body, req.user.username, 'api');
+    if (!result.success) {
+      return res.status(result.statusCode || 400).json({ success: false, error: result.error });
+    }
+    res.json(result);
+  } catch (error) {
+    console.error('Error updating moderation settings:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+});
+
+// Apply the SAFER_VALUE recommended by feedback analytics
+app.post('/api/admin/settings/apply-recommendation', requireRole('admin'), (req, res) => {
+  try {
+    const recommendation = getAnalytics(null, getSaferValue().saferValue).recommendations?.threshold;
+    if (!recommendation || recommendation.recommended === recommendation.current) {
+      return res.json({
+        success: true,
+        changed: [],
+        recommendation: recommendation || null,
+        settings: getModerationSettings(),
+      });
+    }
+
+    const result = updateModerationSettings({ saferValue: recommendation.recommended }, req.user.username, 'recommendation');
+    if (!result.success) {
+      return res.status(result.statusCode || 400).json({ success: false, error: result.error });
+    }
+    res.json({ ...result, recommendation });
+  } catch (error) {
+    console.error('Error applying threshold recommendation:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+});
+
+// Get the admin audit log
+app.get('/api/admin/audit', requireRole('admin'), (req, res) => {
+  const limit = Math.min(parseInt(req.query.limit, 10) || 100, 1000);
+  const entries = getAdminAuditLogs(limit);
+  res.json({ success: true, count: entries.length, entries });
+});
+
+// List user accounts
+app.get('/api/admin/users', requireRole('admin'), async (req, res) => {
+  try {
+    const users = await listAccounts();
+    res.json({ success: true, count: users.length, users });
+  } catch (error) {
+    console.error('Error listing user accounts:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+});
+
+// Change a user's role
+app.patch('/api/admin/users/:username', requireRole('admin'), express.json(), async (req, res) => {
+  try {
+    const result = await setAccountRole(req.params.username, req.body?.role);
+    if (!result.success) {
+      return res.status(result.statusCode || 400).json({ success: false, error: result.error });
+    }
+
+    if (result.previousRole !== result.user.role) {
+      logAdminAudit({
+        actor: req.user.username,
+        source: 'api',
+        setting: `users.${result.user.username}.role`,
+        previous: result.previousRole,
+        value: result.user.role,
+      });
+      console.log(`[Admin] ${req.user.username} changed ${result.user.username}'s role: ${result.previousRole} -> ${result.user.role}`);
+    }
+    res.json({ success: true, user: result.user });
+  } catch (error) {
+    console.error('Error changing user role:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+});
+
+// Reload the local moderation rules file when it changes
+watchModerationRules();
+
 // Setup Socket.io handlers
 setupSocketHandlers(io);
+setupModeratorHandlers(io);
 
 // Serve static files from frontend dist (AFTER all API routes)
 // This ensures assets (JS, CSS) are served correctly
@@ -346,6 +840,7 @@ httpServer.listen(PORT, () => {
   console.log(`📡 Socket.io server ready`);
   console.log(`🌍 Environment: ${config.server.nodeEnv}`);
   console.log(`🔒 Moderation threshold: ${config.moderation.threshold}`);
+  console.log(`🛡️  Moderation provider: ${config.moderation.provider}`);
   
   if (!config.huggingFace.apiToken) {
     console.warn('⚠️  Warning: HF_API_TOKEN not set. Moderation may not work properly.');
@@ -365,7 +860,11 @@ async function gracefulShutdown(signal) {
   try {
     // Clean up rate limit data
     console.log('Cleaning up rate limit data...');
-    cleanupAllRateLimits();
+    await cleanupAllRateLimits();
+
+    // Stop the moderation recovery retry loop
+    stopModeratorHandlers();
+    stopWatchingModerationRules();
     
     // Close Socket.io server and all connections
     console.log('Closing Socket.io connections...');
@@ -374,9 +873,15 @@ async function gracefulShutdown(signal) {
       console.log('Socket.io server closed');
     });
     
-    // Close Gradio client connection
-    console.log('Closing Gradio client connection...');
-    await closeGradioClient();
+    // Close moderation provider connections (e.g. Gradio client)
+    console.log('Closing moderation provider connections...');
+    await closeModerationProviders();
+
+    // Flush and close the message history store
+    await closeMessageStore();
+
+    // Close the shared state store and the Socket.io Redis adapter's connections
+    await closeStateStore();
     
     // Close HTTP server
     console.log('Closing HTTP server...');
@@ -1,176 +1,284 @@
-import { moderateText } from './moderationService.js';
+import { moderateText, getModerationAction } from './moderationService.js';
+import { addToReviewQueue } from './reviewQueue.js';
 import { config } from './config.js';
-import { generateAIResponse, generateGreeting, getAIAuthorName } from './aiService.js';
+import { generateAIResponse, generateGreeting } from './aiService.js';
+import { getPersona } from './personaService.js';
+import { shouldAIReply, startAICooldown, isAIQuietTime } from './aiTriggers.js';
+import { buildRoomContext } from './aiContext.js';
+import { roomChannel, getRoom, getRoomProfile, getRoomMembers } from './roomService.js';
+import { saveMessage, getMessages, getMessage, updateMessage, trackReportableMessage } from './messageStore.js';
+import { checkUsername, claimUsername, releaseUsername, usernameKey, userChannel, getOnlineUsername } from './usernameRegistry.js';
+import { createSocketAuthMiddleware, isAccountUsername, hasRole, getSocketIp } from './authService.js';
+import { recordStrike, getActivePenalty, describePenalty, enforcePenalty } from './strikeService.js';
+import { isChatCommand, listChatCommands, runChatCommand } from './chatCommands.js';
+import { logAdminAudit } from './loggingService.js';
+import { getValue, setValue, deleteValue, clearLocalState } from './stateStore.js';
+import { checkRateLimit, checkAIRateLimit, checkSlowMode, checkDuplicateMessage } from './rateLimiter.js';
 
-// Rate limiting: track messages per connection
-const rateLimitMap = new Map();
-
-// Conversation history: track messages per connection for AI context
-const conversationHistoryMap = new Map();
-
-// AI response rate limiting: prevent AI spam
-const aiResponseRateLimitMap = new Map();
+// Rate limits, slow mode, editable messages, usernames and strikes live in the state store (STATE_STORE),
+// so every server instance sees the same limits and reconnecting doesn't reset them
 
 /**
- * Cleans up rate limit data for a socket connection
+ * Cleans up all rate limit data held by this process
+ * Call this during graceful shutdown
  */
-function cleanupRateLimit(socketId) {
-  rateLimitMap.delete(socketId);
-  conversationHistoryMap.delete(socketId);
-  aiResponseRateLimitMap.delete(socketId);
+export async function cleanupAllRateLimits() {
+  await clearLocalState();
+  console.log('Rate limit state cleared');
 }
 
 /**
- * Cleans up all rate limit data
- * Call this during graceful shutdown
+ * Identifies who rate limits belong to
+ * Signed-in users are tracked by account and guests by IP address, not by connection
+ * @param {Socket} socket - The socket
+ * @returns {string} - e.g. "user:alice" or "ip:203.0.113.7"
  */
-export function cleanupAllRateLimits() {
-  rateLimitMap.clear();
-  conversationHistoryMap.clear();
-  aiResponseRateLimitMap.clear();
-  console.log('Rate limit and conversation history maps cleared');
+function getClientKey(socket) {
+  return socket.data.user ? `user:${usernameKey(socket.data.user.username)}` : `ip:${getSocketIp(socket)}`;
 }
 
 /**
- * Checks if a message should be rate limited
- * @param {string} socketId - The socket connection ID
- * @returns {boolean} - True if message should be allowed, false if rate limited
+ * Remembers who sent a room message, so they can edit or delete it during MESSAGE_EDIT_WINDOW_SECONDS
+ * Owners are identified by their username token, so a guest who later takes the same name can't edit them
+ * @param {string} messageId - The message ID
+ * @param {string} room - The room it was sent to
+ * @param {string} ownerToken - The sender's username token
  */
-function checkRateLimit(socketId) {
-  const now = Date.now();
-  const oneMinuteAgo = now - 60000; // 60 seconds
-
-  if (!rateLimitMap.has(socketId)) {
-    rateLimitMap.set(socketId, []);
+async function trackEditableMessage(messageId, room, ownerToken) {
+  try {
+    await setValue(`editable:${messageId}`, { room, ownerToken, sentAt: Date.now() }, config.messages.editWindowSeconds * 1000);
+  } catch (error) {
+    console.error(`Could not track message ${messageId} for editing:`, error.message);
   }
+}
 
-  const messages = rateLimitMap.get(socketId);
-  
-  // Remove messages older than 1 minute
-  const recentMessages = messages.filter(timestamp => timestamp > oneMinuteAgo);
-  
-  // Check if limit exceeded
-  if (recentMessages.length >= config.rateLimit.messagesPerMinute) {
-    return false; // Rate limited
+/**
+ * Gets a message its sender can still edit or delete
+ * @param {string} messageId - The message ID
+ * @param {string} ownerToken - The username token of the user asking
+ * @returns {Promise<Object|null>} - { room, ownerToken, sentAt }, or null if it isn't theirs or the window has passed
+ */
+async function getOwnEditableMessage(messageId, ownerToken) {
+  const entry = await getValue(`editable:${messageId}`);
+  if (!entry || entry.ownerToken !== ownerToken) {
+    return null;
   }
-
-  // Add current message timestamp
-  recentMessages.push(now);
-  rateLimitMap.set(socketId, recentMessages);
-  
-  return true; // Allowed
+  return entry;
 }
 
 /**
- * Checks if AI response should be rate limited (prevent AI spam)
- * @param {string} socketId - The socket connection ID
- * @returns {boolean} - True if AI response should be allowed
+ * Sanitizes and validates message text
+ * @param {string} text - The raw message text
+ * @returns {Object} - { text } or { error }
  */
-function checkAIRateLimit(socketId) {
-  const now = Date.now();
-  const oneMinuteAgo = now - 60000;
+function sanitizeMessageText(text) {
+  // Remove potential XSS attempts (basic sanitization)
+  const messageText = text.trim()
+    .replace(/<script\b[^<]*(?:(?!<\/script>)<[^<]*)*<\/script>/gi, '')
+    .replace(/<[^>]+>/g, ''); // Remove HTML tags
 
-  if (!aiResponseRateLimitMap.has(socketId)) {
-    aiResponseRateLimitMap.set(socketId, []);
+  if (messageText.length === 0) {
+    return { error: 'Message cannot be empty' };
   }
 
-  const aiResponses = aiResponseRateLimitMap.get(socketId);
-  const recentResponses = aiResponses.filter(timestamp => timestamp > oneMinuteAgo);
-  
-  // Limit AI responses to 10 per minute per connection
-  if (recentResponses.length >= 10) {
-    return false;
+  // Enforce maximum length
+  if (messageText.length > 1000) {
+    return { error: 'Message too long (max 1000 characters)' };
   }
 
-  recentResponses.push(now);
-  aiResponseRateLimitMap.set(socketId, recentResponses);
-  return true;
+  return { text: messageText };
 }
 
 /**
- * Adds a message to conversation history
- * @param {string} socketId - The socket connection ID
- * @param {Object} messageData - The message data
+ * Delivers a direct message to every socket of the recipient and the sender, on any server instance
+ * @param {Object} io - Socket.io server instance
+ * @param {Object} messageData - The message (author and to are usernames)
+ * @returns {Promise<boolean>} - False if the recipient is offline
  */
-function addToConversationHistory(socketId, messageData) {
-  if (!conversationHistoryMap.has(socketId)) {
-    conversationHistoryMap.set(socketId, []);
+export async function deliverDirectMessage(io, messageData) {
+  if (!(await getOnlineUsername(messageData.to))) {
+    return false;
   }
+  io.to([userChannel(messageData.to), userChannel(messageData.author)]).emit('privateMessage', messageData);
+  // Direct messages aren't kept in history, so remember this one in case either user reports it
+  trackReportableMessage(messageData, false);
+  return true;
+}
 
-  const history = conversationHistoryMap.get(socketId);
-  history.push({
-    author: messageData.author || 'Anonymous',
-    text: messageData.text,
-    timestamp: messageData.timestamp,
-  });
-
-  // Keep only last N messages
-  const maxHistory = config.ai.conversationHistorySize;
-  if (history.length > maxHistory) {
-    history.shift();
+/**
+ * Finds the end of the last complete sentence in streamed text
+ * A sentence ends at ".", "!" or "?" (plus any closing quotes or brackets) followed by whitespace, or at a line break
+ * @param {string} text - The text streamed so far
+ * @param {number} from - Where to start looking
+ * @returns {number} - The index just after the last sentence, or -1 if no sentence has ended since `from`
+ */
+function findLastSentenceEnd(text, from) {
+  const sentenceEnd = /[.!?…]+["')\]]*\s+|\n+/g;
+  sentenceEnd.lastIndex = from;
+  let end = -1;
+  let match;
+  while ((match = sentenceEnd.exec(text))) {
+    end = match.index + match[0].length;
   }
+  return end;
 }
 
 /**
- * Generates and broadcasts an AI response
+ * Generates an AI response and streams it to the room, if the room's trigger policy calls for one
+ * Events: aiMessageStart (show a typing indicator), aiMessageChunk (each piece of text),
+ * then aiMessageComplete (the full text and its moderation result) or aiMessageRetracted
+ * Each sentence is moderated as soon as it's complete, and the reply is retracted if one is flagged,
+ * so users only briefly see text that moderation would have blocked
  * @param {Object} io - Socket.io server instance
  * @param {string} socketId - The socket connection ID
- * @param {string} userMessage - The user's message
+ * @param {string} clientKey - The sender, from getClientKey (for the AI rate limit)
+ * @param {string} room - The room the user message was sent to
+ * @param {Object} userMessage - The user's message: { id, author, text }
  * @param {Object} moderationResult - The moderation result
  * @param {boolean} isBlocked - Whether the user message was blocked
  */
-async function generateAndBroadcastAIResponse(io, socketId, userMessage, moderationResult, isBlocked = false) {
-  // Check if AI is enabled
-  if (!config.ai.enabled) {
+export async function generateAndBroadcastAIResponse(io, socketId, clientKey, room, userMessage, moderationResult, isBlocked = false) {
+  // Check if AI is enabled (globally and for this room)
+  const profile = getRoomProfile(room);
+  if (!profile.aiEnabled) {
+    return;
+  }
+
+  // The room's persona replies under its own name and avatar
+  const persona = getPersona(profile.persona);
+
+  // Check the room's trigger policy (mentions, blocked only, questions, random, cooldown)
+  const trigger = await shouldAIReply(room, profile, { text: userMessage.text, isBlocked, persona });
+  if (!trigger.reply) {
     return;
   }
 
   // Check AI rate limit
-  if (!checkAIRateLimit(socketId)) {
-    console.log(`AI response rate limited for socket ${socketId}`);
+  if (!(await checkAIRateLimit(clientKey))) {
+    console.log(`AI response rate limited for ${clientKey}`);
     return;
   }
 
+  // The room's cooldown only starts once the reply is certain, so a user's refused reply doesn't silence the room
+  if (!(await startAICooldown(room, profile))) {
+    return;
+  }
+
+  const channel = roomChannel(room);
+  const aiMessageData = {
+    id: `ai-${socketId}-${Date.now()}`,
+    author: persona.name,
+    avatar: persona.avatar,
+    room,
+    timestamp: new Date().toISOString(),
+    isAI: true, // Flag to identify AI messages
+  };
+  const abortController = new AbortController();
+  let streamedText = '';
+  // Text before this index has been sent for sentence moderation
+  let moderatedUpTo = 0;
+  // Sentence checks run one at a time, in order
+  let sentenceChecks = Promise.resolve();
+  let retracted = false;
+
+  // Withdraws the reply from everyone in the room and stops generating it
+  const retract = (reason, details = null) => {
+    if (retracted) {
+      return;
+    }
+    retracted = true;
+    abortController.abort();
+    io.to(channel).emit('aiMessageRetracted', { id: aiMessageData.id, room, reason, details });
+    console.log(`[AI] Retracted reply ${aiMessageData.id} in #${room}: ${reason}`);
+  };
+
+  // Moderates the sentences completed since the last check
+  const checkNewSentences = () => {
+    const end = findLastSentenceEnd(streamedText, moderatedUpTo);
+    if (end === -1) {
+      return;
+    }
+    const sentences = streamedText.slice(moderatedUpTo, end).trim();
+    moderatedUpTo = end;
+    if (!sentences) {
+      return;
+    }
+    sentenceChecks = sentenceChecks.then(async () => {
+      if (retracted) {
+        return;
+      }
+      try {
+        const result = await moderateText(sentences);
+        if (result.isBlocked) {
+          retract(`Flagged by moderation${result.details?.maxCategory ? ` (${result.details.maxCategory})` : ''}`, result.details);
+        }
+      } catch (error) {
+        // The full reply is moderated again before it completes
+        console.error(`Error moderating AI reply ${aiMessageData.id} mid-stream:`, error.message);
+      }
+    });
+  };
+
   try {
-    // Get conversation history
-    const conversationHistory = conversationHistoryMap.get(socketId) || [];
+    // The room's recent conversation, every speaker included (the message being answered is added last)
+    const context = await buildRoomContext(room, { excludeId: userMessage.id });
+
+    // Show the typing indicator while the provider starts generating
+    io.to(channel).emit('aiMessageStart', aiMessageData);
 
-    // Generate AI response (pass isBlocked flag)
-    const aiResponseText = await generateAIResponse(userMessage, moderationResult, conversationHistory, isBlocked);
+    // Generate AI response (pass isBlocked flag), streaming each piece of text to the room
+    const aiResponseText = await generateAIResponse(userMessage.text, moderationResult, context, isBlocked, {
+      persona,
+      room,
+      author: userMessage.author,
+      signal: abortController.signal,
+      onToken: (text) => {
+        if (retracted) {
+          return;
+        }
+        streamedText += text;
+        io.to(channel).emit('aiMessageChunk', { id: aiMessageData.id, room, text });
+        checkNewSentences();
+      },
+    });
+
+    await sentenceChecks;
+    if (retracted) {
+      return;
+    }
 
     if (!aiResponseText || aiResponseText.trim().length === 0) {
       console.log('AI returned empty response, skipping');
+      retract('The AI returned an empty response');
       return;
     }
 
-    // Moderate the AI response
+    // Moderate the whole AI response (sentences can be fine alone and not together)
     const aiModerationResult = await moderateText(aiResponseText);
 
-    if (aiModerationResult.isBlocked) {
-      console.log('AI response was blocked by moderation, skipping');
-      // Optionally log this for analysis
+    if (aiModerationResult.isBlocked || aiModerationResult.details?.awaitingRecovery) {
+      console.log('AI response was blocked (or could not be checked) by moderation, skipping');
+      retract(aiModerationResult.isBlocked ? 'Flagged by moderation' : 'Moderation is unavailable', aiModerationResult.details);
       return;
     }
 
-    // Create AI message data
-    const aiMessageData = {
-      id: `ai-${socketId}-${Date.now()}`,
-      text: aiResponseText,
-      author: getAIAuthorName(),
-      timestamp: new Date().toISOString(),
-      moderationStatus: aiModerationResult.reason,
-      details: aiModerationResult.details,
-      isAI: true, // Flag to identify AI messages
-    };
-
-    // Add AI message to conversation history
-    addToConversationHistory(socketId, aiMessageData);
+    aiMessageData.text = aiResponseText;
+    aiMessageData.moderationStatus = aiModerationResult.reason;
+    aiMessageData.details = aiModerationResult.details;
 
-    // Broadcast AI message to all clients
-    io.emit('message', aiMessageData);
+    // Replace the streamed text with the final reply for everyone in the room
+    io.to(channel).emit('aiMessageComplete', { ...aiMessageData, moderation: aiModerationResult });
+    saveMessage(aiMessageData);
 
     console.log(`AI response generated and broadcast for socket ${socketId}`);
   } catch (error) {
+    if (retracted) {
+      // The stream was cancelled because the reply was retracted
+      return;
+    }
+    // Take down the typing indicator or partial reply, but don't show the error - AI failures stay silent
+    retract('The AI reply failed');
+
     // Log error but don't break the chat experience
     const errorMessage = error.message || error.toString();
     console.error(`Error generating AI response for socket ${socketId}:`, errorMessage);
@@ -186,8 +294,6 @@ async function generateAndBroadcastAIResponse(io, socketId, userMessage, moderat
       // Only log unexpected errors
       console.error('Unexpected AI error:', error);
     }
-    
-    // Don't emit error to client - AI failures should be silent to maintain good UX
   }
 }
 
@@ -196,47 +302,308 @@ async function generateAndBroadcastAIResponse(io, socketId, userMessage, moderat
  * @param {Socket} io - Socket.io server instance
  */
 export function setupSocketHandlers(io) {
+  // Every connection needs a valid session token (unless guests are allowed)
+  io.use(createSocketAuthMiddleware());
+
+  // Timed-out and banned users (and banned IPs) can't connect
+  io.use(async (socket, next) => {
+    const penalty = await getActivePenalty(socket.data.user?.username, getSocketIp(socket));
+    if (penalty && penalty.type !== 'mute') {
+      const error = new Error(describePenalty(penalty));
+      error.data = { penalty };
+      return next(error);
+    }
+    next();
+  });
+
   io.on('connection', (socket) => {
     console.log(`Client connected: ${socket.id}`);
 
-    // Store username for this socket connection
+    // Store username and current room for this socket connection
     let socketUsername = null;
+    let socketUsernameToken = null;
+    let currentRoom = null;
+
+    // Rate limits follow the user (or guest IP) across connections and server instances
+    const clientKey = getClientKey(socket);
+
+    /**
+     * Leaves the current room, telling the other members
+     */
+    const leaveCurrentRoom = () => {
+      if (!currentRoom) {
+        return;
+      }
+      const room = currentRoom;
+      socket.leave(roomChannel(room));
+      socket.to(roomChannel(room)).emit('userLeft', { room, username: socketUsername });
+      socket.emit('roomLeft', { room });
+      currentRoom = null;
+    };
+
+    /**
+     * Moves this socket into a room (a socket is in one room at a time)
+     * and sends it the room's recent history
+     * @param {string} roomName - The room to join
+     * @returns {Promise<boolean>} - True if joined
+     */
+    const joinChatRoom = async (roomName) => {
+      const room = getRoom(roomName);
+      if (!room) {
+        socket.emit('error', { message: `Room "${roomName}" does not exist` });
+        return false;
+      }
+      if (currentRoom === room.name) {
+        return true;
+      }
+
+      leaveCurrentRoom();
+      currentRoom = room.name;
+      socket.join(roomChannel(room.name));
+      socket.to(roomChannel(room.name)).emit('userJoined', { room: room.name, username: socketUsername });
+      let members = [];
+      try {
+        members = await getRoomMembers(io, room.name);
+      } catch (error) {
+        console.error(`Error listing the members of room "${room.name}":`, error.message);
+      }
+      socket.emit('roomJoined', {
+        room: room.name,
+        description: room.description,
+        profile: getRoomProfile(room.name),
+        members,
+      });
+      console.log(`User "${socketUsername}" (${socket.id}) joined room "${room.name}"`);
+
+      try {
+        const { messages, hasMore } = await getMessages(room.name);
+        socket.emit('history', { room: room.name, messages, hasMore });
+      } catch (error) {
+        console.error(`Error loading history for room "${room.name}":`, error);
+      }
+      return true;
+    };
+
+    /**
+     * Records a strike for a blocked message and enforces the penalty it triggers, if any
+     * Timeouts and bans disconnect every connection the user has
+     * @param {Object} moderationResult - The blocked message's moderation result
+     * @param {string} reason - Why it was blocked
+     * @param {Object} target - { room } or { to }
+     */
+    const addStrike = async (moderationResult, reason, target) => {
+      // Messages blocked only because moderation failed (fail-closed) aren't the user's fault
+      if (moderationResult.details?.failurePolicy) {
+        return;
+      }
+
+      const strike = await recordStrike(socketUsername, { ip: getSocketIp(socket), moderationResult, reason, ...target });
+      if (strike?.penalty) {
+        enforcePenalty(io, socketUsername, strike.penalty, strike.points);
+      }
+    };
+
+    /**
+     * Tells the sender their message wasn't sent because they are muted (or worse)
+     * @param {string} text - The message text
+     * @param {Object} target - { room } or { to, isDirect }
+     * @returns {Promise<boolean>} - True if the user is under a penalty
+     */
+    const rejectIfPenalized = async (text, target) => {
+      const penalty = await getActivePenalty(socketUsername, getSocketIp(socket));
+      if (!penalty) {
+        return false;
+      }
+      socket.emit('messageBlocked', {
+        text,
+        ...target,
+        reason: describePenalty(penalty),
+        penalty,
+        timestamp: new Date().toISOString(),
+      });
+      return true;
+    };
+
+    /**
+     * Tells the sender their message wasn't sent because they are sending too fast, and exactly when they can send again
+     * @param {string} text - The message text
+     * @param {Object} target - { room }, { to, isDirect } or { room, editOf }
+     * @param {string} reason - Why it was refused
+     * @param {number} retryAfterMs - How long until they can send again
+     */
+    const rejectRateLimited = (text, target, reason, retryAfterMs) => {
+      const retryAfter = Math.max(1, Math.ceil(retryAfterMs / 1000));
+      socket.emit('messageBlocked', {
+        text,
+        ...target,
+        reason: `${reason} You can send again in ${retryAfter}s.`,
+        rateLimited: true,
+        retryAfter,
+        retryAt: new Date(Date.now() + retryAfterMs).toISOString(),
+        timestamp: new Date().toISOString(),
+      });
+    };
+
+    /**
+     * Runs a message past slow mode, duplicate detection and the sender's rate limit
+     * Moderators are exempt from slow mode; rate limits scale with the sender's role (RATE_LIMIT_ROLE_MULTIPLIERS)
+     * Commands only use up the rate limit - they aren't posted, so slow mode and duplicates don't apply
+     * @param {string} text - The message text
+     * @param {Object} target - { room } or { to, isDirect }
+     * @param {Object} options - { room, roomProfile } for room messages, command: true for slash commands
+     * @returns {Promise<boolean>} - True if the message may be sent
+     */
+    const passesRateLimits = async (text, target, { room = null, roomProfile = null, command = false } = {}) => {
+      const role = socket.data.user?.role || null;
+
+      // The rate limit goes first, so messages refused by it don't count towards slow mode or duplicates
+      // Rooms can have their own rate limit; direct messages use RATE_LIMIT_PER_MINUTE
+      const limit = await checkRateLimit(clientKey, role, {
+        messagesPerMinute: roomProfile?.rateLimitPerMinute,
+      });
+      if (!limit.allowed) {
+        rejectRateLimited(text, target, 'Rate limit exceeded. Please slow down.', limit.retryAfterMs);
+        return false;
+      }
+      if (command) {
+        return true;
+      }
+
+      if (room && !hasRole(role, 'moderator')) {
+        const waitMs = await checkSlowMode(room, socketUsername, roomProfile.slowModeSeconds);
+        if (waitMs > 0) {
+          rejectRateLimited(text, target, `Slow mode is on in #${room}.`, waitMs);
+          return false;
+        }
+      }
+
+      const duplicate = await checkDuplicateMessage(clientKey, text);
+      if (!duplicate.allowed) {
+        rejectRateLimited(text, target, "You've already sent that message.", duplicate.retryAfterMs);
+        return false;
+      }
+      return true;
+    };
 
     // Handle username registration
     socket.on('register_username', async (data) => {
       if (!data || !data.username || typeof data.username !== 'string') {
-        socket.emit('error', { message: 'Username is required' });
+        socket.emit('usernameRejected', { message: 'Username is required' });
         return;
       }
 
-      const username = data.username.trim();
-      if (username.length === 0 || username.length > 20) {
-        socket.emit('error', { message: 'Username must be between 1 and 20 characters' });
+      // Signed-in users always chat under their account name
+      const account = socket.data.user;
+      if (account && usernameKey(data.username) !== usernameKey(account.username)) {
+        socket.emit('usernameRejected', { message: `You are signed in as ${account.username}` });
         return;
       }
 
-      socketUsername = username;
-      console.log(`User registered: ${socket.id} as "${username}"`);
+      // Registering the same name again (e.g. a double submit) changes nothing
+      if (socketUsername && usernameKey(socketUsername) === usernameKey(data.username)) {
+        socket.emit('usernameRegistered', { username: socketUsername, token: socketUsernameToken });
+        return;
+      }
 
-      // Send greeting from AI
-      if (config.ai.enabled) {
+      let username = account?.username;
+      if (!account) {
+        // Guests: the name must be acceptable and not belong to an account
+        const check = await checkUsername(data.username);
+        if (!check.success) {
+          socket.emit('usernameRejected', { message: check.error });
+          return;
+        }
+        let isAccount;
         try {
-          const greeting = await generateGreeting(username);
+          isAccount = await isAccountUsername(check.username);
+        } catch (error) {
+          console.error(`Error checking whether "${check.username}" has an account:`, error.message);
+          socket.emit('usernameRejected', { message: 'Usernames cannot be registered right now. Please try again shortly.' });
+          return;
+        }
+        if (isAccount) {
+          socket.emit('usernameRejected', { message: `"${check.username}" belongs to a registered account. Sign in to use it.` });
+          return;
+        }
+        username = check.username;
+      }
+
+      // Penalties stay with the name: no picking a banned name, and no renaming to get out of a mute
+      const penalty = await getActivePenalty(username, getSocketIp(socket)) ||
+        (socketUsername ? await getActivePenalty(socketUsername) : null);
+      if (penalty) {
+        socket.emit('usernameRejected', { message: describePenalty(penalty) });
+        return;
+      }
+
+      let claim;
+      try {
+        claim = await claimUsername(username, socket.id, data.token, { verified: !!account });
+      } catch (error) {
+        console.error(`Error registering username "${username}":`, error.message);
+        socket.emit('usernameRejected', { message: 'Usernames cannot be registered right now. Please try again shortly.' });
+        return;
+      }
+      if (!claim.success) {
+        socket.emit('usernameRejected', { message: claim.error });
+        return;
+      }
+      // A guest was using the account's name: they lose it on every instance and have to pick another
+      if (claim.evicted?.length > 0) {
+        const message = `"${claim.username}" belongs to a registered account that just signed in. Please pick another name.`;
+        claim.evicted.forEach((socketId) => {
+          io.to(socketId).emit('usernameRevoked', { message });
+          io.in(socketId).disconnectSockets();
+        });
+      }
+
+      if (socketUsername) {
+        const previousUsername = socketUsername;
+        socket.leave(userChannel(previousUsername));
+        releaseUsername(previousUsername, socket.id).catch(error => {
+          console.error(`Error releasing username "${previousUsername}":`, error.message);
+        });
+      }
+      socketUsername = claim.username;
+      socketUsernameToken = claim.token;
+      // Direct messages and penalties reach the user through their channel; room member lists read the name
+      socket.join(userChannel(socketUsername));
+      socket.data.username = socketUsername;
+      // The token lets this user reclaim the name after a reconnect, or use it from another tab
+      socket.emit('usernameRegistered', { username: claim.username, token: claim.token });
+      // Slash commands this user can use, for autocomplete
+      socket.emit('commands', listChatCommands(socket.data.user?.role));
+      console.log(`User registered: ${socket.id} as "${claim.username}"${claim.reclaimed ? ' (reclaimed)' : ''}`);
+
+      if (currentRoom) {
+        // Renamed - already in a room
+        return;
+      }
+
+      // New users start in the default room
+      if (!(await joinChatRoom(config.rooms.defaultRoom))) {
+        return;
+      }
+
+      // Send greeting from AI (not again when coming back after a reconnect)
+      if (!claim.reclaimed && getRoomProfile(currentRoom).aiEnabled && !isAIQuietTime(getRoomProfile(currentRoom))) {
+        try {
+          const persona = getPersona(getRoomProfile(currentRoom).persona);
+          const greeting = await generateGreeting(socketUsername, persona, currentRoom);
           if (greeting) {
             // Moderate the greeting before sending
             const greetingModeration = await moderateText(greeting);
-            if (!greetingModeration.isBlocked) {
+            if (!greetingModeration.isBlocked && !greetingModeration.details?.awaitingRecovery) {
               const greetingMessage = {
                 id: `ai-greeting-${socket.id}-${Date.now()}`,
                 text: greeting,
-                author: getAIAuthorName(),
+                author: persona.name,
+                avatar: persona.avatar,
+                room: currentRoom,
                 timestamp: new Date().toISOString(),
                 isAI: true,
               };
 
-              // Add to conversation history
-              addToConversationHistory(socket.id, greetingMessage);
-
               // Send greeting to this user only
               socket.emit('message', greetingMessage);
             }
@@ -248,6 +615,23 @@ export function setupSocketHandlers(io) {
       }
     });
 
+    // Handle switching rooms
+    socket.on('joinRoom', async (data) => {
+      if (!socketUsername) {
+        socket.emit('error', { message: 'Please set your username first' });
+        return;
+      }
+      if (!data || typeof data.room !== 'string') {
+        socket.emit('error', { message: 'Room is required' });
+        return;
+      }
+      await joinChatRoom(data.room.trim().toLowerCase());
+    });
+
+    socket.on('leaveRoom', () => {
+      leaveCurrentRoom();
+    });
+
     // Handle incoming messages
     socket.on('message', async (data) => {
       // Validate username is set
@@ -255,6 +639,34 @@ export function setupSocketHandlers(io) {
         socket.emit('error', { message: 'Please set your username first' });
         return;
       }
+
+      // Slash commands are answered privately and never broadcast
+      // Muted users can't run them, and they count towards the rate limit like any message
+      if (typeof data?.text === 'string' && isChatCommand(data.text.trim())) {
+        const commandText = data.text.trim();
+        if (await rejectIfPenalized(commandText, { room: currentRoom })) {
+          return;
+        }
+        const roomProfile = currentRoom ? getRoomProfile(currentRoom) : null;
+        if (!(await passesRateLimits(commandText, { room: currentRoom }, { room: currentRoom, roomProfile, command: true }))) {
+          return;
+        }
+        const result = await runChatCommand(io, commandText, {
+          username: socketUsername,
+          role: socket.data.user?.role || null,
+          room: currentRoom,
+        });
+        socket.emit('commandResult', { ...result, room: currentRoom, timestamp: new Date().toISOString() });
+        return;
+      }
+
+      if (!currentRoom) {
+        socket.emit('error', { message: 'Please join a room first' });
+        return;
+      }
+      // The room can change while the message is being moderated
+      const room = currentRoom;
+      const roomProfile = getRoomProfile(room);
       try {
         // Validate input
         if (!data || typeof data.text !== 'string') {
@@ -263,79 +675,102 @@ export function setupSocketHandlers(io) {
         }
 
         // Sanitize and validate message text
-        let messageText = data.text.trim();
-        
-        // Remove potential XSS attempts (basic sanitization)
-        messageText = messageText
-          .replace(/<script\b[^<]*(?:(?!<\/script>)<[^<]*)*<\/script>/gi, '')
-          .replace(/<[^>]+>/g, ''); // Remove HTML tags
-        
-        if (messageText.length === 0) {
-          socket.emit('error', { message: 'Message cannot be empty' });
+        const sanitized = sanitizeMessageText(data.text);
+        if (sanitized.error) {
+          socket.emit('error', { message: sanitized.error });
           return;
         }
-        
-        // Enforce maximum length
-        if (messageText.length > 1000) {
-          socket.emit('error', { message: 'Message too long (max 1000 characters)' });
+        const messageText = sanitized.text;
+
+        if (await rejectIfPenalized(messageText, { room })) {
           return;
         }
 
-        // Check rate limit
-        if (!checkRateLimit(socket.id)) {
-          socket.emit('messageBlocked', {
-            text: messageText,
-            reason: 'Rate limit exceeded. Please slow down.',
-            timestamp: new Date().toISOString(),
-          });
+        if (!(await passesRateLimits(messageText, { room }, { room, roomProfile }))) {
           return;
         }
 
         // Moderate the message
         const moderationResult = await moderateText(messageText);
 
-        if (moderationResult.isBlocked) {
+        // Map the result onto a graduated action (allow, warn, hold, block)
+        // Rooms with their own threshold re-decide the verdict against it
+        const { action, reason: actionReason } = getModerationAction(moderationResult, {
+          threshold: getRoom(room)?.profile.threshold ?? undefined,
+        });
+
+        if (action === 'block') {
           // Message is toxic, block it
           const blockedMessageData = {
             id: `${socket.id}-${Date.now()}`,
             text: messageText,
-            reason: moderationResult.reason,
+            author: socketUsername || data.author || 'Anonymous',
+            room,
+            reason: actionReason,
             details: moderationResult.details,
+            moderationAction: action,
             timestamp: new Date().toISOString(),
           };
 
           socket.emit('messageBlocked', blockedMessageData);
+          trackReportableMessage(blockedMessageData, true);
+          await addStrike(moderationResult, actionReason, { room });
+
+          // Messages blocked only because moderation failed (fail-closed) need no AI explanation
+          if (moderationResult.details?.failurePolicy) {
+            return;
+          }
 
           // Trigger AI response to explain why the message was blocked
           // Use setImmediate to ensure blocked message is sent first
           setImmediate(() => {
-            generateAndBroadcastAIResponse(io, socket.id, messageText, moderationResult, true)
+            generateAndBroadcastAIResponse(io, socket.id, clientKey, room, blockedMessageData, moderationResult, true)
               .catch(error => {
                 // Errors are already logged in generateAndBroadcastAIResponse
                 // This catch prevents unhandled promise rejection
               });
           });
+        } else if (action === 'hold') {
+          // Borderline-high score: hold for moderator review, only the sender is told
+          const heldMessageData = {
+            id: `${socket.id}-${Date.now()}`,
+            text: messageText,
+            author: socketUsername || data.author || 'Anonymous',
+            room,
+            reason: actionReason,
+            details: moderationResult.details,
+            moderationAction: action,
+            timestamp: new Date().toISOString(),
+          };
+
+          // Messages held because the provider is down are re-checked automatically once it recovers
+          const source = moderationResult.details?.awaitingRecovery ? 'provider_error' : 'moderation';
+          await addToReviewQueue({ ...heldMessageData, socketId: socket.id, delivered: false }, source);
+          socket.emit('messageHeld', heldMessageData);
         } else {
-          // Message is safe, broadcast it to all clients
+          // Message is safe (or borderline), broadcast it to the room
           const messageData = {
             id: `${socket.id}-${Date.now()}`,
             text: messageText,
             author: socketUsername || data.author || 'Anonymous',
+            room,
             timestamp: new Date().toISOString(),
             moderationStatus: moderationResult.reason,
+            moderationAction: action,
+            warning: action === 'warn' ? actionReason : undefined,
             details: moderationResult.details, // Include details for reporting false negatives
           };
 
-          // Add user message to conversation history
-          addToConversationHistory(socket.id, messageData);
-
-          // Broadcast to all clients including sender
-          io.emit('message', messageData);
+          // Broadcast to everyone in the room including sender
+          // Borderline messages are delivered as 'messageWarned' so clients can show a warning badge
+          io.to(roomChannel(room)).emit(action === 'warn' ? 'messageWarned' : 'message', messageData);
+          saveMessage(messageData);
+          await trackEditableMessage(messageData.id, room, socketUsernameToken);
 
           // Trigger AI response asynchronously (don't block user message)
           // Use setImmediate to ensure user message is sent first
           setImmediate(() => {
-            generateAndBroadcastAIResponse(io, socket.id, messageText, moderationResult, false)
+            generateAndBroadcastAIResponse(io, socket.id, clientKey, room, messageData, moderationResult, false)
               .catch(error => {
                 // Errors are already logged in generateAndBroadcastAIResponse
                 // This catch prevents unhandled promise rejection
@@ -351,10 +786,258 @@ export function setupSocketHandlers(io) {
       }
     });
 
+    // Handle direct messages - moderated and rate limited like room messages,
+    // but only the recipient and the sender see them
+    socket.on('privateMessage', async (data) => {
+      if (!socketUsername) {
+        socket.emit('error', { message: 'Please set your username first' });
+        return;
+      }
+      try {
+        if (!data || typeof data.text !== 'string' || typeof data.to !== 'string') {
+          socket.emit('error', { message: 'Invalid direct message format' });
+          return;
+        }
+
+        const to = await getOnlineUsername(data.to);
+        if (!to) {
+          socket.emit('error', { message: `${data.to.trim()} is not online` });
+          return;
+        }
+        if (usernameKey(to) === usernameKey(socketUsername)) {
+          socket.emit('error', { message: 'You cannot send a direct message to yourself' });
+          return;
+        }
+
+        const sanitized = sanitizeMessageText(data.text);
+        if (sanitized.error) {
+          socket.emit('error', { message: sanitized.error });
+          return;
+        }
+        const messageText = sanitized.text;
+
+        if (await rejectIfPenalized(messageText, { to, isDirect: true })) {
+          return;
+        }
+
+        if (!(await passesRateLimits(messageText, { to, isDirect: true }))) {
+          return;
+        }
+
+        const moderationResult = await moderateText(messageText);
+        const { action, reason: actionReason } = getModerationAction(moderationResult);
+
+        const messageData = {
+          id: `dm-${socket.id}-${Date.now()}`,
+          text: messageText,
+          author: socketUsername,
+          to,
+          isDirect: true,
+          timestamp: new Date().toISOString(),
+          moderationAction: action,
+          details: moderationResult.details,
+        };
+
+        if (action === 'block') {
+          console.log(`[DM] Blocked direct message from "${socketUsername}" to "${to}": ${actionReason}`);
+          socket.emit('messageBlocked', { ...messageData, reason: actionReason });
+          trackReportableMessage(messageData, true);
+          await addStrike(moderationResult, actionReason, { to });
+        } else if (action === 'hold') {
+          const heldMessageData = { ...messageData, reason: actionReason };
+          const source = moderationResult.details?.awaitingRecovery ? 'provider_error' : 'moderation';
+          await addToReviewQueue({ ...heldMessageData, socketId: socket.id, delivered: false }, source);
+          socket.emit('messageHeld', heldMessageData);
+        } else {
+          const delivered = await deliverDirectMessage(io, {
+            ...messageData,
+            moderationStatus: moderationResult.reason,
+            warning: action === 'warn' ? actionReason : undefined,
+          });
+          if (!delivered) {
+            socket.emit('error', { message: `${to} is no longer online` });
+          }
+        }
+      } catch (error) {
+        console.error('Error handling direct message:', error);
+        socket.emit('error', {
+          message: 'An error occurred while processing your message',
+          error: error.message,
+        });
+      }
+    });
+
+    // Edit your own room message within MESSAGE_EDIT_WINDOW_SECONDS - the new text is moderated again
+    socket.on('editMessage', async (data) => {
+      if (!socketUsername) {
+        socket.emit('error', { message: 'Please set your username first' });
+        return;
+      }
+      if (!data || typeof data.id !== 'string' || typeof data.text !== 'string') {
+        socket.emit('error', { message: 'Invalid edit format' });
+        return;
+      }
+
+      try {
+        const editable = await getOwnEditableMessage(data.id, socketUsernameToken);
+        if (!editable) {
+          socket.emit('error', { message: `You can only edit your own messages, within ${config.messages.editWindowSeconds} seconds of sending them` });
+          return;
+        }
+        const { room } = editable;
+
+        const original = await getMessage(room, data.id);
+        if (!original || original.deleted) {
+          socket.emit('error', { message: 'That message no longer exists' });
+          return;
+        }
+
+        const sanitized = sanitizeMessageText(data.text);
+        if (sanitized.error) {
+          socket.emit('error', { message: sanitized.error });
+          return;
+        }
+        const messageText = sanitized.text;
+        if (messageText === original.text) {
+          return;
+        }
+        if (await rejectIfPenalized(messageText, { room, editOf: data.id })) {
+          return;
+        }
+        // Edits use up the sender's rate limit like new messages (each one is moderated again)
+        const limit = await checkRateLimit(clientKey, socket.data.user?.role || null, {
+          messagesPerMinute: getRoomProfile(room).rateLimitPerMinute,
+        });
+        if (!limit.allowed) {
+          rejectRateLimited(messageText, { room, editOf: data.id }, 'Rate limit exceeded. Please slow down.', limit.retryAfterMs);
+          return;
+        }
+
+        // Edits go through the same moderation as new messages
+        const moderationResult = await moderateText(messageText);
+        const { action, reason: actionReason } = getModerationAction(moderationResult, {
+          threshold: getRoom(room)?.profile.threshold ?? undefined,
+        });
+
+        if (action === 'block' || action === 'hold') {
+          // The original message stays as it was
+          socket.emit('messageBlocked', {
+            id: `${socket.id}-${Date.now()}`,
+            text: messageText,
+            author: socketUsername,
+            room,
+            editOf: data.id,
+            reason: action === 'block' ? actionReason : `Edit not applied - it would need moderator review (${actionReason})`,
+            details: moderationResult.details,
+            moderationAction: action,
+            timestamp: new Date().toISOString(),
+          });
+          if (action === 'block') {
+            await addStrike(moderationResult, actionReason, { room });
+          }
+          return;
+        }
+
+        const changes = {
+          text: messageText,
+          editedAt: new Date().toISOString(),
+          moderationStatus: moderationResult.reason,
+          moderationAction: action,
+          warning: action === 'warn' ? actionReason : undefined,
+          details: moderationResult.details,
+        };
+        if (!(await updateMessage(room, data.id, changes))) {
+          socket.emit('error', { message: 'That message no longer exists' });
+          return;
+        }
+        io.to(roomChannel(room)).emit('messageEdited', { id: data.id, room, ...changes });
+      } catch (error) {
+        console.error('Error editing message:', error);
+        socket.emit('error', {
+          message: 'An error occurred while editing your message',
+          error: error.message,
+        });
+      }
+    });
+
+    // Delete a room message: your own within MESSAGE_EDIT_WINDOW_SECONDS, or anyone's for moderators
+    // The message is replaced by a tombstone, in history too
+    socket.on('deleteMessage', async (data) => {
+      if (!socketUsername) {
+        socket.emit('error', { message: 'Please set your username first' });
+        return;
+      }
+      if (!data || typeof data.id !== 'string') {
+        socket.emit('error', { message: 'Invalid delete format' });
+        return;
+      }
+
+      try {
+        const own = await getOwnEditableMessage(data.id, socketUsernameToken);
+        if (!own && !hasRole(socket.data.user?.role, 'moderator')) {
+          socket.emit('error', { message: `You can only delete your own messages, within ${config.messages.editWindowSeconds} seconds of sending them` });
+          return;
+        }
+        const room = own ? own.room : (typeof data.room === 'string' ? data.room : currentRoom);
+        if (!getRoom(room)) {
+          socket.emit('error', { message: `Room "${room}" does not exist` });
+          return;
+        }
+
+        const original = await getMessage(room, data.id);
+        if (!original || original.deleted) {
+          socket.emit('error', { message: 'That message no longer exists' });
+          return;
+        }
+
+        const tombstone = {
+          deleted: true,
+          deletedAt: new Date().toISOString(),
+          deletedBy: socketUsername,
+          byModerator: !own,
+        };
+        await updateMessage(room, data.id, {
+          ...tombstone,
+          text: '',
+          warning: undefined,
+          moderationStatus: undefined,
+          details: undefined,
+        });
+        await deleteValue(`editable:${data.id}`);
+        io.to(roomChannel(room)).emit('messageDeleted', { id: data.id, room, ...tombstone });
+
+        if (!own) {
+          logAdminAudit({
+            actor: socketUsername,
+            source: 'socket',
+            setting: `messages.${room}.${data.id}`,
+            previous: { author: original.author, text: original.text },
+            value: 'deleted',
+          });
+          console.log(`[Messages] ${socketUsername} deleted a message by "${original.author}" in "${room}"`);
+        }
+      } catch (error) {
+        console.error('Error deleting message:', error);
+        socket.emit('error', {
+          message: 'An error occurred while deleting the message',
+          error: error.message,
+        });
+      }
+    });
+
     // Handle disconnection
     socket.on('disconnect', () => {
       console.log(`Client disconnected: ${socket.id}${socketUsername ? ` (${socketUsername})` : ''}`);
-      cleanupRateLimit(socket.id);
+      if (currentRoom) {
+        socket.to(roomChannel(currentRoom)).emit('userLeft', { room: currentRoom, username: socketUsername });
+        currentRoom = null;
+      }
+      if (socketUsername) {
+        const username = socketUsername;
+        releaseUsername(username, socket.id).catch(error => {
+          console.error(`Error releasing username "${username}":`, error.message);
+        });
+      }
       socketUsername = null;
     });
 
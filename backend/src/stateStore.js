@@ -0,0 +1,647 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import crypto from 'crypto';
+import { createClient } from 'redis';
+import { createAdapter } from '@socket.io/redis-adapter';
+import { config } from './config.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// The memory adapter writes records here, so strikes and the review queue survive a restart
+const recordsDir = path.join(__dirname, '..', 'logs', 'state');
+
+// How often the memory adapter drops expired keys
+const MEMORY_SWEEP_INTERVAL_MS = 60 * 1000;
+
+// Locks guard read-modify-write updates of shared records; they expire in case the holder dies mid-way
+const LOCK_TTL_MS = 5000;
+
+// How long to wait for a lock before giving up, and how often to try
+const LOCK_WAIT_MS = 5000;
+const LOCK_RETRY_MS = 20;
+
+// Token bucket for the Redis adapter, run as one script so concurrent instances can't both spend the last token
+// KEYS[1] = bucket, ARGV = capacity, refill (tokens per ms), now (ms); returns { allowed (0/1), tokens left }
+const TAKE_TOKEN_SCRIPT = `
+local capacity = tonumber(ARGV[1])
+local refill = tonumber(ARGV[2])
+local now = tonumber(ARGV[3])
+local state = redis.call('HMGET', KEYS[1], 'tokens', 'updatedAt')
+local tokens = tonumber(state[1]) or capacity
+local updatedAt = tonumber(state[2]) or now
+tokens = math.min(capacity, tokens + math.max(0, now - updatedAt) * refill)
+local allowed = 0
+if tokens >= 1 then
+  tokens = tokens - 1
+  allowed = 1
+end
+redis.call('HSET', KEYS[1], 'tokens', tostring(tokens), 'updatedAt', tostring(now))
+redis.call('PEXPIRE', KEYS[1], math.ceil(capacity / refill))
+return { allowed, tostring(tokens) }
+`;
+
+// Deletes a key only if it still holds the given value, so a holder whose claim expired can't end someone else's
+// KEYS[1] = key, ARGV[1] = the value it was claimed with; returns 1 if it was deleted
+const RELEASE_SCRIPT = `
+if redis.call('GET', KEYS[1]) == ARGV[1] then
+  return redis.call('DEL', KEYS[1])
+end
+return 0
+`;
+
+// Registered state adapters, keyed by name
+const adapters = new Map();
+
+let activeAdapter = null;
+
+// Redis clients used by the Socket.io adapter (pub/sub)
+let socketAdapterClients = [];
+
+/**
+ * Registers a shared state adapter
+ * State is data that every server instance must agree on: short-lived keys that expire on their own (rate limits,
+ * slow mode, editable messages, AI conversation summaries, usernames) and records that are kept until deleted
+ * (strikes, bans, the review queue), grouped into named collections
+ * An adapter implements:
+ * - take(key, capacity, refillPerMs): Promise<Object> - takes a token from a bucket holding up to `capacity`
+ *   tokens that refills at `refillPerMs`; returns { allowed, tokens, retryAfterMs }
+ * - hit(key, limit, windowMs): Promise<Object> - records a hit in a sliding window unless `limit` hits
+ *   are already in it; returns { allowed, count, retryAfterMs }
+ * - claim(key, ttlMs, value): Promise<number> - sets the key to `value` if it isn't set; returns 0 if it was claimed,
+ *   otherwise the milliseconds until it expires
+ * - release(key, value): Promise<boolean> - deletes the key if it still holds `value` (so it is still the caller's claim)
+ * - push(key, item, maxLength, ttlMs): Promise<void> - appends to a list, keeping the last `maxLength` items
+ * - range(key): Promise<Array> - the whole list, oldest first
+ * - get(key): Promise<*> / set(key, value, ttlMs): Promise<void> / delete(key): Promise<void>
+ * - getRecord(collection, id): Promise<*> / setRecord(collection, id, value): Promise<void> /
+ *   deleteRecord(collection, id): Promise<void> / listRecords(collection): Promise<Array> - records that never expire
+ * - connect(): Promise<void> (optional) - starts connecting, called at startup; resolves once connected
+ * - clear(): Promise<void> (optional) - drops the short-lived keys this process holds
+ * - close(): Promise<void> (optional)
+ * @param {Object} adapter - { name, take, hit, claim, release, push, range, get, set, delete, getRecord, setRecord,
+ *   deleteRecord, listRecords, connect, clear, close }
+ */
+export function registerStateStoreAdapter(adapter) {
+  const methods = ['take', 'hit', 'claim', 'release', 'push', 'range', 'get', 'set', 'delete', 'getRecord', 'setRecord', 'deleteRecord', 'listRecords'];
+  if (!adapter || !adapter.name || methods.some(method => typeof adapter[method] !== 'function')) {
+    throw new Error(`State store adapters need a name and ${methods.map(method => `${method}()`).join(', ')}`);
+  }
+  adapters.set(adapter.name, adapter);
+}
+
+/**
+ * Gets the adapter selected by STATE_STORE
+ * @returns {Object}
+ */
+function getAdapter() {
+  if (!activeAdapter) {
+    activeAdapter = adapters.get(config.state.store);
+    if (!activeAdapter) {
+      throw new Error(`Unknown state store "${config.state.store}". Available: ${Array.from(adapters.keys()).join(', ')}`);
+    }
+    console.log(`[State] Using "${activeAdapter.name}" state store`);
+  }
+  return activeAdapter;
+}
+
+/**
+ * Creates an in-process adapter (each server instance has its own limits)
+ * Records are also written to logs/state/<collection>.json
+ * @returns {Object}
+ */
+function createMemoryAdapter() {
+  // key -> { value, expiresAt }
+  const entries = new Map();
+  let sweepTimer = null;
+
+  // collection -> Map(id -> record), loaded from disk on first use
+  const collections = new Map();
+  const recordsFile = (collection) => path.join(recordsDir, `${collection}.json`);
+
+  // Records are copied in and out, so callers can't change them without setRecord (as with Redis)
+  const copy = (value) => (value === undefined ? undefined : JSON.parse(JSON.stringify(value)));
+
+  const loadCollection = (collection) => {
+    if (!collections.has(collection)) {
+      const records = new Map();
+      const file = recordsFile(collection);
+      try {
+        if (fs.existsSync(file)) {
+          Object.entries(JSON.parse(fs.readFileSync(file, 'utf8'))).forEach(([id, record]) => records.set(id, record));
+        }
+      } catch (error) {
+        console.error(`[State] Could not load ${file}:`, error.message);
+      }
+      collections.set(collection, records);
+    }
+    return collections.get(collection);
+  };
+
+  const saveCollection = (collection) => {
+    fs.mkdirSync(recordsDir, { recursive: true });
+    fs.writeFileSync(recordsFile(collection), JSON.stringify(Object.fromEntries(loadCollection(collection)), null, 2), 'utf8');
+  };
+
+  const read = (key) => {
+    const entry = entries.get(key);
+    if (entry && entry.expiresAt <= Date.now()) {
+      entries.delete(key);
+      return undefined;
+    }
+    return entry;
+  };
+
+  const write = (key, value, ttlMs) => {
+    entries.set(key, { value, expiresAt: Date.now() + ttlMs });
+    if (!sweepTimer) {
+      sweepTimer = setInterval(() => {
+        const now = Date.now();
+        for (const [entryKey, entry] of entries) {
+          if (entry.expiresAt <= now) {
+            entries.delete(entryKey);
+          }
+        }
+      }, MEMORY_SWEEP_INTERVAL_MS);
+      sweepTimer.unref();
+    }
+  };
+
+  return {
+    name: 'memory',
+    async take(key, capacity, refillPerMs) {
+      const now = Date.now();
+      const bucket = read(key)?.value || { tokens: capacity, updatedAt: now };
+      let tokens = Math.min(capacity, bucket.tokens + (now - bucket.updatedAt) * refillPerMs);
+      const allowed = tokens >= 1;
+      if (allowed) {
+        tokens -= 1;
+      }
+      write(key, { tokens, updatedAt: now }, Math.ceil(capacity / refillPerMs));
+      return { allowed, tokens, retryAfterMs: allowed ? 0 : Math.ceil((1 - tokens) / refillPerMs) };
+    },
+    async hit(key, limit, windowMs) {
+      const now = Date.now();
+      const hits = (read(key)?.value || []).filter(timestamp => timestamp > now - windowMs);
+      if (hits.length >= limit) {
+        return { allowed: false, count: hits.length, retryAfterMs: hits[0] + windowMs - now };
+      }
+      hits.push(now);
+      write(key, hits, windowMs);
+      return { allowed: true, count: hits.length, retryAfterMs: 0 };
+    },
+    async claim(key, ttlMs, value = true) {
+      const entry = read(key);
+      if (entry) {
+        return entry.expiresAt - Date.now();
+      }
+      write(key, value, ttlMs);
+      return 0;
+    },
+    async release(key, value) {
+      if (read(key)?.value !== value) {
+        return false;
+      }
+      entries.delete(key);
+      return true;
+    },
+    async push(key, item, maxLength, ttlMs) {
+      const items = [...(read(key)?.value || []), item].slice(-maxLength);
+      write(key, items, ttlMs);
+    },
+    async range(key) {
+      return read(key)?.value || [];
+    },
+    async get(key) {
+      return read(key)?.value ?? null;
+    },
+    async set(key, value, ttlMs) {
+      write(key, value, ttlMs);
+    },
+    async delete(key) {
+      entries.delete(key);
+    },
+    async getRecord(collection, id) {
+      return copy(loadCollection(collection).get(id)) ?? null;
+    },
+    async setRecord(collection, id, value) {
+      loadCollection(collection).set(id, copy(value));
+      saveCollection(collection);
+    },
+    async deleteRecord(collection, id) {
+      if (loadCollection(collection).delete(id)) {
+        saveCollection(collection);
+      }
+    },
+    async listRecords(collection) {
+      return Array.from(loadCollection(collection).values(), copy);
+    },
+    async clear() {
+      entries.clear();
+    },
+    async close() {
+      clearInterval(sweepTimer);
+      sweepTimer = null;
+      entries.clear();
+    },
+  };
+}
+
+/**
+ * Creates a Redis client for REDIS_URL
+ * Errors are logged rather than thrown; the client keeps reconnecting in the background
+ * @param {string} role - What the client is for, for log messages
+ * @param {Object} options - Extra client options
+ * @returns {Object} - The (not yet connected) client
+ */
+function createRedisClient(role, options = {}) {
+  const client = createClient({
+    url: config.state.redisUrl,
+    socket: {
+      reconnectStrategy: (retries) => Math.min(retries * 200, 5000),
+    },
+    ...options,
+  });
+  let reportedError = false;
+  client.on('error', (error) => {
+    // Log once per outage, not on every reconnect attempt
+    if (!reportedError) {
+      console.error(`[State] Redis ${role} client error:`, error.message);
+      reportedError = true;
+    }
+  });
+  client.on('ready', () => {
+    console.log(`[State] Redis ${role} client connected`);
+    reportedError = false;
+  });
+  return client;
+}
+
+/**
+ * Creates an adapter for any server that speaks the Redis protocol (Redis, Valkey, KeyDB, ...)
+ * Keys are prefixed with REDIS_KEY_PREFIX, so several deployments can share one server
+ * @returns {Object}
+ */
+function createRedisAdapter() {
+  let client = null;
+  let connecting = null;
+
+  // Connects on first use; commands fail straight away while Redis is down instead of queueing
+  const getClient = () => {
+    if (!client) {
+      client = createRedisClient('state', { disableOfflineQueue: true });
+      connecting = client.connect().catch(error => console.error('[State] Could not connect to Redis:', error.message));
+    }
+    return client;
+  };
+  const prefixed = (key) => `${config.state.keyPrefix}${key}`;
+
+  // Each collection is one hash of JSON records
+  const collectionKey = (collection) => prefixed(`records:${collection}`);
+
+  return {
+    name: 'redis',
+    connect() {
+      getClient();
+      return connecting;
+    },
+    async take(key, capacity, refillPerMs) {
+      const [allowed, tokensLeft] = await getClient().eval(TAKE_TOKEN_SCRIPT, {
+        keys: [prefixed(key)],
+        arguments: [String(capacity), String(refillPerMs), String(Date.now())],
+      });
+      const tokens = parseFloat(tokensLeft);
+      return { allowed: allowed === 1, tokens, retryAfterMs: allowed === 1 ? 0 : Math.ceil((1 - tokens) / refillPerMs) };
+    },
+    async hit(key, limit, windowMs) {
+      const redisKey = prefixed(key);
+      const now = Date.now();
+      const member = `${now}-${Math.random().toString(36).slice(2, 10)}`;
+      // Add the hit first and count afterwards, so two instances can't both take the last slot
+      const [, , count, oldest] = await getClient().multi()
+        .zRemRangeByScore(redisKey, 0, now - windowMs)
+        .zAdd(redisKey, { score: now, value: member })
+        .zCard(redisKey)
+        .zRangeWithScores(redisKey, 0, 0)
+        .pExpire(redisKey, windowMs)
+        .exec();
+      if (count > limit) {
+        await getClient().zRem(redisKey, member);
+        return { allowed: false, count: count - 1, retryAfterMs: Math.max(0, oldest[0].score + windowMs - now) };
+      }
+      return { allowed: true, count, retryAfterMs: 0 };
+    },
+    async claim(key, ttlMs, value = true) {
+      const redisKey = prefixed(key);
+      for (;;) {
+        if ((await getClient().set(redisKey, JSON.stringify(value), { NX: true, PX: ttlMs })) === 'OK') {
+          return 0;
+        }
+        // -2 means the claim ended between the two commands, so try again; it is held until it has expired
+        const remaining = await getClient().pTTL(redisKey);
+        if (remaining !== -2) {
+          return Math.max(1, remaining);
+        }
+      }
+    },
+    async release(key, value) {
+      const released = await getClient().eval(RELEASE_SCRIPT, {
+        keys: [prefixed(key)],
+        arguments: [JSON.stringify(value)],
+      });
+      return released === 1;
+    },
+    async push(key, item, maxLength, ttlMs) {
+      const redisKey = prefixed(key);
+      await getClient().multi()
+        .rPush(redisKey, JSON.stringify(item))
+        .lTrim(redisKey, -maxLength, -1)
+        .pExpire(redisKey, ttlMs)
+        .exec();
+    },
+    async range(key) {
+      const items = await getClient().lRange(prefixed(key), 0, -1);
+      return items.map(item => JSON.parse(item));
+    },
+    async get(key) {
+      const value = await getClient().get(prefixed(key));
+      return value === null ? null : JSON.parse(value);
+    },
+    async set(key, value, ttlMs) {
+      await getClient().set(prefixed(key), JSON.stringify(value), { PX: ttlMs });
+    },
+    async delete(key) {
+      await getClient().del(prefixed(key));
+    },
+    async getRecord(collection, id) {
+      const value = await getClient().hGet(collectionKey(collection), id);
+      return value ? JSON.parse(value) : null;
+    },
+    async setRecord(collection, id, value) {
+      await getClient().hSet(collectionKey(collection), id, JSON.stringify(value));
+    },
+    async deleteRecord(collection, id) {
+      await getClient().hDel(collectionKey(collection), id);
+    },
+    async listRecords(collection) {
+      return Object.values(await getClient().hGetAll(collectionKey(collection))).map(value => JSON.parse(value));
+    },
+    async close() {
+      if (client) {
+        // A client that never connected (Redis down) is already closed, so there is nothing to do
+        await client.quit().catch(() => client.disconnect()).catch(() => {});
+        client = null;
+        connecting = null;
+      }
+    },
+  };
+}
+
+registerStateStoreAdapter(createMemoryAdapter());
+registerStateStoreAdapter(createRedisAdapter());
+
+/**
+ * Selects the adapter and starts connecting it, so the first messages don't wait for the connection
+ * Call this at startup
+ * @returns {Promise<void>} - Resolves once the store is connected (never rejects; errors are logged)
+ */
+export async function initStateStore() {
+  await getAdapter().connect?.();
+}
+
+/**
+ * Takes a token from a token bucket (e.g. a user's message allowance)
+ * If the store is unreachable the token is granted, so a Redis outage can't stop the chat
+ * @param {string} key - What is being limited, e.g. "ratelimit:general:user:alice"
+ * @param {number} capacity - Most tokens the bucket holds (the burst allowance)
+ * @param {number} perMinute - Tokens added per minute
+ * @returns {Promise<Object>} - { allowed, tokens, retryAfterMs }
+ */
+export async function takeToken(key, capacity, perMinute) {
+  try {
+    return await getAdapter().take(key, capacity, perMinute / 60000);
+  } catch (error) {
+    console.error(`[State] Rate limit check failed for "${key}", allowing:`, error.message);
+    return { allowed: true, tokens: 0, retryAfterMs: 0 };
+  }
+}
+
+/**
+ * Records a hit against a sliding-window limit (e.g. repeats of the same message)
+ * If the store is unreachable the hit is allowed, so a Redis outage can't stop the chat
+ * @param {string} key - What is being limited, e.g. "duplicate:user:alice:3f2a9c"
+ * @param {number} limit - Hits allowed per window
+ * @param {number} windowMs - Window length
+ * @returns {Promise<Object>} - { allowed, count, retryAfterMs }
+ */
+export async function hitRateLimit(key, limit, windowMs) {
+  try {
+    return await getAdapter().hit(key, limit, windowMs);
+  } catch (error) {
+    console.error(`[State] Rate limit check failed for "${key}", allowing:`, error.message);
+    return { allowed: true, count: 0, retryAfterMs: 0 };
+  }
+}
+
+/**
+ * Claims a key for a while (e.g. a slow mode interval)
+ * If the store is unreachable the claim succeeds
+ * @param {string} key - The key
+ * @param {number} ttlMs - How long the claim lasts
+ * @returns {Promise<number>} - 0 if claimed, otherwise milliseconds until the current claim ends
+ */
+export async function claimKey(key, ttlMs) {
+  try {
+    return await getAdapter().claim(key, ttlMs);
+  } catch (error) {
+    console.error(`[State] Claim failed for "${key}", allowing:`, error.message);
+    return 0;
+  }
+}
+
+/**
+ * Appends to a capped list
+ * @param {string} key - The key
+ * @param {Object} item - The item (must be JSON-serializable)
+ * @param {number} maxLength - Items kept
+ * @param {number} ttlMs - How long the list lives after the last push
+ */
+export async function pushToList(key, item, maxLength, ttlMs) {
+  try {
+    await getAdapter().push(key, item, maxLength, ttlMs);
+  } catch (error) {
+    console.error(`[State] Could not append to "${key}":`, error.message);
+  }
+}
+
+/**
+ * Reads a list written by pushToList
+ * @param {string} key - The key
+ * @returns {Promise<Array>} - Oldest first (empty if the store is unreachable)
+ */
+export async function getList(key) {
+  try {
+    return await getAdapter().range(key);
+  } catch (error) {
+    console.error(`[State] Could not read "${key}":`, error.message);
+    return [];
+  }
+}
+
+/**
+ * Empties a list written by pushToList
+ * @param {string} key - The key
+ */
+export async function clearList(key) {
+  try {
+    await getAdapter().delete(key);
+  } catch (error) {
+    console.error(`[State] Could not clear "${key}":`, error.message);
+  }
+}
+
+/**
+ * Reads a value written by setValue
+ * Unlike the limit helpers, errors are thrown: callers decide what a missing value means
+ * @param {string} key - The key
+ * @returns {Promise<*>} - The value, or null if it isn't set (or has expired)
+ */
+export async function getValue(key) {
+  return getAdapter().get(key);
+}
+
+/**
+ * Stores a value that expires on its own
+ * @param {string} key - The key
+ * @param {*} value - The value (must be JSON-serializable)
+ * @param {number} ttlMs - How long it lives
+ */
+export async function setValue(key, value, ttlMs) {
+  return getAdapter().set(key, value, ttlMs);
+}
+
+/**
+ * Deletes a value
+ * @param {string} key - The key
+ */
+export async function deleteValue(key) {
+  return getAdapter().delete(key);
+}
+
+/**
+ * Reads a record (e.g. a user's strikes)
+ * Records never expire; like getValue, errors are thrown
+ * @param {string} collection - The collection, e.g. "strikes"
+ * @param {string} id - The record's ID within the collection
+ * @returns {Promise<*>} - The record, or null if there is none
+ */
+export async function getRecord(collection, id) {
+  return getAdapter().getRecord(collection, id);
+}
+
+/**
+ * Stores a record, replacing any existing one
+ * Use withStateLock around read-modify-write updates, so two instances can't overwrite each other's changes
+ * @param {string} collection - The collection
+ * @param {string} id - The record's ID
+ * @param {*} value - The record (must be JSON-serializable)
+ */
+export async function setRecord(collection, id, value) {
+  return getAdapter().setRecord(collection, id, value);
+}
+
+/**
+ * Deletes a record
+ * @param {string} collection - The collection
+ * @param {string} id - The record's ID
+ */
+export async function deleteRecord(collection, id) {
+  return getAdapter().deleteRecord(collection, id);
+}
+
+/**
+ * Lists every record in a collection
+ * @param {string} collection - The collection
+ * @returns {Promise<Array>} - The records, in no particular order
+ */
+export async function listRecords(collection) {
+  return getAdapter().listRecords(collection);
+}
+
+/**
+ * Runs a function while holding a lock shared by every server instance
+ * Waits up to LOCK_WAIT_MS for the lock; the lock expires after LOCK_TTL_MS in case this process dies holding it.
+ * Each holder claims the lock with its own token and only releases it while the token is still there, so a holder
+ * that outlives the lock can't release the next holder's
+ * @param {string} name - What is locked, e.g. "strikes:alice"
+ * @param {Function} fn - The (async) function to run
+ * @returns {Promise<*>} - What fn returns
+ */
+export async function withStateLock(name, fn) {
+  const key = `lock:${name}`;
+  const token = crypto.randomUUID();
+  const adapter = getAdapter();
+  const giveUpAt = Date.now() + LOCK_WAIT_MS;
+  while ((await adapter.claim(key, LOCK_TTL_MS, token)) > 0) {
+    if (Date.now() >= giveUpAt) {
+      throw new Error(`Timed out waiting for the "${name}" lock`);
+    }
+    await new Promise(resolve => setTimeout(resolve, LOCK_RETRY_MS));
+  }
+
+  try {
+    return await fn();
+  } finally {
+    const released = await adapter.release(key, token).catch(() => true);
+    if (!released) {
+      console.warn(`[State] The "${name}" lock expired before its holder finished`);
+    }
+  }
+}
+
+/**
+ * Drops the short-lived state held by this process (the memory adapter's keys; its records stay on disk)
+ * Shared stores are left alone: other instances still use them, and their keys expire on their own
+ */
+export async function clearLocalState() {
+  if (activeAdapter?.clear) {
+    await activeAdapter.clear();
+  }
+}
+
+/**
+ * Attaches the Socket.io Redis adapter when REDIS_URL is set, so broadcasts reach clients on every instance
+ * Without REDIS_URL, Socket.io keeps its default in-process adapter
+ * @param {Server} io - Socket.io server instance
+ * @returns {boolean} - True if the Redis adapter was attached
+ */
+export function setupSocketAdapter(io) {
+  if (!config.state.redisUrl) {
+    return false;
+  }
+  const pubClient = createRedisClient('pub');
+  const subClient = createRedisClient('sub');
+  socketAdapterClients = [pubClient, subClient];
+
+  // Commands queue until the clients connect, so the adapter can be attached straight away
+  io.adapter(createAdapter(pubClient, subClient, { key: `${config.state.keyPrefix}socket.io` }));
+  Promise.all([pubClient.connect(), subClient.connect()])
+    .catch(error => console.error('[State] Could not connect the Socket.io Redis adapter:', error.message));
+  console.log('[State] Using the Socket.io Redis adapter');
+  return true;
+}
+
+/**
+ * Closes the state store and the Socket.io adapter's Redis clients
+ * Call this during graceful shutdown
+ */
+export async function closeStateStore() {
+  if (activeAdapter?.close) {
+    await activeAdapter.close();
+  }
+  activeAdapter = null;
+
+  await Promise.all(socketAdapterClients.map(client => client.quit().catch(() => client.disconnect()).catch(() => {})));
+  socketAdapterClients = [];
+}
@@ -0,0 +1,389 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { config } from './config.js';
+import { normalizeCategory } from './moderationParser.js';
+import { usernameKey, userChannel } from './usernameRegistry.js';
+import { getRecord, setRecord, deleteRecord, listRecords, withStateLock } from './stateStore.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// Where strikes were kept before they moved to the state store; imported once by importLegacyStrikes
+const legacyStrikesFile = path.join(__dirname, '..', 'logs', 'strikes.json');
+
+// Strikes kept per user for moderators to review
+const MAX_STRIKE_HISTORY = 50;
+
+// Penalties, mildest first
+const PENALTIES = ['mute', 'timeout', 'ban'];
+
+// Strikes and bans live in the state store, so every server instance enforces the same penalties
+// Strike records keyed by usernameKey:
+// { username, points, updatedAt, ips, strikes: [...], penalty: { type, until, reason, issuedAt } | null }
+const STRIKES = 'strikes';
+
+// Banned IPs: ip -> usernameKey of the user whose ban covers it
+const BANNED_IPS = 'banned-ips';
+
+/**
+ * Moves the strikes and IP bans kept in logs/strikes.json by earlier versions into the state store
+ * The file is renamed to strikes.json.imported afterwards, so this only happens once
+ * Records already in the store are newer and are kept
+ */
+export async function importLegacyStrikes() {
+  if (!fs.existsSync(legacyStrikesFile)) {
+    return;
+  }
+  try {
+    const { users = [], ips = [] } = JSON.parse(fs.readFileSync(legacyStrikesFile, 'utf8'));
+    for (const record of users) {
+      const key = usernameKey(record.username);
+      await withStateLock(`strikes:${key}`, async () => {
+        if (!(await getRecord(STRIKES, key))) {
+          await setRecord(STRIKES, key, record);
+        }
+      });
+    }
+    for (const { ip, user } of ips) {
+      if (!(await getRecord(BANNED_IPS, ip))) {
+        await setRecord(BANNED_IPS, ip, user);
+      }
+    }
+    fs.renameSync(legacyStrikesFile, `${legacyStrikesFile}.imported`);
+    console.log(`[Strikes] Imported ${users.length} strike records and ${ips.length} IP bans from ${legacyStrikesFile}`);
+  } catch (error) {
+    console.error('[Strikes] Could not import the old strikes file:', error.message);
+  }
+}
+
+/**
+ * Forgives STRIKE_DECAY_PER_HOUR points for every hour since the record last changed,
+ * and clears a mute or timeout that has run out
+ * @param {Object} record - The strike record
+ * @param {number} now - Current time (ms)
+ * @returns {Object} - The same record
+ */
+function applyDecay(record, now = Date.now()) {
+  const hours = (now - new Date(record.updatedAt).getTime()) / (60 * 60 * 1000);
+  if (hours > 0 && record.points > 0) {
+    record.points = Math.max(0, Math.round((record.points - hours * config.strikes.decayPerHour) * 100) / 100);
+  }
+  record.updatedAt = new Date(now).toISOString();
+
+  if (record.penalty?.until && new Date(record.penalty.until).getTime() <= now) {
+    record.penalty = null;
+  }
+  return record;
+}
+
+/**
+ * Gets a user's strike record, or a new empty one if they have none
+ * Call this while holding the user's strikes lock and save the record with setRecord
+ * @param {string} username - The user's name
+ * @param {number} now - Current time (ms)
+ * @returns {Promise<Object>}
+ */
+async function getOrCreateRecord(username, now = Date.now()) {
+  const record = await getRecord(STRIKES, usernameKey(username)) || {
+    username,
+    points: 0,
+    updatedAt: new Date(now).toISOString(),
+    ips: [],
+    strikes: [],
+    penalty: null,
+  };
+  return applyDecay(record, now);
+}
+
+/**
+ * Bans every IP address a user has used
+ * @param {Object} record - The user's strike record
+ * @param {string} key - The user's usernameKey
+ */
+async function banIps(record, key) {
+  await Promise.all(record.ips.map(ip => setRecord(BANNED_IPS, ip, key)));
+}
+
+/**
+ * Removes the IP bans that came with a user's ban
+ * @param {Object} record - The user's strike record
+ * @param {string} key - The user's usernameKey
+ */
+async function unbanIps(record, key) {
+  for (const ip of record.ips) {
+    if ((await getRecord(BANNED_IPS, ip)) === key) {
+      await deleteRecord(BANNED_IPS, ip);
+    }
+  }
+}
+
+/**
+ * Gets the strike points for a blocked message from its moderation details
+ * Uses the weight for details.maxCategory (STRIKE_CATEGORY_WEIGHTS), or STRIKE_DEFAULT_WEIGHT
+ * @param {Object} details - Moderation details
+ * @returns {Object} - { weight, category }
+ */
+function getStrikeWeight(details = {}) {
+  const category = details.maxCategory ? normalizeCategory(details.maxCategory) : null;
+  if (category) {
+    for (const [name, weight] of Object.entries(config.strikes.categoryWeights)) {
+      if (normalizeCategory(name) === category) {
+        return { weight, category };
+      }
+    }
+  }
+  return { weight: config.strikes.defaultWeight, category };
+}
+
+/**
+ * Picks the penalty for a number of points (STRIKE_MUTE_AT, STRIKE_TIMEOUT_AT, STRIKE_BAN_AT)
+ * @param {number} points - Current strike points
+ * @returns {string|null} - 'mute', 'timeout', 'ban' or null
+ */
+function getPenaltyForPoints(points) {
+  const { muteAt, timeoutAt, banAt } = config.strikes;
+  if (banAt > 0 && points >= banAt) {
+    return 'ban';
+  }
+  if (timeoutAt > 0 && points >= timeoutAt) {
+    return 'timeout';
+  }
+  if (muteAt > 0 && points >= muteAt) {
+    return 'mute';
+  }
+  return null;
+}
+
+/**
+ * Adds a strike for a blocked message and escalates to a mute, timeout or ban when a threshold is reached
+ * Penalties only ever escalate - a new strike never shortens or softens an active penalty
+ * If the state store is unreachable the strike is logged and dropped, so an outage can't stop the chat
+ * @param {string} username - The user's name
+ * @param {Object} strike - { ip, moderationResult, reason, room, to }
+ * @returns {Promise<Object|null>} - { points, weight, penalty } where penalty is set only when a new one was issued,
+ *   or null if strikes are disabled (or the strike couldn't be recorded)
+ */
+export async function recordStrike(username, { ip = null, moderationResult = null, reason = null, room = null, to = null } = {}) {
+  if (!config.strikes.enabled) {
+    return null;
+  }
+
+  const key = usernameKey(username);
+  try {
+    return await withStateLock(`strikes:${key}`, () => addStrike(username, key, { ip, moderationResult, reason, room, to }));
+  } catch (error) {
+    console.error(`[Strikes] Could not record a strike for "${username}":`, error.message);
+    return null;
+  }
+}
+
+/**
+ * Adds a strike to a user's record and escalates their penalty (see recordStrike)
+ * Call this while holding the user's strikes lock
+ * @param {string} username - The user's name
+ * @param {string} key - The user's usernameKey
+ * @param {Object} strike - { ip, moderationResult, reason, room, to }
+ * @returns {Promise<Object>} - { points, weight, penalty }
+ */
+async function addStrike(username, key, { ip, moderationResult, reason, room, to }) {
+  const now = Date.now();
+  const record = await getOrCreateRecord(username, now);
+
+  const { weight, category } = getStrikeWeight(moderationResult?.details);
+  record.points = Math.round((record.points + weight) * 100) / 100;
+  if (ip && !record.ips.includes(ip)) {
+    record.ips.push(ip);
+  }
+  record.strikes.push({ timestamp: new Date(now).toISOString(), weight, category, reason, room, to });
+  if (record.strikes.length > MAX_STRIKE_HISTORY) {
+    record.strikes.splice(0, record.strikes.length - MAX_STRIKE_HISTORY);
+  }
+
+  let penalty = null;
+  const type = getPenaltyForPoints(record.points);
+  const current = record.penalty ? PENALTIES.indexOf(record.penalty.type) : -1;
+  if (type && PENALTIES.indexOf(type) > current) {
+    const minutes = type === 'mute' ? config.strikes.muteMinutes : config.strikes.timeoutMinutes;
+    penalty = {
+      type,
+      until: type === 'ban' ? null : new Date(now + minutes * 60 * 1000).toISOString(),
+      reason: `${record.points} strike points`,
+      issuedAt: new Date(now).toISOString(),
+    };
+    record.penalty = penalty;
+    if (type === 'ban') {
+      await banIps(record, key);
+    }
+    console.log(`[Strikes] ${type} for "${record.username}" (${record.points} points${penalty.until ? `, until ${penalty.until}` : ''})`);
+  }
+
+  await setRecord(STRIKES, key, record);
+  return { points: record.points, weight, penalty };
+}
+
+/**
+ * Gets the penalty currently in force for a user or an IP
+ * If the state store is unreachable no penalty is reported, so an outage can't lock everyone out
+ * @param {string} username - The user's name (optional, e.g. before a guest picks a name)
+ * @param {string} ip - The client's IP (optional)
+ * @returns {Promise<Object|null>} - { type, until, reason, issuedAt }, or null
+ */
+export async function getActivePenalty(username = null, ip = null) {
+  try {
+    if (username) {
+      // Decay is worked out from the stored record, so a penalty that ran out needs no saving
+      const record = await getRecord(STRIKES, usernameKey(username));
+      if (record?.penalty && applyDecay(record).penalty) {
+        return record.penalty;
+      }
+    }
+
+    const bannedWith = ip ? await getRecord(BANNED_IPS, ip) : null;
+    if (bannedWith) {
+      const record = await getRecord(STRIKES, bannedWith);
+      return record?.penalty?.type === 'ban'
+        ? { ...record.penalty, reason: `IP address banned with ${record.username}` }
+        : null;
+    }
+    return null;
+  } catch (error) {
+    console.error(`[Strikes] Could not check penalties for "${username || ip}", allowing:`, error.message);
+    return null;
+  }
+}
+
+/**
+ * Describes a penalty for the user it applies to
+ * @param {Object} penalty - From getActivePenalty or recordStrike
+ * @returns {string}
+ */
+export function describePenalty(penalty) {
+  const reason = penalty.reason ? ` (${penalty.reason})` : '';
+  if (penalty.type === 'ban') {
+    return `You are banned from this chat${reason}. Contact a moderator to appeal.`;
+  }
+  const minutes = Math.max(1, Math.ceil((new Date(penalty.until).getTime() - Date.now()) / 60000));
+  const duration = `${minutes} minute${minutes === 1 ? '' : 's'}`;
+  return penalty.type === 'mute'
+    ? `You are muted for ${duration}${reason}.`
+    : `You are timed out for ${duration}${reason}.`;
+}
+
+/**
+ * Puts a user under a penalty directly (e.g. a moderator's /mute), replacing any current one
+ * @param {string} username - The user's name
+ * @param {Object} options - { type: 'mute' | 'timeout' | 'ban', durationMs (not used for bans), reason, ips }
+ * @returns {Promise<Object>} - { success, penalty } or { success: false, error }
+ */
+export async function setPenalty(username, { type, durationMs = 0, reason = null, ips = [] }) {
+  if (!PENALTIES.includes(type)) {
+    return { success: false, error: `Invalid penalty "${type}"` };
+  }
+  if (type !== 'ban' && !(durationMs > 0)) {
+    return { success: false, error: 'A mute or timeout needs a duration' };
+  }
+
+  const key = usernameKey(username);
+  return withStateLock(`strikes:${key}`, async () => {
+    const now = Date.now();
+    const record = await getOrCreateRecord(username, now);
+    ips.filter(ip => ip && !record.ips.includes(ip)).forEach(ip => record.ips.push(ip));
+    record.penalty = {
+      type,
+      until: type === 'ban' ? null : new Date(now + durationMs).toISOString(),
+      reason,
+      issuedAt: new Date(now).toISOString(),
+    };
+
+    await unbanIps(record, key);
+    if (type === 'ban') {
+      await banIps(record, key);
+    }
+    await setRecord(STRIKES, key, record);
+    return { success: true, penalty: record.penalty };
+  });
+}
+
+/**
+ * Lifts a user's mute, timeout or ban (including IP bans) without clearing their strike points
+ * @param {string} username - The user's name
+ * @returns {Promise<Object>} - { success, previous } or { success: false, error, statusCode }
+ */
+export async function liftPenalty(username) {
+  const key = usernameKey(username);
+  return withStateLock(`strikes:${key}`, async () => {
+    const record = await getRecord(STRIKES, key);
+    if (!record?.penalty || !applyDecay(record).penalty) {
+      return { success: false, error: `${username} is not muted, timed out or banned`, statusCode: 404 };
+    }
+
+    const previous = record.penalty;
+    record.penalty = null;
+    await unbanIps(record, key);
+    await setRecord(STRIKES, key, record);
+    return { success: true, previous };
+  });
+}
+
+/**
+ * Tells every connection a user has (on any server instance) about a new penalty,
+ * and disconnects them for a timeout or ban
+ * @param {Socket} io - Socket.io server instance
+ * @param {string} username - The user's name
+ * @param {Object} penalty - The penalty
+ * @param {number} points - The user's strike points, if the penalty came from strikes
+ */
+export function enforcePenalty(io, username, penalty, points = null) {
+  io.to(userChannel(username)).emit('penalty', {
+    ...penalty,
+    points,
+    message: describePenalty(penalty),
+  });
+  if (penalty.type !== 'mute') {
+    io.in(userChannel(username)).disconnectSockets();
+  }
+}
+
+/**
+ * Lists strike records with decayed points, highest first
+ * @returns {Promise<Array>}
+ */
+export async function listStrikes() {
+  const now = Date.now();
+  return (await listRecords(STRIKES))
+    .map(record => applyDecay(record, now))
+    .sort((a, b) => b.points - a.points);
+}
+
+/**
+ * Gets one user's strike record
+ * @param {string} username - The user's name
+ * @returns {Promise<Object|null>}
+ */
+export async function getStrikeRecord(username) {
+  const record = await getRecord(STRIKES, usernameKey(username));
+  return record ? applyDecay(record) : null;
+}
+
+/**
+ * Clears a user's strikes and lifts their penalty, including IP bans
+ * @param {string} username - The user's name
+ * @returns {Promise<Object>} - { success, record, previous } or { success: false, error, statusCode }
+ */
+export async function resetStrikes(username) {
+  const key = usernameKey(username);
+  return withStateLock(`strikes:${key}`, async () => {
+    const record = await getRecord(STRIKES, key);
+    if (!record) {
+      return { success: false, error: `No strikes recorded for "${username}"`, statusCode: 404 };
+    }
+
+    const previous = { points: applyDecay(record).points, penalty: record.penalty };
+    record.points = 0;
+    record.penalty = null;
+    await unbanIps(record, key);
+    await setRecord(STRIKES, key, record);
+    return { success: true, record, previous };
+  });
+}
@@ -0,0 +1,323 @@
+import crypto from 'crypto';
+import { config } from './config.js';
+import { normalizeForRules } from './moderationRules.js';
+import { listPersonaNames } from './personaService.js';
+import { moderateText, getModerationAction } from './moderationService.js';
+import { getValue, setValue, withStateLock } from './stateStore.js';
+
+// Names nobody can register, on top of USERNAME_RESERVED
+const SYSTEM_NAMES = ['admin', 'administrator', 'moderator', 'mod', 'system', 'server', 'root', 'support', 'staff', 'api-key'];
+
+// Registered usernames live in the state store, so a name taken on one server instance is taken on all of them:
+// "username:<confusableKey>" -> { username, token, sockets: { socketId: expiresAt } }
+// Keyed by the look-alike form, so two names that look the same can't be online at once
+// A name stays reserved for USERNAME_RELEASE_GRACE_MS after its last socket disconnects,
+// so a page refresh or a dropped connection doesn't let someone else grab it
+
+// Each instance refreshes its own sockets this often; a socket that isn't refreshed for SOCKET_TTL_MS
+// (its instance crashed) no longer counts as online
+const HEARTBEAT_MS = 30 * 1000;
+const SOCKET_TTL_MS = 3 * HEARTBEAT_MS;
+
+// Names with sockets on this instance: confusableKey -> { username, token, verified, sockets: Set<socketId> }
+const localNames = new Map();
+let heartbeatTimer = null;
+
+// Characters that look like a lowercase "l" before lowercasing ("AIice" vs "Alice", "A1ice")
+// A capital I only counts next to lowercase letters, so "ALICE" is still "alice"
+// Folded first, so "Ali" and "All" or "Bill" and "Biii" stay different names
+const L_LOOKALIKES = /(?<=\p{Ll})I+|I+(?=\p{Ll})|[1|\u0406\u04c0]/gu;
+
+// Letter sequences that look alike once lowercased ("rn" vs "m")
+const CONFUSABLE_SEQUENCES = [[/rn/g, 'm'], [/vv/g, 'w']];
+
+/**
+ * Gets the key that identifies a user (accounts, strikes, rate limits, direct messages)
+ * Only case and surrounding spaces are ignored, so look-alike names stay separate users
+ * @param {string} username - The username
+ * @returns {string}
+ */
+export function usernameKey(username) {
+  return username.trim().normalize('NFKC').toLowerCase();
+}
+
+/**
+ * Gets the Socket.io channel every connection of a user joins
+ * Emitting to it reaches the user on every server instance (direct messages, penalties)
+ * @param {string} username - The username in any case
+ * @returns {string}
+ */
+export function userChannel(username) {
+  return `user:${usernameKey(username)}`;
+}
+
+/**
+ * Gets the look-alike form of a username, for refusing names that could pass for someone else's
+ * Case, accents, look-alike characters (Cyrillic "а", "1" for "l"), spaces and punctuation are ignored,
+ * so "Admin", "Аdmin" and "a.d.m.i.n" all collide
+ * Never use this as a user's identity: different people can have names with the same look-alike form
+ * @param {string} username - The username
+ * @returns {string}
+ */
+export function confusableKey(username) {
+  return CONFUSABLE_SEQUENCES.reduce(
+    (key, [pattern, replacement]) => key.replace(pattern, replacement),
+    normalizeForRules(username.trim().replace(L_LOOKALIKES, match => 'l'.repeat(match.length))).replace(/[^\p{L}\p{N}]/gu, ''),
+  );
+}
+
+/**
+ * Checks whether a name is reserved for the system (AI persona names, moderators, USERNAME_RESERVED)
+ * @param {string} username - The username
+ * @returns {boolean}
+ */
+export function isReservedUsername(username) {
+  const key = confusableKey(username);
+  return [...SYSTEM_NAMES, ...listPersonaNames(), ...config.usernames.reserved]
+    .some(name => confusableKey(name) === key);
+}
+
+/**
+ * Checks that a new username is acceptable: 1-20 characters, not reserved, and not offensive
+ * (usernames go through moderateText unless USERNAME_MODERATION=false)
+ * Doesn't check whether the name is taken
+ * @param {string} username - The requested username
+ * @returns {Promise<Object>} - { success, username } or { success: false, error }
+ */
+export async function checkUsername(username) {
+  if (typeof username !== 'string' || username.trim().length === 0 || username.trim().length > 20) {
+    return { success: false, error: 'Username must be between 1 and 20 characters' };
+  }
+  const trimmed = username.trim();
+  if (confusableKey(trimmed).length === 0) {
+    return { success: false, error: 'Username must contain letters or numbers' };
+  }
+  if (isReservedUsername(trimmed)) {
+    return { success: false, error: `"${trimmed}" is reserved` };
+  }
+
+  if (config.usernames.moderate) {
+    const moderationResult = await moderateText(trimmed);
+    if (moderationResult.details?.awaitingRecovery) {
+      return { success: false, error: 'Usernames cannot be checked right now. Please try again shortly.' };
+    }
+    const { action } = getModerationAction(moderationResult);
+    if (action === 'block' || action === 'hold') {
+      console.log(`[Usernames] Refused "${trimmed}": ${moderationResult.reason}`);
+      return { success: false, error: 'That username is not allowed. Please choose another.' };
+    }
+  }
+
+  return { success: true, username: trimmed };
+}
+
+/**
+ * Gets the sockets in a registry entry that are still being refreshed
+ * @param {Object} entry - { username, token, sockets }
+ * @param {number} now - Current time (ms)
+ * @returns {Array<string>} - Socket IDs
+ */
+function liveSocketIds(entry, now = Date.now()) {
+  return Object.keys(entry.sockets).filter(socketId => entry.sockets[socketId] > now);
+}
+
+/**
+ * Compares a reclaim token in constant time
+ * Both sides are hashed first, so tokens of any length or encoding compare without throwing
+ * @param {*} provided - The token the client sent
+ * @param {string} expected - The name's token
+ * @returns {boolean}
+ */
+function tokenMatches(provided, expected) {
+  if (typeof provided !== 'string') {
+    return false;
+  }
+  const digest = value => crypto.createHash('sha256').update(value).digest();
+  return crypto.timingSafeEqual(digest(provided), digest(expected));
+}
+
+/**
+ * Saves a registry entry, dropping sockets that are no longer refreshed
+ * It expires USERNAME_RELEASE_GRACE_MS after its last socket, which frees the name
+ * Call this while holding the name's lock
+ * @param {string} key - The name's confusableKey
+ * @param {Object} entry - { username, token, verified, sockets } (verified: held by the account that owns it)
+ * @param {number} now - Current time (ms)
+ */
+async function saveRegisteredName(key, entry, now = Date.now()) {
+  const sockets = Object.fromEntries(liveSocketIds(entry, now).map(socketId => [socketId, entry.sockets[socketId]]));
+  const lastSeen = Math.max(now, ...Object.values(sockets));
+  await setValue(`username:${key}`, { ...entry, sockets }, lastSeen - now + config.usernames.releaseGraceMs);
+}
+
+/**
+ * Refreshes the sockets this instance holds, so their names stay registered
+ * A name that expired meanwhile (e.g. during a state store outage) is registered again, unless someone else took it
+ */
+async function refreshLocalNames() {
+  for (const [key, local] of localNames) {
+    try {
+      await withStateLock(`username:${key}`, async () => {
+        const now = Date.now();
+        const entry = await getValue(`username:${key}`) || { username: local.username, token: local.token, verified: local.verified, sockets: {} };
+        if (entry.token !== local.token) {
+          return;
+        }
+        local.sockets.forEach((socketId) => {
+          entry.sockets[socketId] = now + SOCKET_TTL_MS;
+        });
+        await saveRegisteredName(key, entry, now);
+      });
+    } catch (error) {
+      console.error(`[Usernames] Could not refresh "${local.username}":`, error.message);
+    }
+  }
+}
+
+/**
+ * Remembers that a socket on this instance uses a name, so the heartbeat keeps it registered
+ * @param {string} key - The name's confusableKey
+ * @param {Object} claim - { username, token }
+ * @param {string} socketId - The socket connection ID
+ * @param {boolean} verified - Whether the socket is signed in to the account that owns the name
+ */
+function trackLocalSocket(key, { username, token }, socketId, verified) {
+  // A new token means the name changed hands, and the previous holder's sockets are on their way out
+  if (localNames.get(key)?.token !== token) {
+    localNames.set(key, { username, token, verified, sockets: new Set() });
+  }
+  localNames.get(key).sockets.add(socketId);
+
+  if (!heartbeatTimer) {
+    heartbeatTimer = setInterval(refreshLocalNames, HEARTBEAT_MS);
+    // Don't keep the process alive just to refresh names
+    heartbeatTimer.unref();
+  }
+}
+
+/**
+ * Forgets that a socket on this instance uses a name
+ * @param {string} key - The name's confusableKey
+ * @param {string} socketId - The socket connection ID
+ */
+function untrackLocalSocket(key, socketId) {
+  const local = localNames.get(key);
+  if (local) {
+    local.sockets.delete(socketId);
+    if (local.sockets.size === 0) {
+      localNames.delete(key);
+    }
+  }
+}
+
+/**
+ * Claims a username for a socket
+ * A name that is already taken can only be joined (another tab) or reclaimed (after a reconnect)
+ * with the token returned when it was first registered
+ * The account owner takes their name back from a guest using it: the guest's sockets are returned in evicted
+ * State store errors are thrown
+ * @param {string} username - The requested username (already checked with checkUsername)
+ * @param {string} socketId - The socket connection ID
+ * @param {string} token - The reclaim token from an earlier registration, if any
+ * @param {Object} options - { verified: true } when the socket is signed in to the account that owns the name
+ * @returns {Promise<Object>} - { success, username, token, reclaimed, evicted } or { success: false, error }
+ */
+export async function claimUsername(username, socketId, token = null, { verified = false } = {}) {
+  const key = confusableKey(username);
+  if (key.length === 0) {
+    return { success: false, error: 'Username must contain letters or numbers' };
+  }
+  if (!verified && isReservedUsername(username)) {
+    return { success: false, error: `"${username}" is reserved` };
+  }
+
+  const claim = await withStateLock(`username:${key}`, async () => {
+    const now = Date.now();
+    const existing = await getValue(`username:${key}`);
+    if (existing && usernameKey(existing.username) !== usernameKey(username)) {
+      // A different name that looks the same
+      return { success: false, error: `"${username}" looks too much like "${existing.username}", who is using it. Please pick another name` };
+    }
+    if (existing && verified && !existing.verified) {
+      // A new token, so the guest can't reclaim the name after they are disconnected
+      const entry = {
+        username: username.trim(),
+        token: crypto.randomBytes(24).toString('hex'),
+        verified: true,
+        sockets: { [socketId]: now + SOCKET_TTL_MS },
+      };
+      await saveRegisteredName(key, entry, now);
+      console.log(`[Usernames] "${entry.username}" signed in and took their name back from a guest`);
+      return { success: true, username: entry.username, token: entry.token, evicted: liveSocketIds(existing, now) };
+    }
+    if (existing) {
+      if (!verified && !tokenMatches(token, existing.token)) {
+        return {
+          success: false,
+          error: liveSocketIds(existing, now).length > 0
+            ? `"${existing.username}" is already taken`
+            : `"${existing.username}" was just in use. Try again in a minute or pick another name`,
+        };
+      }
+
+      existing.sockets[socketId] = now + SOCKET_TTL_MS;
+      await saveRegisteredName(key, existing, now);
+      return { success: true, username: existing.username, token: existing.token, reclaimed: true };
+    }
+
+    const entry = {
+      username: username.trim(),
+      token: crypto.randomBytes(24).toString('hex'),
+      verified,
+      sockets: { [socketId]: now + SOCKET_TTL_MS },
+    };
+    await saveRegisteredName(key, entry, now);
+    return { success: true, username: entry.username, token: entry.token };
+  });
+
+  if (claim.success) {
+    trackLocalSocket(key, claim, socketId, verified);
+  }
+  return claim;
+}
+
+/**
+ * Records that a socket stopped using a username (disconnected or renamed)
+ * The name is released after USERNAME_RELEASE_GRACE_MS once its last socket is gone
+ * State store errors are thrown
+ * @param {string} username - The username
+ * @param {string} socketId - The socket connection ID
+ */
+export async function releaseUsername(username, socketId) {
+  const key = confusableKey(username);
+  untrackLocalSocket(key, socketId);
+  await withStateLock(`username:${key}`, async () => {
+    const entry = await getRegisteredName(username);
+    if (entry) {
+      delete entry.sockets[socketId];
+      await saveRegisteredName(key, entry);
+    }
+  });
+}
+
+/**
+ * Gets the registry entry for exactly this username (not a look-alike of it)
+ * @param {string} username - The username in any case
+ * @returns {Promise<Object|null>} - { username, token, sockets }
+ */
+async function getRegisteredName(username) {
+  const entry = await getValue(`username:${confusableKey(username)}`);
+  return entry && usernameKey(entry.username) === usernameKey(username) ? entry : null;
+}
+
+/**
+ * Gets an online user's name as they registered it (e.g. "bob" -> "Bob")
+ * Users count as online while they are connected to any server instance
+ * State store errors are thrown
+ * @param {string} username - The username in any case
+ * @returns {Promise<string|null>} - null if the user is offline
+ */
+export async function getOnlineUsername(username) {
+  const entry = await getRegisteredName(username);
+  return entry && liveSocketIds(entry).length > 0 ? entry.username : null;
+}
@@ -0,0 +1,107 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { useRedisStandIn } from './helpers/redisStandIn.js';
+
+// Each test turn is "Alice: message number NN": 6 tokens plus 4 of overhead
+const redis = await useRedisStandIn({
+  AI_PROVIDER: 'mock',
+  MESSAGE_STORE: 'memory',
+  AI_CONTEXT_TOKEN_BUDGET: '59',
+  AI_CONTEXT_SUMMARY_TOKENS: '5',
+});
+const { initStateStore, closeStateStore, getValue } = await import('../src/stateStore.js');
+const { saveMessage, updateMessage, closeMessageStore } = await import('../src/messageStore.js');
+const { estimateTokens, buildRoomContext, clearRoomContext } = await import('../src/aiContext.js');
+
+before(async () => {
+  await initStateStore();
+});
+
+after(async () => {
+  await closeMessageStore();
+  await closeStateStore();
+  await redis.close();
+});
+
+let clock = Date.parse('2026-01-01T12:00:00Z');
+
+/**
+ * Stores a room message, one second after the previous one
+ */
+async function say(room, id, text, extra = {}) {
+  clock += 1000;
+  await saveMessage({ id, room, author: 'Alice', text, timestamp: new Date(clock).toISOString(), ...extra });
+}
+
+/**
+ * Waits for the background summary of a room to cover messages up to a time
+ */
+async function waitForSummary(room, coveredUntil) {
+  for (let i = 0; i < 100; i++) {
+    const summary = await getValue(`ai-summary:${room}`);
+    if (summary?.coveredUntil === coveredUntil) {
+      return summary;
+    }
+    await new Promise(resolve => setTimeout(resolve, 10));
+  }
+  throw new Error(`No summary was written for #${room}`);
+}
+
+test('tokens are estimated at about four characters each', () => {
+  assert.equal(estimateTokens(''), 0);
+  assert.equal(estimateTokens(null), 0);
+  assert.equal(estimateTokens('abcd'), 1);
+  assert.equal(estimateTokens('abcde'), 2);
+});
+
+test('only the newest turns that fit the budget are sent, and the rest are summarized', async () => {
+  for (let i = 1; i <= 7; i++) {
+    await say('general', `m${i}`, `message number 0${i}`);
+  }
+
+  const context = await buildRoomContext('general');
+  assert.equal(context.summary, null);
+  assert.deepEqual(context.turns.map(turn => turn.content), [3, 4, 5, 6, 7].map(i => `Alice: message number 0${i}`));
+  assert.ok(context.turns.every(turn => turn.role === 'user'));
+
+  // The two turns left out are folded into the room's summary in the background
+  const summary = await waitForSummary('general', new Date(clock - 5000).toISOString());
+  // AI_CONTEXT_SUMMARY_TOKENS caps it at 20 characters
+  assert.equal(summary.text, 'Mock reply to: Newer');
+});
+
+test('the summary takes its share of the budget and covers the older turns', async () => {
+  await say('general', 'm8', 'message number 08');
+
+  const context = await buildRoomContext('general', { excludeId: 'm8' });
+  assert.equal(context.summary, 'Mock reply to: Newer');
+  assert.deepEqual(context.turns.map(turn => turn.content), [3, 4, 5, 6, 7].map(i => `Alice: message number 0${i}`));
+
+  // With the message being answered included, the oldest turn no longer fits next to the summary
+  const next = await buildRoomContext('general');
+  assert.deepEqual(next.turns.map(turn => turn.content), [4, 5, 6, 7, 8].map(i => `Alice: message number 0${i}`));
+  await waitForSummary('general', new Date(clock - 5000).toISOString());
+
+  await clearRoomContext('general');
+  assert.equal(await getValue('ai-summary:general'), null);
+});
+
+test('AI replies are assistant turns, and deleted messages are left out', async () => {
+  await say('kids', 'k1', 'anyone here?');
+  await say('kids', 'k2', 'Hi Alice!', { author: 'Rules Bot', isAI: true });
+  await say('kids', 'k3', 'oops');
+  await updateMessage('kids', 'k3', { deleted: true, text: '' });
+
+  const context = await buildRoomContext('kids');
+  assert.deepEqual(context, {
+    summary: null,
+    turns: [
+      { role: 'user', content: 'Alice: anyone here?' },
+      { role: 'assistant', content: 'Hi Alice!' },
+    ],
+  });
+});
+
+test('the AI still gets an empty context when the history can\'t be read', async () => {
+  assert.deepEqual(await buildRoomContext('no-such-room'), { summary: null, turns: [] });
+});
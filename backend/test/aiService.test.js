@@ -0,0 +1,55 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+process.env.AI_PROVIDER = 'mock';
+const { getPersona } = await import('../src/personaService.js');
+const { generateAIResponse } = await import('../src/aiService.js');
+
+const noContext = { summary: null, turns: [] };
+
+test('the mock provider streams its reply word by word', async () => {
+  const tokens = [];
+  const reply = await generateAIResponse('how are you?', null, noContext, false, {
+    author: 'Alice',
+    onToken: token => tokens.push(token),
+  });
+
+  assert.equal(reply, 'Mock reply to: Alice: how are you?');
+  assert.deepEqual(tokens, ['Mock ', 'reply ', 'to: ', 'Alice: ', 'how ', 'are ', 'you?']);
+});
+
+test('streamed text stops at the persona\'s response length', async () => {
+  const persona = { ...getPersona(), maxResponseLength: 20 };
+  const tokens = [];
+  const reply = await generateAIResponse('a long message that goes on', null, noContext, false, {
+    persona,
+    author: 'Alice',
+    onToken: token => tokens.push(token),
+  });
+
+  assert.equal(tokens.join(''), 'Mock reply to: Alice');
+  assert.equal(reply, 'Mock reply to: Alice...');
+});
+
+test('aborting the signal stops the stream', async () => {
+  const controller = new AbortController();
+  const tokens = [];
+  const reply = await generateAIResponse('one two three four five', null, noContext, false, {
+    author: 'Alice',
+    signal: controller.signal,
+    onToken: token => {
+      tokens.push(token);
+      if (tokens.length === 2) {
+        controller.abort();
+      }
+    },
+  });
+
+  assert.deepEqual(tokens, ['Mock ', 'reply ']);
+  assert.equal(reply, 'Mock reply');
+});
+
+test('without onToken the whole reply comes back at once', async () => {
+  const reply = await generateAIResponse('hi', null, { summary: 'Earlier chat', turns: [{ role: 'user', content: 'Bob: hey' }] }, false, { author: 'Alice' });
+  assert.equal(reply, 'Mock reply to: Alice: hi');
+});
@@ -0,0 +1,106 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { useRedisStandIn } from './helpers/redisStandIn.js';
+
+const redis = await useRedisStandIn({ AI_PROVIDER: 'mock', AI_QUIET_HOURS_TIMEZONE: 'UTC' });
+const { initStateStore, closeStateStore } = await import('../src/stateStore.js');
+const { getPersona } = await import('../src/personaService.js');
+const triggers = await import('../src/aiTriggers.js');
+// A second copy of the module stands in for another server instance: it shares only the state store
+const otherInstance = await import('../src/aiTriggers.js?instance=b');
+
+const persona = getPersona();
+
+before(async () => {
+  await initStateStore();
+});
+
+after(async () => {
+  await closeStateStore();
+  await redis.close();
+});
+
+/**
+ * Builds a room profile with the AI settings under test
+ */
+function profile(changes = {}) {
+  return { aiTrigger: 'always', aiTriggerProbability: 0.3, aiCooldownSeconds: 0, aiQuietHours: '', ...changes };
+}
+
+/**
+ * Asks whether the AI replies to a message in a room with the given profile
+ */
+async function replies(room, roomProfile, text, isBlocked = false) {
+  return (await triggers.shouldAIReply(room, roomProfile, { text, isBlocked, persona })).reply;
+}
+
+test('each trigger mode picks the messages it replies to', async () => {
+  assert.equal(await replies('modes', profile(), 'hello'), true);
+
+  const blocked = profile({ aiTrigger: 'blocked' });
+  assert.equal(await replies('modes', blocked, 'hello'), false);
+  assert.equal(await replies('modes', blocked, 'hello', true), true);
+
+  const questions = profile({ aiTrigger: 'questions' });
+  assert.equal(await replies('modes', questions, 'nice weather'), false);
+  assert.equal(await replies('modes', questions, 'nice weather?'), true);
+  assert.equal(await replies('modes', questions, 'How does this work'), true);
+
+  assert.equal(await replies('modes', profile({ aiTrigger: 'random', aiTriggerProbability: 0 }), 'hello'), false);
+  assert.equal(await replies('modes', profile({ aiTrigger: 'random', aiTriggerProbability: 1 }), 'hello'), true);
+
+  // Unknown modes behave like "always"
+  assert.equal(await replies('modes', profile({ aiTrigger: 'sometimes' }), 'hello'), true);
+  assert.deepEqual(triggers.listAITriggerModes().map(mode => mode.mode), ['always', 'mention', 'blocked', 'random', 'questions']);
+});
+
+test('an @mention of the persona triggers a reply in every mode', async () => {
+  const mention = profile({ aiTrigger: 'mention' });
+  assert.equal(await replies('mentions', mention, 'hello'), false);
+  assert.equal(await replies('mentions', mention, 'hey @AI Moderator'), true);
+  assert.equal(await replies('mentions', mention, 'hey @aimoderator, you there'), true);
+  assert.equal(await replies('mentions', mention, '@friend hi'), true);
+  assert.equal(await replies('mentions', mention, '@friendly hi'), false);
+
+  const result = await triggers.shouldAIReply('mentions', profile({ aiTrigger: 'questions' }), { text: 'ok @friend', isBlocked: false, persona });
+  assert.deepEqual(result, { reply: true, reason: 'mention' });
+});
+
+test('quiet hours silence the AI, mentions included, and may span midnight', async () => {
+  assert.deepEqual(triggers.parseQuietHours('22:00-07:30'), { start: 1320, end: 450 });
+  assert.equal(triggers.parseQuietHours('25:00-07:00'), null);
+  assert.equal(triggers.parseQuietHours('09:00-09:00'), null);
+
+  const overnight = profile({ aiQuietHours: '22:00-07:00' });
+  assert.equal(triggers.isAIQuietTime(overnight, new Date('2026-01-01T23:30:00Z')), true);
+  assert.equal(triggers.isAIQuietTime(overnight, new Date('2026-01-01T06:59:00Z')), true);
+  assert.equal(triggers.isAIQuietTime(overnight, new Date('2026-01-01T07:00:00Z')), false);
+
+  const daytime = profile({ aiQuietHours: '09:00-17:00' });
+  assert.equal(triggers.isAIQuietTime(daytime, new Date('2026-01-01T12:00:00Z')), true);
+  assert.equal(triggers.isAIQuietTime(daytime, new Date('2026-01-01T17:00:00Z')), false);
+  assert.equal(triggers.isAIQuietTime(profile({ aiQuietHours: 'off' })), false);
+
+  // A window around the current time (AI_QUIET_HOURS_TIMEZONE is UTC here)
+  const clock = offsetMs => new Date(Date.now() + offsetMs).toISOString().slice(11, 16);
+  const now = profile({ aiTrigger: 'mention', aiQuietHours: `${clock(-60000)}-${clock(60000)}` });
+  const result = await triggers.shouldAIReply('quiet', now, { text: '@friend hi', isBlocked: false, persona });
+  assert.equal(result.reply, false);
+  assert.match(result.reason, /^quiet hours/);
+});
+
+test('the cooldown starts once per reply and holds the room on every instance', async () => {
+  const cooldown = profile({ aiCooldownSeconds: 1 });
+  assert.equal(await replies('cooldown', cooldown, 'hello'), true);
+  // Only checking the trigger doesn't start the cooldown
+  assert.equal(await replies('cooldown', cooldown, 'hello'), true);
+
+  assert.equal(await triggers.startAICooldown('cooldown', cooldown), true);
+  assert.equal(await otherInstance.startAICooldown('cooldown', cooldown), false);
+  const result = await otherInstance.shouldAIReply('cooldown', cooldown, { text: '@friend hi', isBlocked: false, persona });
+  assert.deepEqual(result, { reply: false, reason: 'cooling down' });
+
+  // Other rooms aren't affected, and rooms without a cooldown never wait
+  assert.equal(await replies('elsewhere', cooldown, 'hello'), true);
+  assert.equal(await triggers.startAICooldown('cooldown', profile()), true);
+});
@@ -0,0 +1,54 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { useRedisStandIn } from './helpers/redisStandIn.js';
+
+const redis = await useRedisStandIn({ AUTH_SECRET: 'test-secret', ADMIN_USERNAME: 'Root', ADMIN_PASSWORD: 'root-password' });
+const { initStateStore, closeStateStore } = await import('../src/stateStore.js');
+const auth = await import('../src/authService.js');
+// A second copy of the module stands in for another server instance: it shares only the state store
+const otherInstance = await import('../src/authService.js?instance=b');
+
+before(async () => {
+  await initStateStore();
+  await Promise.all([auth.initAccounts(), otherInstance.initAccounts()]);
+});
+
+after(async () => {
+  await closeStateStore();
+  await redis.close();
+});
+
+test('the bootstrap admin is created once, however many instances start', async () => {
+  assert.deepEqual((await auth.listAccounts()).map(user => [user.username, user.role]), [['Root', 'admin']]);
+  assert.equal(await otherInstance.getAccountRole('root'), 'admin');
+});
+
+test('an account registered on one instance signs in on every instance', async () => {
+  const created = await auth.createAccount('Alice', 'correct horse');
+  assert.equal(created.success, true);
+
+  const session = await otherInstance.login('alice', 'correct horse');
+  assert.equal(session.success, true);
+  assert.equal((await auth.verifySessionToken(session.token)).user.username, 'Alice');
+
+  // Taken names, and names that look like them, are taken everywhere
+  assert.equal(await otherInstance.isAccountUsername('ALICE'), true);
+  assert.equal(await otherInstance.isAccountUsername('A1ice'), true);
+  assert.equal((await otherInstance.createAccount('alice', 'another password')).statusCode, 409);
+});
+
+test('a role change on one instance applies to sessions checked on another', async () => {
+  await auth.createAccount('Bob', 'bob password');
+  const { token } = await auth.login('Bob', 'bob password');
+
+  const result = await otherInstance.setAccountRole('bob', 'moderator');
+  assert.deepEqual([result.previousRole, result.user.role], ['user', 'moderator']);
+  assert.equal((await auth.verifySessionToken(token)).user.role, 'moderator');
+  assert.equal((await auth.setAccountRole('nobody', 'admin')).statusCode, 404);
+});
+
+test('two instances registering the same name at once create one account', async () => {
+  const results = await Promise.all([auth.createAccount('Carol', 'first password'), otherInstance.createAccount('carol', 'second password')]);
+  assert.deepEqual(results.map(result => result.success).sort(), [false, true]);
+  assert.equal((await auth.listAccounts()).filter(user => user.username.toLowerCase() === 'carol').length, 1);
+});
@@ -0,0 +1,414 @@
+import net from 'net';
+import fengari from 'fengari';
+
+const { lua, lauxlib, lualib, to_luastring } = fengari;
+
+// A small in-process server that speaks the Redis protocol (RESP2), for tests
+// It implements the commands the state store uses (strings, hashes, lists, sorted sets, MULTI/EXEC)
+// and runs EVAL scripts with a real Lua interpreter (fengari), so the Redis adapter is tested end to end
+
+const OK = { simple: 'OK' };
+
+/**
+ * Encodes a reply
+ * @param {*} reply - string (bulk), integer, null, Array, { simple } or { error }
+ * @returns {string}
+ */
+function encode(reply) {
+  if (reply === null || reply === undefined) {
+    return '$-1\r\n';
+  }
+  if (typeof reply === 'number') {
+    return `:${reply}\r\n`;
+  }
+  if (typeof reply === 'string') {
+    return `$${Buffer.byteLength(reply)}\r\n${reply}\r\n`;
+  }
+  if (Array.isArray(reply)) {
+    return `*${reply.length}\r\n${reply.map(encode).join('')}`;
+  }
+  if (reply.error) {
+    return `-${reply.error}\r\n`;
+  }
+  return `+${reply.simple}\r\n`;
+}
+
+/**
+ * Parses complete commands (arrays of bulk strings) from the start of a buffer
+ * @param {Buffer} buffer - Bytes received so far
+ * @returns {Object} - { commands: Array<Array<string>>, rest: Buffer }
+ */
+function parseCommands(buffer) {
+  const commands = [];
+  let offset = 0;
+  for (;;) {
+    const command = parseCommand(buffer, offset);
+    if (!command) {
+      break;
+    }
+    commands.push(command.args);
+    offset = command.end;
+  }
+  return { commands, rest: buffer.subarray(offset) };
+}
+
+/**
+ * Parses one "*<count>" array of "$<length>" bulk strings
+ * @param {Buffer} buffer - Bytes received so far
+ * @param {number} offset - Where the command starts
+ * @returns {Object|null} - { args, end }, or null if the command isn't complete yet
+ */
+function parseCommand(buffer, offset) {
+  const readLine = (from) => {
+    const end = buffer.indexOf('\r\n', from);
+    return end === -1 ? null : { line: buffer.toString('utf8', from, end), next: end + 2 };
+  };
+
+  const header = readLine(offset);
+  if (!header) {
+    return null;
+  }
+  const count = parseInt(header.line.slice(1), 10);
+  const args = [];
+  let position = header.next;
+  for (let i = 0; i < count; i++) {
+    const lengthLine = readLine(position);
+    if (!lengthLine) {
+      return null;
+    }
+    const length = parseInt(lengthLine.line.slice(1), 10);
+    if (buffer.length < lengthLine.next + length + 2) {
+      return null;
+    }
+    args.push(buffer.toString('utf8', lengthLine.next, lengthLine.next + length));
+    position = lengthLine.next + length + 2;
+  }
+  return { args, end: position };
+}
+
+/**
+ * Turns a Redis-style index (negative counts from the end) into a slice range
+ * @returns {Array<number>} - [start, end) for Array.slice
+ */
+function sliceRange(length, start, stop) {
+  const from = start < 0 ? Math.max(0, length + start) : start;
+  const to = stop < 0 ? length + stop : Math.min(stop, length - 1);
+  return [from, Math.max(from, to + 1)];
+}
+
+/**
+ * Creates the keyspace and the command table
+ * @returns {Object} - { data, execute(args) }
+ */
+function createKeyspace() {
+  // key -> { type: 'string' | 'hash' | 'list' | 'zset', value, expiresAt }
+  const data = new Map();
+
+  const read = (key, type) => {
+    const entry = data.get(key);
+    if (entry && entry.expiresAt !== null && entry.expiresAt <= Date.now()) {
+      data.delete(key);
+      return null;
+    }
+    if (entry && type && entry.type !== type) {
+      throw new Error('WRONGTYPE Operation against a key holding the wrong kind of value');
+    }
+    return entry || null;
+  };
+
+  const readOrCreate = (key, type, create) => {
+    const entry = read(key, type);
+    if (entry) {
+      return entry;
+    }
+    const created = { type, value: create(), expiresAt: null };
+    data.set(key, created);
+    return created;
+  };
+
+  const commands = {
+    PING: () => ({ simple: 'PONG' }),
+    SELECT: () => OK,
+    CLIENT: () => OK,
+    GET: ([key]) => read(key, 'string')?.value ?? null,
+    SET: ([key, value, ...options]) => {
+      const flags = options.map(option => option.toUpperCase());
+      if (flags.includes('NX') && read(key)) {
+        return null;
+      }
+      const px = flags.indexOf('PX');
+      const ex = flags.indexOf('EX');
+      let expiresAt = null;
+      if (px !== -1) {
+        expiresAt = Date.now() + Number(options[px + 1]);
+      } else if (ex !== -1) {
+        expiresAt = Date.now() + Number(options[ex + 1]) * 1000;
+      }
+      data.set(key, { type: 'string', value, expiresAt });
+      return OK;
+    },
+    DEL: (keys) => keys.filter(key => read(key) && data.delete(key)).length,
+    PTTL: ([key]) => {
+      const entry = read(key);
+      if (!entry) {
+        return -2;
+      }
+      return entry.expiresAt === null ? -1 : Math.max(0, entry.expiresAt - Date.now());
+    },
+    PEXPIRE: ([key, ms]) => {
+      const entry = read(key);
+      if (!entry) {
+        return 0;
+      }
+      entry.expiresAt = Date.now() + Number(ms);
+      return 1;
+    },
+    HSET: ([key, ...pairs]) => {
+      const hash = readOrCreate(key, 'hash', () => new Map()).value;
+      let added = 0;
+      for (let i = 0; i < pairs.length; i += 2) {
+        added += hash.has(pairs[i]) ? 0 : 1;
+        hash.set(pairs[i], pairs[i + 1]);
+      }
+      return added;
+    },
+    HGET: ([key, field]) => read(key, 'hash')?.value.get(field) ?? null,
+    HMGET: ([key, ...fields]) => fields.map(field => read(key, 'hash')?.value.get(field) ?? null),
+    HDEL: ([key, ...fields]) => {
+      const entry = read(key, 'hash');
+      const removed = entry ? fields.filter(field => entry.value.delete(field)).length : 0;
+      if (entry && entry.value.size === 0) {
+        data.delete(key);
+      }
+      return removed;
+    },
+    HGETALL: ([key]) => Array.from(read(key, 'hash')?.value || []).flat(),
+    RPUSH: ([key, ...items]) => {
+      const list = readOrCreate(key, 'list', () => []).value;
+      list.push(...items);
+      return list.length;
+    },
+    LTRIM: ([key, start, stop]) => {
+      const entry = read(key, 'list');
+      if (entry) {
+        entry.value = entry.value.slice(...sliceRange(entry.value.length, Number(start), Number(stop)));
+      }
+      return OK;
+    },
+    LRANGE: ([key, start, stop]) => {
+      const list = read(key, 'list')?.value || [];
+      return list.slice(...sliceRange(list.length, Number(start), Number(stop)));
+    },
+    ZADD: ([key, ...pairs]) => {
+      const zset = readOrCreate(key, 'zset', () => new Map()).value;
+      let added = 0;
+      for (let i = 0; i < pairs.length; i += 2) {
+        added += zset.has(pairs[i + 1]) ? 0 : 1;
+        zset.set(pairs[i + 1], Number(pairs[i]));
+      }
+      return added;
+    },
+    ZREM: ([key, ...members]) => {
+      const entry = read(key, 'zset');
+      return entry ? members.filter(member => entry.value.delete(member)).length : 0;
+    },
+    ZREMRANGEBYSCORE: ([key, min, max]) => {
+      const entry = read(key, 'zset');
+      let removed = 0;
+      for (const [member, score] of entry?.value || []) {
+        if (score >= Number(min) && score <= Number(max)) {
+          entry.value.delete(member);
+          removed += 1;
+        }
+      }
+      return removed;
+    },
+    ZCARD: ([key]) => read(key, 'zset')?.value.size || 0,
+    ZRANGE: ([key, start, stop, withScores]) => {
+      const sorted = Array.from(read(key, 'zset')?.value || []).sort((a, b) => a[1] - b[1]);
+      const range = sorted.slice(...sliceRange(sorted.length, Number(start), Number(stop)));
+      return withScores ? range.flatMap(([member, score]) => [member, String(score)]) : range.map(([member]) => member);
+    },
+  };
+
+  const execute = ([name, ...args]) => {
+    const command = name.toUpperCase() === 'EVAL' ? evalScript : commands[name.toUpperCase()];
+    if (!command) {
+      return { error: `ERR unknown command '${name}'` };
+    }
+    try {
+      return command(args);
+    } catch (error) {
+      return { error: error.message.startsWith('WRONGTYPE') ? error.message : `ERR ${error.message}` };
+    }
+  };
+
+  /**
+   * Runs EVAL script numkeys key... arg... with KEYS, ARGV and redis.call
+   */
+  const evalScript = ([script, numKeys, ...rest]) => {
+    const L = lauxlib.luaL_newstate();
+    lualib.luaL_openlibs(L);
+    pushStrings(L, rest.slice(0, Number(numKeys)));
+    lua.lua_setglobal(L, to_luastring('KEYS'));
+    pushStrings(L, rest.slice(Number(numKeys)));
+    lua.lua_setglobal(L, to_luastring('ARGV'));
+
+    lua.lua_newtable(L);
+    lua.lua_pushjsfunction(L, (state) => {
+      const args = [];
+      for (let i = 1; i <= lua.lua_gettop(state); i++) {
+        args.push(lua.lua_tojsstring(state, i));
+      }
+      const reply = execute(args);
+      if (reply?.error) {
+        return lauxlib.luaL_error(state, to_luastring(reply.error));
+      }
+      pushReply(state, reply);
+      return 1;
+    });
+    lua.lua_setfield(L, -2, to_luastring('call'));
+    lua.lua_setglobal(L, to_luastring('redis'));
+
+    if (lauxlib.luaL_loadstring(L, to_luastring(script)) !== lua.LUA_OK || lua.lua_pcall(L, 0, 1, 0) !== lua.LUA_OK) {
+      return { error: `ERR ${lua.lua_tojsstring(L, -1)}` };
+    }
+    return toReply(L, -1);
+  };
+
+  return { data, execute };
+}
+
+/**
+ * Pushes a Lua array of strings
+ */
+function pushStrings(L, values) {
+  lua.lua_createtable(L, values.length, 0);
+  values.forEach((value, index) => {
+    lua.lua_pushstring(L, to_luastring(value));
+    lua.lua_rawseti(L, -2, index + 1);
+  });
+}
+
+/**
+ * Pushes a command reply the way Redis hands it to a script
+ */
+function pushReply(L, reply) {
+  if (reply === null || reply === undefined) {
+    lua.lua_pushboolean(L, false);
+  } else if (typeof reply === 'number') {
+    lua.lua_pushinteger(L, reply);
+  } else if (typeof reply === 'string') {
+    lua.lua_pushstring(L, to_luastring(reply));
+  } else if (Array.isArray(reply)) {
+    lua.lua_createtable(L, reply.length, 0);
+    reply.forEach((item, index) => {
+      pushReply(L, item);
+      lua.lua_rawseti(L, -2, index + 1);
+    });
+  } else {
+    lua.lua_createtable(L, 0, 1);
+    lua.lua_pushstring(L, to_luastring(reply.simple));
+    lua.lua_setfield(L, -2, to_luastring('ok'));
+  }
+}
+
+/**
+ * Converts a script's return value the way Redis does (numbers are truncated to integers)
+ */
+function toReply(L, index) {
+  switch (lua.lua_type(L, index)) {
+    case lua.LUA_TNUMBER:
+      return Math.trunc(lua.lua_tonumber(L, index));
+    case lua.LUA_TSTRING:
+      return lua.lua_tojsstring(L, index);
+    case lua.LUA_TBOOLEAN:
+      return lua.lua_toboolean(L, index) ? 1 : null;
+    case lua.LUA_TTABLE: {
+      const table = lua.lua_absindex(L, index);
+      const items = [];
+      for (let i = 1; lua.lua_rawgeti(L, table, i) !== lua.LUA_TNIL; i++) {
+        items.push(toReply(L, -1));
+        lua.lua_pop(L, 1);
+      }
+      lua.lua_pop(L, 1);
+      return items;
+    }
+    default:
+      return null;
+  }
+}
+
+/**
+ * Starts a stand-in server on a free local port
+ * @returns {Promise<Object>} - { url, data (the keyspace, for inspecting), close() }
+ */
+export async function startRedisStandIn() {
+  const { data, execute } = createKeyspace();
+  const connections = new Set();
+
+  const server = net.createServer((socket) => {
+    connections.add(socket);
+    socket.on('close', () => connections.delete(socket));
+    socket.on('error', () => {});
+
+    let buffer = Buffer.alloc(0);
+    let transaction = null;
+    socket.on('data', (chunk) => {
+      const { commands, rest } = parseCommands(Buffer.concat([buffer, chunk]));
+      buffer = rest;
+      for (const args of commands) {
+        const name = args[0].toUpperCase();
+        if (name === 'QUIT') {
+          socket.end(encode(OK));
+          return;
+        }
+        if (name === 'MULTI') {
+          transaction = [];
+          socket.write(encode(OK));
+        } else if (name === 'EXEC') {
+          const replies = (transaction || []).map(execute);
+          transaction = null;
+          socket.write(encode(replies));
+        } else if (name === 'DISCARD') {
+          transaction = null;
+          socket.write(encode(OK));
+        } else if (transaction) {
+          transaction.push(args);
+          socket.write(encode({ simple: 'QUEUED' }));
+        } else {
+          socket.write(encode(execute(args)));
+        }
+      }
+    });
+  });
+
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  const { port } = server.address();
+
+  return {
+    url: `redis://127.0.0.1:${port}`,
+    data,
+    async close() {
+      connections.forEach(socket => socket.destroy());
+      await new Promise(resolve => server.close(resolve));
+    },
+  };
+}
+
+/**
+ * Starts a stand-in and points the state store at it (STATE_STORE=redis)
+ * Call this before importing anything from src, since the config is read on import
+ * @param {Object} env - Extra environment variables for the test
+ * @returns {Promise<Object>} - The stand-in (see startRedisStandIn)
+ */
+export async function useRedisStandIn(env = {}) {
+  const redis = await startRedisStandIn();
+  Object.assign(process.env, {
+    STATE_STORE: 'redis',
+    REDIS_URL: redis.url,
+    REDIS_KEY_PREFIX: 'test:',
+    ...env,
+  });
+  return redis;
+}
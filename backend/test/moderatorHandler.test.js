@@ -0,0 +1,116 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { useRedisStandIn } from './helpers/redisStandIn.js';
+
+const redis = await useRedisStandIn({
+  MESSAGE_STORE: 'memory',
+  MODERATION_PROVIDER: 'test',
+  MODERATION_RULES_ENABLED: 'false',
+  MODERATION_CACHE_SIZE: '0',
+});
+const { initStateStore, closeStateStore } = await import('../src/stateStore.js');
+const { closeMessageStore } = await import('../src/messageStore.js');
+const { registerModerationProvider } = await import('../src/moderationService.js');
+const { addToReviewQueue, getReviewItem } = await import('../src/reviewQueue.js');
+const { getStrikeRecord } = await import('../src/strikeService.js');
+const { deliverReviewDecision, retryAwaitingRecovery } = await import('../src/moderatorHandler.js');
+
+// Blocks "threat" as hate_threatening, which is worth 2 strike points
+registerModerationProvider({
+  name: 'test',
+  async moderate(text) {
+    const isBlocked = /threat/.test(text);
+    return { isBlocked, reason: isBlocked ? 'Blocked' : 'OK', details: { maxCategory: isBlocked ? 'hate_threatening' : null } };
+  },
+});
+
+before(async () => {
+  await initStateStore();
+});
+
+after(async () => {
+  await closeMessageStore();
+  await closeStateStore();
+  await redis.close();
+});
+
+/**
+ * Records an io stand-in's emits and disconnects
+ * Every user channel holds one connection from 203.0.113.7
+ */
+function createIo() {
+  const events = [];
+  const socket = { handshake: { headers: {}, address: '203.0.113.7' } };
+  return {
+    events,
+    to: channel => ({ emit: (event, data) => events.push({ channel, event, data }) }),
+    in: channel => ({
+      fetchSockets: async () => [socket],
+      disconnectSockets: () => events.push({ channel, event: 'disconnect' }),
+    }),
+  };
+}
+
+/**
+ * Builds a resolved review item for a message held from the chat
+ */
+function resolvedItem(status) {
+  return {
+    id: `held-${status}`,
+    text: 'borderline',
+    author: 'Alice',
+    room: 'general',
+    socketId: 'socket-gone',
+    delivered: false,
+    status,
+    resolvedBy: 'mod-a',
+    resolvedAt: new Date().toISOString(),
+    note: null,
+  };
+}
+
+test('the sender hears about a decision on their channel, whichever connection they are on now', async () => {
+  const approved = createIo();
+  await deliverReviewDecision(approved, resolvedItem('approved'));
+  assert.deepEqual(approved.events.map(event => [event.channel, event.event]), [
+    ['room:general', 'message'],
+    ['user:alice', 'messageApproved'],
+  ]);
+
+  const rejected = createIo();
+  await deliverReviewDecision(rejected, resolvedItem('rejected'));
+  assert.deepEqual(rejected.events.map(event => [event.channel, event.event]), [['user:alice', 'messageRejected']]);
+  assert.equal(rejected.events[0].data.reason, 'Rejected by a moderator');
+});
+
+test('reported messages that were already delivered announce nothing', async () => {
+  const io = createIo();
+  await deliverReviewDecision(io, { ...resolvedItem('approved'), socketId: undefined, delivered: true });
+  assert.deepEqual(io.events, []);
+});
+
+test('messages blocked once the provider recovers add strikes, weighted by category', async () => {
+  const held = { author: 'Mallory', room: 'general', socketId: 'socket-m', delivered: false, reason: 'Moderation unavailable' };
+  await addToReviewQueue({ ...held, id: 'recovered-1', text: 'a threat' }, 'provider_error');
+  await addToReviewQueue({ ...held, id: 'recovered-2', text: 'another threat' }, 'provider_error');
+  await addToReviewQueue({ ...held, id: 'recovered-3', text: 'hello' }, 'provider_error');
+
+  const io = createIo();
+  await retryAwaitingRecovery(io);
+
+  assert.deepEqual(
+    await Promise.all(['recovered-1', 'recovered-2', 'recovered-3'].map(async id => (await getReviewItem(id)).status)),
+    ['rejected', 'rejected', 'approved']
+  );
+  const record = await getStrikeRecord('mallory');
+  assert.equal(record.points, 4);
+  assert.deepEqual(record.strikes.map(strike => [strike.category, strike.weight, strike.room]), [
+    ['hate_threatening', 2, 'general'],
+    ['hate_threatening', 2, 'general'],
+  ]);
+  assert.deepEqual(record.ips, ['203.0.113.7']);
+
+  // Two strikes cross the mute threshold, and the sender is told on their channel
+  const penalty = io.events.find(event => event.event === 'penalty');
+  assert.deepEqual([penalty.channel, penalty.data.type, penalty.data.points], ['user:mallory', 'mute', 4]);
+});
@@ -0,0 +1,74 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { useRedisStandIn } from './helpers/redisStandIn.js';
+
+const redis = await useRedisStandIn();
+const { initStateStore, closeStateStore } = await import('../src/stateStore.js');
+const queue = await import('../src/reviewQueue.js');
+// A second copy of the module stands in for another server instance: it shares only the state store
+const otherInstance = await import('../src/reviewQueue.js?instance=b');
+
+before(async () => {
+  await initStateStore();
+});
+
+after(async () => {
+  await closeStateStore();
+  await redis.close();
+});
+
+/**
+ * Builds a held message
+ */
+function heldMessage(id) {
+  return { id, text: 'borderline', author: 'Alice', room: 'general', reason: 'Held', details: {}, socketId: 'socket-1', delivered: false };
+}
+
+test('items queued on one instance are listed on every instance', async () => {
+  const events = [];
+  queue.onReviewQueueChange((event, item) => events.push([event, item.id]));
+
+  await queue.addToReviewQueue(heldMessage('m1'));
+  const items = await otherInstance.getReviewQueue();
+  assert.deepEqual(items.map(item => [item.id, item.status]), [['m1', 'pending']]);
+  assert.deepEqual(events, [['added', 'm1']]);
+});
+
+test('reporting an open item again only counts the report', async () => {
+  const item = await otherInstance.addToReviewQueue(heldMessage('m1'), 'report');
+  assert.equal(item.reportCount, 2);
+  assert.equal(item.source, 'moderation');
+  assert.equal((await queue.getReviewQueue('all')).length, 1);
+});
+
+test('a claim on one instance blocks other moderators on another', async () => {
+  assert.equal((await queue.claimReviewItem('m1', 'mod-a')).success, true);
+
+  const blocked = await otherInstance.resolveReviewItem('m1', 'approved', 'mod-b');
+  assert.equal(blocked.success, false);
+  assert.equal(blocked.statusCode, 409);
+  assert.match(blocked.error, /claimed by mod-a/);
+});
+
+test('an item is resolved exactly once, even when two instances race', async () => {
+  await queue.addToReviewQueue(heldMessage('m2'));
+  const results = await Promise.all([
+    queue.resolveReviewItem('m2', 'approved', 'mod-a'),
+    otherInstance.resolveReviewItem('m2', 'rejected', 'mod-b'),
+  ]);
+  assert.equal(results.filter(result => result.success).length, 1);
+
+  const item = await otherInstance.getReviewItem('m2');
+  assert.equal(item.status, results.find(result => result.success).item.status);
+  assert.deepEqual((await queue.getReviewQueue()).map(open => open.id), ['m1']);
+});
+
+test('updates and unknown items', async () => {
+  const updated = await otherInstance.updateReviewItem('m1', { source: 'moderation', reason: 'Re-checked' });
+  assert.equal(updated.reason, 'Re-checked');
+  assert.equal((await queue.getReviewItem('m1')).reason, 'Re-checked');
+
+  assert.equal(await queue.updateReviewItem('missing', {}), null);
+  assert.equal((await queue.claimReviewItem('missing', 'mod-a')).statusCode, 404);
+  assert.equal((await queue.resolveReviewItem('m1', 'maybe', 'mod-a')).statusCode, 400);
+});
@@ -0,0 +1,148 @@
+import { test, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { useRedisStandIn } from './helpers/redisStandIn.js';
+
+// Room profiles can't be changed at runtime when state is shared, so the rooms under test come from a file
+const roomsDir = fs.mkdtempSync(path.join(os.tmpdir(), 'rooms-'));
+const roomsFile = path.join(roomsDir, 'rooms.json');
+fs.writeFileSync(roomsFile, JSON.stringify({
+  rooms: [
+    { name: 'general', profile: {} },
+    { name: 'kids', profile: { persona: 'enforcer', aiTrigger: 'mention' } },
+    { name: 'off-topic', profile: { aiEnabled: false } },
+  ],
+}));
+
+const redis = await useRedisStandIn({
+  ROOMS_FILE: roomsFile,
+  AI_PROVIDER: 'mock',
+  MESSAGE_STORE: 'memory',
+  MODERATION_PROVIDER: 'test',
+  MODERATION_RULES_ENABLED: 'false',
+  MODERATION_CACHE_SIZE: '0',
+});
+const { initStateStore, closeStateStore } = await import('../src/stateStore.js');
+const { registerModerationProvider } = await import('../src/moderationService.js');
+const { getMessages, closeMessageStore } = await import('../src/messageStore.js');
+const { updateRoomProfile } = await import('../src/roomService.js');
+const { generateAndBroadcastAIResponse } = await import('../src/socketHandler.js');
+
+// Every text the AI's reply was moderated as
+const moderated = [];
+
+// Blocks "forbidden", and "red" and "blue" only when they appear together
+registerModerationProvider({
+  name: 'test',
+  async moderate(text) {
+    moderated.push(text);
+    const isBlocked = /forbidden/.test(text) || (/red/.test(text) && /blue/.test(text));
+    return { isBlocked, reason: isBlocked ? 'Blocked' : 'OK', details: { maxCategory: isBlocked ? 'test' : null } };
+  },
+});
+
+before(async () => {
+  await initStateStore();
+});
+
+beforeEach(() => {
+  moderated.length = 0;
+});
+
+after(async () => {
+  await closeMessageStore();
+  await closeStateStore();
+  await redis.close();
+  fs.rmSync(roomsDir, { recursive: true, force: true });
+});
+
+/**
+ * Records an io stand-in's emits
+ */
+function createIo() {
+  const events = [];
+  return {
+    events,
+    to: channel => ({ emit: (event, data) => events.push({ channel, event, data }) }),
+  };
+}
+
+/**
+ * Has the AI answer a message from Alice
+ */
+async function answer(io, room, id, text, isBlocked = false) {
+  await generateAndBroadcastAIResponse(io, 'socket-1', `client-${id}`, room, { id, author: 'Alice', text }, null, isBlocked);
+  return {
+    names: io.events.map(event => event.event),
+    streamed: io.events.filter(event => event.event === 'aiMessageChunk').map(event => event.data.text).join(''),
+    last: io.events[io.events.length - 1],
+  };
+}
+
+test('the reply streams to the room, then completes and is saved', async () => {
+  const io = createIo();
+  const { names, streamed, last } = await answer(io, 'general', 'm1', 'Hello there. How are you?');
+
+  assert.equal(names[0], 'aiMessageStart');
+  assert.ok(names.slice(1, -1).every(name => name === 'aiMessageChunk'));
+  assert.equal(last.event, 'aiMessageComplete');
+  assert.ok(io.events.every(event => event.channel === 'room:general'));
+
+  assert.equal(streamed, 'Mock reply to: Alice: Hello there. How are you?');
+  assert.equal(last.data.text, streamed);
+  assert.equal(last.data.author, 'AI Moderator');
+
+  // The first sentence was checked as soon as it ended; the whole reply is checked again at the end
+  assert.deepEqual(moderated, ['Mock reply to: Alice: Hello there.', streamed]);
+  const { messages } = await getMessages('general');
+  assert.deepEqual(messages.map(message => [message.text, message.isAI]), [[streamed, true]]);
+});
+
+test('a flagged sentence retracts the reply and stops the stream', async () => {
+  const io = createIo();
+  const { names, streamed, last } = await answer(io, 'general', 'm2', 'Fine. Something forbidden here. one two three four five');
+
+  assert.equal(last.event, 'aiMessageRetracted');
+  assert.equal(last.data.reason, 'Flagged by moderation (test)');
+  assert.equal(last.data.id, io.events[0].data.id);
+  assert.ok(!names.includes('aiMessageComplete'));
+
+  // Only the sentences up to the flagged one were checked, and the rest was never generated
+  assert.deepEqual(moderated, ['Mock reply to: Alice: Fine.', 'Something forbidden here.']);
+  assert.ok(streamed.includes('forbidden'));
+  assert.ok(!streamed.includes('five'));
+
+  const { messages } = await getMessages('general');
+  assert.equal(messages.length, 1);
+});
+
+test('sentences that pass alone can still get the whole reply retracted', async () => {
+  const io = createIo();
+  const { names, last } = await answer(io, 'general', 'm3', 'I like red. You like blue?');
+
+  assert.deepEqual(moderated, ['Mock reply to: Alice: I like red.', 'Mock reply to: Alice: I like red. You like blue?']);
+  assert.equal(last.event, 'aiMessageRetracted');
+  assert.equal(last.data.reason, 'Flagged by moderation');
+  assert.ok(!names.includes('aiMessageComplete'));
+});
+
+test('the room\'s trigger policy decides whether the AI answers at all', async () => {
+  // The AI is switched off in #off-topic
+  const io = createIo();
+  await answer(io, 'off-topic', 'm4', 'Anyone there?');
+  assert.deepEqual(io.events, []);
+  assert.deepEqual(moderated, []);
+
+  // #kids only answers @mentions of its persona
+  assert.equal(updateRoomProfile('kids', { aiTrigger: 'always' }).success, false);
+  const ignored = createIo();
+  await answer(ignored, 'kids', 'm5', 'hello');
+  assert.deepEqual(ignored.events, []);
+
+  const mentioned = createIo();
+  const { last } = await answer(mentioned, 'kids', 'm6', '@Rules Bot hello');
+  assert.equal(last.event, 'aiMessageComplete');
+  assert.equal(last.data.author, 'Rules Bot');
+});
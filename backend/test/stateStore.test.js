@@ -0,0 +1,119 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { useRedisStandIn } from './helpers/redisStandIn.js';
+
+const redis = await useRedisStandIn();
+const {
+  initStateStore, closeStateStore, takeToken, hitRateLimit, claimKey, pushToList, getList,
+  getValue, setValue, deleteValue, getRecord, setRecord, deleteRecord, listRecords, withStateLock,
+} = await import('../src/stateStore.js');
+
+before(async () => {
+  await initStateStore();
+});
+
+after(async () => {
+  await closeStateStore();
+  await redis.close();
+});
+
+test('token buckets allow the burst, then refuse until tokens refill', async () => {
+  const results = [];
+  for (let i = 0; i < 4; i++) {
+    results.push(await takeToken('bucket:burst', 3, 60));
+  }
+  assert.deepEqual(results.map(result => result.allowed), [true, true, true, false]);
+  assert.ok(results[3].retryAfterMs > 0 && results[3].retryAfterMs <= 1000);
+
+  // The bucket is kept in Redis, where every instance reads it
+  assert.ok(redis.data.has('test:bucket:burst'));
+});
+
+test('concurrent takes never spend more tokens than the bucket holds', async () => {
+  const results = await Promise.all(Array.from({ length: 10 }, () => takeToken('bucket:race', 5, 1)));
+  assert.equal(results.filter(result => result.allowed).length, 5);
+});
+
+test('sliding windows count hits and report when the oldest one expires', async () => {
+  assert.equal((await hitRateLimit('window', 2, 1000)).allowed, true);
+  assert.equal((await hitRateLimit('window', 2, 1000)).allowed, true);
+  const refused = await hitRateLimit('window', 2, 1000);
+  assert.equal(refused.allowed, false);
+  assert.equal(refused.count, 2);
+  assert.ok(refused.retryAfterMs > 0 && refused.retryAfterMs <= 1000);
+});
+
+test('claims succeed once until they expire', async () => {
+  assert.equal(await claimKey('claim', 100), 0);
+  assert.ok((await claimKey('claim', 100)) > 0);
+  await new Promise(resolve => setTimeout(resolve, 120));
+  assert.equal(await claimKey('claim', 100), 0);
+});
+
+test('values and lists round-trip as JSON', async () => {
+  await setValue('value', { a: 1 }, 1000);
+  assert.deepEqual(await getValue('value'), { a: 1 });
+  await deleteValue('value');
+  assert.equal(await getValue('value'), null);
+
+  for (let i = 1; i <= 4; i++) {
+    await pushToList('list', { i }, 3, 1000);
+  }
+  assert.deepEqual(await getList('list'), [{ i: 2 }, { i: 3 }, { i: 4 }]);
+});
+
+test('records are kept in a collection until deleted', async () => {
+  await setRecord('things', 'one', { n: 1 });
+  await setRecord('things', 'two', { n: 2 });
+  assert.deepEqual(await getRecord('things', 'one'), { n: 1 });
+  assert.deepEqual((await listRecords('things')).map(record => record.n).sort(), [1, 2]);
+
+  await deleteRecord('things', 'one');
+  assert.equal(await getRecord('things', 'one'), null);
+  assert.equal(redis.data.get('test:records:things').expiresAt, null);
+});
+
+test('locks serialize read-modify-write updates', async () => {
+  await setRecord('counters', 'hits', 0);
+  await Promise.all(Array.from({ length: 10 }, () => withStateLock('counter', async () => {
+    const value = await getRecord('counters', 'hits');
+    await new Promise(resolve => setTimeout(resolve, 5));
+    await setRecord('counters', 'hits', value + 1);
+  })));
+  assert.equal(await getRecord('counters', 'hits'), 10);
+
+  // The lock is released afterwards, even when the function throws
+  await assert.rejects(withStateLock('counter', async () => {
+    throw new Error('boom');
+  }), /boom/);
+  assert.equal(await claimKey('lock:counter', 1000), 0);
+});
+
+test('a holder whose lock expired mid-way leaves the next holder\'s lock alone', async () => {
+  let releaseFirst;
+  const firstRunning = new Promise(resolve => {
+    releaseFirst = resolve;
+  });
+  const first = withStateLock('slow', async () => {
+    // The lock runs out while this update is still going (e.g. a stalled Redis round-trip)
+    redis.data.delete('test:lock:slow');
+    await firstRunning;
+  });
+
+  let secondHolds;
+  const second = withStateLock('slow', () => new Promise(resolve => {
+    secondHolds = resolve;
+  }));
+  while (!secondHolds) {
+    await new Promise(resolve => setTimeout(resolve, 5));
+  }
+
+  // The first holder finishing must not release the second holder's lock
+  releaseFirst();
+  await first;
+  assert.ok((await claimKey('lock:slow', 1000)) > 0);
+
+  secondHolds();
+  await second;
+  assert.equal(await claimKey('lock:slow', 1000), 0);
+});
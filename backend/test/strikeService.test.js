@@ -0,0 +1,99 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { useRedisStandIn } from './helpers/redisStandIn.js';
+
+const redis = await useRedisStandIn({ STRIKE_DEFAULT_WEIGHT: '3', STRIKE_MUTE_AT: '3', STRIKE_TIMEOUT_AT: '6', STRIKE_BAN_AT: '9' });
+const { initStateStore, closeStateStore } = await import('../src/stateStore.js');
+const strikes = await import('../src/strikeService.js');
+// A second copy of the module stands in for another server instance: it shares only the state store
+const otherInstance = await import('../src/strikeService.js?instance=b');
+
+before(async () => {
+  await initStateStore();
+});
+
+after(async () => {
+  await closeStateStore();
+  await redis.close();
+});
+
+/**
+ * Records an io stand-in's emits and disconnects
+ */
+function createIo() {
+  const calls = [];
+  return {
+    calls,
+    to: channel => ({ emit: (event, data) => calls.push({ channel, event, data }) }),
+    in: channel => ({ disconnectSockets: () => calls.push({ channel, event: 'disconnect' }) }),
+  };
+}
+
+test('strikes escalate to a mute that every instance enforces', async () => {
+  const result = await strikes.recordStrike('Mallory', { ip: '203.0.113.1', reason: 'spam', room: 'general' });
+  assert.equal(result.points, 3);
+  assert.equal(result.penalty.type, 'mute');
+
+  const penalty = await otherInstance.getActivePenalty('mallory');
+  assert.equal(penalty?.type, 'mute');
+  assert.equal((await otherInstance.getStrikeRecord('MALLORY')).strikes.length, 1);
+});
+
+test('penalties only escalate, and a ban covers the user\'s IP addresses', async () => {
+  await otherInstance.recordStrike('Mallory', { ip: '203.0.113.2' });
+  const ban = await strikes.recordStrike('Mallory', {});
+  assert.equal(ban.penalty.type, 'ban');
+
+  const ipPenalty = await otherInstance.getActivePenalty(null, '203.0.113.2');
+  assert.equal(ipPenalty?.type, 'ban');
+  assert.match(ipPenalty.reason, /Mallory/);
+  assert.equal((await strikes.listStrikes())[0].username, 'Mallory');
+});
+
+test('resetting strikes on one instance lifts the ban everywhere', async () => {
+  const result = await otherInstance.resetStrikes('mallory');
+  assert.equal(result.success, true);
+  assert.equal(result.previous.penalty.type, 'ban');
+
+  assert.equal(await strikes.getActivePenalty('Mallory', '203.0.113.1'), null);
+  assert.equal(await strikes.getActivePenalty(null, '203.0.113.2'), null);
+  assert.equal((await strikes.resetStrikes('nobody')).statusCode, 404);
+});
+
+test('moderator penalties can be set and lifted', async () => {
+  assert.equal((await strikes.setPenalty('Trent', { type: 'mute' })).success, false);
+
+  const result = await strikes.setPenalty('Trent', { type: 'timeout', durationMs: 60000, reason: 'cool off', ips: ['198.51.100.7'] });
+  assert.equal(result.success, true);
+  assert.equal((await otherInstance.getActivePenalty('trent')).reason, 'cool off');
+  // Only bans cover IP addresses
+  assert.equal(await otherInstance.getActivePenalty(null, '198.51.100.7'), null);
+
+  assert.equal((await otherInstance.liftPenalty('Trent')).previous.type, 'timeout');
+  assert.equal((await strikes.liftPenalty('Trent')).statusCode, 404);
+});
+
+test('concurrent strikes from two instances are all counted', async () => {
+  await Promise.all([
+    strikes.recordStrike('Oscar', {}),
+    otherInstance.recordStrike('Oscar', {}),
+    strikes.recordStrike('Oscar', {}),
+  ]);
+  assert.equal((await strikes.getStrikeRecord('Oscar')).strikes.length, 3);
+});
+
+test('penalties reach the user\'s channel, which spans every instance', () => {
+  const io = createIo();
+  strikes.enforcePenalty(io, 'Peggy', { type: 'mute', until: new Date(Date.now() + 60000).toISOString() });
+  assert.deepEqual(io.calls.map(call => [call.channel, call.event]), [['user:peggy', 'penalty']]);
+
+  const banIo = createIo();
+  strikes.enforcePenalty(banIo, 'Peggy', { type: 'ban', until: null });
+  assert.deepEqual(banIo.calls.map(call => [call.channel, call.event]), [['user:peggy', 'penalty'], ['user:peggy', 'disconnect']]);
+});
+
+test('penalty checks allow everyone while the store is unreachable', async () => {
+  await closeStateStore();
+  await redis.close();
+  assert.equal(await strikes.getActivePenalty('Oscar', '203.0.113.1'), null);
+});
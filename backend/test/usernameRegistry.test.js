@@ -0,0 +1,100 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { useRedisStandIn } from './helpers/redisStandIn.js';
+
+const redis = await useRedisStandIn({ USERNAME_RELEASE_GRACE_MS: '200' });
+const { initStateStore, closeStateStore } = await import('../src/stateStore.js');
+const registry = await import('../src/usernameRegistry.js');
+// A second copy of the module stands in for another server instance: it shares only the state store
+const otherInstance = await import('../src/usernameRegistry.js?instance=b');
+
+before(async () => {
+  await initStateStore();
+});
+
+after(async () => {
+  await closeStateStore();
+  await redis.close();
+});
+
+test('a name registered on one instance is taken on every instance', async () => {
+  const claim = await registry.claimUsername('Alice', 'socket-a1');
+  assert.equal(claim.success, true);
+
+  const taken = await otherInstance.claimUsername('alice', 'socket-b1');
+  assert.equal(taken.success, false);
+  assert.match(taken.error, /already taken/);
+
+  const lookalike = await otherInstance.claimUsername('AIice', 'socket-b1');
+  assert.equal(lookalike.success, false);
+  assert.match(lookalike.error, /looks too much like "Alice"/);
+
+  assert.equal(await otherInstance.getOnlineUsername('ALICE'), 'Alice');
+});
+
+test('the token joins the name from another instance (a second tab)', async () => {
+  const { token } = await registry.claimUsername('Bob', 'socket-a2');
+  const second = await otherInstance.claimUsername('bob', 'socket-b2', token);
+  assert.deepEqual([second.success, second.username, second.reclaimed], [true, 'Bob', true]);
+
+  // Still online while either tab is connected
+  await registry.releaseUsername('Bob', 'socket-a2');
+  assert.equal(await registry.getOnlineUsername('bob'), 'Bob');
+  await otherInstance.releaseUsername('Bob', 'socket-b2');
+  assert.equal(await registry.getOnlineUsername('bob'), null);
+});
+
+test('a wrong token is refused whatever its length or encoding', async () => {
+  const { token } = await registry.claimUsername('Erin', 'socket-a7');
+  for (const guess of ['', 'short', 'é'.repeat(token.length), `${token}x`, 42]) {
+    const claim = await otherInstance.claimUsername('Erin', 'socket-b7', guess);
+    assert.equal(claim.success, false);
+    assert.match(claim.error, /already taken/);
+  }
+});
+
+test('a released name is held for the grace period, then freed', async () => {
+  const { token } = await registry.claimUsername('Carol', 'socket-a3');
+  await registry.releaseUsername('Carol', 'socket-a3');
+
+  const early = await otherInstance.claimUsername('Carol', 'socket-b3');
+  assert.equal(early.success, false);
+  assert.match(early.error, /was just in use/);
+
+  // The owner can come back on any instance within the grace period
+  const reclaimed = await otherInstance.claimUsername('Carol', 'socket-b3', token);
+  assert.equal(reclaimed.reclaimed, true);
+  await otherInstance.releaseUsername('Carol', 'socket-b3');
+
+  await new Promise(resolve => setTimeout(resolve, 250));
+  const fresh = await registry.claimUsername('Carol', 'socket-a4');
+  assert.equal(fresh.success, true);
+  assert.notEqual(fresh.token, token);
+});
+
+test('concurrent claims of a free name from two instances give it to one of them', async () => {
+  const results = await Promise.all([
+    registry.claimUsername('Dave', 'socket-a5'),
+    otherInstance.claimUsername('Dave', 'socket-b5'),
+  ]);
+  assert.equal(results.filter(result => result.success).length, 1);
+});
+
+test('signed-in owners take their name without a token, and each user has one channel', async () => {
+  const verified = await otherInstance.claimUsername('alice', 'socket-b6', null, { verified: true });
+  assert.equal(verified.success, true);
+  assert.equal(registry.userChannel(' Alice '), 'user:alice');
+});
+
+test('the account owner takes their name back from a guest on any instance', async () => {
+  const guest = await registry.claimUsername('Frank', 'socket-a8');
+  const owner = await otherInstance.claimUsername('frank', 'socket-b8', null, { verified: true });
+  assert.deepEqual([owner.success, owner.evicted], [true, ['socket-a8']]);
+  assert.notEqual(owner.token, guest.token);
+
+  // The guest's old token no longer works, and the owner's other tabs don't evict each other
+  const retry = await registry.claimUsername('Frank', 'socket-a9', guest.token);
+  assert.equal(retry.success, false);
+  const secondTab = await registry.claimUsername('Frank', 'socket-a10', null, { verified: true });
+  assert.deepEqual([secondTab.reclaimed, secondTab.evicted], [true, undefined]);
+});
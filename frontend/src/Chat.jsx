@@ -2,6 +2,7 @@ import { useState, useEffect, useRef } from 'react';
 import { io } from 'socket.io-client';
 import MessageList from './MessageList';
 import MessageInput from './MessageInput';
+import LoginForm from './LoginForm';
 import './Chat.css';
 
 // Use relative URL if VITE_SOCKET_URL is not set (for same-domain deployment)
@@ -20,20 +21,140 @@ const getSocketURL = () => {
 
 const SOCKET_URL = getSocketURL();
 
+// Reclaim tokens let us keep our username across refreshes and reconnects
+const TOKEN_STORAGE_KEY = 'chatUsernameToken';
+
+// The signed-in session: { token, user: { username, role } }
+const SESSION_STORAGE_KEY = 'chatSession';
+
+const getStoredSession = () => {
+  try {
+    return JSON.parse(localStorage.getItem(SESSION_STORAGE_KEY) || 'null');
+  } catch {
+    return null;
+  }
+};
+
+// Connection errors that mean the session is no longer valid
+const SESSION_ERRORS = ['Invalid session', 'Session expired', 'Account no longer exists', 'Authentication required'];
+
+const getStoredToken = (name) => {
+  try {
+    const stored = JSON.parse(localStorage.getItem(TOKEN_STORAGE_KEY) || 'null');
+    return stored && stored.username.toLowerCase() === name.toLowerCase() ? stored.token : null;
+  } catch {
+    return null;
+  }
+};
+
+// The other user in a direct message conversation
+const getConversationPartner = (msg, myName) => (
+  msg.author.toLowerCase() === myName.toLowerCase() ? msg.to : msg.author
+);
+
+// Adds history to the message list, skipping messages we already have
+const mergeMessages = (existing, incoming) => {
+  const knownIds = new Set(existing.map((msg) => msg.id));
+  return [...incoming.filter((msg) => !knownIds.has(msg.id)), ...existing]
+    .sort((a, b) => new Date(a.timestamp).getTime() - new Date(b.timestamp).getTime());
+};
+
 function Chat() {
+  const [session, setSession] = useState(getStoredSession);
+  const [guestMode, setGuestMode] = useState(false);
+  const [authInfo, setAuthInfo] = useState({ guestsAllowed: true, registrationOpen: true });
+  const [editWindowSeconds, setEditWindowSeconds] = useState(300);
   const [messages, setMessages] = useState([]);
   const [blockedMessages, setBlockedMessages] = useState([]);
+  const [heldMessages, setHeldMessages] = useState([]);
   const [isConnected, setIsConnected] = useState(false);
   const [error, setError] = useState(null);
   const [username, setUsername] = useState('');
   const [usernameSet, setUsernameSet] = useState(false);
+  const [rooms, setRooms] = useState([]);
+  const [currentRoom, setCurrentRoom] = useState(null);
+  const [roomMembers, setRoomMembers] = useState([]);
+  // Whether older messages can be loaded, per room
+  const [hasMoreHistory, setHasMoreHistory] = useState({});
+  const [loadingHistory, setLoadingHistory] = useState(false);
+  const [directMessages, setDirectMessages] = useState([]);
+  // Username of the open direct message conversation (null = room view)
+  const [activeConversation, setActiveConversation] = useState(null);
+  const [unreadConversations, setUnreadConversations] = useState({});
+  // Slash commands we can use (sent by the server after registering)
+  const [commands, setCommands] = useState([]);
+  // System notices: command results and room changes
+  const [notices, setNotices] = useState([]);
+  // When the server will accept our next message, after a rate limit or slow mode refusal
+  const [retryAt, setRetryAt] = useState(null);
   const socketRef = useRef(null);
+  // Socket handlers are registered once, so they read these through refs
+  const usernameRef = useRef('');
+  const activeConversationRef = useRef(null);
+  // The name the server confirmed, re-registered automatically after a reconnect
+  const registeredUsernameRef = useRef(null);
   const messagesEndRef = useRef(null);
 
+  // Load the room list (names, descriptions and member counts)
+  const fetchRooms = async () => {
+    try {
+      const response = await fetch(`${SOCKET_URL}/api/rooms`);
+      const data = await response.json();
+      if (data.success) {
+        setRooms(data.rooms);
+      }
+    } catch (err) {
+      console.error('Error loading rooms:', err);
+    }
+  };
+
   useEffect(() => {
+    fetchRooms();
+    // Whether guests and new accounts are allowed, and how long messages can be edited
+    fetch(`${SOCKET_URL}/api/info`)
+      .then((response) => response.json())
+      .then((data) => {
+        if (data.auth) {
+          setAuthInfo(data.auth);
+        }
+        if (data.messages) {
+          setEditWindowSeconds(data.messages.editWindowSeconds);
+        }
+      })
+      .catch((err) => console.error('Error loading server info:', err));
+  }, []);
+
+  const authToken = session?.token || null;
+
+  // Shows a system notice (room = null shows it in every view)
+  const addNotice = (text, room = null, isError = false) => {
+    setNotices((prev) => [...prev, {
+      id: `notice-${Date.now()}-${prev.length}`,
+      text,
+      room,
+      isError,
+      timestamp: new Date().toISOString(),
+    }]);
+  };
+
+  // Authorization header for API calls that need a signed-in user
+  const authHeaders = () => (authToken ? { Authorization: `Bearer ${authToken}` } : {});
+
+  useEffect(() => {
+    usernameRef.current = username.trim();
+    activeConversationRef.current = activeConversation;
+  }, [username, activeConversation]);
+
+  useEffect(() => {
+    // Connect once signed in (or after choosing to continue as a guest)
+    if (!authToken && !guestMode) {
+      return undefined;
+    }
+
     // Initialize socket connection
     socketRef.current = io(SOCKET_URL, {
       transports: ['websocket', 'polling'],
+      auth: authToken ? { token: authToken } : {},
     });
 
     const socket = socketRef.current;
@@ -43,6 +164,21 @@ function Chat() {
       console.log('Connected to server');
       setIsConnected(true);
       setError(null);
+
+      // Signed-in users always chat under their account name
+      const accountName = getStoredSession()?.user?.username;
+      if (authToken && accountName) {
+        socket.emit('register_username', {
+          username: accountName,
+          token: getStoredToken(accountName),
+        });
+      } else if (registeredUsernameRef.current) {
+        // After a reconnect, reclaim our name (the server holds it for a grace period)
+        socket.emit('register_username', {
+          username: registeredUsernameRef.current,
+          token: getStoredToken(registeredUsernameRef.current),
+        });
+      }
     });
 
     socket.on('disconnect', () => {
@@ -52,8 +188,47 @@ function Chat() {
 
     socket.on('connect_error', (err) => {
       console.error('Connection error:', err);
-      setError('Failed to connect to server. Make sure the backend is running.');
       setIsConnected(false);
+      if (err.data?.penalty) {
+        // Timed out or banned
+        setError(err.message);
+        return;
+      }
+      if (SESSION_ERRORS.includes(err.message)) {
+        // Sign in again
+        localStorage.removeItem(SESSION_STORAGE_KEY);
+        setSession(null);
+        setGuestMode(false);
+        setError(`${err.message}. Please sign in.`);
+        return;
+      }
+      setError('Failed to connect to server. Make sure the backend is running.');
+    });
+
+    // Username registration results
+    socket.on('usernameRegistered', ({ username: registeredName, token }) => {
+      registeredUsernameRef.current = registeredName;
+      localStorage.setItem(TOKEN_STORAGE_KEY, JSON.stringify({ username: registeredName, token }));
+      setUsername(registeredName);
+      setUsernameSet(true);
+      setError(null);
+    });
+
+    socket.on('usernameRejected', ({ message }) => {
+      registeredUsernameRef.current = null;
+      setUsernameSet(false);
+      setError(message || 'That username is not available');
+    });
+
+    // The account that owns our name signed in: the server disconnects us, so connect again and pick another
+    socket.on('usernameRevoked', ({ message }) => {
+      registeredUsernameRef.current = null;
+      localStorage.removeItem(TOKEN_STORAGE_KEY);
+      setUsernameSet(false);
+      socket.once('disconnect', () => {
+        socket.once('connect', () => setError(message));
+        socket.connect();
+      });
     });
 
     // Message events
@@ -61,8 +236,130 @@ function Chat() {
       setMessages((prev) => [...prev, messageData]);
     });
 
+    // Borderline messages are delivered with a warning badge
+    socket.on('messageWarned', (messageData) => {
+      setMessages((prev) => [...prev, messageData]);
+    });
+
+    // Edits have already been moderated again by the server
+    socket.on('messageEdited', ({ id, ...changes }) => {
+      setMessages((prev) => prev.map((msg) => (msg.id === id ? { ...msg, ...changes } : msg)));
+    });
+
+    // AI replies are streamed: a placeholder (shown as a typing indicator), then the text as it's generated
+    socket.on('aiMessageStart', (messageData) => {
+      setMessages((prev) => [...prev, { ...messageData, text: '', streaming: true }]);
+    });
+
+    socket.on('aiMessageChunk', ({ id, text }) => {
+      setMessages((prev) => prev.map((msg) => (msg.id === id ? { ...msg, text: msg.text + text } : msg)));
+    });
+
+    // The final, moderated reply replaces the streamed text (or is added if we joined mid-stream)
+    socket.on('aiMessageComplete', ({ moderation, ...messageData }) => {
+      setMessages((prev) => (prev.some((msg) => msg.id === messageData.id)
+        ? prev.map((msg) => (msg.id === messageData.id ? messageData : msg))
+        : [...prev, messageData]));
+    });
+
+    // Moderation flagged part of the reply (or it failed), so it's taken down
+    socket.on('aiMessageRetracted', ({ id }) => {
+      setMessages((prev) => prev.filter((msg) => msg.id !== id));
+    });
+
+    // Deleted messages stay in the list as a tombstone
+    socket.on('messageDeleted', ({ id, ...tombstone }) => {
+      setMessages((prev) => prev.map((msg) => (
+        msg.id === id ? { ...msg, ...tombstone, text: '', warning: undefined, moderationStatus: undefined } : msg
+      )));
+    });
+
+    // Messages held for moderator review (only sent to the author)
+    socket.on('messageHeld', (heldData) => {
+      setHeldMessages((prev) => [...prev, heldData]);
+    });
+
+    // Moderator decisions on held messages
+    // Approved messages are broadcast as a normal 'message', so just drop the held copy
+    socket.on('messageApproved', ({ id }) => {
+      setHeldMessages((prev) => prev.filter((msg) => msg.id !== id));
+    });
+
+    socket.on('messageRejected', (rejectedData) => {
+      setHeldMessages((prev) => prev.map((msg) => (
+        msg.id === rejectedData.id
+          ? { ...msg, rejected: true, reason: rejectedData.reason }
+          : msg
+      )));
+    });
+
     socket.on('messageBlocked', (blockedData) => {
       setBlockedMessages((prev) => [...prev, blockedData]);
+      if (blockedData.retryAt) {
+        setRetryAt(new Date(blockedData.retryAt).getTime());
+      }
+    });
+
+    // Slash commands: the list for autocomplete, and private replies
+    socket.on('commands', (available) => {
+      setCommands(available || []);
+    });
+
+    socket.on('commandResult', ({ message, success }) => {
+      addNotice(message, null, !success);
+    });
+
+    // A moderator cleared a room's history
+    socket.on('roomCleared', ({ room, by }) => {
+      setMessages((prev) => prev.filter((msg) => msg.room !== room));
+      setHasMoreHistory((prev) => ({ ...prev, [room]: false }));
+      addNotice(`${by} cleared the chat history`, room);
+    });
+
+    // A moderator changed the room's slow mode, threshold or AI settings
+    socket.on('roomUpdated', ({ room, profile, by }) => {
+      setRooms((prev) => prev.map((entry) => (entry.name === room ? { ...entry, profile } : entry)));
+      const slowMode = profile.slowModeSeconds ? `${profile.slowModeSeconds}s` : 'off';
+      const aiCooldown = profile.aiCooldownSeconds ? `, AI cooldown ${profile.aiCooldownSeconds}s` : '';
+      addNotice(`${by} updated #${room}: slow mode ${slowMode}, moderation threshold ${profile.threshold}, AI persona ${profile.persona}, AI replies ${profile.aiTrigger}${aiCooldown}`, room);
+    });
+
+    // Too many blocked messages: muted, timed out or banned (timeouts and bans also disconnect us)
+    socket.on('penalty', ({ message }) => {
+      setError(message);
+    });
+
+    // Room events
+    socket.on('roomJoined', ({ room, members }) => {
+      setCurrentRoom(room);
+      setRoomMembers(members || []);
+      fetchRooms();
+    });
+
+    // Direct messages (both the ones we receive and our own, echoed back once delivered)
+    socket.on('privateMessage', (messageData) => {
+      setDirectMessages((prev) => [...prev, messageData]);
+      const partner = getConversationPartner(messageData, usernameRef.current);
+      if (partner !== activeConversationRef.current) {
+        setUnreadConversations((prev) => ({ ...prev, [partner]: (prev[partner] || 0) + 1 }));
+      }
+    });
+
+    // Recent messages, sent when we join a room
+    socket.on('history', ({ room, messages: history, hasMore }) => {
+      setMessages((prev) => mergeMessages(prev, history));
+      setHasMoreHistory((prev) => ({ ...prev, [room]: hasMore }));
+    });
+
+    socket.on('userJoined', ({ username: joinedUsername }) => {
+      setRoomMembers((prev) => [...prev, joinedUsername]);
+    });
+
+    socket.on('userLeft', ({ username: leftUsername }) => {
+      setRoomMembers((prev) => {
+        const index = prev.indexOf(leftUsername);
+        return index === -1 ? prev : [...prev.slice(0, index), ...prev.slice(index + 1)];
+      });
     });
 
     socket.on('error', (errorData) => {
@@ -70,11 +367,40 @@ function Chat() {
       console.error('Socket error:', errorData);
     });
 
-    // Cleanup on unmount
+    // Cleanup on unmount (or when signing out)
     return () => {
       socket.disconnect();
+      socketRef.current = null;
     };
-  }, []);
+  }, [authToken, guestMode]);
+
+  const handleSignedIn = (newSession) => {
+    localStorage.setItem(SESSION_STORAGE_KEY, JSON.stringify(newSession));
+    setError(null);
+    setSession(newSession);
+  };
+
+  const handleSignOut = () => {
+    localStorage.removeItem(SESSION_STORAGE_KEY);
+    registeredUsernameRef.current = null;
+    setSession(null);
+    setGuestMode(false);
+    setUsername('');
+    setUsernameSet(false);
+    setMessages([]);
+    setBlockedMessages([]);
+    setHeldMessages([]);
+    setDirectMessages([]);
+    setActiveConversation(null);
+    setUnreadConversations({});
+    setCommands([]);
+    setNotices([]);
+    setRetryAt(null);
+    setCurrentRoom(null);
+    setRoomMembers([]);
+    setIsConnected(false);
+    setError(null);
+  };
 
   const handleSendMessage = (text) => {
     if (!isConnected) {
@@ -87,7 +413,18 @@ function Chat() {
       return;
     }
 
-    if (socketRef.current) {
+    // Only known command names are commands - "/shrug" or "/r/javascript" are sent as they are
+    const commandName = /^\/(\S+)/.exec(text)?.[1].toLowerCase();
+    const isCommand = commands.some((command) => command.name === commandName);
+    if (socketRef.current && isCommand) {
+      // Commands always go to the server as a room message, even from a direct message view
+      socketRef.current.emit('message', { text });
+    } else if (socketRef.current && activeConversation) {
+      socketRef.current.emit('privateMessage', {
+        to: activeConversation,
+        text,
+      });
+    } else if (socketRef.current) {
       socketRef.current.emit('message', {
         text,
         author: username,
@@ -95,6 +432,72 @@ function Chat() {
     }
   };
 
+  const handleEditMessage = (message, text) => {
+    if (socketRef.current) {
+      socketRef.current.emit('editMessage', { id: message.id, text });
+    }
+  };
+
+  const handleDeleteMessage = (message) => {
+    if (socketRef.current) {
+      socketRef.current.emit('deleteMessage', { id: message.id, room: message.room });
+    }
+  };
+
+  const handleJoinRoom = (room) => {
+    setActiveConversation(null);
+    if (socketRef.current && room !== currentRoom) {
+      socketRef.current.emit('joinRoom', { room });
+    }
+  };
+
+  const handleOpenConversation = (partner) => {
+    if (!partner || partner.toLowerCase() === username.trim().toLowerCase()) {
+      return;
+    }
+    setActiveConversation(partner);
+    setUnreadConversations((prev) => ({ ...prev, [partner]: 0 }));
+  };
+
+  // Everyone we have a direct message conversation with
+  const conversations = [...new Set([
+    ...directMessages.map((msg) => getConversationPartner(msg, username.trim())),
+    ...(activeConversation ? [activeConversation] : []),
+  ])];
+
+  // Scroll back: fetch the page before the oldest message we have for this room
+  const handleLoadEarlier = async () => {
+    if (!currentRoom || loadingHistory) {
+      return;
+    }
+    const oldest = messages.find((msg) => msg.room === currentRoom);
+    setLoadingHistory(true);
+    try {
+      const params = new URLSearchParams({ room: currentRoom });
+      if (oldest) {
+        params.set('before', oldest.id);
+      }
+      const response = await fetch(`${SOCKET_URL}/api/messages?${params}`, { headers: authHeaders() });
+      const data = await response.json();
+      if (data.success) {
+        setMessages((prev) => mergeMessages(prev, data.messages));
+        setHasMoreHistory((prev) => ({ ...prev, [currentRoom]: data.hasMore }));
+      }
+    } catch (err) {
+      console.error('Error loading earlier messages:', err);
+    } finally {
+      setLoadingHistory(false);
+    }
+  };
+
+  // Only show messages for the room (or direct message conversation) we're in
+  const inCurrentView = (msg) => {
+    if (activeConversation) {
+      return msg.isDirect && getConversationPartner(msg, username.trim()) === activeConversation;
+    }
+    return !msg.isDirect && (!msg.room || msg.room === currentRoom);
+  };
+
   const handleUsernameChange = (e) => {
     setUsername(e.target.value);
     setError(null);
@@ -115,16 +518,39 @@ function Chat() {
     }
 
     if (socketRef.current && isConnected) {
+      // usernameSet is updated once the server accepts (or rejects) the name
       socketRef.current.emit('register_username', {
         username: trimmedUsername,
+        token: getStoredToken(trimmedUsername),
       });
-      setUsernameSet(true);
       setError(null);
     } else {
       setError('Not connected to server');
     }
   };
 
+  if (!authToken && !guestMode) {
+    return (
+      <div className="chat-container">
+        {error && (
+          <div className="error-banner">
+            ⚠️ {error}
+          </div>
+        )}
+        <LoginForm
+          apiUrl={SOCKET_URL}
+          onSignedIn={handleSignedIn}
+          onContinueAsGuest={() => {
+            setError(null);
+            setGuestMode(true);
+          }}
+          guestsAllowed={authInfo.guestsAllowed}
+          registrationOpen={authInfo.registrationOpen}
+        />
+      </div>
+    );
+  }
+
   return (
     <div className="chat-container">
       <div className="chat-status">
@@ -132,20 +558,63 @@ function Chat() {
           <span className="status-dot"></span>
           {isConnected ? 'Connected' : 'Disconnected'}
         </div>
-        {usernameSet && username && (
-          <div className="username-display">
-            Chatting as: <strong>{username}</strong>
-          </div>
-        )}
+        <div className="session-info">
+          {usernameSet && username && (
+            <div className="username-display">
+              Chatting as: <strong>{username}</strong>
+              {session?.user?.role && session.user.role !== 'user' && (
+                <span className="role-badge">{session.user.role}</span>
+              )}
+              {!authToken && <span className="role-badge">guest</span>}
+            </div>
+          )}
+          <button className="sign-out-button" onClick={handleSignOut}>
+            {authToken ? 'Sign out' : 'Leave'}
+          </button>
+        </div>
       </div>
 
+      {usernameSet && rooms.length > 0 && (
+        <div className="room-bar">
+          {rooms.map((room) => (
+            <button
+              key={room.name}
+              className={`room-tab ${room.name === currentRoom && !activeConversation ? 'active' : ''}`}
+              onClick={() => handleJoinRoom(room.name)}
+              title={room.description}
+              disabled={!isConnected}
+            >
+              #{room.name}
+            </button>
+          ))}
+          {conversations.map((partner) => (
+            <button
+              key={`dm-${partner}`}
+              className={`room-tab ${partner === activeConversation ? 'active' : ''}`}
+              onClick={() => handleOpenConversation(partner)}
+              title={`Direct messages with ${partner}`}
+            >
+              @{partner}
+              {unreadConversations[partner] > 0 && (
+                <span className="unread-badge">{unreadConversations[partner]}</span>
+              )}
+            </button>
+          ))}
+          {currentRoom && (
+            <span className="room-members" title={roomMembers.join(', ')}>
+              👥 {roomMembers.length} here
+            </span>
+          )}
+        </div>
+      )}
+
       {error && (
         <div className="error-banner">
           ⚠️ {error}
         </div>
       )}
 
-      {!usernameSet && (
+      {!usernameSet && !authToken && (
         <div className="username-input-container">
           <form onSubmit={handleUsernameSubmit} className="username-form">
             <input
@@ -162,14 +631,27 @@ function Chat() {
               Join Chat
             </button>
           </form>
-          <p className="username-hint">You must enter your name to start chatting</p>
+          <p className="username-hint">Guests can use any name that doesn't belong to an account</p>
         </div>
       )}
 
       <MessageList 
-        messages={messages} 
-        blockedMessages={blockedMessages}
+        messages={(activeConversation ? directMessages : messages).filter(inCurrentView)}
+        blockedMessages={blockedMessages.filter(inCurrentView)}
+        heldMessages={heldMessages.filter(inCurrentView)}
+        systemMessages={notices.filter((notice) => !notice.room || inCurrentView(notice))}
         messagesEndRef={messagesEndRef}
+        conversationWith={activeConversation}
+        onAuthorClick={handleOpenConversation}
+        hasMoreHistory={!activeConversation && !!hasMoreHistory[currentRoom]}
+        loadingHistory={loadingHistory}
+        onLoadEarlier={handleLoadEarlier}
+        authToken={authToken}
+        currentUsername={usernameSet ? username.trim() : null}
+        canModerate={['moderator', 'admin'].includes(session?.user?.role)}
+        editWindowSeconds={editWindowSeconds}
+        onEditMessage={!activeConversation ? handleEditMessage : undefined}
+        onDeleteMessage={!activeConversation ? handleDeleteMessage : undefined}
         onReportFeedback={(messageId) => {
           // Optional: Handle feedback reported (e.g., show notification)
           console.log('Feedback reported for message:', messageId);
@@ -179,6 +661,8 @@ function Chat() {
       {usernameSet && (
         <MessageInput 
           onSendMessage={handleSendMessage}
+          commands={commands}
+          retryAt={retryAt}
           disabled={!isConnected}
         />
       )}
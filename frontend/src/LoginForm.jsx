@@ -0,0 +1,93 @@
+import { useState } from 'react';
+import './LoginForm.css';
+
+function LoginForm({ apiUrl, onSignedIn, onContinueAsGuest, guestsAllowed = true, registrationOpen = true }) {
+  const [mode, setMode] = useState('login'); // 'login' or 'register'
+  const [username, setUsername] = useState('');
+  const [password, setPassword] = useState('');
+  const [error, setError] = useState(null);
+  const [submitting, setSubmitting] = useState(false);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (submitting) return;
+
+    if (!username.trim() || !password) {
+      setError('Please enter a username and password');
+      return;
+    }
+
+    setSubmitting(true);
+    setError(null);
+    try {
+      const response = await fetch(`${apiUrl}/api/auth/${mode}`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify({ username: username.trim(), password }),
+      });
+      const data = await response.json();
+
+      if (data.success) {
+        onSignedIn({ token: data.token, user: data.user });
+      } else {
+        setError(data.error || 'Sign in failed');
+      }
+    } catch (err) {
+      console.error('Error signing in:', err);
+      setError('Could not reach the server. Please try again.');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const switchMode = () => {
+    setMode(mode === 'login' ? 'register' : 'login');
+    setError(null);
+  };
+
+  return (
+    <div className="login-container">
+      <form onSubmit={handleSubmit} className="login-form">
+        <h2>{mode === 'login' ? 'Sign in' : 'Create an account'}</h2>
+        {error && <div className="login-error">⚠️ {error}</div>}
+        <input
+          type="text"
+          placeholder="Username"
+          value={username}
+          onChange={(e) => setUsername(e.target.value)}
+          className="login-input"
+          maxLength={20}
+          autoComplete="username"
+          autoFocus
+        />
+        <input
+          type="password"
+          placeholder={mode === 'register' ? 'Password (at least 8 characters)' : 'Password'}
+          value={password}
+          onChange={(e) => setPassword(e.target.value)}
+          className="login-input"
+          autoComplete={mode === 'register' ? 'new-password' : 'current-password'}
+        />
+        <button type="submit" className="login-submit-button" disabled={submitting}>
+          {mode === 'login' ? 'Sign in' : 'Create account'}
+        </button>
+        <div className="login-links">
+          {(registrationOpen || mode === 'register') && (
+            <button type="button" className="login-link" onClick={switchMode}>
+              {mode === 'login' ? 'Create an account' : 'I already have an account'}
+            </button>
+          )}
+          {guestsAllowed && (
+            <button type="button" className="login-link" onClick={onContinueAsGuest}>
+              Continue as guest
+            </button>
+          )}
+        </div>
+      </form>
+    </div>
+  );
+}
+
+export default LoginForm;
@@ -1,10 +1,42 @@
 import { useState, useRef, useEffect } from 'react';
 import './MessageInput.css';
 
-function MessageInput({ onSendMessage, disabled }) {
+function MessageInput({ onSendMessage, disabled, commands = [], retryAt = null }) {
   const [inputValue, setInputValue] = useState('');
+  const [selectedSuggestion, setSelectedSuggestion] = useState(0);
+  const [now, setNow] = useState(Date.now());
   const inputRef = useRef(null);
 
+  // Rate limited: count down to the time the server said we can send again
+  const waitSeconds = retryAt ? Math.max(0, Math.ceil((retryAt - now) / 1000)) : 0;
+
+  useEffect(() => {
+    setNow(Date.now());
+    if (!retryAt || retryAt <= Date.now()) return undefined;
+    const timer = setInterval(() => {
+      setNow(Date.now());
+      if (Date.now() >= retryAt) {
+        clearInterval(timer);
+      }
+    }, 250);
+    return () => clearInterval(timer);
+  }, [retryAt]);
+
+  const isWaiting = waitSeconds > 0;
+
+  // Suggest commands while the command name is being typed ("/mu" -> /mute)
+  const commandQuery = /^\/(\S*)$/.exec(inputValue);
+  const suggestions = commandQuery
+    ? commands.filter((command) => command.name.startsWith(commandQuery[1].toLowerCase()))
+    : [];
+  const selectedIndex = Math.min(selectedSuggestion, Math.max(suggestions.length - 1, 0));
+
+  const completeCommand = (command) => {
+    setInputValue(`/${command.name} `);
+    setSelectedSuggestion(0);
+    inputRef.current?.focus();
+  };
+
   useEffect(() => {
     // Focus input when component mounts
     inputRef.current?.focus();
@@ -13,13 +45,27 @@ function MessageInput({ onSendMessage, disabled }) {
   const handleSubmit = (e) => {
     e.preventDefault();
     
-    if (inputValue.trim() && !disabled) {
+    if (inputValue.trim() && !disabled && !isWaiting) {
       onSendMessage(inputValue.trim());
       setInputValue('');
       inputRef.current?.focus();
     }
   };
 
+  const handleKeyDown = (e) => {
+    if (suggestions.length === 0) return;
+
+    if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+      e.preventDefault();
+      const step = e.key === 'ArrowDown' ? 1 : -1;
+      setSelectedSuggestion((selectedIndex + step + suggestions.length) % suggestions.length);
+    } else if (e.key === 'Tab' || (e.key === 'Enter' && !e.shiftKey && inputValue !== `/${suggestions[selectedIndex].name}`)) {
+      // Tab (or Enter on a partial name) completes the command instead of sending
+      e.preventDefault();
+      completeCommand(suggestions[selectedIndex]);
+    }
+  };
+
   const handleKeyPress = (e) => {
     // Allow Enter to submit, but Shift+Enter for new line
     if (e.key === 'Enter' && !e.shiftKey) {
@@ -30,11 +76,33 @@ function MessageInput({ onSendMessage, disabled }) {
 
   return (
     <div className="message-input-container">
+      {suggestions.length > 0 && (
+        <ul className="command-suggestions">
+          {suggestions.map((command, index) => (
+            <li
+              key={command.name}
+              className={`command-suggestion ${index === selectedIndex ? 'selected' : ''}`}
+              onMouseDown={(e) => {
+                // Keep focus in the input
+                e.preventDefault();
+                completeCommand(command);
+              }}
+            >
+              <span className="command-usage">{command.usage}</span>
+              <span className="command-description">{command.description}</span>
+            </li>
+          ))}
+        </ul>
+      )}
       <form onSubmit={handleSubmit} className="message-input-form">
         <textarea
           ref={inputRef}
           value={inputValue}
-          onChange={(e) => setInputValue(e.target.value)}
+          onChange={(e) => {
+            setInputValue(e.target.value);
+            setSelectedSuggestion(0);
+          }}
+          onKeyDown={handleKeyDown}
           onKeyPress={handleKeyPress}
           placeholder={disabled ? 'Connecting...' : 'Type your message (Enter to send, Shift+Enter for new line)'}
           disabled={disabled}
@@ -44,14 +112,19 @@ function MessageInput({ onSendMessage, disabled }) {
         />
         <button
           type="submit"
-          disabled={!inputValue.trim() || disabled}
+          disabled={!inputValue.trim() || disabled || isWaiting}
           className="send-button"
         >
-          Send
+          {waitSeconds > 0 ? `Wait ${waitSeconds}s` : 'Send'}
         </button>
       </form>
+      {waitSeconds > 0 && (
+        <div className="rate-limit-countdown">
+          ⏱️ You're sending messages too fast. You can send again in {waitSeconds}s.
+        </div>
+      )}
       <div className="input-hint">
-        Messages are moderated in real-time. Toxic content will be blocked.
+        Messages are moderated in real-time. Toxic content will be blocked. Type / for commands.
       </div>
     </div>
   );
@@ -16,8 +16,28 @@ const getAPIURL = () => {
 
 const API_URL = getAPIURL();
 
-function MessageList({ messages, blockedMessages, messagesEndRef, onReportFeedback }) {
+function MessageList({
+  messages,
+  blockedMessages,
+  heldMessages = [],
+  systemMessages = [],
+  messagesEndRef,
+  onReportFeedback,
+  hasMoreHistory = false,
+  loadingHistory = false,
+  onLoadEarlier,
+  conversationWith = null,
+  onAuthorClick,
+  authToken = null,
+  currentUsername = null,
+  canModerate = false,
+  editWindowSeconds = 0,
+  onEditMessage,
+  onDeleteMessage,
+}) {
   const [reportingMessageId, setReportingMessageId] = useState(null);
+  const [editingMessageId, setEditingMessageId] = useState(null);
+  const [editText, setEditText] = useState('');
   // Combine and sort all messages by timestamp (oldest first, newest last)
   const allMessages = [
     ...messages.map(msg => ({ ...msg, type: 'approved' })),
@@ -25,7 +45,9 @@ function MessageList({ messages, blockedMessages, messagesEndRef, onReportFeedba
       ...msg, 
       type: 'blocked', 
       id: msg.id || `blocked-${index}` // Use provided ID or generate one
-    }))
+    })),
+    ...heldMessages.map(msg => ({ ...msg, type: 'held' })),
+    ...systemMessages.map(msg => ({ ...msg, type: 'system' }))
   ].sort((a, b) => {
     const timeA = new Date(a.timestamp).getTime();
     const timeB = new Date(b.timestamp).getTime();
@@ -35,6 +57,11 @@ function MessageList({ messages, blockedMessages, messagesEndRef, onReportFeedba
   // Reference to the messages container for scrolling
   const containerRef = useRef(null);
 
+  // Only new messages at the bottom should scroll - not older history loaded at the top
+  const lastMessageId = allMessages.length > 0 ? allMessages[allMessages.length - 1].id : null;
+  // Streamed AI replies grow in place, so keep following them
+  const lastMessageLength = allMessages.length > 0 ? (allMessages[allMessages.length - 1].text || '').length : 0;
+
   useEffect(() => {
     // Auto-scroll to bottom when new messages arrive
     // Use setTimeout to ensure DOM has updated
@@ -46,7 +73,7 @@ function MessageList({ messages, blockedMessages, messagesEndRef, onReportFeedba
         containerRef.current.scrollTop = containerRef.current.scrollHeight;
       }
     }, 100);
-  }, [messages, blockedMessages, messagesEndRef]);
+  }, [lastMessageId, lastMessageLength, heldMessages, messagesEndRef]);
 
   // Initial scroll to bottom on mount
   useEffect(() => {
@@ -60,8 +87,39 @@ function MessageList({ messages, blockedMessages, messagesEndRef, onReportFeedba
     return date.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
   };
 
+  // Authors can edit or delete their messages for a while after sending them
+  const isOwnEditable = (message) => (
+    !!currentUsername
+    && message.author === currentUsername
+    && Date.now() - new Date(message.timestamp).getTime() < editWindowSeconds * 1000
+  );
+
+  const startEditing = (message) => {
+    setEditingMessageId(message.id);
+    setEditText(message.text);
+  };
+
+  const handleSaveEdit = (e, message) => {
+    e.preventDefault();
+    const text = editText.trim();
+    if (text && text !== message.text && onEditMessage) {
+      onEditMessage(message, text);
+    }
+    setEditingMessageId(null);
+  };
+
+  const handleDelete = (message) => {
+    if (onDeleteMessage && window.confirm('Delete this message for everyone?')) {
+      onDeleteMessage(message);
+    }
+  };
+
   const handleReportFeedback = async (message, isFalsePositive) => {
     if (reportingMessageId === message.id) return; // Already reporting
+    if (!authToken) {
+      alert('Please sign in to report moderation mistakes.');
+      return;
+    }
     
     setReportingMessageId(message.id);
     
@@ -70,13 +128,13 @@ function MessageList({ messages, blockedMessages, messagesEndRef, onReportFeedba
         method: 'POST',
         headers: {
           'Content-Type': 'application/json',
+          Authorization: `Bearer ${authToken}`,
         },
         body: JSON.stringify({
+          // The server looks up the message's text, author and moderation result itself
           messageId: message.id,
-          messageText: message.text,
-          wasBlocked: message.type === 'blocked',
+          messageRoom: message.isDirect ? undefined : message.room,
           shouldHaveBeenBlocked: !isFalsePositive, // If false positive, it shouldn't have been blocked
-          moderationResult: message.details || {},
           reason: message.reason || 'User reported incorrect moderation',
         }),
       });
@@ -89,7 +147,7 @@ function MessageList({ messages, blockedMessages, messagesEndRef, onReportFeedba
           onReportFeedback(message.id);
         }
       } else {
-        alert('Failed to submit feedback. Please try again.');
+        alert(data.error || 'Failed to submit feedback. Please try again.');
       }
     } catch (error) {
       console.error('Error reporting feedback:', error);
@@ -101,16 +159,42 @@ function MessageList({ messages, blockedMessages, messagesEndRef, onReportFeedba
 
   return (
     <div className="message-list">
+      {conversationWith && (
+        <div className="conversation-header">
+          🔒 Direct messages with <strong>{conversationWith}</strong>
+          <span className="conversation-hint">Moderated like room messages</span>
+        </div>
+      )}
       <div className="messages-container" ref={containerRef}>
+        {hasMoreHistory && onLoadEarlier && (
+          <button
+            className="load-earlier-button"
+            onClick={onLoadEarlier}
+            disabled={loadingHistory}
+          >
+            {loadingHistory ? 'Loading...' : 'Load earlier messages'}
+          </button>
+        )}
+
         {allMessages.length === 0 && (
           <div className="empty-state">
-            <p>No messages yet. Start chatting!</p>
+            <p>{conversationWith ? `No messages with ${conversationWith} yet.` : 'No messages yet. Start chatting!'}</p>
             <p className="empty-hint">Messages are moderated in real-time using AI.</p>
           </div>
         )}
 
         {allMessages.map((message) => {
-          if (message.type === 'blocked') {
+          if (message.type === 'system') {
+            return (
+              <div key={message.id} className={`message message-system ${message.isError ? 'message-system-error' : ''}`}>
+                <div className="message-header">
+                  <span className="message-author">System</span>
+                  <span className="message-time">{formatTime(message.timestamp)}</span>
+                </div>
+                <div className="message-content message-system-text">{message.text}</div>
+              </div>
+            );
+          } else if (message.type === 'blocked') {
             return (
               <div key={message.id} className="message message-blocked">
                 <div className="message-header">
@@ -118,8 +202,10 @@ function MessageList({ messages, blockedMessages, messagesEndRef, onReportFeedba
                   <span className="message-time">{formatTime(message.timestamp)}</span>
                 </div>
                 <div className="message-content-blocked">
-                  <span className="blocked-icon">🚫</span>
-                  <span className="blocked-text">Message blocked</span>
+                  <span className="blocked-icon">{message.rateLimited ? '⏱️' : '🚫'}</span>
+                  <span className="blocked-text">
+                    {message.rateLimited ? 'Message not sent' : message.editOf ? 'Edit blocked' : 'Message blocked'}
+                  </span>
                 </div>
                 <div className="blocked-reason">
                   Reason: {message.reason}
@@ -130,32 +216,122 @@ function MessageList({ messages, blockedMessages, messagesEndRef, onReportFeedba
                     (score: {(message.details.maxScore * 100).toFixed(1)}%)
                   </div>
                 )}
-                <div className="message-actions">
-                  <button
-                    className="report-button"
-                    onClick={() => handleReportFeedback(message, true)}
-                    disabled={reportingMessageId === message.id}
-                    title="Report as incorrectly blocked (false positive)"
-                  >
-                    {reportingMessageId === message.id ? 'Reporting...' : '⚠️ Report False Positive'}
-                  </button>
+                {!message.rateLimited && (
+                  <div className="message-actions">
+                    <button
+                      className="report-button"
+                      onClick={() => handleReportFeedback(message, true)}
+                      disabled={reportingMessageId === message.id}
+                      title="Report as incorrectly blocked (false positive)"
+                    >
+                      {reportingMessageId === message.id ? 'Reporting...' : '⚠️ Report False Positive'}
+                    </button>
+                  </div>
+                )}
+              </div>
+            );
+          } else if (message.type === 'held') {
+            return (
+              <div key={message.id} className="message message-held">
+                <div className="message-header">
+                  <span className="message-author">{message.author}</span>
+                  <span className="message-time">{formatTime(message.timestamp)}</span>
+                </div>
+                <div className="message-content">{message.text}</div>
+                {message.rejected ? (
+                  <div className="message-content-blocked">
+                    <span className="blocked-icon">🚫</span>
+                    <span className="blocked-text">Rejected by a moderator</span>
+                  </div>
+                ) : (
+                  <div className="message-content-held">
+                    <span className="held-icon">⏳</span>
+                    <span className="held-text">Awaiting moderator review - only you can see this</span>
+                  </div>
+                )}
+                <div className="held-reason">
+                  Reason: {message.reason}
+                </div>
+              </div>
+            );
+          } else if (message.deleted) {
+            return (
+              <div key={message.id} className="message message-deleted">
+                <div className="message-header">
+                  <span className="message-author">{message.author}</span>
+                  <span className="message-time">{formatTime(message.timestamp)}</span>
+                </div>
+                <div className="message-content-deleted">
+                  🗑️ {message.byModerator ? 'This message was removed by a moderator' : 'This message was deleted'}
                 </div>
               </div>
             );
           } else {
             // Check if this is an AI message
             const isAIMessage = message.isAI || message.author === 'AI Moderator';
+            const isWarned = message.moderationAction === 'warn';
+            const canEdit = !isAIMessage && !message.isDirect && onEditMessage && isOwnEditable(message);
+            const canDelete = !isAIMessage && !message.isDirect && onDeleteMessage && (canModerate || isOwnEditable(message));
             
             return (
-              <div key={message.id} className={`message message-approved ${isAIMessage ? 'message-ai' : ''}`}>
+              <div key={message.id} className={`message message-approved ${isAIMessage ? 'message-ai' : ''} ${isWarned ? 'message-warned' : ''} ${message.streaming ? 'message-streaming' : ''}`}>
                 <div className="message-header">
-                  <span className="message-author">
-                    {isAIMessage && <span className="ai-badge">🤖</span>}
+                  <span
+                    className={`message-author ${!isAIMessage && onAuthorClick ? 'message-author-link' : ''}`}
+                    onClick={!isAIMessage && onAuthorClick ? () => onAuthorClick(message.author) : undefined}
+                    title={!isAIMessage && onAuthorClick ? `Send ${message.author} a direct message` : undefined}
+                  >
+                    {isAIMessage && (
+                      /^(https?:)?\/|^data:image\//.test(message.avatar || '')
+                        ? <img className="ai-avatar" src={message.avatar} alt="" />
+                        : <span className="ai-badge">{message.avatar || '🤖'}</span>
+                    )}
                     {message.author}
                   </span>
-                  <span className="message-time">{formatTime(message.timestamp)}</span>
+                  <span className="message-time">
+                    {message.editedAt && <span className="message-edited" title={`Edited at ${formatTime(message.editedAt)}`}>(edited) </span>}
+                    {formatTime(message.timestamp)}
+                  </span>
                 </div>
-                <div className="message-content">{message.text}</div>
+                {editingMessageId === message.id ? (
+                  <form className="message-edit-form" onSubmit={(e) => handleSaveEdit(e, message)}>
+                    <textarea
+                      className="message-edit-input"
+                      value={editText}
+                      onChange={(e) => setEditText(e.target.value)}
+                      onKeyDown={(e) => {
+                        if (e.key === 'Enter' && !e.shiftKey) {
+                          handleSaveEdit(e, message);
+                        } else if (e.key === 'Escape') {
+                          setEditingMessageId(null);
+                        }
+                      }}
+                      rows={2}
+                      maxLength={1000}
+                      autoFocus
+                    />
+                    <div className="message-edit-buttons">
+                      <button type="submit" className="edit-button">Save</button>
+                      <button type="button" className="edit-button" onClick={() => setEditingMessageId(null)}>Cancel</button>
+                    </div>
+                  </form>
+                ) : message.streaming && !message.text ? (
+                  <div className="typing-indicator" aria-label={`${message.author} is typing`}>
+                    <span></span>
+                    <span></span>
+                    <span></span>
+                  </div>
+                ) : (
+                  <div className="message-content">
+                    {message.text}
+                    {message.streaming && <span className="streaming-cursor" aria-hidden="true">▍</span>}
+                  </div>
+                )}
+                {isWarned && (
+                  <div className="warning-badge" title={message.warning}>
+                    ⚠️ {message.warning || 'Possibly inappropriate'}
+                  </div>
+                )}
                 {message.moderationStatus && message.moderationStatus !== 'OK' && (
                   <div className="message-status">
                     ✓ Moderated: {message.moderationStatus}
@@ -163,6 +339,16 @@ function MessageList({ messages, blockedMessages, messagesEndRef, onReportFeedba
                 )}
                 {!isAIMessage && (
                   <div className="message-actions">
+                    {canEdit && editingMessageId !== message.id && (
+                      <button className="edit-button" onClick={() => startEditing(message)} title="Edit your message">
+                        ✏️ Edit
+                      </button>
+                    )}
+                    {canDelete && (
+                      <button className="edit-button" onClick={() => handleDelete(message)} title="Delete this message for everyone">
+                        🗑️ Delete
+                      </button>
+                    )}
                     <button
                       className="report-button"
                       onClick={() => handleReportFeedback(message, false)}